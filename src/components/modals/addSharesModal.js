@@ -0,0 +1,268 @@
+/**
+ * AddSharesModal - Scales into an existing position at a new fill price
+ */
+
+import { state } from '../../core/state.js';
+import { formatCurrency, formatNumber, formatPercent, initFlatpickr, getCurrentWeekday, restrictToNumberInput, createTimestampFromDateInput } from '../../core/utils.js';
+import { formatDate } from '../../utils/marketHours.js';
+import { showToast, showUndoToast } from '../ui/ui.js';
+import { calculateCommission } from '../../core/utils/tradeCalculations.js';
+import { getInitialFill, getOpenRisk, recalculatePosition } from '../../utils/positionUtils.js';
+import { getTradeEntryDateString } from '../../utils/tradeUtils.js';
+
+class AddSharesModal {
+  constructor() {
+    this.elements = {};
+    this.currentTrade = null;
+    this.feesEdited = false;
+  }
+
+  init() {
+    this.cacheElements();
+    this.bindEvents();
+    initFlatpickr(this.elements.dateInput);
+    restrictToNumberInput(this.elements.sharesInput, false);
+    restrictToNumberInput(this.elements.priceInput, true);
+    restrictToNumberInput(this.elements.feesInput, true);
+  }
+
+  cacheElements() {
+    this.elements = {
+      modal: document.getElementById('addSharesModal'),
+      overlay: document.getElementById('addSharesModalOverlay'),
+      closeBtn: document.getElementById('closeAddSharesModalBtn'),
+      cancelBtn: document.getElementById('cancelAddSharesBtn'),
+      confirmBtn: document.getElementById('confirmAddSharesBtn'),
+      ticker: document.getElementById('addSharesModalTicker'),
+      currentEntry: document.getElementById('addSharesCurrentEntry'),
+      currentShares: document.getElementById('addSharesCurrentShares'),
+      currentStop: document.getElementById('addSharesCurrentStop'),
+      sharesLabel: document.querySelector('label[for="addSharesInput"]'),
+      sharesInput: document.getElementById('addSharesInput'),
+      sharesError: document.getElementById('addSharesError'),
+      priceInput: document.getElementById('addSharesPrice'),
+      priceError: document.getElementById('addSharesPriceError'),
+      dateInput: document.getElementById('addSharesDate'),
+      feesInput: document.getElementById('addSharesFees'),
+      newEntry: document.getElementById('addSharesNewEntry'),
+      newShares: document.getElementById('addSharesNewShares'),
+      newRisk: document.getElementById('addSharesNewRisk')
+    };
+  }
+
+  bindEvents() {
+    this.elements.closeBtn?.addEventListener('click', () => this.close());
+    this.elements.cancelBtn?.addEventListener('click', () => this.close());
+    this.elements.overlay?.addEventListener('click', () => this.close());
+    this.elements.confirmBtn?.addEventListener('click', () => this.confirm());
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) this.close();
+    });
+
+    this.elements.sharesInput?.addEventListener('input', () => {
+      this.clearInputError(this.elements.sharesInput, this.elements.sharesError);
+      this.updateFeesFromSchedule();
+      this.calculatePreview();
+    });
+    this.elements.priceInput?.addEventListener('input', () => {
+      this.clearInputError(this.elements.priceInput, this.elements.priceError);
+      this.calculatePreview();
+    });
+    // Adds dated before an existing trim don't change that trim's cost
+    this.elements.dateInput?.addEventListener('change', () => this.calculatePreview());
+    this.elements.feesInput?.addEventListener('input', (e) => {
+      // Clearing the field hands control back to the commission schedule
+      this.feesEdited = e.target.value !== '';
+    });
+  }
+
+  open(tradeId) {
+    const trade = state.allJournalEntries.find(e => e.id === tradeId);
+    if (!trade) {
+      showToast('Trade not found', 'error');
+      return;
+    }
+
+    this.currentTrade = trade;
+    this.feesEdited = false;
+
+    const isOptions = trade.assetType === 'options';
+    const remainingShares = trade.remainingShares ?? trade.shares;
+    const currentStop = trade.currentStop ?? trade.stop;
+
+    if (this.elements.ticker) this.elements.ticker.textContent = trade.ticker;
+    if (this.elements.sharesLabel) this.elements.sharesLabel.textContent = isOptions ? 'Contracts to Add' : 'Shares to Add';
+    if (this.elements.currentEntry) this.elements.currentEntry.textContent = formatCurrency(trade.entry);
+    if (this.elements.currentShares) this.elements.currentShares.textContent = formatNumber(remainingShares);
+    if (this.elements.currentStop) this.elements.currentStop.textContent = currentStop !== null ? formatCurrency(currentStop) : '—';
+
+    if (this.elements.sharesInput) this.elements.sharesInput.value = '';
+    if (this.elements.priceInput) this.elements.priceInput.value = '';
+    if (this.elements.feesInput) this.elements.feesInput.value = '';
+    this.clearInputError(this.elements.sharesInput, this.elements.sharesError);
+    this.clearInputError(this.elements.priceInput, this.elements.priceError);
+    this.setDefaultDate();
+    this.calculatePreview();
+
+    this.elements.modal?.classList.add('open');
+    this.elements.overlay?.classList.add('open');
+    document.body.style.overflow = 'hidden';
+
+    this.elements.sharesInput?.focus();
+  }
+
+  close() {
+    this.elements.modal?.classList.remove('open');
+    this.elements.overlay?.classList.remove('open');
+    document.body.style.overflow = '';
+    this.currentTrade = null;
+  }
+
+  isOpen() {
+    return this.elements.modal?.classList.contains('open') ?? false;
+  }
+
+  setDefaultDate() {
+    if (!this.elements.dateInput) return;
+
+    const dateString = formatDate(getCurrentWeekday());
+    this.elements.dateInput.value = dateString;
+
+    // If Flatpickr is initialized on this input, update it too
+    if (this.elements.dateInput._flatpickr) {
+      this.elements.dateInput._flatpickr.setDate(dateString, false);
+    }
+  }
+
+  updateFeesFromSchedule() {
+    if (!this.elements.feesInput || !this.currentTrade || this.feesEdited) return;
+
+    const shares = parseInt(this.elements.sharesInput?.value) || 0;
+    const fees = calculateCommission(shares, this.currentTrade.assetType, state.settings);
+    this.elements.feesInput.value = fees > 0 ? fees.toFixed(2) : '';
+  }
+
+  getFees() {
+    const fees = parseFloat(this.elements.feesInput?.value);
+    return !isNaN(fees) && fees > 0 ? fees : 0;
+  }
+
+  /**
+   * Build the trade as it would look with the pending add applied
+   * @param {Object} addEvent - Add fill ({shares, price, ...})
+   * @returns {Object} Trade with the add appended to its history
+   */
+  buildUpdatedTrade(addEvent) {
+    const trade = this.currentTrade;
+    const initial = getInitialFill(trade);
+
+    return {
+      ...trade,
+      // Pin the initial fill before the blended entry overwrites trade.entry
+      initialEntry: initial.price,
+      initialShares: initial.shares,
+      addHistory: [...(trade.addHistory || []), addEvent]
+    };
+  }
+
+  calculatePreview() {
+    if (!this.currentTrade) return;
+
+    const shares = parseInt(this.elements.sharesInput?.value);
+    const price = parseFloat(this.elements.priceInput?.value);
+
+    if (isNaN(shares) || shares <= 0 || isNaN(price) || price <= 0) {
+      if (this.elements.newEntry) this.elements.newEntry.textContent = '-';
+      if (this.elements.newShares) this.elements.newShares.textContent = '-';
+      if (this.elements.newRisk) this.elements.newRisk.textContent = '-';
+      return;
+    }
+
+    const date = createTimestampFromDateInput(this.elements.dateInput?.value);
+    const updatedTrade = this.buildUpdatedTrade({ date, shares, price });
+    const position = recalculatePosition(updatedTrade);
+    const openRisk = getOpenRisk({ ...updatedTrade, ...position });
+    const riskPercent = (openRisk / state.account.currentSize) * 100;
+
+    if (this.elements.newEntry) this.elements.newEntry.textContent = formatCurrency(position.entry);
+    if (this.elements.newShares) this.elements.newShares.textContent = formatNumber(position.remainingShares);
+    if (this.elements.newRisk) {
+      this.elements.newRisk.textContent = `${formatCurrency(openRisk)} (${formatPercent(riskPercent)})`;
+    }
+  }
+
+  confirm() {
+    if (!this.currentTrade) return;
+
+    const shares = parseInt(this.elements.sharesInput?.value);
+    const price = parseFloat(this.elements.priceInput?.value);
+    const dateValue = this.elements.dateInput?.value;
+
+    if (isNaN(shares) || shares <= 0) {
+      this.showInputError(this.elements.sharesInput, this.elements.sharesError, 'Enter a quantity greater than 0');
+      return;
+    }
+
+    if (isNaN(price) || price <= 0) {
+      this.showInputError(this.elements.priceInput, this.elements.priceError, 'Fill price must be greater than 0');
+      return;
+    }
+
+    if (dateValue && dateValue < getTradeEntryDateString(this.currentTrade)) {
+      showToast('Add date cannot be before the trade date', 'error');
+      return;
+    }
+
+    const addEvent = {
+      id: Date.now(),
+      date: createTimestampFromDateInput(dateValue),
+      shares,
+      price,
+      fees: this.getFees()
+    };
+
+    const updatedTrade = this.buildUpdatedTrade(addEvent);
+    const updates = {
+      addHistory: updatedTrade.addHistory,
+      ...recalculatePosition(updatedTrade)
+    };
+    updates.riskPercent = (updates.riskDollars / state.account.currentSize) * 100;
+
+    state.updateJournalEntry(this.currentTrade.id, updates);
+
+    // Trade update triggers cache invalidation, emit event with computed value
+    state.emit('accountSizeChanged', state.currentSize);
+
+    const unitLabel = this.currentTrade.assetType === 'options' ? 'contracts' : 'shares';
+    showUndoToast(
+      `${this.currentTrade.ticker}: added ${formatNumber(shares)} ${unitLabel} @ ${formatCurrency(price)} (avg ${formatCurrency(updates.entry)})`,
+      'success'
+    );
+
+    this.close();
+  }
+
+  showInputError(inputElement, errorElement, message) {
+    if (inputElement) {
+      inputElement.classList.add('input--error');
+      inputElement.focus();
+    }
+    if (errorElement) {
+      errorElement.textContent = message;
+      errorElement.classList.add('input-error--visible');
+    }
+  }
+
+  clearInputError(inputElement, errorElement) {
+    if (inputElement) {
+      inputElement.classList.remove('input--error');
+    }
+    if (errorElement) {
+      errorElement.classList.remove('input-error--visible');
+      errorElement.textContent = '';
+    }
+  }
+}
+
+export const addSharesModal = new AddSharesModal();
@@ -42,7 +42,7 @@ class ClearDataModal {
     if (!this.elements.modal) return;
 
     // Update trade count
-    const tradeCount = state.journal.entries.length;
+    const tradeCount = state.allJournalEntries.length;
 
     if (this.elements.tradeCount) {
       this.elements.tradeCount.textContent = tradeCount === 0
@@ -0,0 +1,372 @@
+/**
+ * ImportModal - Broker CSV import with column mapping and duplicate-aware preview
+ */
+
+import { state } from '../../core/state.js';
+import { escapeHtml, formatCurrency, formatNumber } from '../../core/utils.js';
+import { showToast, showUndoToast } from '../ui/ui.js';
+import { accountSwitcher } from '../ui/accountSwitcher.js';
+import { getTradeRealizedPnL } from '../../core/utils/tradeCalculations.js';
+import {
+  IMPORT_FIELDS,
+  BROKER_LAYOUTS,
+  parseCSV,
+  findHeaderRowIndex,
+  detectLayout,
+  getLayoutMapping,
+  guessMapping,
+  hasRequiredFields,
+  normalizeExecutions,
+  groupExecutionsIntoTrades,
+  markDuplicates
+} from '../../utils/csvImport.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('ImportModal');
+
+const CUSTOM_LAYOUT_ID = 'custom';
+
+class ImportModal {
+  constructor() {
+    this.elements = {};
+    this.fileName = '';
+    this.headers = [];
+    this.dataRows = [];
+    this.headerRowIndex = 0;
+    this.layoutId = CUSTOM_LAYOUT_ID;
+    this.mapping = {};
+    this.trades = [];
+    this.skipped = [];
+    // Indices of preview trades the user has chosen to import
+    this.selected = new Set();
+  }
+
+  init() {
+    this.elements = {
+      modal: document.getElementById('importModal'),
+      overlay: document.getElementById('importModalOverlay'),
+      closeBtn: document.getElementById('closeImportModalBtn'),
+      cancelBtn: document.getElementById('cancelImportBtn'),
+      confirmBtn: document.getElementById('confirmImportBtn'),
+      chooseFileBtn: document.getElementById('importChooseFileBtn'),
+      fileName: document.getElementById('importFileName'),
+      mappingSection: document.getElementById('importMappingSection'),
+      layoutSelect: document.getElementById('importLayoutSelect'),
+      mappingGrid: document.getElementById('importMappingGrid'),
+      previewSection: document.getElementById('importPreviewSection'),
+      summary: document.getElementById('importSummary'),
+      previewBody: document.getElementById('importPreviewBody'),
+      skippedList: document.getElementById('importSkippedList'),
+      skippedDetails: document.getElementById('importSkipped')
+    };
+
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    this.elements.closeBtn?.addEventListener('click', () => this.close());
+    this.elements.overlay?.addEventListener('click', () => this.close());
+    this.elements.cancelBtn?.addEventListener('click', () => this.close());
+    this.elements.confirmBtn?.addEventListener('click', () => this.confirm());
+    this.elements.chooseFileBtn?.addEventListener('click', () => this.chooseFile());
+
+    this.elements.layoutSelect?.addEventListener('change', (e) => this.handleLayoutChange(e.target.value));
+
+    // Mapping selects are rendered dynamically - delegate
+    this.elements.mappingGrid?.addEventListener('change', (e) => {
+      const select = e.target.closest('[data-import-field]');
+      if (select) this.handleMappingChange(select.dataset.importField, select.value);
+    });
+
+    this.elements.previewBody?.addEventListener('change', (e) => {
+      const checkbox = e.target.closest('[data-import-index]');
+      if (!checkbox) return;
+      const index = parseInt(checkbox.dataset.importIndex);
+      if (checkbox.checked) {
+        this.selected.add(index);
+      } else {
+        this.selected.delete(index);
+      }
+      this.renderSummary();
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) this.close();
+    });
+  }
+
+  isOpen() {
+    return this.elements.modal?.classList.contains('open');
+  }
+
+  open() {
+    if (!this.elements.modal) return;
+    if (!accountSwitcher.requireAccount('imported trades')) return;
+
+    this.reset();
+    this.elements.modal.classList.add('open');
+    this.elements.overlay?.classList.add('open');
+    document.body.style.overflow = 'hidden';
+  }
+
+  close() {
+    this.elements.modal?.classList.remove('open');
+    this.elements.overlay?.classList.remove('open');
+    document.body.style.overflow = '';
+    this.reset();
+  }
+
+  reset() {
+    this.fileName = '';
+    this.headers = [];
+    this.dataRows = [];
+    this.headerRowIndex = 0;
+    this.layoutId = CUSTOM_LAYOUT_ID;
+    this.mapping = {};
+    this.trades = [];
+    this.skipped = [];
+    this.selected.clear();
+
+    if (this.elements.fileName) this.elements.fileName.textContent = 'No file selected';
+    if (this.elements.mappingSection) this.elements.mappingSection.style.display = 'none';
+    if (this.elements.previewSection) this.elements.previewSection.style.display = 'none';
+    if (this.elements.confirmBtn) {
+      this.elements.confirmBtn.disabled = true;
+      this.elements.confirmBtn.textContent = 'Import Trades';
+    }
+  }
+
+  chooseFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.csv,text/csv';
+
+    input.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = (event) => this.loadCSV(file.name, event.target.result);
+      reader.onerror = () => showToast('❌ Failed to read file', 'error');
+      reader.readAsText(file);
+    });
+
+    input.click();
+  }
+
+  loadCSV(fileName, text) {
+    const rows = parseCSV(text || '');
+    if (rows.length < 2) {
+      showToast('❌ CSV file has no trade rows', 'error');
+      return;
+    }
+
+    this.fileName = fileName;
+    this.headerRowIndex = findHeaderRowIndex(rows);
+    this.headers = rows[this.headerRowIndex];
+    this.dataRows = rows.slice(this.headerRowIndex + 1);
+
+    const detected = detectLayout(this.headers);
+    if (detected) {
+      this.layoutId = detected.layout.id;
+      this.mapping = detected.mapping;
+    } else {
+      this.layoutId = CUSTOM_LAYOUT_ID;
+      this.mapping = guessMapping(this.headers);
+    }
+
+    logger.debug(`Loaded ${this.dataRows.length} rows from ${fileName} (layout: ${this.layoutId})`);
+
+    if (this.elements.fileName) {
+      this.elements.fileName.textContent = `${fileName} · ${formatNumber(this.dataRows.length)} rows`;
+    }
+    if (this.elements.mappingSection) this.elements.mappingSection.style.display = '';
+
+    this.renderLayoutOptions();
+    this.renderMapping();
+    this.buildPreview();
+  }
+
+  handleLayoutChange(layoutId) {
+    this.layoutId = layoutId;
+    const layout = BROKER_LAYOUTS.find(l => l.id === layoutId);
+    this.mapping = layout ? getLayoutMapping(this.headers, layout) : guessMapping(this.headers);
+
+    this.renderMapping();
+    this.buildPreview();
+  }
+
+  handleMappingChange(field, value) {
+    if (value === '') {
+      delete this.mapping[field];
+    } else {
+      this.mapping[field] = [parseInt(value)];
+    }
+
+    // Any manual change makes this a custom mapping
+    this.layoutId = CUSTOM_LAYOUT_ID;
+    if (this.elements.layoutSelect) this.elements.layoutSelect.value = CUSTOM_LAYOUT_ID;
+
+    this.buildPreview();
+  }
+
+  renderLayoutOptions() {
+    if (!this.elements.layoutSelect) return;
+
+    const options = [
+      ...BROKER_LAYOUTS.map(layout => `<option value="${layout.id}">${layout.name}</option>`),
+      `<option value="${CUSTOM_LAYOUT_ID}">Custom mapping</option>`
+    ];
+    this.elements.layoutSelect.innerHTML = options.join('');
+    this.elements.layoutSelect.value = this.layoutId;
+  }
+
+  renderMapping() {
+    if (!this.elements.mappingGrid) return;
+
+    const columnOptions = this.headers
+      .map((header, index) => `<option value="${index}">${escapeHtml(header || `Column ${index + 1}`)}</option>`)
+      .join('');
+
+    this.elements.mappingGrid.innerHTML = IMPORT_FIELDS.map(field => `
+      <div class="input-group">
+        <label class="input-label" for="importMap_${field.key}">
+          ${field.label}${field.required ? '' : ' <span class="label-optional">(optional)</span>'}
+        </label>
+        <select class="input import-mapping__select" id="importMap_${field.key}" data-import-field="${field.key}">
+          <option value="">— None —</option>
+          ${columnOptions}
+        </select>
+      </div>
+    `).join('');
+
+    // Reflect current mapping (first column if a field spans several)
+    IMPORT_FIELDS.forEach(field => {
+      const select = this.elements.mappingGrid.querySelector(`[data-import-field="${field.key}"]`);
+      if (select) select.value = this.mapping[field.key]?.[0] ?? '';
+    });
+  }
+
+  buildPreview() {
+    this.trades = [];
+    this.skipped = [];
+    this.selected.clear();
+
+    if (!hasRequiredFields(this.mapping)) {
+      this.renderPreview();
+      return;
+    }
+
+    const layout = BROKER_LAYOUTS.find(l => l.id === this.layoutId) || null;
+    const { executions, skipped } = normalizeExecutions(this.dataRows, this.mapping, {
+      layout,
+      headers: this.headers,
+      firstLine: this.headerRowIndex + 2
+    });
+
+    this.skipped = skipped;
+    this.trades = markDuplicates(
+      groupExecutionsIntoTrades(executions, { source: layout?.name || 'CSV' }),
+      state.allJournalEntries
+    );
+
+    // Duplicates start unchecked so re-importing the same file is a no-op
+    this.trades.forEach((trade, index) => {
+      if (!trade.isDuplicate) this.selected.add(index);
+    });
+
+    this.renderPreview();
+  }
+
+  renderPreview() {
+    if (this.elements.previewSection) {
+      this.elements.previewSection.style.display = this.headers.length > 0 ? '' : 'none';
+    }
+
+    if (this.elements.previewBody) {
+      if (!hasRequiredFields(this.mapping)) {
+        const missing = IMPORT_FIELDS
+          .filter(field => field.required && !this.mapping[field.key])
+          .map(field => field.label)
+          .join(', ');
+        this.elements.previewBody.innerHTML = `<tr><td colspan="8" class="import-preview__empty">Map ${missing} to preview trades</td></tr>`;
+      } else if (this.trades.length === 0) {
+        this.elements.previewBody.innerHTML = '<tr><td colspan="8" class="import-preview__empty">No trades found in this file</td></tr>';
+      } else {
+        this.elements.previewBody.innerHTML = this.trades.map((trade, index) => this.renderPreviewRow(trade, index)).join('');
+      }
+    }
+
+    if (this.elements.skippedList && this.elements.skippedDetails) {
+      this.elements.skippedDetails.style.display = this.skipped.length > 0 ? '' : 'none';
+      this.elements.skippedList.innerHTML = this.skipped
+        .map(item => `<li>Line ${item.line}: ${escapeHtml(item.reason)}</li>`)
+        .join('');
+    }
+
+    this.renderSummary();
+  }
+
+  renderPreviewRow(trade, index) {
+    const date = trade.timestamp.split('T')[0];
+    const hasPnL = trade.status !== 'open';
+    const pnl = getTradeRealizedPnL(trade);
+    const pnlClass = pnl >= 0 ? 'text-success' : 'text-danger';
+    const exitPrice = trade.trimHistory.length > 0
+      ? formatCurrency(trade.trimHistory[trade.trimHistory.length - 1].exitPrice)
+      : '—';
+
+    return `
+      <tr class="${trade.isDuplicate ? 'import-preview__row--duplicate' : ''}">
+        <td><input type="checkbox" data-import-index="${index}" ${this.selected.has(index) ? 'checked' : ''}></td>
+        <td>${date}</td>
+        <td>
+          <strong>${escapeHtml(trade.ticker)}</strong>
+          ${trade.direction === 'short' ? '<span class="tag tag--short">Short</span>' : ''}
+          ${trade.isDuplicate ? '<span class="import-preview__duplicate">Duplicate</span>' : ''}
+        </td>
+        <td>${formatNumber(trade.originalShares)}</td>
+        <td>${formatCurrency(trade.entry)}</td>
+        <td>${exitPrice}</td>
+        <td><span class="journal-table__status journal-table__status--${trade.status}">${trade.status}</span></td>
+        <td class="${hasPnL ? pnlClass : ''}">${hasPnL ? `${pnl >= 0 ? '+' : ''}${formatCurrency(pnl)}` : '—'}</td>
+      </tr>
+    `;
+  }
+
+  renderSummary() {
+    const duplicates = this.trades.filter(t => t.isDuplicate).length;
+    const count = this.selected.size;
+
+    if (this.elements.summary) {
+      const parts = [`${this.trades.length} trade${this.trades.length !== 1 ? 's' : ''} found`];
+      if (duplicates > 0) parts.push(`${duplicates} already in journal`);
+      if (this.skipped.length > 0) parts.push(`${this.skipped.length} row${this.skipped.length !== 1 ? 's' : ''} skipped`);
+      this.elements.summary.textContent = parts.join(' · ');
+    }
+
+    if (this.elements.confirmBtn) {
+      this.elements.confirmBtn.disabled = count === 0;
+      this.elements.confirmBtn.textContent = count > 0
+        ? `Import ${count} Trade${count !== 1 ? 's' : ''}`
+        : 'Import Trades';
+    }
+  }
+
+  confirm() {
+    const toImport = this.trades
+      .filter((trade, index) => this.selected.has(index))
+      .map(({ isDuplicate, importLines, ...trade }) => trade);
+
+    if (toImport.length === 0) return;
+
+    // Single batch write - either every selected trade lands or none do
+    const added = state.addJournalEntries(toImport);
+    state.emit('accountSizeChanged', state.currentSize);
+
+    showUndoToast(`📥 Imported ${added.length} trade${added.length !== 1 ? 's' : ''} from ${this.fileName}`, 'success');
+    this.close();
+  }
+}
+
+export const importModal = new ImportModal();
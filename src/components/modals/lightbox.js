@@ -0,0 +1,133 @@
+/**
+ * Lightbox - Full-size view of a trade's screenshot attachments
+ * Arrow keys or the side buttons step through the trade's images; Escape closes.
+ */
+
+import { attachmentStore } from '../../core/attachments.js';
+import { formatBytes } from '../../utils/storageMonitor.js';
+
+class Lightbox {
+  constructor() {
+    this.elements = {};
+    this.attachments = [];
+    this.index = 0;
+    this.imageUrl = null;
+  }
+
+  init() {
+    this.elements = {
+      modal: document.getElementById('lightboxModal'),
+      overlay: document.getElementById('lightboxModalOverlay'),
+      closeBtn: document.getElementById('closeLightboxBtn'),
+      title: document.getElementById('lightboxTitle'),
+      image: document.getElementById('lightboxImage'),
+      missing: document.getElementById('lightboxMissing'),
+      caption: document.getElementById('lightboxCaption'),
+      prevBtn: document.getElementById('lightboxPrevBtn'),
+      nextBtn: document.getElementById('lightboxNextBtn'),
+      downloadLink: document.getElementById('lightboxDownload')
+    };
+
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    this.elements.closeBtn?.addEventListener('click', () => this.close());
+    this.elements.overlay?.addEventListener('click', () => this.close());
+    this.elements.prevBtn?.addEventListener('click', () => this.step(-1));
+    this.elements.nextBtn?.addEventListener('click', () => this.step(1));
+
+    // Capture phase, so Escape closes only the lightbox and not the wizard underneath
+    window.addEventListener('keydown', (e) => {
+      if (!this.isOpen()) return;
+      if (e.key === 'Escape') this.close();
+      else if (e.key === 'ArrowLeft') this.step(-1);
+      else if (e.key === 'ArrowRight') this.step(1);
+      else return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    }, true);
+  }
+
+  isOpen() {
+    return this.elements.modal?.classList.contains('open');
+  }
+
+  /**
+   * @param {Array<Object>} attachments - A trade's attachment metadata
+   * @param {number} index - Attachment to show first
+   */
+  open(attachments, index = 0) {
+    if (!this.elements.modal || attachments.length === 0) return;
+
+    this.attachments = attachments;
+    this.index = Math.min(Math.max(index, 0), attachments.length - 1);
+    this.render();
+
+    this.elements.modal.classList.add('open');
+    this.elements.overlay?.classList.add('open');
+    document.body.style.overflow = 'hidden';
+  }
+
+  close() {
+    this.elements.modal?.classList.remove('open');
+    this.elements.overlay?.classList.remove('open');
+    // Another modal (the wizard) may still be open underneath
+    if (!document.querySelector('.modal.open')) {
+      document.body.style.overflow = '';
+    }
+    this.releaseImage();
+    this.attachments = [];
+  }
+
+  step(delta) {
+    if (this.attachments.length < 2) return;
+    this.index = (this.index + delta + this.attachments.length) % this.attachments.length;
+    this.render();
+  }
+
+  releaseImage() {
+    if (this.imageUrl) {
+      URL.revokeObjectURL(this.imageUrl);
+      this.imageUrl = null;
+    }
+    this.elements.image?.removeAttribute('src');
+  }
+
+  async render() {
+    const attachment = this.attachments[this.index];
+    const { title, image, missing, caption, prevBtn, nextBtn, downloadLink } = this.elements;
+    const count = this.attachments.length;
+
+    if (title) {
+      title.textContent = count > 1 ? `${attachment.name} (${this.index + 1} of ${count})` : attachment.name;
+    }
+    if (caption) {
+      caption.textContent = `${attachment.width} × ${attachment.height} · ${formatBytes(attachment.size)}`;
+    }
+    prevBtn?.toggleAttribute('hidden', count < 2);
+    nextBtn?.toggleAttribute('hidden', count < 2);
+
+    this.releaseImage();
+    const blob = await attachmentStore.getBlob(attachment.id);
+    // Stepped on or closed while loading
+    if (this.attachments[this.index] !== attachment) return;
+
+    missing?.toggleAttribute('hidden', !!blob);
+    image?.toggleAttribute('hidden', !blob);
+    downloadLink?.toggleAttribute('hidden', !blob);
+    if (!blob) return;
+
+    this.imageUrl = URL.createObjectURL(blob);
+    if (image) {
+      image.src = this.imageUrl;
+      image.alt = attachment.name;
+    }
+    if (downloadLink) {
+      downloadLink.href = this.imageUrl;
+      downloadLink.download = attachment.name;
+    }
+  }
+}
+
+export const lightbox = new Lightbox();
@@ -0,0 +1,138 @@
+/**
+ * ReportModal - Pick a week or month and export its review report
+ * as a printable HTML page (print to PDF from there) or a Markdown file
+ */
+
+import { showToast } from '../ui/ui.js';
+import { dataManager } from '../../core/dataManager.js';
+import { formatCurrency, formatPercent, getCurrentWeekday } from '../../core/utils.js';
+import * as marketHours from '../../utils/marketHours.js';
+import { buildReviewReport, getReportPeriod, shiftReportPeriod } from '../../features/stats/ReviewReport.js';
+import { renderReportHtml, renderReportMarkdown } from '../../features/stats/reportFormatters.js';
+
+class ReportModal {
+  constructor() {
+    this.elements = {};
+    this.period = null;
+  }
+
+  init() {
+    this.elements = {
+      openBtn: document.getElementById('statsReportBtn'),
+      modal: document.getElementById('reportModal'),
+      overlay: document.getElementById('reportModalOverlay'),
+      closeBtn: document.getElementById('closeReportModalBtn'),
+      typeToggle: document.getElementById('reportTypeToggle'),
+      typeButtons: document.querySelectorAll('#reportTypeToggle .toggle-switch__option'),
+      prevBtn: document.getElementById('reportPrevBtn'),
+      nextBtn: document.getElementById('reportNextBtn'),
+      periodLabel: document.getElementById('reportPeriodLabel'),
+      preview: document.getElementById('reportPreview'),
+      markdownBtn: document.getElementById('reportMarkdownBtn'),
+      printBtn: document.getElementById('reportPrintBtn')
+    };
+
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    this.elements.openBtn?.addEventListener('click', () => this.open());
+    this.elements.closeBtn?.addEventListener('click', () => this.close());
+    this.elements.overlay?.addEventListener('click', () => this.close());
+    this.elements.prevBtn?.addEventListener('click', () => this.setPeriod(shiftReportPeriod(this.period, -1)));
+    this.elements.nextBtn?.addEventListener('click', () => this.setPeriod(shiftReportPeriod(this.period, 1)));
+    this.elements.markdownBtn?.addEventListener('click', () => this.downloadMarkdown());
+    this.elements.printBtn?.addEventListener('click', () => this.openPrintable());
+
+    this.elements.typeButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        if (button.dataset.reportType === this.period.type) return;
+        // Keep the same stretch of time: a week's month, or a month's first week
+        this.setPeriod(getReportPeriod(button.dataset.reportType, this.period.from));
+      });
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) this.close();
+    });
+  }
+
+  isOpen() {
+    return this.elements.modal?.classList.contains('open');
+  }
+
+  /**
+   * @param {string} type - 'week' or 'month'
+   * @param {string} [dateStr] - A day in the period (defaults to the current trading week/month)
+   */
+  open(type = 'week', dateStr = marketHours.formatDate(getCurrentWeekday())) {
+    if (!this.elements.modal) return;
+
+    this.setPeriod(getReportPeriod(type, dateStr));
+    this.elements.modal.classList.add('open');
+    this.elements.overlay?.classList.add('open');
+    document.body.style.overflow = 'hidden';
+  }
+
+  close() {
+    this.elements.modal?.classList.remove('open');
+    this.elements.overlay?.classList.remove('open');
+    document.body.style.overflow = '';
+  }
+
+  setPeriod(period) {
+    this.period = period;
+
+    const typeIndex = period.type === 'week' ? 0 : 1;
+    this.elements.typeButtons.forEach((button, index) => button.classList.toggle('active', index === typeIndex));
+    this.elements.typeToggle?.setAttribute('data-active', typeIndex);
+    if (this.elements.periodLabel) this.elements.periodLabel.textContent = period.label;
+
+    this.renderPreview();
+  }
+
+  /**
+   * Headline numbers for the chosen period, so an empty period is obvious before exporting
+   */
+  renderPreview() {
+    if (!this.elements.preview) return;
+
+    const { summary, violations } = buildReviewReport(this.period);
+    const pnlClass = summary.pnl > 0 ? 'text-success' : summary.pnl < 0 ? 'text-danger' : '';
+    const items = [
+      ['Net P&L', `${summary.pnl >= 0 ? '+' : '-'}${formatCurrency(Math.abs(summary.pnl))}`, pnlClass],
+      ['Win rate', summary.winRate === null ? '—' : formatPercent(summary.winRate, 1), ''],
+      ['Trades with exits', String(summary.tradesRealized), ''],
+      ['Rule violations', String(violations.length), violations.length > 0 ? 'text-danger' : '']
+    ];
+
+    this.elements.preview.innerHTML = items.map(([label, value, className]) => `
+      <div class="report-preview__item">
+        <span class="report-preview__label">${label}</span>
+        <span class="report-preview__value ${className}">${value}</span>
+      </div>
+    `).join('');
+  }
+
+  openPrintable() {
+    // Open the window first - browsers only allow pop-ups straight from the click
+    const win = window.open('', '_blank');
+    if (!win) {
+      showToast('❌ Allow pop-ups to open the printable report', 'error');
+      return;
+    }
+
+    win.document.open();
+    win.document.write(renderReportHtml(buildReviewReport(this.period)));
+    win.document.close();
+  }
+
+  downloadMarkdown() {
+    const markdown = renderReportMarkdown(buildReviewReport(this.period));
+    dataManager.downloadFile(markdown, `trading-review-${this.period.type}-${this.period.from}.md`, 'text/markdown');
+
+    showToast('📥 Review exported', 'success');
+  }
+}
+
+export const reportModal = new ReportModal();
@@ -0,0 +1,376 @@
+/**
+ * StrategyModal - Logs a multi-leg option strategy (vertical, calendar, iron condor, covered call)
+ * as one position, priced by its net debit or credit with the defined max loss as its risk
+ */
+
+import { state } from '../../core/state.js';
+import { formatCurrency, formatPercent, initFlatpickr, getCurrentWeekday, restrictToNumberInput, createTimestampFromDateInput } from '../../core/utils.js';
+import { formatDate } from '../../utils/marketHours.js';
+import { showToast } from '../ui/ui.js';
+import { accountSwitcher } from '../ui/accountSwitcher.js';
+import { calculateCommission } from '../../core/utils/tradeCalculations.js';
+import { OPTIONS_CONTRACT_MULTIPLIER } from '../../constants/index.js';
+import {
+  STRATEGY_TYPES,
+  STOCK_LEG,
+  getNearestExpiration,
+  getNetPremium,
+  getStrategyRange,
+  isOptionLeg,
+  validateStrategyLegs
+} from '../../core/utils/optionStrategies.js';
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+class StrategyModal {
+  constructor() {
+    this.elements = {};
+    this.legs = [];
+    this.feesEdited = false;
+  }
+
+  init() {
+    this.cacheElements();
+    this.bindEvents();
+    initFlatpickr(this.elements.dateInput);
+    restrictToNumberInput(this.elements.quantityInput, false);
+    restrictToNumberInput(this.elements.feesInput, true);
+
+    if (this.elements.typeSelect) {
+      this.elements.typeSelect.innerHTML = Object.entries(STRATEGY_TYPES)
+        .map(([type, { label }]) => `<option value="${type}">${label}</option>`)
+        .join('');
+    }
+  }
+
+  cacheElements() {
+    this.elements = {
+      openBtn: document.getElementById('positionsStrategyBtn'),
+      modal: document.getElementById('strategyModal'),
+      overlay: document.getElementById('strategyModalOverlay'),
+      closeBtn: document.getElementById('closeStrategyModalBtn'),
+      cancelBtn: document.getElementById('cancelStrategyBtn'),
+      confirmBtn: document.getElementById('confirmStrategyBtn'),
+      tickerInput: document.getElementById('strategyTicker'),
+      typeSelect: document.getElementById('strategyType'),
+      quantityInput: document.getElementById('strategyQuantity'),
+      dateInput: document.getElementById('strategyDate'),
+      feesInput: document.getElementById('strategyFees'),
+      legsBody: document.getElementById('strategyLegsBody'),
+      addLegBtn: document.getElementById('strategyAddLegBtn'),
+      netLabel: document.getElementById('strategyNetLabel'),
+      netPremium: document.getElementById('strategyNetPremium'),
+      maxLoss: document.getElementById('strategyMaxLoss'),
+      maxProfit: document.getElementById('strategyMaxProfit'),
+      error: document.getElementById('strategyError')
+    };
+  }
+
+  bindEvents() {
+    this.elements.openBtn?.addEventListener('click', () => this.open());
+    this.elements.closeBtn?.addEventListener('click', () => this.close());
+    this.elements.cancelBtn?.addEventListener('click', () => this.close());
+    this.elements.overlay?.addEventListener('click', () => this.close());
+    this.elements.confirmBtn?.addEventListener('click', () => this.confirm());
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) this.close();
+    });
+
+    this.elements.typeSelect?.addEventListener('change', () => this.setType(this.elements.typeSelect.value));
+    this.elements.addLegBtn?.addEventListener('click', () => {
+      this.legs.push(this.createLeg({ kind: 'call', side: 'long', ratio: 1 }));
+      this.renderLegs();
+      this.updateSummary();
+    });
+
+    this.elements.quantityInput?.addEventListener('input', () => {
+      this.updateFeesFromSchedule();
+      this.updateSummary();
+    });
+    this.elements.feesInput?.addEventListener('input', (e) => {
+      // Clearing the field hands control back to the commission schedule
+      this.feesEdited = e.target.value !== '';
+    });
+
+    // Leg rows are re-rendered on add/remove, so listen on the table body
+    this.elements.legsBody?.addEventListener('input', (e) => this.handleLegInput(e));
+    this.elements.legsBody?.addEventListener('change', (e) => this.handleLegInput(e));
+    this.elements.legsBody?.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('[data-action="remove-leg"]');
+      if (!removeBtn) return;
+      this.legs.splice(parseInt(removeBtn.closest('tr').dataset.index), 1);
+      this.renderLegs();
+      this.updateSummary();
+    });
+  }
+
+  isOpen() {
+    return this.elements.modal?.classList.contains('open') ?? false;
+  }
+
+  open() {
+    if (!this.elements.modal) return;
+    if (!accountSwitcher.requireAccount('trades')) return;
+
+    if (this.elements.tickerInput) this.elements.tickerInput.value = '';
+    if (this.elements.quantityInput) this.elements.quantityInput.value = '1';
+    if (this.elements.feesInput) this.elements.feesInput.value = '';
+    this.feesEdited = false;
+    this.setDefaultDate();
+
+    const type = this.elements.typeSelect?.value || 'vertical';
+    this.setType(type);
+
+    this.elements.modal.classList.add('open');
+    this.elements.overlay?.classList.add('open');
+    document.body.style.overflow = 'hidden';
+
+    this.elements.tickerInput?.focus();
+  }
+
+  close() {
+    this.elements.modal?.classList.remove('open');
+    this.elements.overlay?.classList.remove('open');
+    document.body.style.overflow = '';
+  }
+
+  setDefaultDate() {
+    if (!this.elements.dateInput) return;
+
+    const dateString = formatDate(getCurrentWeekday());
+    this.elements.dateInput.value = dateString;
+
+    // If Flatpickr is initialized on this input, update it too
+    if (this.elements.dateInput._flatpickr) {
+      this.elements.dateInput._flatpickr.setDate(dateString, false);
+    }
+  }
+
+  /**
+   * Start the legs over from a strategy type's template
+   */
+  setType(type) {
+    if (this.elements.typeSelect) this.elements.typeSelect.value = type;
+    this.legs = (STRATEGY_TYPES[type] || STRATEGY_TYPES.custom).legs.map(leg => this.createLeg(leg));
+    this.renderLegs();
+    this.updateFeesFromSchedule();
+    this.updateSummary();
+  }
+
+  createLeg({ kind, side, ratio }) {
+    return { kind, side, ratio, strike: null, expirationDate: null, entry: null };
+  }
+
+  renderLegs() {
+    if (!this.elements.legsBody) return;
+
+    this.elements.legsBody.innerHTML = this.legs.map((leg, index) => {
+      const isStock = leg.kind === STOCK_LEG;
+      return `
+        <tr data-index="${index}">
+          <td>
+            <select class="input" data-field="side" aria-label="Side">
+              <option value="long" ${leg.side === 'long' ? 'selected' : ''}>Buy</option>
+              <option value="short" ${leg.side === 'short' ? 'selected' : ''}>Sell</option>
+            </select>
+          </td>
+          <td><input type="text" class="input input--mono strategy-legs__qty" data-field="ratio" value="${leg.ratio}" inputmode="numeric" aria-label="Quantity"></td>
+          <td>
+            <select class="input" data-field="kind" aria-label="Type">
+              <option value="call" ${leg.kind === 'call' ? 'selected' : ''}>Call</option>
+              <option value="put" ${leg.kind === 'put' ? 'selected' : ''}>Put</option>
+              <option value="${STOCK_LEG}" ${isStock ? 'selected' : ''}>Stock</option>
+            </select>
+          </td>
+          <td><input type="text" class="input input--mono" data-field="strike" value="${leg.strike ?? ''}" placeholder="${isStock ? '—' : '0.00'}" inputmode="decimal" aria-label="Strike" ${isStock ? 'disabled' : ''}></td>
+          <td><input type="date" class="input input--mono" data-field="expirationDate" value="${leg.expirationDate ?? ''}" aria-label="Expiration" ${isStock ? 'disabled' : ''}></td>
+          <td><input type="text" class="input input--mono" data-field="entry" value="${leg.entry ?? ''}" placeholder="0.00" inputmode="decimal" aria-label="Fill price"></td>
+          <td>
+            <button type="button" class="icon-btn strategy-legs__remove" data-action="remove-leg" aria-label="Remove leg" ${this.legs.length <= 2 ? 'disabled' : ''}>×</button>
+          </td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  handleLegInput(e) {
+    const field = e.target.dataset.field;
+    const row = e.target.closest('tr');
+    if (!field || !row) return;
+
+    const leg = this.legs[parseInt(row.dataset.index)];
+    const value = e.target.value;
+
+    if (field === 'ratio') {
+      leg.ratio = parseInt(value) || 0;
+    } else if (field === 'strike' || field === 'entry') {
+      const number = parseFloat(value);
+      leg[field] = isNaN(number) ? null : number;
+    } else {
+      leg[field] = value || null;
+    }
+
+    // Stock legs have no strike or expiration - re-render to disable those inputs
+    if (field === 'kind') {
+      if (leg.kind === STOCK_LEG) {
+        leg.strike = null;
+        leg.expirationDate = null;
+      }
+      this.renderLegs();
+    }
+
+    this.clearError();
+    if (field === 'ratio' || field === 'kind') this.updateFeesFromSchedule();
+    this.updateSummary();
+  }
+
+  getQuantity() {
+    return parseInt(this.elements.quantityInput?.value) || 0;
+  }
+
+  /**
+   * Commission on every option contract opened (stock legs aren't on the per-contract schedule)
+   */
+  updateFeesFromSchedule() {
+    if (!this.elements.feesInput || this.feesEdited) return;
+
+    const contracts = this.getQuantity() * this.legs.filter(isOptionLeg).reduce((sum, leg) => sum + (leg.ratio || 0), 0);
+    const fees = calculateCommission(contracts, 'options', state.settings);
+    this.elements.feesInput.value = fees > 0 ? fees.toFixed(2) : '';
+  }
+
+  getFees() {
+    const fees = parseFloat(this.elements.feesInput?.value);
+    return !isNaN(fees) && fees > 0 ? fees : 0;
+  }
+
+  updateSummary() {
+    const isPriced = this.legs.length > 0 && this.legs.every(leg => leg.entry > 0);
+    const net = isPriced ? getNetPremium(this.legs) : null;
+    const range = isPriced && !validateStrategyLegs(this.legs) ? getStrategyRange(this.legs) : null;
+    const dollars = (perShare) => perShare * OPTIONS_CONTRACT_MULTIPLIER * (this.getQuantity() || 1);
+
+    if (this.elements.netLabel) this.elements.netLabel.textContent = net < 0 ? 'Net Credit' : 'Net Debit';
+    if (this.elements.netPremium) {
+      this.elements.netPremium.textContent = net === null ? '-' : `${formatCurrency(Math.abs(net))} (${formatCurrency(dollars(Math.abs(net)))})`;
+    }
+    if (this.elements.maxLoss) {
+      if (!range) {
+        this.elements.maxLoss.textContent = '-';
+      } else {
+        const riskPercent = (dollars(range.maxLoss) / state.account.currentSize) * 100;
+        this.elements.maxLoss.textContent = `${formatCurrency(dollars(range.maxLoss))} (${formatPercent(riskPercent)})`;
+      }
+    }
+    if (this.elements.maxProfit) {
+      this.elements.maxProfit.textContent = !range ? '-'
+        : range.maxProfit === null ? 'Open-ended'
+          : formatCurrency(dollars(range.maxProfit));
+    }
+  }
+
+  showError(message) {
+    if (!this.elements.error) return;
+    this.elements.error.textContent = message;
+    this.elements.error.classList.add('input-error--visible');
+  }
+
+  clearError() {
+    if (!this.elements.error) return;
+    this.elements.error.classList.remove('input-error--visible');
+    this.elements.error.textContent = '';
+  }
+
+  confirm() {
+    const ticker = this.elements.tickerInput?.value.trim().toUpperCase() || '';
+    const quantity = this.getQuantity();
+    const dateValue = this.elements.dateInput?.value;
+
+    if (!ticker) {
+      this.showError('Enter a ticker');
+      return;
+    }
+    if (quantity <= 0) {
+      this.showError('Quantity must be at least 1');
+      return;
+    }
+
+    const legError = validateStrategyLegs(this.legs);
+    if (legError) {
+      this.showError(legError);
+      return;
+    }
+
+    if (this.legs.some(leg => isOptionLeg(leg) && dateValue && leg.expirationDate < dateValue)) {
+      this.showError('Expirations cannot be before the trade date');
+      return;
+    }
+
+    const net = getNetPremium(this.legs);
+    const direction = net < 0 ? 'short' : 'long';
+    const entry = round2(Math.abs(net));
+    const { maxLoss, maxProfit } = getStrategyRange(this.legs);
+
+    // The stop is the net price at which max loss is reached - below zero it can't be tracked as a price
+    const stop = round2(direction === 'short' ? entry + maxLoss : entry - maxLoss);
+    if (stop < 0) {
+      this.showError('Max loss is larger than the debit paid - log these legs as separate trades');
+      return;
+    }
+
+    const target = maxProfit === null ? null : round2(direction === 'short' ? entry - maxProfit : entry + maxProfit);
+    // Per contract like the wizard stores options risk - the 100 multiplier is applied when reading it
+    const riskDollars = maxLoss * quantity;
+    const legs = this.legs.map(leg => ({
+      kind: leg.kind,
+      side: leg.side,
+      ratio: leg.ratio,
+      strike: isOptionLeg(leg) ? leg.strike : null,
+      expirationDate: isOptionLeg(leg) ? leg.expirationDate : null,
+      entry: leg.entry
+    }));
+
+    state.addJournalEntry({
+      timestamp: createTimestampFromDateInput(dateValue),
+      ticker,
+      direction,
+      entry,
+      stop,
+      originalStop: stop,
+      currentStop: stop,
+      target: target > 0 ? target : null,
+      shares: quantity,
+      positionSize: entry * quantity,
+      riskDollars,
+      riskPercent: (riskDollars * OPTIONS_CONTRACT_MULTIPLIER / state.account.currentSize) * 100,
+      stopDistance: maxLoss,
+      entryFees: this.getFees(),
+      notes: '',
+      tags: [],
+      attachments: [],
+      status: 'open',
+
+      // Options fields - strike and type live on the legs, expiration is the nearest leg's
+      assetType: 'options',
+      strike: null,
+      expirationDate: getNearestExpiration(legs),
+      optionType: null,
+      premium: entry,
+      strategy: this.elements.typeSelect?.value || 'custom',
+      legs,
+
+      thesis: null,
+      wizardComplete: false,
+      wizardSkipped: []
+    });
+    state.saveJournalMeta();
+
+    showToast(`${ticker}: logged ${STRATEGY_TYPES[this.elements.typeSelect?.value]?.label.toLowerCase() || 'strategy'} for a net ${direction === 'short' ? 'credit' : 'debit'} of ${formatCurrency(entry)}`, 'success');
+    this.close();
+  }
+}
+
+export const strategyModal = new StrategyModal();
@@ -0,0 +1,193 @@
+/**
+ * TaxReportModal - A year's realized sales by tax lot, with the short/long-term split,
+ * wash-sale adjustments and a Form 8949-style CSV export
+ *
+ * Covers every taxable account regardless of the header account switcher, since wash sales
+ * reach across accounts. Accounts unticked here (paper trading, say) are saved as non-taxable.
+ */
+
+import { state } from '../../core/state.js';
+import { formatCurrency, formatNumber, escapeHtml } from '../../core/utils.js';
+import { showToast } from '../ui/ui.js';
+import { dataManager } from '../../core/dataManager.js';
+import { formatDateNumeric } from '../../utils/dateFormatters.js';
+import { buildForm8949Csv, buildTaxReport, getTaxYears, WASH_SALE_CODE, WASH_SALE_WINDOW_DAYS } from '../../core/utils/taxLots.js';
+
+class TaxReportModal {
+  constructor() {
+    this.elements = {};
+    this.report = null;
+  }
+
+  init() {
+    this.elements = {
+      modal: document.getElementById('taxReportModal'),
+      overlay: document.getElementById('taxReportModalOverlay'),
+      closeBtn: document.getElementById('closeTaxReportModalBtn'),
+      doneBtn: document.getElementById('doneTaxReportBtn'),
+      exportBtn: document.getElementById('exportTaxReportBtn'),
+      yearSelect: document.getElementById('taxReportYearSelect'),
+      accountsRow: document.getElementById('taxReportAccountsRow'),
+      accountList: document.getElementById('taxReportAccounts'),
+      summary: document.getElementById('taxReportSummary'),
+      washNote: document.getElementById('taxReportWashNote'),
+      list: document.getElementById('taxReportListBody')
+    };
+
+    this.bindEvents();
+
+    // Stay current while open (e.g. a trim undone from the toast)
+    ['journalEntryAdded', 'journalEntryUpdated', 'journalEntryDeleted', 'journalChanged', 'accountsChanged'].forEach(event => {
+      state.on(event, () => {
+        if (this.isOpen()) this.render();
+      });
+    });
+  }
+
+  bindEvents() {
+    this.elements.closeBtn?.addEventListener('click', () => this.close());
+    this.elements.overlay?.addEventListener('click', () => this.close());
+    this.elements.doneBtn?.addEventListener('click', () => this.close());
+    this.elements.exportBtn?.addEventListener('click', () => this.exportCsv());
+    this.elements.yearSelect?.addEventListener('change', () => this.render());
+    this.elements.accountList?.addEventListener('change', (e) => {
+      const accountId = e.target.dataset.accountId;
+      if (accountId) state.updateAccountDetails(accountId, { taxable: e.target.checked });
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) this.close();
+    });
+  }
+
+  isOpen() {
+    return this.elements.modal?.classList.contains('open');
+  }
+
+  open() {
+    if (!this.elements.modal) return;
+
+    this.renderYearOptions();
+    this.render();
+    this.elements.modal.classList.add('open');
+    this.elements.overlay?.classList.add('open');
+    document.body.style.overflow = 'hidden';
+  }
+
+  close() {
+    this.elements.modal?.classList.remove('open');
+    this.elements.overlay?.classList.remove('open');
+    document.body.style.overflow = '';
+  }
+
+  /**
+   * Trades from every taxable account
+   */
+  getTaxableTrades() {
+    return state.allJournalEntries.filter(trade => state.getAccountById(trade.accountId)?.taxable !== false);
+  }
+
+  /**
+   * One checkbox per account - only worth showing once there's more than one
+   */
+  renderAccountOptions() {
+    const accounts = state.accounts;
+    if (this.elements.accountsRow) {
+      this.elements.accountsRow.style.display = accounts.length > 1 ? '' : 'none';
+    }
+    if (!this.elements.accountList) return;
+
+    this.elements.accountList.innerHTML = accounts.map(account => `
+      <label class="checkbox-label">
+        <input type="checkbox" data-account-id="${escapeHtml(account.id)}" ${account.taxable !== false ? 'checked' : ''}>
+        <span class="checkbox-box"></span>
+        <span class="checkbox-text">${escapeHtml(account.name)}</span>
+      </label>
+    `).join('');
+  }
+
+  /**
+   * Years with sales, plus the current year so there's always one to pick
+   */
+  renderYearOptions() {
+    const select = this.elements.yearSelect;
+    if (!select) return;
+
+    const currentYear = new Date().getFullYear();
+    const years = [...new Set([currentYear, ...getTaxYears(this.getTaxableTrades())])].sort((a, b) => b - a);
+    const selected = parseInt(select.value) || currentYear;
+
+    select.innerHTML = years.map(year => `<option value="${year}">${year}</option>`).join('');
+    select.value = String(years.includes(selected) ? selected : currentYear);
+  }
+
+  render() {
+    const year = parseInt(this.elements.yearSelect?.value) || new Date().getFullYear();
+    this.renderAccountOptions();
+    this.report = buildTaxReport(this.getTaxableTrades(), year);
+    const { rows, shortTerm, longTerm, total, washSales } = this.report;
+
+    if (this.elements.summary) {
+      this.elements.summary.innerHTML = [
+        ['Short-term', shortTerm],
+        ['Long-term', longTerm],
+        ['Total', total]
+      ].map(([label, totals]) => `
+        <tr class="${label === 'Total' ? 'tax-summary__total' : ''}">
+          <td>${label}</td>
+          <td>${formatNumber(totals.count)}</td>
+          <td>${formatCurrency(totals.proceeds)}</td>
+          <td>${formatCurrency(totals.costBasis)}</td>
+          <td>${totals.adjustment ? formatCurrency(totals.adjustment) : '—'}</td>
+          <td class="${totals.gain >= 0 ? 'text-success' : 'text-danger'}">${this.formatGain(totals.gain)}</td>
+        </tr>
+      `).join('');
+    }
+
+    if (this.elements.washNote) {
+      this.elements.washNote.textContent = washSales.count > 0
+        ? `${washSales.count} wash sale${washSales.count !== 1 ? 's' : ''}: ${formatCurrency(washSales.disallowed)} of losses disallowed and added to the basis of shares bought within ${WASH_SALE_WINDOW_DAYS} days.`
+        : `No wash sales - no loss had the same security bought within ${WASH_SALE_WINDOW_DAYS} days.`;
+    }
+
+    if (this.elements.exportBtn) {
+      this.elements.exportBtn.disabled = rows.length === 0;
+    }
+
+    if (!this.elements.list) return;
+
+    if (rows.length === 0) {
+      this.elements.list.innerHTML = `<tr><td colspan="8" class="tax-lots__empty">No closes or trims in ${year}</td></tr>`;
+      return;
+    }
+
+    this.elements.list.innerHTML = rows.map(row => `
+      <tr>
+        <td>${escapeHtml(row.description)}</td>
+        <td>${formatDateNumeric(row.acquired)}</td>
+        <td>${formatDateNumeric(row.sold)}</td>
+        <td>${formatCurrency(row.proceeds)}</td>
+        <td>${formatCurrency(row.costBasis)}</td>
+        <td>${row.code === WASH_SALE_CODE ? `<span class="tag tag--wash" title="Wash sale - loss disallowed">W ${formatCurrency(row.adjustment)}</span>` : ''}</td>
+        <td class="${row.gain >= 0 ? 'text-success' : 'text-danger'}">${this.formatGain(row.gain)}</td>
+        <td>${row.term === 'long' ? 'Long' : 'Short'}</td>
+      </tr>
+    `).join('');
+  }
+
+  formatGain(value) {
+    return `${value >= 0 ? '+' : ''}${formatCurrency(value)}`;
+  }
+
+  exportCsv() {
+    if (!this.report || this.report.rows.length === 0) {
+      showToast('⚠️ No sales to export', 'warning');
+      return;
+    }
+
+    dataManager.downloadFile(buildForm8949Csv(this.report), `form-8949-${this.report.year}.csv`, 'text/csv');
+    showToast('📥 Tax report exported', 'success');
+  }
+}
+
+export const taxReportModal = new TaxReportModal();
@@ -0,0 +1,180 @@
+/**
+ * TrashModal - Deleted trades, with restore, permanent purge and the retention setting
+ */
+
+import { state } from '../../core/state.js';
+import { formatCurrency, formatDate, formatNumber } from '../../core/utils.js';
+import { showToast, showUndoToast } from '../ui/ui.js';
+import { getTradeRealizedPnL } from '../../core/utils/tradeCalculations.js';
+import { getTradeEntryDateString } from '../../utils/tradeUtils.js';
+
+class TrashModal {
+  constructor() {
+    this.elements = {};
+  }
+
+  init() {
+    this.elements = {
+      modal: document.getElementById('trashModal'),
+      overlay: document.getElementById('trashModalOverlay'),
+      closeBtn: document.getElementById('closeTrashModalBtn'),
+      doneBtn: document.getElementById('doneTrashBtn'),
+      emptyBtn: document.getElementById('emptyTrashBtn'),
+      retentionSelect: document.getElementById('trashRetentionSelect'),
+      summary: document.getElementById('trashSummary'),
+      list: document.getElementById('trashListBody')
+    };
+
+    this.bindEvents();
+
+    // Stay current while open (e.g. a delete undone from the toast)
+    state.on('trashChanged', () => {
+      if (this.isOpen()) this.render();
+    });
+  }
+
+  bindEvents() {
+    this.elements.closeBtn?.addEventListener('click', () => this.close());
+    this.elements.overlay?.addEventListener('click', () => this.close());
+    this.elements.doneBtn?.addEventListener('click', () => this.close());
+    this.elements.emptyBtn?.addEventListener('click', () => this.emptyTrash());
+
+    this.elements.retentionSelect?.addEventListener('change', (e) => {
+      state.updateSettings({ trashRetentionDays: parseInt(e.target.value) || 0 });
+      const purged = state.purgeExpiredTrash();
+      if (purged > 0) {
+        showToast(`🗑️ Purged ${purged} expired trade${purged !== 1 ? 's' : ''}`, 'info');
+      }
+      this.render();
+    });
+
+    // Row buttons are rendered dynamically - delegate
+    this.elements.list?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-trash-action]');
+      if (!button) return;
+      const id = parseInt(button.dataset.id);
+
+      if (button.dataset.trashAction === 'restore') {
+        this.restore(id);
+      } else if (button.dataset.trashAction === 'purge') {
+        this.purge(id);
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) this.close();
+    });
+  }
+
+  isOpen() {
+    return this.elements.modal?.classList.contains('open');
+  }
+
+  open() {
+    if (!this.elements.modal) return;
+
+    this.render();
+    this.elements.modal.classList.add('open');
+    this.elements.overlay?.classList.add('open');
+    document.body.style.overflow = 'hidden';
+  }
+
+  close() {
+    this.elements.modal?.classList.remove('open');
+    this.elements.overlay?.classList.remove('open');
+    document.body.style.overflow = '';
+  }
+
+  restore(id) {
+    const restored = state.restoreTrashEntry(id);
+    if (!restored) return;
+
+    state.emit('accountSizeChanged', state.currentSize);
+    showUndoToast(`♻️ ${restored.ticker} trade restored`, 'success');
+  }
+
+  purge(id) {
+    const trade = state.trash.entries.find(e => e.id === id);
+    if (!trade) return;
+    if (!confirm(`Permanently delete this ${trade.ticker} trade? This cannot be undone.`)) return;
+
+    state.purgeTrashEntries([id]);
+    showToast(`🗑️ ${trade.ticker} trade permanently deleted`, 'success');
+  }
+
+  emptyTrash() {
+    const count = state.trash.entries.length;
+    if (count === 0) return;
+    if (!confirm(`Permanently delete ${count} trade${count !== 1 ? 's' : ''} in the trash? This cannot be undone.`)) return;
+
+    state.purgeTrashEntries(state.trash.entries.map(e => e.id));
+    showToast('🗑️ Trash emptied', 'success');
+  }
+
+  render() {
+    const entries = state.trash.entries;
+    const days = state.settings.trashRetentionDays;
+
+    if (this.elements.retentionSelect) {
+      this.elements.retentionSelect.value = String(days);
+    }
+
+    if (this.elements.summary) {
+      const countText = entries.length === 0
+        ? 'Trash is empty'
+        : `${entries.length} deleted trade${entries.length !== 1 ? 's' : ''}`;
+      const retentionText = days > 0
+        ? `Deleted trades are permanently removed after ${days} days.`
+        : 'Deleted trades are kept until you remove them.';
+      this.elements.summary.textContent = `${countText}. ${retentionText}`;
+    }
+
+    if (this.elements.emptyBtn) {
+      this.elements.emptyBtn.disabled = entries.length === 0;
+    }
+
+    if (!this.elements.list) return;
+
+    if (entries.length === 0) {
+      this.elements.list.innerHTML = '<tr><td colspan="6" class="trash-list__empty">Deleted trades show up here</td></tr>';
+      return;
+    }
+
+    this.elements.list.innerHTML = entries.map(trade => this.renderRow(trade)).join('');
+  }
+
+  renderRow(trade) {
+    const hasPnL = trade.status !== 'open';
+    const pnl = getTradeRealizedPnL(trade);
+    const pnlClass = pnl >= 0 ? 'text-success' : 'text-danger';
+
+    return `
+      <tr>
+        <td>${getTradeEntryDateString(trade) || '—'}</td>
+        <td>
+          <strong>${trade.ticker}</strong>
+          ${trade.direction === 'short' ? '<span class="tag tag--short">Short</span>' : ''}
+        </td>
+        <td>${formatNumber(trade.originalShares ?? trade.shares)}</td>
+        <td class="${hasPnL ? pnlClass : ''}">${hasPnL ? `${pnl >= 0 ? '+' : ''}${formatCurrency(pnl)}` : '—'}</td>
+        <td class="trash-list__deleted">${this.formatExpiry(trade)}</td>
+        <td class="trash-list__actions">
+          <button type="button" class="btn btn--ghost btn--sm" data-trash-action="restore" data-id="${trade.id}">Restore</button>
+          <button type="button" class="btn btn--ghost btn--sm text-danger" data-trash-action="purge" data-id="${trade.id}">Delete</button>
+        </td>
+      </tr>
+    `;
+  }
+
+  formatExpiry(trade) {
+    const deleted = formatDate(trade.deletedAt);
+    const days = state.settings.trashRetentionDays;
+    if (!days) return deleted;
+
+    const msLeft = new Date(trade.deletedAt).getTime() + days * 24 * 60 * 60 * 1000 - Date.now();
+    const daysLeft = Math.max(0, Math.ceil(msLeft / (24 * 60 * 60 * 1000)));
+    return `${deleted} · ${daysLeft}d left`;
+  }
+}
+
+export const trashModal = new TrashModal();
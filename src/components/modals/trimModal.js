@@ -3,10 +3,19 @@
  */
 
 import { state } from '../../core/state.js';
-import { formatCurrency, formatNumber, initFlatpickr, getCurrentWeekday } from '../../core/utils.js';
+import { formatCurrency, formatNumber, initFlatpickr, getCurrentWeekday, restrictToNumberInput } from '../../core/utils.js';
 import { formatDate } from '../../utils/marketHours.js';
-import { showToast } from '../ui/ui.js';
+import { showToast, showUndoToast } from '../ui/ui.js';
 import { getAssetMultiplier } from '../../utils/assetTypeUtils.js';
+import { getProfitPerShare, getRiskPerShare, getRMultiple, getPriceAtR, isStopOnRiskSide, isTargetOnProfitSide, getStopSideLabel, getTargetSideLabel } from '../../utils/directionUtils.js';
+import { calculateCommission } from '../../core/utils/tradeCalculations.js';
+import { getInitialFill, recalculatePosition } from '../../utils/positionUtils.js';
+import { TRAILING_STOP_RULES, describeTrailingRule, createStopChange } from '../../core/utils/trailingStops.js';
+import { isOptionsAsset } from '../../utils/assetTypeUtils.js';
+import { priceTracker } from '../../core/priceTracker.js';
+import { isStrategyTrade } from '../../core/utils/optionStrategies.js';
+import { TagInput } from '../ui/tagInput.js';
+import { renderTagChips } from '../../shared/TradeTags.js';
 
 class TrimModal {
   constructor() {
@@ -15,12 +24,18 @@ class TrimModal {
     this.selectedR = 5;
     this.selectedTrimPercent = 100;
     this.isEditMode = false;
+    this.feesEdited = false;
+    this.tagInput = null; // Tag editor shown in edit mode
   }
 
   init() {
     this.cacheElements();
+    if (this.elements.tagsInputContainer) {
+      this.tagInput = new TagInput(this.elements.tagsInputContainer);
+    }
     this.bindEvents();
     this.disableWeekends();
+    restrictToNumberInput(this.elements.feesInput, true);
   }
 
   disableWeekends() {
@@ -49,11 +64,21 @@ class TrimModal {
       modalSpacerRight: document.getElementById('trimModalSpacerRight'),
       ticker: document.getElementById('trimModalTicker'),
       entryPrice: document.getElementById('trimEntryPrice'),
+      entryPriceLabel: document.getElementById('trimEntryPriceLabel'),
       originalStop: document.getElementById('trimOriginalStop'),
       stopLoss: document.getElementById('trimStopLoss'),
       stopLossInput: document.getElementById('trimStopLossInput'),
       stopLossEdit: document.getElementById('trimStopLossEdit'),
       stopLossError: document.getElementById('trimStopLossError'),
+      trailingRuleDisplay: document.getElementById('trimTrailingRule'),
+      trailingRuleInput: document.getElementById('trimTrailingRuleInput'),
+      trailingValueWrapper: document.getElementById('trimTrailingValueWrapper'),
+      trailingValueInput: document.getElementById('trimTrailingValueInput'),
+      trailingValueSuffix: document.getElementById('trimTrailingValueSuffix'),
+      trailingAutoInput: document.getElementById('trimTrailingAutoInput'),
+      trailingError: document.getElementById('trimTrailingError'),
+      tagsDisplay: document.getElementById('trimTags'),
+      tagsInputContainer: document.getElementById('trimTagsInput'),
       remainingShares: document.getElementById('trimRemainingShares'),
       remainingSharesRow: document.getElementById('trimRemainingSharesRow'),
       exitPrice: document.getElementById('trimExitPrice'),
@@ -64,6 +89,9 @@ class TrimModal {
       percentDisplay: document.getElementById('trimPercentDisplay'),
       sharesError: document.getElementById('trimSharesError'),
       dateInput: document.getElementById('trimDate'),
+      feesInput: document.getElementById('trimFees'),
+      feesRow: document.getElementById('trimFeesRow'),
+      feesPreview: document.getElementById('trimFeesPreview'),
       totalPnL: document.getElementById('trimTotalPnL'),
       preview: document.getElementById('trimPreview'),
       editPositionDetailsBtn: document.getElementById('editPositionDetailsBtn'),
@@ -93,7 +121,11 @@ class TrimModal {
       expirationDisplay: document.getElementById('trimExpiration'),
       expirationInput: document.getElementById('trimExpirationInput'),
       expirationEdit: document.getElementById('trimExpirationEdit'),
-      expirationError: document.getElementById('trimExpirationError')
+      expirationError: document.getElementById('trimExpirationError'),
+      volatilityRow: document.getElementById('trimVolatilityRow'),
+      volatilityDisplay: document.getElementById('trimVolatility'),
+      volatilityInput: document.getElementById('trimVolatilityInput'),
+      volatilityError: document.getElementById('trimVolatilityError')
     };
 
     // Cache sections for show/hide (done after modal is in DOM)
@@ -150,12 +182,22 @@ class TrimModal {
 
     this.elements.sharesInput?.addEventListener('input', (e) => this.sanitizeSharesInput(e));
     this.elements.exitPrice?.addEventListener('input', (e) => this.sanitizeExitPriceInput(e));
+    this.elements.feesInput?.addEventListener('input', (e) => this.sanitizeFeesInput(e));
     this.elements.entryPriceInput?.addEventListener('input', (e) => this.sanitizeEntryPriceInput(e));
     this.elements.originalStopInput?.addEventListener('input', (e) => this.sanitizeOriginalStopInput(e));
     this.elements.stopLossInput?.addEventListener('input', (e) => this.sanitizeStopLossInput(e));
     this.elements.targetInput?.addEventListener('input', (e) => this.sanitizeTargetInput(e));
+    this.elements.trailingRuleInput?.addEventListener('change', () => this.updateTrailingValueInput(true));
+    this.elements.trailingValueInput?.addEventListener('input', (e) => {
+      this.sanitizeDecimalInput(e);
+      this.clearInputError(this.elements.trailingValueInput, this.elements.trailingError);
+    });
     this.elements.strikeInput?.addEventListener('input', (e) => this.sanitizeStrikeInput(e));
     this.elements.expirationInput?.addEventListener('change', () => this.validateExpirationDate());
+    this.elements.volatilityInput?.addEventListener('input', (e) => {
+      this.sanitizeDecimalInput(e);
+      this.clearInputError(this.elements.volatilityInput, this.elements.volatilityError);
+    });
     this.elements.entryDateInput?.addEventListener('change', () => this.validateExpirationDate());
     this.elements.confirmBtn?.addEventListener('click', () => this.confirm());
     this.elements.editPositionDetailsBtn?.addEventListener('click', () => this.handleEditPositionDetailsToggle());
@@ -176,7 +218,7 @@ class TrimModal {
   }
 
   open(tradeId) {
-    const trade = state.journal.entries.find(e => e.id === tradeId);
+    const trade = state.allJournalEntries.find(e => e.id === tradeId);
     if (!trade) {
       showToast('Trade not found', 'error');
       return;
@@ -197,17 +239,22 @@ class TrimModal {
       this.elements.sharesLabel.textContent = isOptions ? 'Contracts' : 'Shares';
     }
 
-    // Show/hide options fields
+    // Show/hide options fields (a strategy's strikes and expirations live on its legs)
+    const isSingleOption = isOptions && !isStrategyTrade(trade);
     if (this.elements.strikeRow) {
-      this.elements.strikeRow.style.display = isOptions ? 'flex' : 'none';
+      this.elements.strikeRow.style.display = isSingleOption ? 'flex' : 'none';
     }
     if (this.elements.expirationRow) {
-      this.elements.expirationRow.style.display = isOptions ? 'flex' : 'none';
+      this.elements.expirationRow.style.display = isSingleOption ? 'flex' : 'none';
+    }
+    if (this.elements.volatilityRow) {
+      this.elements.volatilityRow.style.display = isSingleOption ? 'flex' : 'none';
     }
 
     this.populateTradeData(trade);
     this.selectedR = 5;
     this.selectedTrimPercent = 100;
+    this.feesEdited = false;
     this.setDefaultDate();
 
     // Cache sections (needs to be done after modal is in DOM)
@@ -303,12 +350,17 @@ class TrimModal {
     const remainingShares = trade.remainingShares ?? trade.shares;
     const originalStop = trade.originalStop ?? trade.stop;
     const currentStop = trade.currentStop ?? trade.stop;
-    const riskPerShare = trade.entry - originalStop;
+    const riskPerShare = getRiskPerShare(trade.entry, originalStop, trade.direction);
+    const hasAdds = trade.addHistory?.length > 0;
 
     if (this.elements.ticker) this.elements.ticker.textContent = trade.ticker;
+    // Scaled-in positions show the blended entry, but editing changes the initial fill
+    if (this.elements.entryPriceLabel) {
+      this.elements.entryPriceLabel.textContent = !hasAdds ? 'Entry' : (this.isEditMode ? 'Initial Entry' : 'Avg Entry');
+    }
     if (this.elements.entryPrice) this.elements.entryPrice.textContent = formatCurrency(trade.entry);
-    if (this.elements.originalStop) this.elements.originalStop.textContent = formatCurrency(originalStop);
-    if (this.elements.stopLoss) this.elements.stopLoss.textContent = formatCurrency(currentStop);
+    if (this.elements.originalStop) this.elements.originalStop.textContent = originalStop !== null ? formatCurrency(originalStop) : '—';
+    if (this.elements.stopLoss) this.elements.stopLoss.textContent = currentStop !== null ? formatCurrency(currentStop) : '—';
     if (this.elements.riskPerShare) this.elements.riskPerShare.textContent = formatCurrency(riskPerShare);
     if (this.elements.remainingShares) this.elements.remainingShares.textContent = formatNumber(remainingShares);
 
@@ -346,13 +398,21 @@ class TrimModal {
     }
 
     // Populate edit input fields
-    if (this.elements.entryPriceInput) this.elements.entryPriceInput.value = trade.entry.toFixed(2);
-    if (this.elements.originalStopInput) this.elements.originalStopInput.value = originalStop.toFixed(2);
-    if (this.elements.stopLossInput) this.elements.stopLossInput.value = currentStop.toFixed(2);
+    if (this.elements.entryPriceInput) this.elements.entryPriceInput.value = getInitialFill(trade).price.toFixed(2);
+    // Imported trades can lack a stop - the inputs start empty so one has to be entered
+    if (this.elements.originalStopInput) this.elements.originalStopInput.value = originalStop !== null ? originalStop.toFixed(2) : '';
+    if (this.elements.stopLossInput) this.elements.stopLossInput.value = currentStop !== null ? currentStop.toFixed(2) : '';
+
+    this.populateTrailingStop(trade);
+
+    if (this.elements.tagsDisplay) {
+      this.elements.tagsDisplay.innerHTML = renderTagChips(trade) || 'None';
+    }
+    this.tagInput?.setTags(trade.tags || []);
 
     // Populate target display and input
     // Use trade.target if set, otherwise default to 5R (match position card logic)
-    const targetPrice = trade.target || (trade.entry + (riskPerShare * 5));
+    const targetPrice = trade.target || getPriceAtR(trade.entry, originalStop, 5, trade.direction);
     if (this.elements.targetDisplay) {
       this.elements.targetDisplay.textContent = formatCurrency(targetPrice);
     }
@@ -361,7 +421,7 @@ class TrimModal {
     }
 
     // Populate strike and expiration for options
-    if (trade.assetType === 'options') {
+    if (trade.assetType === 'options' && !isStrategyTrade(trade)) {
       if (this.elements.strikeDisplay) {
         this.elements.strikeDisplay.textContent = trade.strike ? formatCurrency(trade.strike) : '$0.00';
       }
@@ -382,7 +442,71 @@ class TrimModal {
           this.elements.expirationInput.value = trade.expirationDate;
         }
       }
+
+      // Blank input = solve from the last quote; the display shows whichever is in use
+      if (this.elements.volatilityDisplay) {
+        const volatility = priceTracker.getOptionVolatility(trade);
+        this.elements.volatilityDisplay.textContent = volatility
+          ? `${(volatility.volatility * 100).toFixed(1)}%${volatility.source === 'implied' ? ' (from quote)' : ''}`
+          : '—';
+      }
+      if (this.elements.volatilityInput) {
+        this.elements.volatilityInput.value = trade.impliedVolatility > 0 ? String(trade.impliedVolatility) : '';
+      }
+    }
+  }
+
+  /**
+   * Fill the trailing-stop display and editor from the trade's rule
+   * Candle-based rules are left out for options, since they read the underlying's candles
+   */
+  populateTrailingStop(trade) {
+    const rule = trade.trailingStop;
+    if (this.elements.trailingRuleDisplay) {
+      this.elements.trailingRuleDisplay.textContent = rule
+        ? `${describeTrailingRule(rule, trade.direction)}${rule.autoApply ? ' (auto)' : ''}`
+        : 'None';
+    }
+
+    const select = this.elements.trailingRuleInput;
+    if (select) {
+      const options = Object.entries(TRAILING_STOP_RULES)
+        .filter(([, definition]) => !definition.needsCandles || !isOptionsAsset(trade))
+        .map(([type, definition]) => `<option value="${type}">${type === 'priorDayLow' ? describeTrailingRule({ type }, trade.direction) : definition.label}</option>`);
+      select.innerHTML = ['<option value="">None</option>', ...options].join('');
+      select.value = rule?.type || '';
+    }
+
+    if (this.elements.trailingValueInput) {
+      this.elements.trailingValueInput.value = rule?.value ? String(rule.value) : '';
+    }
+    if (this.elements.trailingAutoInput) {
+      this.elements.trailingAutoInput.checked = !!rule?.autoApply;
+    }
+    this.updateTrailingValueInput(false);
+  }
+
+  /**
+   * Show the amount input only for rules that take one, with the matching unit
+   * @param {boolean} resetValue - Fill the rule's default amount (when the rule was just changed)
+   */
+  updateTrailingValueInput(resetValue) {
+    const definition = TRAILING_STOP_RULES[this.elements.trailingRuleInput?.value];
+    const valueSetting = definition?.value;
+
+    if (this.elements.trailingValueWrapper) {
+      this.elements.trailingValueWrapper.style.display = valueSetting ? '' : 'none';
+    }
+    if (this.elements.trailingAutoInput) {
+      this.elements.trailingAutoInput.closest('.checkbox-label').style.display = definition ? '' : 'none';
+    }
+    if (valueSetting) {
+      if (this.elements.trailingValueSuffix) this.elements.trailingValueSuffix.textContent = valueSetting.label;
+      if (resetValue && this.elements.trailingValueInput) {
+        this.elements.trailingValueInput.value = String(valueSetting.defaultValue);
+      }
     }
+    this.clearInputError(this.elements.trailingValueInput, this.elements.trailingError);
   }
 
   selectR(e) {
@@ -427,8 +551,8 @@ class TrimModal {
 
     // Use originalStop for R-multiple calculation
     const originalStop = this.currentTrade.originalStop ?? this.currentTrade.stop;
-    const riskPerShare = this.currentTrade.entry - originalStop;
-    const rMultiple = riskPerShare !== 0 ? (exitPrice - this.currentTrade.entry) / riskPerShare : 0;
+    const { entry, direction } = this.currentTrade;
+    const rMultiple = getRMultiple(entry, originalStop, exitPrice, direction);
 
     if (this.elements.rDisplay) {
       this.elements.rDisplay.textContent = `(${rMultiple.toFixed(1)}R)`;
@@ -439,7 +563,7 @@ class TrimModal {
     let matchingRButton = null;
     this.elements.modal?.querySelectorAll('[data-r]').forEach(btn => {
       const r = parseInt(btn.dataset.r);
-      const expectedPrice = this.currentTrade.entry + (r * riskPerShare);
+      const expectedPrice = getPriceAtR(entry, originalStop, r, direction);
       // Match if within 0.01 of expected price
       if (Math.abs(exitPrice - expectedPrice) < 0.01) {
         matchingRButton = btn;
@@ -469,6 +593,24 @@ class TrimModal {
       const actualPercent = Math.round((sharesToClose / remainingShares) * 100);
       this.elements.percentDisplay.textContent = `(${actualPercent}%)`;
     }
+
+    this.updateFeesFromSchedule(sharesToClose);
+  }
+
+  /**
+   * Pre-fill exit fees from the default commission schedule for the shares being closed
+   * Skipped once the user has typed their own value
+   */
+  updateFeesFromSchedule(sharesToClose) {
+    if (!this.elements.feesInput || !this.currentTrade || this.feesEdited) return;
+
+    const fees = calculateCommission(sharesToClose, this.currentTrade.assetType, state.settings);
+    this.elements.feesInput.value = fees > 0 ? fees.toFixed(2) : '';
+  }
+
+  getFees() {
+    const fees = parseFloat(this.elements.feesInput?.value);
+    return !isNaN(fees) && fees > 0 ? fees : 0;
   }
 
   handleManualShares() {
@@ -504,6 +646,7 @@ class TrimModal {
       this.selectedTrimPercent = percent;
     }
 
+    this.updateFeesFromSchedule(shares);
     this.calculatePreview();
   }
 
@@ -512,8 +655,7 @@ class TrimModal {
 
     // Use originalStop for R-multiple calculation
     const originalStop = this.currentTrade.originalStop ?? this.currentTrade.stop;
-    const riskPerShare = this.currentTrade.entry - originalStop;
-    const exitPrice = this.currentTrade.entry + (this.selectedR * riskPerShare);
+    const exitPrice = getPriceAtR(this.currentTrade.entry, originalStop, this.selectedR, this.currentTrade.direction);
 
     if (this.elements.exitPrice) this.elements.exitPrice.value = exitPrice.toFixed(2);
     if (this.elements.rDisplay) {
@@ -540,10 +682,18 @@ class TrimModal {
 
     // For options, multiply by 100 (contract multiplier)
     const multiplier = getAssetMultiplier(this.currentTrade.assetType);
-    const profitPerShare = (exitPrice - this.currentTrade.entry) * multiplier;
-    const totalPnL = profitPerShare * sharesToClose;
+    const profitPerShare = getProfitPerShare(this.currentTrade.entry, exitPrice, this.currentTrade.direction) * multiplier;
+    const fees = this.getFees();
+    const totalPnL = profitPerShare * sharesToClose - fees;
     const isProfit = totalPnL >= 0;
 
+    if (this.elements.feesRow) {
+      this.elements.feesRow.style.display = fees > 0 ? '' : 'none';
+    }
+    if (this.elements.feesPreview) {
+      this.elements.feesPreview.textContent = `-${formatCurrency(fees)}`;
+    }
+
     if (this.elements.profitPerShare) {
       this.elements.profitPerShare.textContent = `${isProfit ? '+' : ''}${formatCurrency(profitPerShare)}`;
       this.elements.profitPerShare.className = `trim-preview__value ${isProfit ? 'text-success' : 'text-danger'}`;
@@ -650,9 +800,11 @@ class TrimModal {
     this.clearInputError(this.elements.entryPriceInput, this.elements.entryPriceError);
     this.clearInputError(this.elements.originalStopInput, this.elements.originalStopError);
     this.clearInputError(this.elements.stopLossInput, this.elements.stopLossError);
+    this.clearInputError(this.elements.trailingValueInput, this.elements.trailingError);
     this.clearInputError(this.elements.targetInput, this.elements.targetError);
     this.clearInputError(this.elements.strikeInput, this.elements.strikeError);
     this.clearInputError(this.elements.expirationInput, this.elements.expirationError);
+    this.clearInputError(this.elements.volatilityInput, this.elements.volatilityError);
     this.clearInputError(this.elements.exitPrice, this.elements.exitPriceError);
     this.clearInputError(this.elements.sharesInput, this.elements.sharesError);
 
@@ -780,9 +932,11 @@ class TrimModal {
       this.clearInputError(this.elements.entryPriceInput, this.elements.entryPriceError);
       this.clearInputError(this.elements.originalStopInput, this.elements.originalStopError);
       this.clearInputError(this.elements.stopLossInput, this.elements.stopLossError);
+      this.clearInputError(this.elements.trailingValueInput, this.elements.trailingError);
       this.clearInputError(this.elements.targetInput, this.elements.targetError);
       this.clearInputError(this.elements.strikeInput, this.elements.strikeError);
       this.clearInputError(this.elements.expirationInput, this.elements.expirationError);
+      this.clearInputError(this.elements.volatilityInput, this.elements.volatilityError);
 
       // Edit position details mode - update entry, original stop, current stop, and target
       const newEntry = parseFloat(this.elements.entryPriceInput?.value);
@@ -790,8 +944,12 @@ class TrimModal {
       const newCurrentStop = parseFloat(this.elements.stopLossInput?.value);
       const newEntryDate = this.elements.entryDateInput?.value;
       const newTarget = parseFloat(this.elements.targetInput?.value);
-      const newStrike = this.currentTrade.assetType === 'options' ? parseFloat(this.elements.strikeInput?.value) : null;
-      const newExpiration = this.currentTrade.assetType === 'options' ? this.elements.expirationInput?.value : null;
+      const isSingleOption = this.currentTrade.assetType === 'options' && !isStrategyTrade(this.currentTrade);
+      const newStrike = isSingleOption ? parseFloat(this.elements.strikeInput?.value) : null;
+      const newExpiration = isSingleOption ? this.elements.expirationInput?.value : null;
+      const newVolatility = isSingleOption ? parseFloat(this.elements.volatilityInput?.value) : NaN;
+      // A debit strategy's stop is where the whole debit is lost - zero
+      const allowZeroStop = isStrategyTrade(this.currentTrade);
 
       if (isNaN(newEntry) || newEntry <= 0) {
         this.showInputError(
@@ -802,20 +960,20 @@ class TrimModal {
         return;
       }
 
-      if (isNaN(newOriginalStop) || newOriginalStop <= 0) {
+      if (isNaN(newOriginalStop) || newOriginalStop < 0 || (newOriginalStop === 0 && !allowZeroStop)) {
         this.showInputError(
           this.elements.originalStopInput,
           this.elements.originalStopError,
-          'Original stop must be greater than 0'
+          allowZeroStop ? 'Original stop can\'t be negative' : 'Original stop must be greater than 0'
         );
         return;
       }
 
-      if (isNaN(newCurrentStop) || newCurrentStop <= 0) {
+      if (isNaN(newCurrentStop) || newCurrentStop < 0 || (newCurrentStop === 0 && !allowZeroStop)) {
         this.showInputError(
           this.elements.stopLossInput,
           this.elements.stopLossError,
-          'Current stop must be greater than 0'
+          allowZeroStop ? 'Current stop can\'t be negative' : 'Current stop must be greater than 0'
         );
         return;
       }
@@ -825,6 +983,16 @@ class TrimModal {
         return;
       }
 
+      // Original stop defines 1R, so it must be on the losing side of entry
+      if (!isStopOnRiskSide(newEntry, newOriginalStop, this.currentTrade.direction)) {
+        this.showInputError(
+          this.elements.originalStopInput,
+          this.elements.originalStopError,
+          `Original stop must be ${getStopSideLabel(this.currentTrade.direction)} entry price`
+        );
+        return;
+      }
+
       // Target is optional, but if provided must be valid
       if (this.elements.targetInput?.value && (isNaN(newTarget) || newTarget <= 0)) {
         this.showInputError(
@@ -835,18 +1003,30 @@ class TrimModal {
         return;
       }
 
-      // Ensure target is greater than entry
-      if (this.elements.targetInput?.value && !isNaN(newTarget) && newTarget <= newEntry) {
+      // Ensure target is on the profit side of entry
+      if (this.elements.targetInput?.value && !isNaN(newTarget) && !isTargetOnProfitSide(newEntry, newTarget, this.currentTrade.direction)) {
         this.showInputError(
           this.elements.targetInput,
           this.elements.targetError,
-          'Target price must be greater than entry price'
+          `Target price must be ${getTargetSideLabel(this.currentTrade.direction)} entry price`
+        );
+        return;
+      }
+
+      // Trailing rules that take an amount need a positive one
+      const trailingType = this.elements.trailingRuleInput?.value || '';
+      const trailingValue = parseFloat(this.elements.trailingValueInput?.value);
+      if (TRAILING_STOP_RULES[trailingType]?.value && (isNaN(trailingValue) || trailingValue <= 0)) {
+        this.showInputError(
+          this.elements.trailingValueInput,
+          this.elements.trailingError,
+          'Trailing amount must be greater than 0'
         );
         return;
       }
 
       // Validate options fields
-      if (this.currentTrade.assetType === 'options') {
+      if (isSingleOption) {
         if (isNaN(newStrike) || newStrike <= 0) {
           this.showInputError(
             this.elements.strikeInput,
@@ -876,40 +1056,81 @@ class TrimModal {
           );
           return;
         }
+
+        // Implied volatility is optional (blank solves it from the last quote)
+        if (this.elements.volatilityInput?.value && (isNaN(newVolatility) || newVolatility <= 0)) {
+          this.showInputError(
+            this.elements.volatilityInput,
+            this.elements.volatilityError,
+            'Implied volatility must be greater than 0'
+          );
+          return;
+        }
       }
 
       const oldEntry = this.currentTrade.entry;
       const oldOriginalStop = this.currentTrade.originalStop ?? this.currentTrade.stop;
 
+      const hasAdds = this.currentTrade.addHistory?.length > 0;
+
       // Build updates object
       const updates = {
-        entry: newEntry,
         originalStop: newOriginalStop,
         currentStop: newCurrentStop,
         stop: newCurrentStop,
         timestamp: new Date(newEntryDate + 'T12:00:00').toISOString()
       };
 
+      // Record manual stop moves alongside rule-driven ones (the input shows the stop to the cent)
+      const oldCurrentStop = this.currentTrade.currentStop ?? this.currentTrade.stop;
+      if (newCurrentStop.toFixed(2) !== oldCurrentStop?.toFixed(2)) {
+        updates.stopHistory = [
+          ...(this.currentTrade.stopHistory || []),
+          createStopChange(this.currentTrade, newCurrentStop, { source: 'manual' })
+        ];
+      }
+
+      updates.trailingStop = trailingType
+        ? {
+          type: trailingType,
+          value: TRAILING_STOP_RULES[trailingType].value ? trailingValue : null,
+          autoApply: !!this.elements.trailingAutoInput?.checked
+        }
+        : null;
+
+      updates.tags = this.tagInput ? this.tagInput.getTags() : (this.currentTrade.tags || []);
+
       // Add target if provided
       if (!isNaN(newTarget) && newTarget > 0) {
         updates.target = newTarget;
       }
 
       // Add options fields if options trade
-      if (this.currentTrade.assetType === 'options') {
+      if (isSingleOption) {
         updates.strike = newStrike;
         updates.expirationDate = newExpiration;
+        updates.impliedVolatility = newVolatility > 0 ? newVolatility : null;
+      }
+
+      if (hasAdds) {
+        // Entry edits the initial fill - rebuild the blended entry, risk and trim P&L from all fills
+        Object.assign(updates, recalculatePosition({ ...this.currentTrade, ...updates, initialEntry: newEntry }));
+        updates.riskPercent = (updates.riskDollars / state.account.currentSize) * 100;
+      } else {
+        updates.entry = newEntry;
+        // Keep 1R in step with the edited entry and original stop
+        updates.stopDistance = getRiskPerShare(newEntry, newOriginalStop, this.currentTrade.direction);
+        updates.riskDollars = Math.max(0, updates.stopDistance) * (this.currentTrade.originalShares ?? this.currentTrade.shares);
       }
 
       // If there's existing trim history, recalculate P&L for each trim
-      if (this.currentTrade.trimHistory && this.currentTrade.trimHistory.length > 0) {
+      if (!hasAdds && this.currentTrade.trimHistory && this.currentTrade.trimHistory.length > 0) {
         const updatedTrimHistory = this.currentTrade.trimHistory.map(trim => {
           // Recalculate P&L based on new entry (with options multiplier)
           const multiplier = getAssetMultiplier(this.currentTrade.assetType);
-          const newPnl = (trim.exitPrice - newEntry) * trim.shares * multiplier;
+          const newPnl = getProfitPerShare(newEntry, trim.exitPrice, this.currentTrade.direction) * trim.shares * multiplier;
           // Recalculate R-multiple based on new original stop
-          const newRiskPerShare = newEntry - newOriginalStop;
-          const newRMultiple = newRiskPerShare !== 0 ? (trim.exitPrice - newEntry) / newRiskPerShare : 0;
+          const newRMultiple = getRMultiple(newEntry, newOriginalStop, trim.exitPrice, this.currentTrade.direction);
 
           return {
             ...trim,
@@ -936,7 +1157,7 @@ class TrimModal {
       // Trade update triggers cache invalidation, emit event with computed value
       state.emit('accountSizeChanged', state.currentSize);
 
-      showToast(
+      showUndoToast(
         `✅ ${this.currentTrade.ticker} position details updated`,
         'success'
       );
@@ -972,14 +1193,7 @@ class TrimModal {
     }
 
     const sharesAfterTrim = remainingShares - sharesToClose;
-    // Use originalStop for R-multiple calculation
-    const originalStop = this.currentTrade.originalStop ?? this.currentTrade.stop;
-    const riskPerShare = this.currentTrade.entry - originalStop;
-    const rMultiple = riskPerShare !== 0 ? (exitPrice - this.currentTrade.entry) / riskPerShare : 0;
-
-    // For options, multiply by 100 (contract multiplier)
-    const multiplier = getAssetMultiplier(this.currentTrade.assetType);
-    const pnl = (exitPrice - this.currentTrade.entry) * sharesToClose * multiplier;
+    const fees = this.getFees();
 
     const closeDate = this.elements.dateInput?.value
       ? new Date(this.elements.dateInput.value + 'T12:00:00').toISOString()
@@ -988,36 +1202,40 @@ class TrimModal {
     // Calculate actual percentage trimmed based on shares
     const actualPercentTrimmed = (sharesToClose / remainingShares) * 100;
 
+    // P&L and R are filled in by recalculatePosition, against the cost held on the close date
     const trimEvent = {
       id: Date.now(),
       date: closeDate,
       shares: sharesToClose,
       exitPrice: exitPrice,
-      rMultiple: rMultiple,
-      pnl: pnl,
+      fees: fees,
       percentTrimmed: Math.round(actualPercentTrimmed)
     };
 
-    if (!this.currentTrade.trimHistory) this.currentTrade.trimHistory = [];
-
     const isFullClose = sharesAfterTrim === 0;
     const newStatus = isFullClose ? 'closed' : 'trimmed';
-    const existingPnL = this.currentTrade.totalRealizedPnL || 0;
-    const newTotalPnL = existingPnL + pnl;
+    const position = recalculatePosition({
+      ...this.currentTrade,
+      status: newStatus,
+      trimHistory: [...(this.currentTrade.trimHistory || []), trimEvent]
+    });
+    const pnl = position.trimHistory[position.trimHistory.length - 1].pnl;
+    const netPnL = pnl - fees;
 
     const updates = {
       originalShares: this.currentTrade.originalShares ?? this.currentTrade.shares,
       originalStop: this.currentTrade.originalStop ?? this.currentTrade.stop,
+      entry: position.entry,
       remainingShares: sharesAfterTrim,
       status: newStatus,
-      trimHistory: [...this.currentTrade.trimHistory, trimEvent],
-      totalRealizedPnL: newTotalPnL
+      trimHistory: position.trimHistory,
+      totalRealizedPnL: position.totalRealizedPnL
     };
 
     if (isFullClose) {
       updates.exitPrice = exitPrice;
       updates.exitDate = closeDate;
-      updates.pnl = newTotalPnL;
+      updates.pnl = position.pnl;
     }
 
     state.updateJournalEntry(this.currentTrade.id, updates);
@@ -1026,9 +1244,9 @@ class TrimModal {
     state.emit('accountSizeChanged', state.currentSize);
 
     const actionText = isFullClose ? 'closed' : `trimmed ${Math.round(actualPercentTrimmed)}%`;
-    showToast(
-      `${this.currentTrade.ticker} ${actionText}: ${pnl >= 0 ? '+' : ''}${formatCurrency(pnl)}`,
-      pnl >= 0 ? 'success' : 'warning'
+    showUndoToast(
+      `${this.currentTrade.ticker} ${actionText}: ${netPnL >= 0 ? '+' : ''}${formatCurrency(netPnL)}`,
+      netPnL >= 0 ? 'success' : 'warning'
     );
 
     this.close();
@@ -1108,6 +1326,15 @@ class TrimModal {
     this.handleManualExitPrice();
   }
 
+  sanitizeFeesInput(e) {
+    // Use generic decimal sanitizer
+    this.sanitizeDecimalInput(e);
+
+    // Clearing the field hands control back to the commission schedule
+    this.feesEdited = e.target.value !== '';
+    this.calculatePreview();
+  }
+
   sanitizeStopLossInput(e) {
     // Use generic decimal sanitizer
     this.sanitizeDecimalInput(e);
@@ -1237,15 +1464,16 @@ class TrimModal {
         return;
       }
 
-      // Check if target > entry price
+      // Check target is on the profit side of entry
       const entryValue = this.elements.entryPriceInput?.value.trim();
       if (entryValue) {
         const entryPrice = parseFloat(entryValue);
-        if (!isNaN(target) && !isNaN(entryPrice) && target <= entryPrice) {
+        const direction = this.currentTrade?.direction;
+        if (!isNaN(target) && !isNaN(entryPrice) && !isTargetOnProfitSide(entryPrice, target, direction)) {
           this.showInputError(
             this.elements.targetInput,
             this.elements.targetError,
-            'Target price must be greater than entry price'
+            `Target price must be ${getTargetSideLabel(direction)} entry price`
           );
         }
       }
@@ -4,9 +4,14 @@
 
 import { state } from '../../core/state.js';
 import { showToast } from '../ui/ui.js';
+import { accountSwitcher } from '../ui/accountSwitcher.js';
+import { TagInput } from '../ui/tagInput.js';
+import { NoteAttachments } from '../ui/noteAttachments.js';
 import { formatCurrency, formatNumber, formatPercent, formatDate, createTimestampFromDateInput, initFlatpickr, getCurrentWeekday, restrictToNumberInput } from '../../core/utils.js';
 import { formatDate as formatDateYMD } from '../../utils/marketHours.js';
 import { priceTracker } from '../../core/priceTracker.js';
+import { getRiskPerShare, getRMultiple, getPriceAtR, isStopOnRiskSide, isTargetOnProfitSide, getStopSideLabel, getTargetSideLabel } from '../../utils/directionUtils.js';
+import { calculateCommission } from '../../core/utils/tradeCalculations.js';
 
 class TradeWizard {
   constructor() {
@@ -24,10 +29,25 @@ class TradeWizard {
     };
 
     this.notes = '';
+    this.tags = [];
+    this.tagInput = null;
+    this.noteAttachments = null; // Screenshots pasted into the notes - stored on paste, deleted again if the wizard is cancelled
+
+    // True once the user types their own entry fees (stops auto-fill from the commission schedule)
+    this.feesEdited = false;
   }
 
   init() {
     this.cacheElements();
+    if (this.elements.tagsContainer) {
+      this.tagInput = new TagInput(this.elements.tagsContainer, { placeholder: 'e.g. earnings, A+ setup' });
+    }
+    if (this.elements.notesInput && this.elements.attachmentsContainer) {
+      this.noteAttachments = new NoteAttachments({
+        editor: this.elements.notesInput,
+        container: this.elements.attachmentsContainer
+      });
+    }
     this.bindEvents();
     this.setupNumberRestrictions();
     this.initNotesEditor();
@@ -42,6 +62,7 @@ class TradeWizard {
     restrictToNumberInput(this.elements.wizardShares, false); // Integer only
     restrictToNumberInput(this.elements.wizardRiskDollar, true);
     restrictToNumberInput(this.elements.wizardTargetPrice, true);
+    restrictToNumberInput(this.elements.wizardFees, true);
   }
 
   disableWeekends() {
@@ -151,6 +172,8 @@ class TradeWizard {
       // Step 1 - Trade Details
       wizardTicker: document.getElementById('wizardTicker'),
       wizardTickerStatus: document.getElementById('wizardTickerStatus'),
+      directionToggle: document.getElementById('directionToggle'),
+      directionButtons: document.querySelectorAll('#directionToggle .toggle-switch__option'),
       assetTypeToggle: document.getElementById('assetTypeToggle'),
       assetTypeButtons: document.querySelectorAll('#assetTypeToggle .toggle-switch__option'),
       wizardEntryPrice: document.getElementById('wizardEntryPrice'),
@@ -172,6 +195,7 @@ class TradeWizard {
       wizardRiskPercentDisplay: document.getElementById('wizardRiskPercentDisplay'),
       wizardRDisplay: document.getElementById('wizardRDisplay'),
       wizardTradeDate: document.getElementById('wizardTradeDate'),
+      wizardFees: document.getElementById('wizardFees'),
       cancel1Btn: document.getElementById('wizardCancel1'),
       next1Btn: document.getElementById('wizardNext1'),
 
@@ -189,8 +213,10 @@ class TradeWizard {
       // Step 2 - Thesis
       setupBtns: document.querySelectorAll('[data-setup]'),
       themeInput: document.getElementById('wizardTheme'),
+      tagsContainer: document.getElementById('wizardTags'),
       convictionStars: document.querySelectorAll('.wizard-star'),
       notesInput: document.getElementById('wizardNotes'),
+      attachmentsContainer: document.getElementById('wizardAttachments'),
       cancel2Btn: document.getElementById('wizardCancel2'),
       back2Btn: document.getElementById('wizardBack2'),
       skip2Btn: document.getElementById('wizardSkip2'),
@@ -211,6 +237,8 @@ class TradeWizard {
       confirmSetup: document.getElementById('wizardConfirmSetup'),
       confirmThemeRow: document.getElementById('wizardConfirmThemeRow'),
       confirmTheme: document.getElementById('wizardConfirmTheme'),
+      confirmTagsRow: document.getElementById('wizardConfirmTagsRow'),
+      confirmTags: document.getElementById('wizardConfirmTags'),
       cancelBtn: document.getElementById('wizardCancel'),
       back3Btn: document.getElementById('wizardBack3'),
       confirmBtn: document.getElementById('wizardConfirmBtn')
@@ -252,6 +280,13 @@ class TradeWizard {
       }
     });
 
+    // Direction toggle (Long/Short) - click anywhere to toggle
+    this.elements.directionToggle?.addEventListener('click', () => {
+      const activeIndex = this.getDirection() === 'short' ? 1 : 0;
+      this.setDirection(activeIndex === 0 ? 'short' : 'long');
+      this.handleDirectionChange();
+    });
+
     // Asset type toggle (Shares/Options) - click anywhere to toggle
     this.elements.assetTypeToggle?.addEventListener('click', () => {
       // Find currently active button
@@ -308,6 +343,7 @@ class TradeWizard {
     if (this.elements.wizardShares) this.elements.wizardShares.value = '';
     if (this.elements.wizardRiskDollar) this.elements.wizardRiskDollar.value = '';
     if (this.elements.wizardTargetPrice) this.elements.wizardTargetPrice.value = '';
+    this.resetFees();
 
     // Clear all validation errors
     this.clearAllErrors();
@@ -472,6 +508,7 @@ class TradeWizard {
     this.elements.wizardShares?.addEventListener('input', (e) => this.sanitizeSharesInput(e));
     this.elements.wizardTargetPrice?.addEventListener('input', (e) => this.sanitizeTargetPriceInput(e));
     this.elements.wizardRiskDollar?.addEventListener('input', (e) => this.sanitizeRiskDollarInput(e));
+    this.elements.wizardFees?.addEventListener('input', (e) => this.sanitizeFeesInput(e));
 
     // R-Multiple buttons
     this.elements.wizardRMultipleBtns?.forEach(btn => {
@@ -524,6 +561,7 @@ class TradeWizard {
 
   open() {
     if (!this.elements.modal) return;
+    if (!accountSwitcher.requireAccount('trades')) return;
 
     // Reset state
     this.currentStep = 1;
@@ -534,6 +572,7 @@ class TradeWizard {
       conviction: null
     };
     this.notes = '';
+    this.tags = [];
 
     // Reset UI
     this.resetForm();
@@ -568,6 +607,7 @@ class TradeWizard {
     // Clear calculator state so values don't persist when reopening
     state.updateTrade({
       ticker: '',
+      direction: 'long',
       entry: null,
       stop: null,
       target: null
@@ -586,8 +626,12 @@ class TradeWizard {
     if (this.elements.wizardStopLoss) this.elements.wizardStopLoss.value = '';
     if (this.elements.wizardShares) this.elements.wizardShares.value = '';
     if (this.elements.wizardTargetPrice) this.elements.wizardTargetPrice.value = '';
+    this.resetFees();
     // Date will be auto-set in open() method
 
+    // Reset direction toggle to Long
+    this.setDirection('long');
+
     // Reset asset type toggle to Shares mode
     if (this.elements.assetTypeButtons) {
       this.elements.assetTypeButtons.forEach(b => b.classList.remove('active'));
@@ -628,12 +672,15 @@ class TradeWizard {
 
     // Reset Step 2 inputs
     if (this.elements.themeInput) this.elements.themeInput.value = '';
+    this.tagInput?.clear();
 
     // Reset notes editor
     if (this.elements.notesInput) {
       this.elements.notesInput.innerHTML = '';
     }
     this.notes = '';
+    // Anything still here wasn't logged with a trade
+    this.noteAttachments?.discard();
 
     // Reset progress
     this.elements.progressSteps?.forEach(step => {
@@ -669,7 +716,7 @@ class TradeWizard {
     }
 
     // Validate ticker with API if available
-    if (priceTracker.apiKey) {
+    if (priceTracker.hasQuoteProvider()) {
       try {
         await priceTracker.fetchPrice(ticker);
       } catch (error) {
@@ -705,6 +752,17 @@ class TradeWizard {
       return false;
     }
 
+    // Validate stop is on the losing side of entry for the selected direction
+    const direction = this.getDirection();
+    if (!isStopOnRiskSide(entryPrice, stopPrice, direction)) {
+      this.showInputError(
+        this.elements.wizardStopLoss,
+        this.elements.wizardStopLossError,
+        `Stop loss must be ${getStopSideLabel(direction)} entry price for ${direction} trades`
+      );
+      return false;
+    }
+
     // Determine if in Options mode by checking active toggle button
     const activeAssetTypeBtn = Array.from(this.elements.assetTypeButtons || []).find(b => b.classList.contains('active'));
     const isOptionsMode = activeAssetTypeBtn?.dataset.assetType === 'options';
@@ -784,12 +842,12 @@ class TradeWizard {
         );
         return false;
       }
-      // Ensure target is greater than entry
-      if (target <= entryPrice) {
+      // Ensure target is on the profit side of entry
+      if (!isTargetOnProfitSide(entryPrice, target, direction)) {
         this.showInputError(
           this.elements.wizardTargetPrice,
           this.elements.wizardTargetPriceError,
-          'Target price must be greater than entry price'
+          `Target price must be ${getTargetSideLabel(direction)} entry price for ${direction} trades`
         );
         return false;
       }
@@ -834,6 +892,7 @@ class TradeWizard {
     const account = state.account;
 
     // Step 1 - Fill input fields from calculator
+    this.setDirection(trade.direction || 'long');
     if (this.elements.wizardTicker) {
       this.elements.wizardTicker.value = trade.ticker || '';
     }
@@ -846,6 +905,7 @@ class TradeWizard {
     if (this.elements.wizardShares) {
       this.elements.wizardShares.value = results.shares || '';
     }
+    this.updateFeesFromSchedule();
     if (this.elements.wizardTargetPrice) {
       this.elements.wizardTargetPrice.value = trade.target || '';
     }
@@ -899,7 +959,7 @@ class TradeWizard {
       const entry = parseFloat(this.elements.wizardEntryPrice?.value) || 0;
       const stop = parseFloat(this.elements.wizardStopLoss?.value) || 0;
 
-      if (entry > 0 && stop > 0 && entry !== stop) {
+      if (entry > 0 && stop > 0 && isStopOnRiskSide(entry, stop, this.getDirection())) {
         // Auto-select 5R button
         const fiveRBtn = Array.from(this.elements.wizardRMultipleBtns).find(btn => btn.dataset.r === '5');
         if (fiveRBtn) {
@@ -974,6 +1034,7 @@ class TradeWizard {
     // Step 2 - Thesis
     if (this.currentStep === 2) {
       this.thesis.theme = this.elements.themeInput?.value.trim() || null;
+      this.tags = this.tagInput?.getTags() || [];
       // Get notes from contenteditable div (store as HTML for formatting)
       if (this.elements.notesInput) {
         this.notes = this.elements.notesInput.innerHTML.trim() || '';
@@ -987,7 +1048,9 @@ class TradeWizard {
     const entry = parseFloat(this.elements.wizardEntryPrice?.value) || 0;
     const shares = parseInt(this.elements.wizardShares?.value) || 0;
     const stop = parseFloat(this.elements.wizardStopLoss?.value) || 0;
-    const riskPerShare = entry - stop;
+    const direction = this.getDirection();
+    const riskPerShare = getRiskPerShare(entry, stop, direction);
+    const sidePrefix = direction === 'short' ? 'Short ' : '';
 
     // Determine if this is an options trade
     const assetTypeBtn = document.querySelector('#assetTypeToggle .toggle-switch__option.active');
@@ -1009,9 +1072,9 @@ class TradeWizard {
     if (this.elements.confirmPosition) {
       if (isOptions) {
         // Simple format for options: "5 contracts @ $2.15"
-        this.elements.confirmPosition.textContent = `${formatNumber(shares)} contracts @ ${formatCurrency(entry)}`;
+        this.elements.confirmPosition.textContent = `${sidePrefix}${formatNumber(shares)} contracts @ ${formatCurrency(entry)}`;
       } else {
-        this.elements.confirmPosition.textContent = `${formatNumber(shares)} shares @ ${formatCurrency(entry)}`;
+        this.elements.confirmPosition.textContent = `${sidePrefix}${formatNumber(shares)} shares @ ${formatCurrency(entry)}`;
       }
     }
 
@@ -1077,6 +1140,14 @@ class TradeWizard {
       }
     }
 
+    // Update tags row
+    if (this.elements.confirmTagsRow) {
+      this.elements.confirmTagsRow.style.display = this.tags.length > 0 ? 'flex' : 'none';
+    }
+    if (this.elements.confirmTags) {
+      this.elements.confirmTags.textContent = this.tags.join(', ');
+    }
+
     // Update theme row
     if (this.thesis.theme) {
       if (this.elements.confirmThemeRow) {
@@ -1105,6 +1176,7 @@ class TradeWizard {
     const stopPrice = parseFloat(this.elements.wizardStopLoss?.value) || 0;
     const targetPrice = parseFloat(this.elements.wizardTargetPrice?.value) || 0;
     const shares = parseInt(this.elements.wizardShares?.value) || 0;
+    const entryFees = parseFloat(this.elements.wizardFees?.value) || 0;
 
     // Get trade date from flatpickr instance if available, otherwise from input value
     let tradeDate;
@@ -1116,15 +1188,16 @@ class TradeWizard {
     }
 
     // Calculate derived values
-    const riskPerShare = entryPrice - stopPrice;
+    const direction = this.getDirection();
+    const riskPerShare = getRiskPerShare(entryPrice, stopPrice, direction);
     const positionSize = shares * entryPrice;
     const riskDollars = shares * riskPerShare;
     const riskPercent = (riskDollars / state.account.currentSize) * 100;
     const stopDistance = riskPerShare;
 
-    // Validate ticker and fetch company data if API key is configured
+    // Validate ticker and fetch company data if a quote provider is configured
     let companyData = null;
-    if (priceTracker.apiKey && ticker) {
+    if (priceTracker.hasQuoteProvider() && ticker) {
       try {
         // Fetch price to validate ticker and company profile in parallel
         const [priceData, profileData] = await Promise.all([
@@ -1172,6 +1245,7 @@ class TradeWizard {
     const journalEntry = {
       timestamp,
       ticker,
+      direction,
       entry: entryPrice,
       stop: stopPrice,
       originalStop: stopPrice,
@@ -1182,7 +1256,10 @@ class TradeWizard {
       riskDollars,
       riskPercent,
       stopDistance,
+      entryFees,
       notes: this.notes || '',
+      tags: [...this.tags],
+      attachments: this.noteAttachments?.getAttachments() || [],
       status: 'open',
 
       // Options fields
@@ -1203,6 +1280,8 @@ class TradeWizard {
 
     // Add to journal
     const newEntry = state.addJournalEntry(journalEntry);
+    // The trade owns them now, so closing the wizard mustn't delete them
+    this.noteAttachments?.clear();
 
     // Save changes
     state.saveJournalMeta();
@@ -1223,7 +1302,7 @@ class TradeWizard {
     const stop = parseFloat(this.elements.wizardStopLoss?.value) || 0;
 
     // Only need entry and stop to calculate target price (R-Multiple)
-    const canCalculate = entry > 0 && stop > 0 && entry !== stop;
+    const canCalculate = entry > 0 && stop > 0 && isStopOnRiskSide(entry, stop, this.getDirection());
 
     this.elements.wizardRMultipleBtns.forEach(btn => {
       btn.disabled = !canCalculate;
@@ -1258,10 +1337,10 @@ class TradeWizard {
     const entry = parseFloat(this.elements.wizardEntryPrice?.value) || 0;
     const stop = parseFloat(this.elements.wizardStopLoss?.value) || 0;
 
-    if (entry <= 0 || stop <= 0 || entry === stop) return;
+    const direction = this.getDirection();
+    if (entry <= 0 || stop <= 0 || !isStopOnRiskSide(entry, stop, direction)) return;
 
-    const riskPerShare = entry - stop;
-    const targetPrice = entry + (rMultiple * riskPerShare);
+    const targetPrice = getPriceAtR(entry, stop, rMultiple, direction);
 
     if (this.elements.wizardTargetPrice) {
       this.elements.wizardTargetPrice.value = targetPrice.toFixed(2);
@@ -1277,6 +1356,60 @@ class TradeWizard {
     return activeBtn?.dataset.assetType === 'options';
   }
 
+  getDirection() {
+    // Check which side of the Long/Short toggle is active
+    const activeBtn = Array.from(this.elements.directionButtons || []).find(b => b.classList.contains('active'));
+    return activeBtn?.dataset.tradeDirection === 'short' ? 'short' : 'long';
+  }
+
+  setDirection(direction) {
+    if (!this.elements.directionButtons) return;
+
+    const index = direction === 'short' ? 1 : 0;
+    this.elements.directionButtons.forEach(b => b.classList.remove('active'));
+    this.elements.directionButtons[index]?.classList.add('active');
+
+    // Update data-active attribute for sliding animation
+    this.elements.directionToggle?.setAttribute('data-active', index);
+  }
+
+  handleDirectionChange() {
+    // Stop/target validity flips with direction, so re-check everything
+    this.clearInputError(this.elements.wizardStopLoss, this.elements.wizardStopLossError);
+    this.clearInputError(this.elements.wizardTargetPrice, this.elements.wizardTargetPriceError);
+
+    state.updateTrade({ direction: this.getDirection() });
+
+    // Previous target was on the wrong side - recompute it from the active R button
+    if (this.elements.wizardTargetPrice) {
+      this.elements.wizardTargetPrice.value = '';
+    }
+
+    this.updateRMultipleButtons();
+    this.updateRiskButtons();
+    this.updateRiskDisplay();
+    this.updateTargetRDisplay();
+  }
+
+  /**
+   * Pre-fill entry fees from the default commission schedule
+   * Skipped once the user has typed their own value
+   */
+  updateFeesFromSchedule() {
+    if (!this.elements.wizardFees || this.feesEdited) return;
+
+    const shares = parseInt(this.elements.wizardShares?.value) || 0;
+    const assetType = this.isOptionsMode() ? 'options' : 'stock';
+    const fees = calculateCommission(shares, assetType, state.settings);
+
+    this.elements.wizardFees.value = fees > 0 ? fees.toFixed(2) : '';
+  }
+
+  resetFees() {
+    this.feesEdited = false;
+    if (this.elements.wizardFees) this.elements.wizardFees.value = '';
+  }
+
   updateRiskButtons() {
     if (!this.elements.wizardRiskPercentBtns) return;
 
@@ -1287,7 +1420,7 @@ class TradeWizard {
     // Enable when entry, stop valid AND account > 0 (shares not required - buttons calculate shares)
     const canCalculate = entry > 0 &&
                          stop > 0 &&
-                         entry !== stop &&
+                         isStopOnRiskSide(entry, stop, this.getDirection()) &&
                          accountSize > 0;
 
     this.elements.wizardRiskPercentBtns.forEach(btn => {
@@ -1300,11 +1433,12 @@ class TradeWizard {
     const stop = parseFloat(this.elements.wizardStopLoss?.value) || 0;
     const accountSize = state.account.currentSize || 0;
 
-    if (entry <= 0 || stop <= 0 || entry === stop || accountSize <= 0) return;
+    const direction = this.getDirection();
+    if (entry <= 0 || stop <= 0 || !isStopOnRiskSide(entry, stop, direction) || accountSize <= 0) return;
 
     // For options: 1 contract = 100 shares
     const multiplier = this.isOptionsMode() ? 100 : 1;
-    const riskPerUnit = (entry - stop) * multiplier;
+    const riskPerUnit = getRiskPerShare(entry, stop, direction) * multiplier;
     const riskDollars = accountSize * (riskPercent / 100);
     const units = Math.floor(riskDollars / riskPerUnit);
 
@@ -1321,6 +1455,7 @@ class TradeWizard {
     // Update displays
     this.updateRiskPercentDisplay();
     this.updateRMultipleButtons();
+    this.updateFeesFromSchedule();
   }
 
   handleCustomRiskDollar() {
@@ -1329,7 +1464,8 @@ class TradeWizard {
     const stop = parseFloat(this.elements.wizardStopLoss?.value) || 0;
     const accountSize = state.account.currentSize || 0;
 
-    if (riskDollars <= 0 || entry <= 0 || stop <= 0 || entry === stop) {
+    const direction = this.getDirection();
+    if (riskDollars <= 0 || entry <= 0 || stop <= 0 || !isStopOnRiskSide(entry, stop, direction)) {
       this.updateRiskPercentDisplay();
       return;
     }
@@ -1337,7 +1473,7 @@ class TradeWizard {
     // Calculate shares/contracts from risk dollars
     // For options: 1 contract = 100 shares
     const multiplier = this.isOptionsMode() ? 100 : 1;
-    const riskPerUnit = (entry - stop) * multiplier;
+    const riskPerUnit = getRiskPerShare(entry, stop, direction) * multiplier;
     const units = Math.floor(riskDollars / riskPerUnit);
 
     // Update shares/contracts input programmatically
@@ -1370,6 +1506,7 @@ class TradeWizard {
     // Update displays
     this.updateRiskPercentDisplay();
     this.updateRMultipleButtons();
+    this.updateFeesFromSchedule();
   }
 
   updateRiskDisplay() {
@@ -1385,9 +1522,10 @@ class TradeWizard {
     // Calculate risk dollars
     // For options: 1 contract = 100 shares
     let riskDollars = 0;
-    if (entry > 0 && stop > 0 && units > 0 && entry !== stop) {
+    const direction = this.getDirection();
+    if (entry > 0 && stop > 0 && units > 0 && isStopOnRiskSide(entry, stop, direction)) {
       const multiplier = this.isOptionsMode() ? 100 : 1;
-      const riskPerUnit = (entry - stop) * multiplier;
+      const riskPerUnit = getRiskPerShare(entry, stop, direction) * multiplier;
       riskDollars = riskPerUnit * units;
     }
 
@@ -1424,9 +1562,7 @@ class TradeWizard {
     // Calculate R-Multiple
     let rMultiple = 0;
     if (entry > 0 && stop > 0 && target > 0 && entry !== stop) {
-      const risk = entry - stop;
-      const reward = target - entry;
-      rMultiple = reward / risk;
+      rMultiple = getRMultiple(entry, stop, target, this.getDirection());
     }
 
     // Display formatted value
@@ -1551,8 +1687,8 @@ class TradeWizard {
       return;
     }
 
-    // Don't validate if no API key is available
-    if (!priceTracker.apiKey) {
+    // Don't validate if no quote provider is available
+    if (!priceTracker.hasQuoteProvider()) {
       this.hideTickerStatus();
       return;
     }
@@ -1727,6 +1863,14 @@ class TradeWizard {
     this.updateRMultipleButtons();
     this.updateRiskButtons();
     this.updateRiskDisplay();
+    this.updateFeesFromSchedule();
+  }
+
+  sanitizeFeesInput(e) {
+    this.sanitizeDecimalInput(e);
+
+    // Clearing the field hands control back to the commission schedule
+    this.feesEdited = e.target.value !== '';
   }
 
   sanitizeTargetPriceInput(e) {
@@ -1751,15 +1895,16 @@ class TradeWizard {
         return; // Don't update state if there's an error
       }
 
-      // Check if target > entry price
+      // Check target is on the profit side of entry
       const entryValue = this.elements.wizardEntryPrice?.value.trim();
       if (entryValue) {
         const entryPrice = parseFloat(entryValue);
-        if (!isNaN(target) && !isNaN(entryPrice) && target <= entryPrice) {
+        const direction = this.getDirection();
+        if (!isNaN(target) && !isNaN(entryPrice) && !isTargetOnProfitSide(entryPrice, target, direction)) {
           this.showInputError(
             this.elements.wizardTargetPrice,
             this.elements.wizardTargetPriceError,
-            'Target price must be greater than entry price'
+            `Target price must be ${getTargetSideLabel(direction)} entry price for ${direction} trades`
           );
           return; // Don't update state if there's an error
         }
@@ -1774,10 +1919,10 @@ class TradeWizard {
     // Check if target matches any R-Multiple preset and update UI
     const entry = parseFloat(this.elements.wizardEntryPrice?.value) || 0;
     const stop = parseFloat(this.elements.wizardStopLoss?.value) || 0;
-    const riskPerShare = entry - stop;
+    const direction = this.getDirection();
 
-    if (riskPerShare > 0) {
-      const rMultiple = (target - entry) / riskPerShare;
+    if (isStopOnRiskSide(entry, stop, direction)) {
+      const rMultiple = getRMultiple(entry, stop, target, direction);
       let matchFound = false;
 
       this.elements.wizardRMultipleBtns?.forEach(btn => {
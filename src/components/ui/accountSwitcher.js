@@ -0,0 +1,65 @@
+/**
+ * Account Switcher - Header select that scopes Positions, Journal and Stats to one account
+ * Hidden while there's only one account.
+ */
+
+import { state } from '../../core/state.js';
+import { ACCOUNTS } from '../../constants/index.js';
+import { showToast } from './ui.js';
+
+class AccountSwitcher {
+  constructor() {
+    this.select = null;
+    this.label = null;
+  }
+
+  init() {
+    this.select = document.getElementById('accountSwitcher');
+    this.label = document.getElementById('headerAccountLabel');
+    if (!this.select) return;
+
+    this.select.addEventListener('change', (e) => state.setActiveAccount(e.target.value));
+
+    state.on('accountsChanged', () => this.render());
+    state.on('activeAccountChanged', () => this.render());
+    this.render();
+  }
+
+  /**
+   * Guard for entry points that add trades or cash flow: while "All accounts" is showing with
+   * several accounts, ask for an account in the header instead of guessing one
+   * @param {string} what - What's being added, for the message ("trades", "deposits"...)
+   * @returns {boolean} Whether there's an account to add to
+   */
+  requireAccount(what) {
+    if (!state.needsAccountForNewEntries) return true;
+
+    showToast(`Pick an account in the header to add ${what} - "All accounts" combines them`, 'warning');
+    this.select?.focus();
+    return false;
+  }
+
+  render() {
+    if (!this.select) return;
+
+    const accounts = state.accounts;
+    const hasChoice = accounts.length > 1;
+    this.select.style.display = hasChoice ? '' : 'none';
+    if (this.label) this.label.style.display = hasChoice ? 'none' : '';
+    if (!hasChoice) return;
+
+    const option = (value, text) => {
+      const el = document.createElement('option');
+      el.value = value;
+      el.textContent = text;
+      return el;
+    };
+    this.select.replaceChildren(
+      option(ACCOUNTS.ALL, 'All accounts'),
+      ...accounts.map(account => option(account.id, account.name))
+    );
+    this.select.value = state.activeAccountId;
+  }
+}
+
+export const accountSwitcher = new AccountSwitcher();
@@ -0,0 +1,175 @@
+/**
+ * Note Attachments - Screenshot strip for a notes editor
+ * Images pasted or dropped into the notes (or onto the strip) are stored via the attachment
+ * store and shown as thumbnails; clicking one opens the lightbox.
+ */
+
+import { attachmentStore } from '../../core/attachments.js';
+import { lightbox } from '../modals/lightbox.js';
+import { showToast } from './ui.js';
+
+/**
+ * Image files carried by a paste or drop
+ * @param {DataTransfer|null} transfer
+ * @returns {Array<File>}
+ */
+function getImageFiles(transfer) {
+  return Array.from(transfer?.files || []).filter(file => file.type.startsWith('image/'));
+}
+
+export class NoteAttachments {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.editor - Contenteditable notes field to accept pastes and drops
+   * @param {HTMLElement} options.container - Element the thumbnail strip renders into
+   * @param {Function} [options.onChange] - Called with the new attachment list after each add/remove
+   */
+  constructor({ editor, container, onChange = () => {} }) {
+    this.editor = editor;
+    this.container = container;
+    this.onChange = onChange;
+    this.attachments = [];
+
+    container.classList.add('note-attachments');
+    container.innerHTML = `
+      <div class="note-attachments__list"></div>
+      <div class="note-attachments__hint">Paste or drop chart screenshots into the notes</div>
+    `;
+    this.list = container.querySelector('.note-attachments__list');
+
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    this.editor?.addEventListener('paste', (e) => {
+      const files = getImageFiles(e.clipboardData);
+      if (files.length === 0) return;
+      // Keep the browser from inlining the image into the notes HTML
+      e.preventDefault();
+      this.addFiles(files);
+    });
+
+    [this.editor, this.container].filter(Boolean).forEach(target => {
+      target.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer?.types.includes('Files')) return;
+        e.preventDefault();
+        this.container.classList.add('is-dragover');
+      });
+      target.addEventListener('dragleave', () => this.container.classList.remove('is-dragover'));
+      target.addEventListener('drop', (e) => {
+        this.container.classList.remove('is-dragover');
+        const files = getImageFiles(e.dataTransfer);
+        if (files.length === 0) return;
+        e.preventDefault();
+        this.addFiles(files);
+      });
+    });
+
+    this.list.addEventListener('click', (e) => {
+      // Rows in the journal expand on click - keep clicks on the strip inside it
+      e.stopPropagation();
+
+      const removeBtn = e.target.closest('[data-remove-attachment]');
+      if (removeBtn) {
+        this.removeAttachment(removeBtn.dataset.removeAttachment);
+        return;
+      }
+
+      const thumb = e.target.closest('[data-attachment-index]');
+      if (thumb) {
+        lightbox.open(this.attachments, parseInt(thumb.dataset.attachmentIndex));
+      }
+    });
+  }
+
+  async addFiles(files) {
+    const added = [];
+    for (const file of files) {
+      try {
+        added.push(await attachmentStore.save(file));
+      } catch (error) {
+        showToast(`❌ ${error.message}`, 'error');
+      }
+    }
+    if (added.length === 0) return;
+
+    this.attachments = [...this.attachments, ...added];
+    this.render();
+    this.onChange([...this.attachments]);
+  }
+
+  async removeAttachment(id) {
+    const attachment = this.attachments.find(a => a.id === id);
+    if (!attachment) return;
+    if (!confirm(`Remove ${attachment.name}? This cannot be undone.`)) return;
+
+    await attachmentStore.remove([id]);
+    this.attachments = this.attachments.filter(a => a.id !== id);
+    this.render();
+    this.onChange([...this.attachments]);
+  }
+
+  /**
+   * Replace the attachments shown (no onChange)
+   * @param {Array<Object>} attachments - Attachment metadata
+   */
+  setAttachments(attachments) {
+    this.attachments = [...(attachments || [])];
+    this.render();
+  }
+
+  getAttachments() {
+    return [...this.attachments];
+  }
+
+  /**
+   * Forget the attachments shown, keeping them stored (they now belong to a saved trade)
+   */
+  clear() {
+    this.setAttachments([]);
+  }
+
+  /**
+   * Delete the attachments shown from storage, then clear (an abandoned draft)
+   */
+  async discard() {
+    const ids = this.attachments.map(a => a.id);
+    this.clear();
+    if (ids.length > 0) await attachmentStore.remove(ids);
+  }
+
+  render() {
+    this.container.classList.toggle('has-attachments', this.attachments.length > 0);
+
+    // Names come from pasted files, so set them as text rather than HTML
+    this.list.replaceChildren(...this.attachments.map((attachment, index) => {
+      const item = document.createElement('div');
+      item.className = 'note-attachments__item';
+
+      const thumb = document.createElement('button');
+      thumb.type = 'button';
+      thumb.className = 'note-attachments__thumb';
+      thumb.dataset.attachmentIndex = index;
+      thumb.title = attachment.name;
+      thumb.setAttribute('aria-label', `View ${attachment.name}`);
+
+      const image = document.createElement('img');
+      image.alt = '';
+      thumb.appendChild(image);
+      attachmentStore.getThumbnailUrl(attachment.id).then(url => {
+        if (url) image.src = url;
+        else thumb.classList.add('is-missing');
+      });
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'note-attachments__remove';
+      remove.dataset.removeAttachment = attachment.id;
+      remove.setAttribute('aria-label', `Remove ${attachment.name}`);
+      remove.textContent = '×';
+
+      item.append(thumb, remove);
+      return item;
+    }));
+  }
+}
@@ -187,6 +187,36 @@ class SoundFX {
       osc.stop(startTime + 0.3);
     });
   }
+
+  // Price alert cue - two-tone chime, descending for a stop hit
+  // Gated by the alertSound setting (checked by the caller) rather than this.enabled
+  playAlert(urgent = false) {
+    const ctx = this.ensureContext();
+    const now = ctx.currentTime;
+
+    const notes = urgent ? [880, 587.33] : [587.33, 880];
+    const baseGain = 0.1;
+
+    notes.forEach((freq, i) => {
+      const startTime = now + i * 0.18;
+
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+
+      osc.type = urgent ? 'triangle' : 'sine';
+      osc.frequency.setValueAtTime(freq, startTime);
+
+      gain.gain.setValueAtTime(0, startTime);
+      gain.gain.linearRampToValueAtTime(baseGain, startTime + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.001, startTime + 0.35);
+
+      osc.connect(gain);
+      gain.connect(ctx.destination);
+
+      osc.start(startTime);
+      osc.stop(startTime + 0.4);
+    });
+  }
 }
 
 export const soundFx = new SoundFX();
@@ -200,8 +230,9 @@ window.testSound = (type) => {
     case 'success': soundFx.playSuccess(); break;
     case 'click': soundFx.playClick(); break;
     case 'celebration': soundFx.playCelebration(); break;
+    case 'alert': soundFx.playAlert(); break;
     default:
-      logger.debug('Usage: testSound("success" | "click" | "celebration")');
+      logger.debug('Usage: testSound("success" | "click" | "celebration" | "alert")');
       soundFx.enabled = original;
       return;
   }
@@ -0,0 +1,148 @@
+/**
+ * Tag Input - Chip-style editor for a trade's tags
+ * Enter or comma adds the typed tag, Backspace on an empty field removes the last one.
+ * Autocompletes from tags already used in the journal via a shared <datalist>.
+ */
+
+import { state } from '../../core/state.js';
+import { collectTags, getTagKey, normalizeTags, MAX_TAG_LENGTH } from '../../shared/TradeTags.js';
+
+const SUGGESTIONS_ID = 'tagSuggestions';
+
+export class TagInput {
+  /**
+   * @param {HTMLElement} container - Element the editor renders into
+   * @param {Object} options
+   * @param {Function} [options.onChange] - Called with the new tags after each add/remove
+   * @param {string} [options.placeholder]
+   */
+  constructor(container, { onChange = () => {}, placeholder = 'Add tag...' } = {}) {
+    this.container = container;
+    this.onChange = onChange;
+    this.tags = [];
+
+    container.classList.add('tag-input');
+    container.innerHTML = `
+      <span class="tag-input__chips"></span>
+      <input type="text" class="tag-input__field" list="${SUGGESTIONS_ID}" maxlength="${MAX_TAG_LENGTH}" aria-label="Tags">
+    `;
+    this.chips = container.querySelector('.tag-input__chips');
+    this.field = container.querySelector('.tag-input__field');
+    this.field.placeholder = placeholder;
+
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    this.field.addEventListener('keydown', (e) => {
+      if ((e.key === 'Enter' || e.key === ',') && this.field.value.trim()) {
+        // Consumed here, so wizard/modal Enter handlers don't also fire
+        e.preventDefault();
+        e.stopPropagation();
+        this.commitField();
+      } else if (e.key === ',') {
+        e.preventDefault();
+      } else if (e.key === 'Backspace' && !this.field.value && this.tags.length > 0) {
+        this.setTags(this.tags.slice(0, -1), true);
+      }
+    });
+
+    this.field.addEventListener('input', (e) => {
+      // Picking a suggestion (or pasting a list) adds right away
+      if (!e.inputType || e.inputType === 'insertReplacementText' || this.field.value.includes(',')) {
+        this.commitField();
+      }
+    });
+
+    this.field.addEventListener('focus', () => this.refreshSuggestions());
+    this.field.addEventListener('blur', () => this.commitField());
+
+    this.chips.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-remove-tag]');
+      if (!button) return;
+      e.stopPropagation();
+      const key = button.dataset.removeTag;
+      this.setTags(this.tags.filter(tag => getTagKey(tag) !== key), true);
+    });
+
+    // Clicking the empty part of the box focuses the field
+    this.container.addEventListener('click', (e) => {
+      if (e.target === this.container || e.target === this.chips) this.field.focus();
+    });
+  }
+
+  commitField() {
+    const typed = this.field.value.split(',');
+    this.field.value = '';
+    if (typed.every(tag => !tag.trim())) return;
+
+    this.setTags([...this.tags, ...typed], true);
+    this.refreshSuggestions();
+  }
+
+  /**
+   * Replace the tags shown
+   * @param {Array<string>} tags
+   * @param {boolean} notify - Call onChange (user edits only)
+   */
+  setTags(tags, notify = false) {
+    const next = normalizeTags(tags);
+    const changed = next.join('\n') !== this.tags.join('\n');
+    this.tags = next;
+    this.renderChips();
+
+    if (notify && changed) this.onChange([...this.tags]);
+  }
+
+  /**
+   * Current tags, including anything typed but not yet added
+   * @returns {Array<string>}
+   */
+  getTags() {
+    return normalizeTags([...this.tags, ...this.field.value.split(',')]);
+  }
+
+  clear() {
+    this.field.value = '';
+    this.setTags([]);
+  }
+
+  renderChips() {
+    // Tags are free text, so set them as text rather than HTML
+    this.chips.replaceChildren(...this.tags.map(tag => {
+      const chip = document.createElement('span');
+      chip.className = 'tag tag--label tag-input__chip';
+      chip.textContent = tag;
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'tag-input__remove';
+      remove.dataset.removeTag = getTagKey(tag);
+      remove.setAttribute('aria-label', `Remove ${tag}`);
+      remove.textContent = '×';
+      chip.appendChild(remove);
+      return chip;
+    }));
+  }
+
+  /**
+   * Offer every tag used in the journal that this trade doesn't have yet
+   */
+  refreshSuggestions() {
+    let datalist = document.getElementById(SUGGESTIONS_ID);
+    if (!datalist) {
+      datalist = document.createElement('datalist');
+      datalist.id = SUGGESTIONS_ID;
+      document.body.appendChild(datalist);
+    }
+
+    const current = new Set(this.tags.map(getTagKey));
+    datalist.replaceChildren(...collectTags(state.allJournalEntries)
+      .filter(tag => !current.has(tag.key))
+      .map(tag => {
+        const option = document.createElement('option');
+        option.value = tag.label;
+        return option;
+      }));
+  }
+}
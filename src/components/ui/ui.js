@@ -11,8 +11,12 @@ let toastContainer = null;
 
 /**
  * Show a toast notification
+ * @param {string} message - Toast text (HTML)
+ * @param {string} type - 'success' | 'error' | 'warning' | 'info'
+ * @param {Object} [options]
+ * @param {{label: string, onClick: Function}} [options.action] - Button shown before the close button
  */
-export function showToast(message, type = 'success') {
+export function showToast(message, type = 'success', options = {}) {
   if (!toastContainer) {
     toastContainer = document.getElementById('toastContainer');
   }
@@ -22,10 +26,13 @@ export function showToast(message, type = 'success') {
     return;
   }
 
+  const { action = null } = options;
+
   const toast = document.createElement('div');
   toast.className = `toast toast--${type}`;
   toast.innerHTML = `
     <span class="toast__message">${message}</span>
+    ${action ? `<button class="toast__action">${action.label}</button>` : ''}
     <button class="toast__close" aria-label="Dismiss">
       <svg width="10" height="10" viewBox="0 0 10 10" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round">
         <path d="M1 1l8 8M9 1l-8 8"/>
@@ -33,6 +40,13 @@ export function showToast(message, type = 'success') {
     </button>
   `;
 
+  if (action) {
+    toast.querySelector('.toast__action').addEventListener('click', () => {
+      removeToast(toast);
+      action.onClick();
+    });
+  }
+
   // Close button handler
   toast.querySelector('.toast__close').addEventListener('click', () => {
     removeToast(toast);
@@ -40,8 +54,44 @@ export function showToast(message, type = 'success') {
 
   toastContainer.appendChild(toast);
 
-  // Auto-remove after 3 seconds
-  setTimeout(() => removeToast(toast), 3000);
+  // Auto-remove after 3 seconds - longer when there's a button to reach
+  setTimeout(() => removeToast(toast), action ? 6000 : 3000);
+}
+
+/**
+ * Show a toast for the mutation that was just made, with an Undo button
+ * The button only undoes that mutation - if something else was recorded since, it does nothing
+ */
+export function showUndoToast(message, type = 'success') {
+  const command = state.peekUndo();
+  if (!command) {
+    showToast(message, type);
+    return;
+  }
+
+  showToast(message, type, {
+    action: {
+      label: 'Undo',
+      onClick: () => {
+        if (state.undo(command)) {
+          showToast(`Undid: ${command.label}`, 'info');
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Undo/redo the latest journal or cash-flow mutation and report the result
+ */
+export function undoLastChange() {
+  const command = state.undo();
+  showToast(command ? `Undid: ${command.label}` : 'Nothing to undo', 'info');
+}
+
+export function redoLastChange() {
+  const command = state.redo();
+  showToast(command ? `Redid: ${command.label}` : 'Nothing to redo', 'info');
 }
 
 function removeToast(toast) {
@@ -106,6 +156,21 @@ class KeyboardManager {
   }
 
   handleKeydown(e) {
+    // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo
+    // Left alone in text fields, where the browser's own undo applies
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && !this.isEditingText(e.target)) {
+      const key = e.key.toLowerCase();
+      if (key === 'z' || key === 'y') {
+        e.preventDefault();
+        if (key === 'z' && !e.shiftKey) {
+          undoLastChange();
+        } else {
+          redoLastChange();
+        }
+        return;
+      }
+    }
+
     // Escape to close modals/panels
     if (e.key === 'Escape') {
       const settingsPanel = document.getElementById('settingsPanel');
@@ -126,6 +191,10 @@ class KeyboardManager {
       }
     }
   }
+
+  isEditingText(target) {
+    return !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+  }
 }
 
 /**
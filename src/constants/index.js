@@ -17,6 +17,12 @@ export const ASSET_TYPES = {
   OPTIONS: 'options'
 };
 
+// Trade Directions
+export const TRADE_DIRECTIONS = {
+  LONG: 'long',
+  SHORT: 'short'
+};
+
 // Options Constants
 export const OPTIONS_CONTRACT_MULTIPLIER = 100;  // 1 contract = 100 shares
 
@@ -53,5 +59,27 @@ export const RATE_LIMITS = {
   TWELVE_DATA_BATCH_SIZE: 8
 };
 
+// Price data providers, in default priority order (user can reorder/disable in Settings)
+export const DEFAULT_PRICE_PROVIDERS = [
+  { id: 'finnhub', enabled: true },
+  { id: 'twelveData', enabled: true },
+  { id: 'alphaVantage', enabled: true },
+  { id: 'polygon', enabled: true },
+  { id: 'mock', enabled: false }
+];
+
+// Accounts
+export const ACCOUNTS = {
+  ALL: 'all',         // Switcher value that combines every account
+  DEFAULT_ID: 'main'  // Account that pre-account trades and cash flow migrate into
+};
+
+// Screenshot attachments on trade notes
+export const ATTACHMENTS = {
+  KEY_PREFIX: 'attachment_',        // One storage key per image
+  MAX_BYTES: 5 * 1024 * 1024,       // Largest image accepted (5MB)
+  THUMBNAIL_SIZE: 240               // Longest side of the stored thumbnail, in px
+};
+
 // UI Constants
 export const AUTO_REFRESH_INTERVAL_MS = 60000;  // 60 seconds
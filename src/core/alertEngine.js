@@ -0,0 +1,201 @@
+/**
+ * Alert Engine - Checks open trades against their stop and target after each price refresh
+ * Fires an in-app toast, an optional browser notification and an optional sound cue.
+ * Each alert fires at most once per trade per trading day.
+ */
+
+import { state } from './state.js';
+import { priceTracker } from './priceTracker.js';
+import { storage } from '../utils/storage.js';
+import { showToast } from '../components/ui/ui.js';
+import { soundFx } from '../components/ui/soundFx.js';
+import { getOpenTrades } from '../shared/TradeFilters.js';
+import { getProfitPerShare, isStopOnRiskSide, isTargetOnProfitSide } from '../utils/directionUtils.js';
+import { isOptionsAsset } from '../utils/assetTypeUtils.js';
+import * as marketHours from '../utils/marketHours.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('AlertEngine');
+
+const ALERT_LOG_KEY = 'priceAlertLog';
+
+export const ALERT_TYPES = {
+  STOP_HIT: 'stop',
+  TARGET_HIT: 'target',
+  NEAR_STOP: 'nearStop'
+};
+
+export const alertEngine = {
+  _log: null, // { tradingDay, keys: [] } - alerts already fired today
+  _loadPromise: null,
+
+  async _loadLog() {
+    if (!this._loadPromise) {
+      this._loadPromise = storage.getItem(ALERT_LOG_KEY)
+        .then(saved => { this._log = saved || null; })
+        .catch(error => {
+          logger.error('Failed to load alert log:', error);
+          this._log = null;
+        });
+    }
+    return this._loadPromise;
+  },
+
+  /**
+   * Current price of the traded instrument - the option premium for options,
+   * since option stops and targets are set on the premium
+   * (a strategy's net premium). Only quoted premiums count - a theoretical mark shouldn't fire a stop alert
+   */
+  getCurrentPrice(trade) {
+    if (isOptionsAsset(trade)) {
+      const mark = priceTracker.getOptionMark(trade);
+      return mark && !mark.isTheoretical ? mark.price : null;
+    }
+    return priceTracker.getPrice(trade.ticker)?.price ?? null;
+  },
+
+  /**
+   * Work out which alert (if any) a trade's current price triggers
+   * Only the most severe applies: stop hit, then target hit, then near stop
+   * @param {Object} trade - Open journal entry
+   * @param {number} price - Current price
+   * @param {number} nearStopPercent - Warn when price is within this % of the stop (0 disables)
+   * @returns {{type: string, distancePercent?: number}|null}
+   */
+  checkTrade(trade, price, nearStopPercent) {
+    if (!price || !trade.entry) return null;
+
+    const stop = trade.currentStop ?? trade.stop;
+    const hasStop = stop !== null && stop !== undefined && isStopOnRiskSide(trade.entry, stop, trade.direction);
+    const hasTarget = !!trade.target && isTargetOnProfitSide(trade.entry, trade.target, trade.direction);
+
+    // Positive while price is still on the safe side of the stop
+    const roomToStop = hasStop ? getProfitPerShare(stop, price, trade.direction) : null;
+
+    if (hasStop && roomToStop <= 0) {
+      return { type: ALERT_TYPES.STOP_HIT };
+    }
+
+    if (hasTarget && getProfitPerShare(trade.target, price, trade.direction) >= 0) {
+      return { type: ALERT_TYPES.TARGET_HIT };
+    }
+
+    if (hasStop && nearStopPercent > 0) {
+      const distancePercent = (roomToStop / price) * 100;
+      if (distancePercent <= nearStopPercent) {
+        return { type: ALERT_TYPES.NEAR_STOP, distancePercent };
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Evaluate every open trade against the latest cached prices
+   * Called after each price refresh (manual or auto)
+   * @returns {Promise<Array>} Alerts fired on this pass
+   */
+  async evaluate() {
+    const settings = state.settings;
+    if (!settings.alertsEnabled) return [];
+
+    await this._loadLog();
+
+    const tradingDay = marketHours.getTradingDay();
+    if (this._log?.tradingDay !== tradingDay) {
+      this._log = { tradingDay, keys: [] };
+    }
+
+    const fired = [];
+    getOpenTrades(state.allJournalEntries).forEach(trade => {
+      const price = this.getCurrentPrice(trade);
+      const alert = this.checkTrade(trade, price, settings.alertNearStopPercent);
+      if (!alert) return;
+
+      const key = `${trade.id}-${alert.type}`;
+      if (this._log.keys.includes(key)) return;
+
+      this._log.keys.push(key);
+      fired.push({ ...alert, trade, price });
+    });
+
+    if (fired.length === 0) return fired;
+
+    try {
+      await storage.setItem(ALERT_LOG_KEY, this._log);
+    } catch (error) {
+      logger.error('Failed to save alert log:', error);
+    }
+
+    fired.forEach(alert => this.notify(alert));
+    if (settings.alertSound) {
+      soundFx.playAlert(fired.some(alert => alert.type === ALERT_TYPES.STOP_HIT));
+    }
+
+    logger.debug(`Fired ${fired.length} price alert(s)`);
+    return fired;
+  },
+
+  formatAlert({ type, trade, price, distancePercent }) {
+    const stop = trade.currentStop ?? trade.stop;
+    const priceText = `$${price.toFixed(2)}`;
+
+    switch (type) {
+      case ALERT_TYPES.STOP_HIT:
+        return {
+          title: `${trade.ticker} hit its stop`,
+          body: `Price ${priceText} crossed stop $${stop.toFixed(2)}`,
+          toastType: 'error'
+        };
+      case ALERT_TYPES.TARGET_HIT:
+        return {
+          title: `${trade.ticker} reached its target`,
+          body: `Price ${priceText} reached target $${trade.target.toFixed(2)}`,
+          toastType: 'success'
+        };
+      default:
+        return {
+          title: `${trade.ticker} is near its stop`,
+          body: `Price ${priceText} is ${distancePercent.toFixed(1)}% from stop $${stop.toFixed(2)}`,
+          toastType: 'warning'
+        };
+    }
+  },
+
+  notify(alert) {
+    const { title, body, toastType } = this.formatAlert(alert);
+    showToast(`<strong>${title}</strong> - ${body}`, toastType);
+
+    if (!state.settings.alertBrowserNotifications || !this.canNotify()) return;
+
+    try {
+      new Notification(title, {
+        body,
+        tag: `${alert.trade.id}-${alert.type}` // Replaces rather than stacks a repeat notification
+      });
+    } catch (error) {
+      logger.warn('Browser notification failed:', error);
+    }
+  },
+
+  canNotify() {
+    return typeof Notification !== 'undefined' && Notification.permission === 'granted';
+  },
+
+  /**
+   * Ask for browser notification permission
+   * @returns {Promise<boolean>} Whether notifications are allowed
+   */
+  async requestPermission() {
+    if (typeof Notification === 'undefined') return false;
+    if (Notification.permission === 'granted') return true;
+    if (Notification.permission === 'denied') return false;
+
+    try {
+      return (await Notification.requestPermission()) === 'granted';
+    } catch (error) {
+      logger.warn('Notification permission request failed:', error);
+      return false;
+    }
+  }
+};
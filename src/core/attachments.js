@@ -0,0 +1,241 @@
+/**
+ * Attachment Store - Chart screenshots attached to trade notes
+ * Each image is one IndexedDB record holding the original Blob and a small JPEG thumbnail.
+ * Trades only keep metadata ({id, name, type, size, width, height}) in `trade.attachments`,
+ * so the journal itself stays small and the images load on demand.
+ */
+
+import { storage } from '../utils/storage.js';
+import { ATTACHMENTS } from '../constants/index.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Attachments');
+
+const THUMBNAIL_QUALITY = 0.8;
+
+function getKey(id) {
+  return `${ATTACHMENTS.KEY_PREFIX}${id}`;
+}
+
+function createId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Scale an image down to a JPEG thumbnail
+ * @param {Blob} blob - Original image
+ * @returns {Promise<{thumbnail: Blob, width: number, height: number}>} Thumbnail and the original's dimensions
+ */
+async function createThumbnail(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const { width, height } = bitmap;
+  const scale = Math.min(1, ATTACHMENTS.THUMBNAIL_SIZE / Math.max(width, height));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  const ctx = canvas.getContext('2d');
+  // JPEG has no transparency - keep transparent screenshots from turning black
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  const thumbnail = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', THUMBNAIL_QUALITY));
+  return { thumbnail: thumbnail || blob, width, height };
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+async function dataUrlToBlob(dataUrl) {
+  const response = await fetch(dataUrl);
+  return response.blob();
+}
+
+export const attachmentStore = {
+  _thumbnailUrls: new Map(), // id -> object URL, shared by every row showing the thumbnail
+
+  /**
+   * Whether a file can be attached (an image within the size limit)
+   * @param {File|Blob} file
+   * @returns {string|null} Why it can't, or null when it can
+   */
+  validate(file) {
+    if (!file.type?.startsWith('image/')) {
+      return 'Only images can be attached';
+    }
+    if (file.size > ATTACHMENTS.MAX_BYTES) {
+      return `Image is too large (max ${Math.round(ATTACHMENTS.MAX_BYTES / (1024 * 1024))}MB)`;
+    }
+    return null;
+  },
+
+  /**
+   * Store an image and its thumbnail
+   * @param {File|Blob} file - Pasted or dropped image
+   * @returns {Promise<Object>} Metadata to keep on the trade
+   * @throws {Error} When the file isn't an image, is too large or can't be decoded
+   */
+  async save(file) {
+    const problem = this.validate(file);
+    if (problem) throw new Error(problem);
+
+    let thumbnailData;
+    try {
+      thumbnailData = await createThumbnail(file);
+    } catch (error) {
+      logger.warn('Could not decode image:', error);
+      throw new Error('Image could not be read');
+    }
+
+    const meta = {
+      id: createId(),
+      name: file.name || 'Screenshot',
+      type: file.type,
+      size: file.size,
+      width: thumbnailData.width,
+      height: thumbnailData.height
+    };
+
+    await storage.setItem(getKey(meta.id), {
+      ...meta,
+      createdAt: new Date().toISOString(),
+      blob: file,
+      thumbnail: thumbnailData.thumbnail
+    });
+    return meta;
+  },
+
+  /**
+   * Full-size image
+   * @param {string} id
+   * @returns {Promise<Blob|null>} Null when it's missing (e.g. a backup restored without attachments)
+   */
+  async getBlob(id) {
+    const record = await storage.getItem(getKey(id));
+    return record?.blob || null;
+  },
+
+  /**
+   * Object URL of an attachment's thumbnail, created once and reused until the attachment is removed
+   * @param {string} id
+   * @returns {Promise<string|null>}
+   */
+  async getThumbnailUrl(id) {
+    if (this._thumbnailUrls.has(id)) return this._thumbnailUrls.get(id);
+
+    const record = await storage.getItem(getKey(id));
+    const thumbnail = record?.thumbnail || record?.blob;
+    if (!thumbnail) return null;
+
+    const url = URL.createObjectURL(thumbnail);
+    this._thumbnailUrls.set(id, url);
+    return url;
+  },
+
+  _forgetThumbnail(id) {
+    const url = this._thumbnailUrls.get(id);
+    if (url) {
+      URL.revokeObjectURL(url);
+      this._thumbnailUrls.delete(id);
+    }
+  },
+
+  /**
+   * Delete attachments
+   * @param {Array<string>} ids
+   */
+  async remove(ids) {
+    for (const id of ids) {
+      this._forgetThumbnail(id);
+      await storage.removeItem(getKey(id));
+    }
+  },
+
+  /**
+   * IDs of every stored attachment
+   * @returns {Promise<Array<string>>}
+   */
+  async getStoredIds() {
+    const keys = await storage.keys();
+    return keys
+      .filter(key => key.startsWith(ATTACHMENTS.KEY_PREFIX))
+      .map(key => key.slice(ATTACHMENTS.KEY_PREFIX.length));
+  },
+
+  async removeAll() {
+    await this.remove(await this.getStoredIds());
+  },
+
+  /**
+   * Delete attachments no trade refers to any more
+   * (a trade added and then undone, or attachments from before a backup restore)
+   * @param {Array} trades - Every journal and trash entry
+   * @returns {Promise<number>} Number of attachments removed
+   */
+  async removeUnreferenced(trades) {
+    // An empty journal may just have failed to load - never treat that as "nothing is referenced"
+    if (trades.length === 0) return 0;
+
+    const referenced = new Set(trades.flatMap(trade => (trade.attachments || []).map(a => a.id)));
+    const orphans = (await this.getStoredIds()).filter(id => !referenced.has(id));
+    await this.remove(orphans);
+    if (orphans.length > 0) {
+      logger.info(`Removed ${orphans.length} unreferenced attachment(s)`);
+    }
+    return orphans.length;
+  },
+
+  /**
+   * Every stored attachment as data URLs, for the JSON backup
+   * @returns {Promise<Array<Object>>}
+   */
+  async exportBundle() {
+    const bundle = [];
+    for (const id of await this.getStoredIds()) {
+      const record = await storage.getItem(getKey(id));
+      if (!record?.blob) continue;
+
+      const { blob, thumbnail, ...meta } = record;
+      bundle.push({
+        ...meta,
+        data: await blobToDataUrl(blob),
+        thumbnail: thumbnail ? await blobToDataUrl(thumbnail) : null
+      });
+    }
+    return bundle;
+  },
+
+  /**
+   * Replace stored attachments with a backup's bundle
+   * @param {Array<Object>} bundle - From exportBundle
+   * @returns {Promise<number>} Number of attachments restored
+   */
+  async importBundle(bundle) {
+    await this.removeAll();
+
+    let restored = 0;
+    for (const item of bundle) {
+      if (!item?.id || !item.data) continue;
+      try {
+        const { data, thumbnail, ...meta } = item;
+        await storage.setItem(getKey(meta.id), {
+          ...meta,
+          blob: await dataUrlToBlob(data),
+          thumbnail: thumbnail ? await dataUrlToBlob(thumbnail) : null
+        });
+        restored++;
+      } catch (error) {
+        logger.error(`Failed to restore attachment ${item.id}:`, error);
+      }
+    }
+    return restored;
+  }
+};
@@ -5,9 +5,14 @@
 import { state } from './state.js';
 import { showToast } from '../components/ui/ui.js';
 import { priceTracker } from './priceTracker.js';
+import { priceProviders } from './providers/priceProviders.js';
 import { sharedMetrics } from '../shared/SharedMetrics.js';
 import { storage } from '../utils/storage.js';
+import { attachmentStore } from './attachments.js';
 import { createLogger } from '../utils/logger.js';
+import { getTradeFees, getTradeRealizedPnL } from './utils/tradeCalculations.js';
+import { describeLegs, getStrategyLabel, isStrategyTrade } from './utils/optionStrategies.js';
+import { ACCOUNTS, DEFAULT_PRICE_PROVIDERS } from '../constants/index.js';
 
 const logger = createLogger('DataManager');
 
@@ -56,9 +61,14 @@ export const dataManager = {
       version: 4, // Incremented to include cache data with timestamps
       exportDate: new Date().toISOString(),
       settings: state.settings,
-      journal: state.journal.entries,
+      // Every account's data, whichever account the header switcher is scoped to
+      journal: state.allJournalEntries,
+      trash: state.trash.entries,
       journalMeta: state.journalMeta,
-      cashFlow: state.cashFlow,
+      cashFlow: state.state.cashFlow,
+      accounts: state.state.accounts,
+      filterPresets: state.state.filterPresets,
+      dailyNotes: state.dailyNotes,
       account: {
         realizedPnL: state.account.realizedPnL
       },
@@ -78,6 +88,11 @@ export const dataManager = {
       }
     };
 
+    // Optional bundle of screenshot images (as data URLs) - left out when the setting is off
+    if (state.settings.backupIncludesAttachments) {
+      data.attachments = await attachmentStore.exportBundle();
+    }
+
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -140,6 +155,36 @@ export const dataManager = {
           };
           await storage.setItem('riskCalcCashFlow', cashFlowData);
 
+          // Older backups have no trash - start it empty rather than keep this device's
+          await storage.setItem('riskCalcTrash', data.trash || []);
+
+          // Older backups have no accounts - loading seeds one and assigns everything to it
+          if (data.accounts?.list?.length > 0) {
+            await storage.setItem('riskCalcAccounts', data.accounts);
+          } else {
+            await storage.removeItem('riskCalcAccounts');
+          }
+
+          // Older backups have no filter presets - keep none rather than this device's
+          if (data.filterPresets) {
+            await storage.setItem('riskCalcFilterPresets', data.filterPresets);
+          } else {
+            await storage.removeItem('riskCalcFilterPresets');
+          }
+
+          // Older backups have no daily notes - keep none rather than this device's
+          if (data.dailyNotes) {
+            await storage.setItem('riskCalcDailyNotes', data.dailyNotes);
+          } else {
+            await storage.removeItem('riskCalcDailyNotes');
+          }
+
+          // A backup without an attachment bundle keeps this device's images - any the
+          // imported trades don't refer to are cleaned up on load
+          if (Array.isArray(data.attachments)) {
+            await attachmentStore.importBundle(data.attachments);
+          }
+
           // Restore API keys - always set them even if empty to overwrite existing
           if (data.apiKeys) {
             await storage.setItem('finnhubApiKey', data.apiKeys.finnhub || '');
@@ -204,11 +249,17 @@ export const dataManager = {
     await storage.removeItem('riskCalcJournal');
     await storage.removeItem('riskCalcJournalMeta');
     await storage.removeItem('riskCalcCashFlow');
+    await storage.removeItem('riskCalcTrash');
+    await storage.removeItem('riskCalcAccounts');
+    await storage.removeItem('riskCalcFilterPresets');
+    await storage.removeItem('riskCalcDailyNotes');
     await storage.removeItem('historicalPriceCache');
     await storage.removeItem('eodCache');
     await storage.removeItem('companyDataCache');
     await storage.removeItem('chartDataCache');
     await storage.removeItem('riskCalcPriceCache');
+    await storage.removeItem('priceAlertLog');
+    await attachmentStore.removeAll();
 
     // Clear API keys from IndexedDB
     await storage.removeItem('finnhubApiKey');
@@ -229,8 +280,8 @@ export const dataManager = {
     localStorage.removeItem('twelveDataApiKey');
     localStorage.removeItem('alphaVantageApiKey');
 
-    // Clear API keys from service objects
-    await priceTracker.setApiKey('');
+    // Reload API keys into the price providers from the now-cleared storage
+    await priceProviders.init();
 
     // Clear price tracker cache
     priceTracker.cache.clear();
@@ -242,7 +293,17 @@ export const dataManager = {
       defaultRiskPercent: 1,
       defaultMaxPositionPercent: 100,
       dynamicAccountEnabled: true,
-      theme: savedTheme
+      theme: savedTheme,
+      commissionPerShare: 0,
+      commissionPerContract: 0,
+      commissionPerTrade: 0,
+      alertsEnabled: true,
+      alertNearStopPercent: 2,
+      alertBrowserNotifications: false,
+      alertSound: false,
+      backupIncludesAttachments: true,
+      trashRetentionDays: 30,
+      priceProviders: DEFAULT_PRICE_PROVIDERS.map(provider => ({ ...provider }))
     };
     state.state.account = {
       currentSize: 10000,
@@ -256,6 +317,14 @@ export const dataManager = {
       totalWithdrawals: 0
     };
     state.state.journal.entries = [];
+    state.state.trash.entries = [];
+    // Reseeded with a single account from the reset starting balance on loadAndApply
+    state.state.accounts = { list: [], activeId: ACCOUNTS.ALL };
+    state.state.filterPresets = {
+      list: [],
+      defaults: { journal: null, positions: null, stats: null }
+    };
+    state.state.dailyNotes.entries = {};
 
     // Reset journal meta
     state.state.journalMeta = {
@@ -271,6 +340,11 @@ export const dataManager = {
       state._invalidateAccountCache();
     }
 
+    // Undo history points at the cleared entries
+    state.clearHistory();
+    state.emit('trashChanged', state.trash.entries);
+    state.emit('dailyNotesChanged', state.dailyNotes);
+
     // Save the reset state immediately (bypasses debouncing)
     await state.saveAllImmediate();
 
@@ -306,6 +380,9 @@ export const dataManager = {
     state.emit('accountSizeChanged', state.account.currentSize);
     state.emit('journalChanged', state.journal.entries);
     state.emit('cashFlowChanged', state.cashFlow);
+    state.emit('accountsChanged', state.accounts);
+    state.emit('activeAccountChanged', state.activeAccountId);
+    state.emit('filterPresetsChanged', state.state.filterPresets);
 
     const clearDataModal = this.getModule('clearDataModal');
     if (clearDataModal) clearDataModal.close();
@@ -320,11 +397,12 @@ export const dataManager = {
       return;
     }
 
-    const headers = ['Date', 'Ticker', 'Asset Type', 'Entry', 'Stop', 'Target', 'Shares/Contracts', 'Position Size', 'Risk $', 'Risk %', 'Strike', 'Expiration', 'Option Type', 'Premium', 'Status', 'Exit Price', 'P&L', 'Notes'];
+    const headers = ['Date', 'Ticker', 'Asset Type', 'Direction', 'Entry', 'Stop', 'Target', 'Shares/Contracts', 'Position Size', 'Risk $', 'Risk %', 'Strike', 'Expiration', 'Option Type', 'Premium', 'Status', 'Exit Price', 'P&L', 'Fees', 'Net P&L', 'Tags', 'Notes'];
     const rows = trades.map(t => [
       new Date(t.timestamp).toLocaleDateString(),
       t.ticker,
       t.assetType || 'stock',
+      t.direction || 'long',
       t.entry,
       t.stop,
       t.target || '',
@@ -332,13 +410,17 @@ export const dataManager = {
       t.positionSize?.toFixed(2) || '',
       t.riskDollars?.toFixed(2) || '',
       t.riskPercent,
-      t.strike || '',
+      // Strategies list their legs under Strike (quoted - legs are slash-separated, not comma)
+      isStrategyTrade(t) ? `"${describeLegs(t)}"` : t.strike || '',
       t.expirationDate || '',
-      t.optionType || '',
+      isStrategyTrade(t) ? getStrategyLabel(t) : t.optionType || '',
       t.premium || '',
       t.status,
       t.exitPrice || '',
       t.pnl?.toFixed(2) || '',
+      getTradeFees(t).toFixed(2),
+      t.pnl !== null && t.pnl !== undefined ? getTradeRealizedPnL(t).toFixed(2) : '',
+      `"${(t.tags || []).join(', ').replace(/"/g, '""')}"`,
       `"${(t.notes || '').replace(/"/g, '""')}"`
     ]);
 
@@ -0,0 +1,135 @@
+/**
+ * Excursion Tracker - Measures MAE/MFE for journal entries from daily candles
+ * Results are stored on each entry as `excursion`; open trades are re-measured once per day
+ */
+
+import { state } from './state.js';
+import { priceTracker } from './priceTracker.js';
+import { calculateExcursions } from './utils/tradeCalculations.js';
+import { isOptionsAsset } from '../utils/assetTypeUtils.js';
+import { getTradeEntryDateString } from '../utils/tradeUtils.js';
+import * as marketHours from '../utils/marketHours.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('ExcursionTracker');
+
+// Trades measured per background pass, to stay inside free-tier candle rate limits
+const MAX_TRADES_PER_PASS = 5;
+
+export const excursionTracker = {
+  _updateInProgress: false,
+  _unavailableIds: new Set(), // Trades with no candle data this session, so they don't block the queue
+
+  /**
+   * Whether MAE/MFE can be measured for a trade
+   * Option premiums aren't in the underlying's candles, so only stock trades qualify
+   */
+  canMeasure(trade) {
+    return !isOptionsAsset(trade) && !!trade.ticker && !!trade.entry && !!getTradeEntryDateString(trade);
+  },
+
+  /**
+   * Fields the measurement depends on - editing any of them invalidates a stored excursion
+   */
+  getSignature(trade) {
+    return [
+      trade.ticker,
+      trade.entry,
+      trade.originalStop ?? trade.stop,
+      trade.originalShares ?? trade.shares,
+      trade.direction,
+      getTradeEntryDateString(trade),
+      trade.status,
+      trade.exitDate
+    ].join('|');
+  },
+
+  needsUpdate(trade) {
+    if (!this.canMeasure(trade)) return false;
+
+    const excursion = trade.excursion;
+    if (!excursion || excursion.signature !== this.getSignature(trade)) return true;
+    if (excursion.complete) return false;
+
+    // Still open - a new daily candle may exist since the last measurement
+    return excursion.measuredOn !== marketHours.formatDate(new Date());
+  },
+
+  /**
+   * Measure a trade from candles the caller already has (e.g. the journal chart's)
+   * Saves silently so an expanded journal row isn't re-rendered
+   * @param {Object} trade - Journal entry
+   * @param {Array<{date, high, low}>} candles - Daily candles covering the trade
+   * @returns {Object|null} Stored excursion, or null if the candles don't cover the trade
+   */
+  applyCandles(trade, candles) {
+    if (!this.canMeasure(trade)) return null;
+
+    const result = calculateExcursions(trade, candles);
+    if (!result) return null;
+
+    trade.excursion = {
+      ...result,
+      signature: this.getSignature(trade),
+      measuredOn: marketHours.formatDate(new Date())
+    };
+    state.saveJournal();
+    state.emit('excursionsUpdated', [trade.id]);
+
+    return trade.excursion;
+  },
+
+  /**
+   * Fetch candles for a trade and measure it
+   * @param {Object} trade - Journal entry
+   * @returns {Promise<Object|null>} Stored excursion, or null if unavailable
+   */
+  async updateTrade(trade) {
+    if (!this.canMeasure(trade) || !priceTracker.hasCandleProvider()) return null;
+
+    const startDate = getTradeEntryDateString(trade);
+    const endDate = trade.status === 'closed' && trade.exitDate
+      ? trade.exitDate.split('T')[0]
+      : marketHours.formatDate(new Date());
+
+    const candles = await priceTracker.fetchHistoricalCandles(trade.ticker, startDate, endDate);
+    return this.applyCandles(trade, candles);
+  },
+
+  /**
+   * Measure trades that have no excursion yet or whose excursion is stale
+   * Works through at most MAX_TRADES_PER_PASS trades, most recent first; later passes pick up the rest
+   * @returns {Promise<number>} Number of trades updated
+   */
+  async updatePending() {
+    if (this._updateInProgress || !priceTracker.hasCandleProvider()) return 0;
+
+    const pending = state.allJournalEntries
+      .filter(trade => !this._unavailableIds.has(trade.id) && this.needsUpdate(trade))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, MAX_TRADES_PER_PASS);
+    if (pending.length === 0) return 0;
+
+    this._updateInProgress = true;
+    let updated = 0;
+    try {
+      for (const trade of pending) {
+        try {
+          if (await this.updateTrade(trade)) {
+            updated++;
+          } else {
+            this._unavailableIds.add(trade.id);
+          }
+        } catch (error) {
+          this._unavailableIds.add(trade.id);
+          logger.warn(`Could not measure MAE/MFE for ${trade.ticker}:`, error.message);
+        }
+      }
+    } finally {
+      this._updateInProgress = false;
+    }
+
+    logger.debug(`Measured MAE/MFE for ${updated} of ${pending.length} trades`);
+    return updated;
+  }
+};
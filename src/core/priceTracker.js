@@ -1,5 +1,5 @@
 /**
- * Price Tracker - Fetches real-time stock prices from Finnhub API
+ * Price Tracker - Fetches and caches stock/options prices via the configured price providers
  * UPDATED: Uses trading day logic for cache expiry (9:30am EST boundary)
  */
 
@@ -11,8 +11,11 @@ import { compressText, decompressText } from '../utils/compression.js';
 import { validateAndMigrate, addSchemaVersion } from '../utils/migrations.js';
 import { STORAGE_LIMITS, CACHE_KEYS, OPTIONS_CONTRACT_MULTIPLIER, TIME_CONSTANTS } from '../constants/index.js';
 import { createLogger } from '../utils/logger.js';
+import { priceProviders } from './providers/priceProviders.js';
 import { getOpenTrades } from '../shared/TradeFilters.js';
 import accountBalanceCalculator from '../shared/AccountBalanceCalculator.js';
+import { calculateOptionGreeks, getYearsToExpiration, solveImpliedVolatility } from './utils/blackScholes.js';
+import { getStrategyContracts, getStrategyMark, isOptionLeg, isStrategyTrade, STOCK_LEG } from './utils/optionStrategies.js';
 
 const logger = createLogger('PriceTracker');
 const CACHE_KEY = CACHE_KEYS.PRICE_CACHE;
@@ -21,8 +24,6 @@ const SUMMARY_CACHE_KEY = CACHE_KEYS.SUMMARY_CACHE;
 const MAX_SUMMARY_CACHE = STORAGE_LIMITS.SUMMARY_CACHE_MAX_ITEMS;
 
 export const priceTracker = {
-  apiKey: null,
-  optionsApiKey: null,
   cache: new Map(),
   optionsCache: new Map(),
   decompressedSummariesCache: new Map(), // In-memory cache for decompressed summaries
@@ -32,9 +33,8 @@ export const priceTracker = {
   _optionsRotationIndex: 0, // Track which options positions to fetch next
 
   async init() {
-    // Load API key from IndexedDB
-    this.apiKey = (await storage.getItem('finnhubApiKey')) || '';
-    this.optionsApiKey = (await storage.getItem('optionsPriceApiKey')) || '';
+    // Load provider API keys from IndexedDB
+    await priceProviders.init();
 
     // Load price cache from IndexedDB
     await this.loadCache();
@@ -106,63 +106,36 @@ export const priceTracker = {
     }
   },
 
-  async fetchPrice(ticker) {
-    if (!this.apiKey) {
-      throw new Error('Finnhub API key not configured');
-    }
-
-    try {
-      const response = await fetch(
-        `https://finnhub.io/api/v1/quote?symbol=${ticker.toUpperCase()}&token=${this.apiKey}`
-      );
-
-      if (!response.ok) {
-        throw new Error(`API request failed: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      if (data.error) {
-        throw new Error(data.error);
-      }
+  /**
+   * Whether any enabled provider can supply stock quotes
+   */
+  hasQuoteProvider() {
+    return priceProviders.hasProvider('quote');
+  },
 
-      // Check if ticker is invalid (Finnhub returns 0 for all values when ticker doesn't exist)
-      if (data.c === 0 && data.pc === 0) {
-        throw new Error(`Invalid ticker symbol: ${ticker.toUpperCase()}`);
-      }
+  /**
+   * Whether any enabled provider can supply daily candles
+   */
+  hasCandleProvider() {
+    return priceProviders.hasProvider('candles');
+  },
 
-      // Finnhub returns: c (current), h (high), l (low), o (open), pc (previous close)
-      // Use previous close when market is closed to avoid after-hours prices
-      const isMarketOpen = marketHours.isMarketOpen();
-      const priceToUse = isMarketOpen ? data.c : data.pc;
+  /**
+   * Whether any enabled provider can supply options prices
+   */
+  hasOptionsProvider() {
+    return priceProviders.hasProvider('optionQuote');
+  },
 
-      return {
-        ticker: ticker.toUpperCase(),
-        price: priceToUse,
-        change: data.d,
-        changePercent: data.dp,
-        timestamp: Date.now()
-      };
+  async fetchPrice(ticker) {
+    try {
+      return await priceProviders.fetchQuote(ticker);
     } catch (error) {
       logger.error(`Failed to fetch price for ${ticker}:`, error);
       throw error;
     }
   },
 
-  /**
-   * Fetch company profile from Finnhub API
-   * Returns: { name, industry, country }
-   */
-  // Helper to convert text to title case
-  toTitleCase(str) {
-    if (!str) return '';
-    return str
-      .toLowerCase()
-      .split(' ')
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-      .join(' ');
-  },
-
   // Get cached company data
   async getCachedCompanyData(ticker) {
     try {
@@ -205,46 +178,35 @@ export const priceTracker = {
     }
   },
 
+  /**
+   * Fetch company profile (name, industry, country) from the first provider that has one
+   */
   async fetchCompanyProfile(ticker) {
-    if (!this.apiKey) {
-      return null; // Silently return null if no API key
+    if (!priceProviders.hasProvider('profile')) {
+      return null; // Silently return null if no provider configured
     }
 
-    // Check cache first - but only use it if it has industry data (full Finnhub profile)
-    // Cached data might only have summary (from Alpha Vantage) without industry
+    // Check cache first - but only use it if it has industry data (full profile)
+    // Cached data might only have summary without industry
     const cached = await this.getCachedCompanyData(ticker);
     if (cached && cached.industry) {
       return cached;
     }
 
     try {
-      const response = await fetch(
-        `https://finnhub.io/api/v1/stock/profile2?symbol=${ticker.toUpperCase()}&token=${this.apiKey}`
-      );
-
-      if (!response.ok) {
+      const data = await priceProviders.fetchProfile(ticker, result => !!result?.industry);
+      if (!data) {
         return null;
       }
 
-      const data = await response.json();
-
-      // Finnhub returns empty object if ticker not found
-      if (!data || Object.keys(data).length === 0 || !data.name) {
-        return null;
-      }
-
-      // Finnhub returns: name, finnhubIndustry, country, weburl, logo, etc.
-      // Check if there's a description field (not documented but might exist)
-      // Normalize industry to title case
       const profile = {
-        ticker: ticker.toUpperCase(),
-        name: data.name || '',
-        industry: this.toTitleCase(data.finnhubIndustry || ''),
-        country: data.country || '',
-        weburl: data.weburl || '',
-        logo: data.logo || '',
-        // Check for any description-like fields
-        description: data.description || data.longBusinessSummary || ''
+        ticker: data.ticker,
+        name: data.name,
+        industry: data.industry,
+        country: data.country,
+        weburl: data.weburl,
+        logo: data.logo,
+        description: data.summary
       };
 
       // Cache the data
@@ -347,7 +309,7 @@ export const priceTracker = {
   },
 
   /**
-   * Fetch company summary/description from Alpha Vantage
+   * Fetch company summary/description from the first provider that has one
    * Returns: { summary: string, name: string, sector: string, industry: string }
    */
   async fetchCompanySummary(ticker) {
@@ -357,13 +319,22 @@ export const priceTracker = {
       return cached;
     }
 
-    const alphaVantageKey = await storage.getItem('alphaVantageApiKey');
+    if (!priceProviders.hasProvider('profile')) {
+      throw new Error('No company info provider configured. Add an Alpha Vantage API key in Settings to fetch company summaries.');
+    }
 
-    if (!alphaVantageKey) {
-      throw new Error('Alpha Vantage API key not configured. Add it in Settings to fetch company summaries.');
+    const profile = await priceProviders.fetchProfile(ticker, result => !!result?.summary);
+    if (!profile) {
+      throw new Error('No company summary available for this ticker');
     }
 
-    const summary = await this.fetchCompanySummaryFromAlphaVantage(ticker, alphaVantageKey);
+    const summary = {
+      ticker: profile.ticker,
+      name: profile.name,
+      sector: profile.sector,
+      industry: profile.industry,
+      summary: profile.summary
+    };
 
     // Cache the result
     await this.saveSummaryToCache(ticker, summary);
@@ -371,63 +342,12 @@ export const priceTracker = {
     return summary;
   },
 
-  async fetchCompanySummaryFromAlphaVantage(ticker, apiKey) {
-    const url = `https://www.alphavantage.co/query?function=OVERVIEW&symbol=${ticker.toUpperCase()}&apikey=${apiKey}`;
-
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch company overview from Alpha Vantage (${response.status})`);
-    }
-
-    const data = await response.json();
-
-    // Check for API errors
-    if (data.Note) {
-      throw new Error('Alpha Vantage API rate limit reached. Free tier: 25 calls/day, 5 calls/minute.');
-    }
-
-    if (data['Error Message']) {
-      throw new Error('Invalid ticker or no data available from Alpha Vantage');
-    }
-
-    if (!data.Name) {
-      throw new Error('No company overview data available from Alpha Vantage');
-    }
-
-    // Alpha Vantage returns: Name, Description, Sector, Industry, etc.
-    return {
-      ticker: ticker.toUpperCase(),
-      name: data.Name || '',
-      sector: data.Sector || '',
-      industry: data.Industry || '',
-      summary: data.Description || ''
-    };
-  },
-
   async fetchPrices(tickers) {
-    if (!this.apiKey) {
-      throw new Error('Finnhub API key not configured. Add it in Settings.');
-    }
+    const results = await priceProviders.fetchQuotes(tickers);
 
-    const results = {
-      success: [],
-      failed: []
-    };
-
-    // Fetch prices sequentially to respect rate limits (60/min is generous)
-    for (const ticker of tickers) {
-      try {
-        const priceData = await this.fetchPrice(ticker);
-        this.cache.set(ticker.toUpperCase(), priceData);
-        results.success.push(priceData);
-
-        // Small delay to be respectful of API (not strictly necessary with 60/min limit)
-        await sleep(100);
-      } catch (error) {
-        results.failed.push({ ticker, error: error.message });
-      }
-    }
+    results.success.forEach(priceData => {
+      this.cache.set(priceData.ticker.toUpperCase(), priceData);
+    });
 
     // Save cache after fetching all prices
     this.lastFetchDate = new Date();
@@ -444,7 +364,7 @@ export const priceTracker = {
       return { success: [], failed: [] };
     }
 
-    const trades = state.journal.entries;
+    const trades = state.allJournalEntries;
     const activeTrades = getOpenTrades(trades);
     const tickers = [...new Set(activeTrades.map(t => t.ticker).filter(Boolean))];
 
@@ -503,8 +423,7 @@ export const priceTracker = {
   },
 
   async setApiKey(key) {
-    this.apiKey = key;
-    await storage.setItem('finnhubApiKey', key);
+    await priceProviders.setApiKey('finnhub', key);
   },
 
   getLastFetchTime() {
@@ -512,192 +431,107 @@ export const priceTracker = {
   },
 
   /**
-   * Fetch historical daily candle data for a stock using Twelve Data API
-   * Fetches 1 year before entry + 3 months after (or today, whichever is sooner)
+   * Fetch historical daily candles from the first candles provider with data
    * @param {string} ticker - Stock ticker symbol
-   * @param {Date} entryDate - Entry date
-   * @param {number} daysBack - Days before entry (default 365)
-   * @param {number} daysForward - Days after entry (default 90)
-   * @returns {Promise<Array>} Array of candle data {time, open, high, low, close}
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Candles {date, open, high, low, close, volume}, oldest first
    */
-  async fetchHistoricalCandles(ticker, entryDate, daysBack = 365, daysForward = 90) {
-    const twelveDataKey = await storage.getItem('twelveDataApiKey');
-    if (!twelveDataKey) {
-      throw new Error('Twelve Data API key not configured. Add it in Settings to view charts.');
-    }
-
-    return await this.fetchHistoricalCandlesFromTwelveData(ticker, entryDate, daysBack, twelveDataKey);
-  },
-
-  async fetchHistoricalCandlesFromTwelveData(ticker, entryDate, daysBack, apiKey) {
-    const entryDateObj = new Date(entryDate);
-    const fromDate = new Date(entryDateObj);
-    fromDate.setDate(fromDate.getDate() - daysBack);
-
-    // Twelve Data uses outputsize parameter (max 5000 for free tier)
-    // We'll request enough days to cover our range
-    const outputsize = Math.min(daysBack + 90, 5000);
-
-    const url = `https://api.twelvedata.com/time_series?symbol=${ticker.toUpperCase()}&interval=1day&outputsize=${outputsize}&apikey=${apiKey}&format=JSON`;
-
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch data (${response.status})`);
+  async fetchHistoricalCandles(ticker, startDate, endDate) {
+    const candles = await priceProviders.fetchCandles(ticker, startDate, endDate);
+    if (!candles) {
+      throw new Error('No chart data available for this ticker');
     }
-
-    const data = await response.json();
-
-    // Check for errors
-    if (data.status === 'error') {
-      throw new Error(data.message || 'Twelve Data API error');
-    }
-
-    if (!data.values || data.values.length === 0) {
-      throw new Error('No data available for this ticker from Twelve Data');
-    }
-
-    // Convert Twelve Data format to our candle format
-    // Twelve Data returns: {datetime, open, high, low, close, volume}
-    const candles = data.values
-      .map(item => {
-        const date = new Date(item.datetime);
-        return {
-          time: Math.floor(date.getTime() / 1000),
-          open: parseFloat(item.open),
-          high: parseFloat(item.high),
-          low: parseFloat(item.low),
-          close: parseFloat(item.close),
-          volume: parseFloat(item.volume || 0)
-        };
-      })
-      .sort((a, b) => a.time - b.time); // Sort oldest to newest
-
     return candles;
   },
 
   /**
-   * Format option contract for Polygon.io API
-   * Format: O:TICKER{YYMMDD}{C/P}{STRIKE*1000}
-   * Example: O:AAPL250117C00150000 (AAPL $150 Call expiring Jan 17, 2025)
-   */
-  formatOptionSymbol(ticker, expirationDate, optionType, strike) {
-    // Parse expiration date (YYYY-MM-DD format)
-    const date = new Date(expirationDate + 'T00:00:00');
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
-
-    // Format: YYMMDD
-    const dateStr = `${year}${month}${day}`;
-
-    // Option type: C or P
-    const typeStr = optionType === 'call' ? 'C' : 'P';
-
-    // Strike price: multiply by 1000 and pad to 8 digits
-    const strikeStr = Math.round(strike * 1000).toString().padStart(8, '0');
-
-    return `O:${ticker.toUpperCase()}${dateStr}${typeStr}${strikeStr}`;
-  },
-
-  /**
-   * Fetch current price for an options contract from Polygon.io
-   * Uses previous day's close (free tier) or snapshot (paid tier)
+   * Fetch current price for an options contract
+   * Polygon's free tier gives the previous day's close
    */
   async fetchOptionPrice(ticker, expirationDate, optionType, strike) {
-    if (!this.optionsApiKey) {
+    if (!this.hasOptionsProvider()) {
       return null;
     }
 
-    const symbol = this.formatOptionSymbol(ticker, expirationDate, optionType, strike);
-
     try {
-      // Try previous day's aggregate first (available on free tier)
-      const response = await fetch(
-        `https://api.polygon.io/v2/aggs/ticker/${symbol}/prev?adjusted=true&apiKey=${this.optionsApiKey}`
-      );
-
-      if (!response.ok) {
-        logger.error(`Polygon API error for ${symbol}: ${response.status}`);
-        return null;
-      }
-
-      const data = await response.json();
-
-      if (data.status === 'OK' && data.results && data.results.length > 0) {
-        const result = data.results[0];
-        return {
-          price: result.c, // Close price from previous day
-          timestamp: result.t
-        };
-      }
-
-      return null;
+      return await priceProviders.fetchOptionQuote({ ticker, expirationDate, optionType, strike });
     } catch (error) {
-      logger.error(`Error fetching option price for ${symbol}:`, error);
+      logger.error(`Error fetching option price for ${ticker} ${strike} ${optionType}:`, error);
       return null;
     }
   },
 
   /**
    * Refresh options prices with rotation strategy
-   * Fetches up to 5 options per call to respect Polygon's 5 calls/min limit
+   * Fetches up to 5 contracts per call to respect Polygon's 5 calls/min limit -
+   * strategy trades contribute each option leg, and contracts shared by trades are fetched once
    */
   async refreshOptionsPrices(optionsTrades) {
-    if (!this.optionsApiKey || !optionsTrades || optionsTrades.length === 0) {
+    if (!this.hasOptionsProvider() || !optionsTrades || optionsTrades.length === 0) {
       return { success: [], failed: [] };
     }
 
+    const contracts = new Map();
+    optionsTrades
+      .flatMap(trade => isStrategyTrade(trade) ? getStrategyContracts(trade) : [trade])
+      .forEach(contract => {
+        contracts.set(`${contract.ticker}-${contract.expirationDate}-${contract.optionType}-${contract.strike}`, contract);
+      });
+    const optionsContracts = [...contracts.values()];
+
     const results = {
       success: [],
       failed: []
     };
 
-    // Determine which 5 positions to fetch this rotation
-    const totalPositions = optionsTrades.length;
-    const batchSize = Math.min(5, totalPositions);
+    // Determine which 5 contracts to fetch this rotation
+    const totalContracts = optionsContracts.length;
+    const batchSize = Math.min(5, totalContracts);
 
     // Calculate start index for this batch using rotation
-    const startIndex = this._optionsRotationIndex % totalPositions;
-    const tradesToFetch = [];
+    const startIndex = this._optionsRotationIndex % totalContracts;
+    const contractsToFetch = [];
 
-    // Get up to 5 trades, wrapping around if needed
+    // Get up to 5 contracts, wrapping around if needed
     for (let i = 0; i < batchSize; i++) {
-      const index = (startIndex + i) % totalPositions;
-      tradesToFetch.push(optionsTrades[index]);
+      const index = (startIndex + i) % totalContracts;
+      contractsToFetch.push(optionsContracts[index]);
     }
 
     // Update rotation index for next call
-    this._optionsRotationIndex = (startIndex + batchSize) % totalPositions;
+    this._optionsRotationIndex = (startIndex + batchSize) % totalContracts;
 
-    // Fetch prices for selected trades
-    for (const trade of tradesToFetch) {
+    // Fetch prices for selected contracts
+    for (const contract of contractsToFetch) {
       try {
         const priceData = await this.fetchOptionPrice(
-          trade.ticker,
-          trade.expirationDate,
-          trade.optionType,
-          trade.strike
+          contract.ticker,
+          contract.expirationDate,
+          contract.optionType,
+          contract.strike
         );
 
         if (priceData) {
           // Cache the price
-          const cacheKey = `${trade.ticker}-${trade.expirationDate}-${trade.optionType}-${trade.strike}`;
+          const cacheKey = `${contract.ticker}-${contract.expirationDate}-${contract.optionType}-${contract.strike}`;
           this.optionsCache.set(cacheKey, {
             price: priceData.price,
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            // Underlying alongside the premium, so implied volatility can be solved from the pair later
+            underlyingPrice: this.getPrice(contract.ticker)?.price ?? null
           });
 
-          results.success.push(trade.ticker);
+          results.success.push(contract.ticker);
         } else {
-          results.failed.push(trade.ticker);
+          results.failed.push(contract.ticker);
         }
 
         // Small delay between requests to be respectful
         await sleep(200);
       } catch (error) {
-        logger.error(`Error fetching price for ${trade.ticker} option:`, error);
-        results.failed.push(trade.ticker);
+        logger.error(`Error fetching price for ${contract.ticker} option:`, error);
+        results.failed.push(contract.ticker);
       }
     }
 
@@ -723,22 +557,156 @@ export const priceTracker = {
     return null;
   },
 
+  /**
+   * Volatility for theoretical pricing: the trade's entered implied volatility,
+   * else the one solved from the last cached quote and the underlying price at the time
+   * @param {Object} trade - Options trade
+   * @returns {Object|null} { volatility (decimal), source: 'entered' | 'implied' }
+   */
+  getOptionVolatility(trade) {
+    if (isStrategyTrade(trade)) return null;
+
+    if (trade.impliedVolatility > 0) {
+      return { volatility: trade.impliedVolatility / 100, source: 'entered' };
+    }
+
+    const cacheKey = `${trade.ticker}-${trade.expirationDate}-${trade.optionType}-${trade.strike}`;
+    const cached = this.optionsCache.get(cacheKey);
+    const spot = cached?.underlyingPrice ?? this.getPrice(trade.ticker)?.price;
+    if (!cached || !spot) return null;
+
+    const volatility = solveImpliedVolatility(cached.price, {
+      spot,
+      strike: trade.strike,
+      years: getYearsToExpiration(trade.expirationDate, new Date(cached.timestamp)),
+      optionType: trade.optionType
+    });
+
+    return volatility ? { volatility, source: 'implied' } : null;
+  },
+
+  /**
+   * Black-Scholes value and Greeks (per share) from the current stock quote
+   * @param {Object} trade - Options trade
+   * @returns {Object|null} { value, delta, gamma, theta, vega, volatility, volatilitySource, underlyingPrice },
+   *   or null without an underlying quote or a volatility
+   */
+  getTheoreticalOption(trade) {
+    if (isStrategyTrade(trade)) {
+      return this.getTheoreticalStrategy(trade);
+    }
+
+    const spot = this.getPrice(trade.ticker)?.price;
+    const volatility = spot ? this.getOptionVolatility(trade) : null;
+    if (!volatility) return null;
+
+    const greeks = calculateOptionGreeks({
+      spot,
+      strike: trade.strike,
+      years: getYearsToExpiration(trade.expirationDate),
+      volatility: volatility.volatility,
+      optionType: trade.optionType
+    });
+    if (!greeks) return null;
+
+    return {
+      ...greeks,
+      volatility: volatility.volatility,
+      volatilitySource: volatility.source,
+      underlyingPrice: spot
+    };
+  },
+
+  /**
+   * Net value and Greeks of a strategy per unit, summed over its legs
+   * Greeks are the position's (a short leg counts against them); the value is in the trade's
+   * own terms like its mark. volatility is null - each option leg uses its own.
+   * @param {Object} trade - Strategy trade
+   * @returns {Object|null} Same shape as getTheoreticalOption, or null if any leg can't be priced
+   */
+  getTheoreticalStrategy(trade) {
+    const spot = this.getPrice(trade.ticker)?.price;
+    if (!spot) return null;
+
+    const totals = { value: 0, delta: 0, gamma: 0, theta: 0, vega: 0 };
+    for (const leg of trade.legs) {
+      const greeks = isOptionLeg(leg)
+        ? this.getTheoreticalOption({ ticker: trade.ticker, strike: leg.strike, expirationDate: leg.expirationDate, optionType: leg.kind })
+        : { value: spot, delta: 1, gamma: 0, theta: 0, vega: 0 };
+      if (!greeks) return null;
+
+      const weight = (leg.side === 'short' ? -1 : 1) * (leg.ratio || 1);
+      Object.keys(totals).forEach(key => {
+        totals[key] += weight * greeks[key];
+      });
+    }
+
+    return {
+      ...totals,
+      value: trade.direction === 'short' ? -totals.value : totals.value,
+      volatility: null,
+      volatilitySource: null,
+      underlyingPrice: spot
+    };
+  },
+
+  /**
+   * Mark for a strategy: its legs' marks netted, theoretical if any leg is
+   * @param {Object} trade - Strategy trade
+   * @returns {Object|null} { price, isTheoretical }
+   */
+  getStrategyMark(trade) {
+    let isTheoretical = false;
+    const price = getStrategyMark(trade, leg => {
+      if (leg.kind === STOCK_LEG) {
+        return this.getPrice(trade.ticker)?.price ?? null;
+      }
+      const mark = this.getOptionMark({ ticker: trade.ticker, strike: leg.strike, expirationDate: leg.expirationDate, optionType: leg.kind });
+      if (mark?.isTheoretical) isTheoretical = true;
+      return mark?.price ?? null;
+    });
+
+    if (price === null) return null;
+    return { price: Math.max(0.01, Math.round(price * 100) / 100), isTheoretical };
+  },
+
+  /**
+   * Mark for an options trade: the cached quote, falling back to the theoretical value
+   * @param {Object} trade - Options trade (or strategy)
+   * @returns {Object|null} { price, isTheoretical }
+   */
+  getOptionMark(trade) {
+    if (isStrategyTrade(trade)) {
+      return this.getStrategyMark(trade);
+    }
+
+    const quoted = this.getOptionPrice(trade.ticker, trade.expirationDate, trade.optionType, trade.strike);
+    if (quoted) {
+      return { price: quoted, isTheoretical: false };
+    }
+
+    const theoretical = this.getTheoreticalOption(trade);
+    if (!theoretical) return null;
+
+    // Premiums trade in cents, with a penny as the lowest bid (zero reads as "no price" downstream)
+    return { price: Math.max(0.01, Math.round(theoretical.value * 100) / 100), isTheoretical: true };
+  },
+
   /**
    * Calculate unrealized P&L for an options trade
+   * Falls back to the theoretical value when there's no quote (flagged by isTheoretical)
    */
   calculateOptionsUnrealizedPnL(trade) {
-    const currentPrice = this.getOptionPrice(
-      trade.ticker,
-      trade.expirationDate,
-      trade.optionType,
-      trade.strike
-    );
-
-    if (!currentPrice) {
+    const mark = this.getOptionMark(trade);
+
+    if (!mark) {
       return null;
     }
 
     // Delegate to AccountBalanceCalculator for consistent calculation logic
-    return accountBalanceCalculator.calculateTradeUnrealizedPnL(trade, currentPrice);
+    return {
+      ...accountBalanceCalculator.calculateTradeUnrealizedPnL(trade, mark.price),
+      isTheoretical: mark.isTheoretical
+    };
   }
 };
@@ -0,0 +1,54 @@
+/**
+ * Alpha Vantage Provider - Company overviews (name, sector, industry, description)
+ * Free tier: 25 calls/day, 5 calls/minute
+ */
+
+const BASE_URL = 'https://www.alphavantage.co/query';
+
+export const alphaVantageProvider = {
+  id: 'alphaVantage',
+  name: 'Alpha Vantage',
+  storageKey: 'alphaVantageApiKey',
+  capabilities: ['profile'],
+  apiKey: '',
+
+  isConfigured() {
+    return !!this.apiKey;
+  },
+
+  async fetchProfile(ticker) {
+    const symbol = ticker.toUpperCase();
+    const response = await fetch(`${BASE_URL}?function=OVERVIEW&symbol=${symbol}&apikey=${this.apiKey}`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch company overview from Alpha Vantage (${response.status})`);
+    }
+
+    const data = await response.json();
+
+    // Check for API errors
+    if (data.Note) {
+      throw new Error('Alpha Vantage API rate limit reached. Free tier: 25 calls/day, 5 calls/minute.');
+    }
+
+    if (data['Error Message']) {
+      throw new Error('Invalid ticker or no data available from Alpha Vantage');
+    }
+
+    if (!data.Name) {
+      throw new Error('No company overview data available from Alpha Vantage');
+    }
+
+    // Alpha Vantage returns: Name, Description, Sector, Industry, Country, etc.
+    return {
+      ticker: symbol,
+      name: data.Name || '',
+      industry: data.Industry || '',
+      sector: data.Sector || '',
+      country: data.Country || '',
+      weburl: '',
+      logo: '',
+      summary: data.Description || ''
+    };
+  }
+};
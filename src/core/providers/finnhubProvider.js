@@ -0,0 +1,95 @@
+/**
+ * Finnhub Provider - Real-time quotes and company profiles
+ * Free tier: 60 calls/minute
+ */
+
+import * as marketHours from '../../utils/marketHours.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('FinnhubProvider');
+const BASE_URL = 'https://finnhub.io/api/v1';
+
+// Helper to convert text to title case
+function toTitleCase(str) {
+  if (!str) return '';
+  return str
+    .toLowerCase()
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+export const finnhubProvider = {
+  id: 'finnhub',
+  name: 'Finnhub',
+  storageKey: 'finnhubApiKey',
+  capabilities: ['quote', 'profile'],
+  apiKey: '',
+
+  isConfigured() {
+    return !!this.apiKey;
+  },
+
+  async fetchQuote(ticker) {
+    const symbol = ticker.toUpperCase();
+    const response = await fetch(`${BASE_URL}/quote?symbol=${symbol}&token=${this.apiKey}`);
+
+    if (!response.ok) {
+      throw new Error(`API request failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (data.error) {
+      throw new Error(data.error);
+    }
+
+    // Check if ticker is invalid (Finnhub returns 0 for all values when ticker doesn't exist)
+    if (data.c === 0 && data.pc === 0) {
+      throw new Error(`Invalid ticker symbol: ${symbol}`);
+    }
+
+    // Finnhub returns: c (current), h (high), l (low), o (open), pc (previous close)
+    // Use previous close when market is closed to avoid after-hours prices
+    const priceToUse = marketHours.isMarketOpen() ? data.c : data.pc;
+
+    return {
+      ticker: symbol,
+      price: priceToUse,
+      change: data.d,
+      changePercent: data.dp,
+      timestamp: Date.now()
+    };
+  },
+
+  async fetchProfile(ticker) {
+    const symbol = ticker.toUpperCase();
+    const response = await fetch(`${BASE_URL}/stock/profile2?symbol=${symbol}&token=${this.apiKey}`);
+
+    if (!response.ok) {
+      throw new Error(`Profile request failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    // Finnhub returns empty object if ticker not found
+    if (!data || Object.keys(data).length === 0 || !data.name) {
+      logger.debug(`No Finnhub profile for ${symbol}`);
+      return null;
+    }
+
+    // Finnhub returns: name, finnhubIndustry, country, weburl, logo, etc.
+    // Normalize industry to title case
+    return {
+      ticker: symbol,
+      name: data.name || '',
+      industry: toTitleCase(data.finnhubIndustry || ''),
+      sector: '',
+      country: data.country || '',
+      weburl: data.weburl || '',
+      logo: data.logo || '',
+      // Check for any description-like fields (not documented but might exist)
+      summary: data.description || data.longBusinessSummary || ''
+    };
+  }
+};
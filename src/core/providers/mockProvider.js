@@ -0,0 +1,159 @@
+/**
+ * Mock Provider - Deterministic offline market data
+ *
+ * Generates prices from a hash of the ticker and date, so the same ticker always shows the
+ * same history and every run of the app sees identical numbers. No network access, no API key.
+ * Useful for demos, development and exercising the app offline.
+ */
+
+import * as marketHours from '../../utils/marketHours.js';
+import { TIME_CONSTANTS } from '../../constants/index.js';
+
+const INDUSTRIES = ['Technology', 'Semiconductors', 'Biotechnology', 'Retail', 'Energy', 'Financial Services', 'Industrials', 'Media'];
+const SECTORS = ['Technology', 'Technology', 'Healthcare', 'Consumer Cyclical', 'Energy', 'Financial', 'Industrials', 'Communication Services'];
+
+/**
+ * FNV-1a string hash
+ * @param {string} str
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(str) {
+  let hash = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministic pseudo-random number in [0, 1) for a seed (mulberry32 step)
+ * @param {number} seed
+ * @returns {number}
+ */
+function seededRandom(seed) {
+  let t = (seed + 0x6D2B79F5) >>> 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Mock closing price for a ticker on a date
+ * A slow and a fast wave around a per-ticker base price, plus daily noise.
+ * @param {string} symbol - Uppercase ticker
+ * @param {string} dateStr - Date in 'YYYY-MM-DD' format
+ * @returns {number}
+ */
+export function getMockClose(symbol, dateStr) {
+  const seed = hashString(symbol);
+  const base = 20 + (seed % 48000) / 100; // $20 - $500
+  const phase = (seed % 628) / 100;
+  const day = Math.floor(marketHours.parseDate(dateStr).getTime() / TIME_CONSTANTS.ONE_DAY_MS);
+
+  const trend = Math.sin(day / 45 + phase) * 0.2 + Math.sin(day / 11 + phase * 2) * 0.05;
+  const noise = (seededRandom(seed ^ day) - 0.5) * 0.03;
+
+  return round2(base * (1 + trend + noise));
+}
+
+/**
+ * Build a mock daily candle
+ * @param {string} symbol - Uppercase ticker
+ * @param {string} dateStr - Date in 'YYYY-MM-DD' format
+ * @returns {{date: string, open: number, high: number, low: number, close: number, volume: number}}
+ */
+function getMockCandle(symbol, dateStr) {
+  const seed = hashString(`${symbol}:${dateStr}`);
+  const close = getMockClose(symbol, dateStr);
+  const open = round2(getMockClose(symbol, marketHours.getPreviousTradingDay(dateStr)) * (1 + (seededRandom(seed) - 0.5) * 0.01));
+  const wick = 1 + seededRandom(seed + 1) * 0.015;
+
+  return {
+    date: dateStr,
+    open,
+    high: round2(Math.max(open, close) * wick),
+    low: round2(Math.min(open, close) / wick),
+    close,
+    volume: Math.round(500000 + seededRandom(seed + 2) * 4500000)
+  };
+}
+
+export const mockProvider = {
+  id: 'mock',
+  name: 'Mock (offline)',
+  storageKey: null,
+  capabilities: ['quote', 'batchQuote', 'candles', 'profile', 'optionQuote'],
+  apiKey: '',
+
+  isConfigured() {
+    return true;
+  },
+
+  async fetchQuote(ticker) {
+    const symbol = ticker.toUpperCase();
+    const tradingDay = marketHours.getTradingDay();
+    const price = getMockClose(symbol, tradingDay);
+    const previousClose = getMockClose(symbol, marketHours.getPreviousTradingDay(tradingDay));
+    const change = round2(price - previousClose);
+
+    return {
+      ticker: symbol,
+      price,
+      change,
+      changePercent: round2((change / previousClose) * 100),
+      timestamp: Date.now()
+    };
+  },
+
+  async fetchQuotes(tickers) {
+    const success = await Promise.all(tickers.map(ticker => this.fetchQuote(ticker)));
+    return { success, failed: [] };
+  },
+
+  async fetchCandles(ticker, startDate, endDate) {
+    const symbol = ticker.toUpperCase();
+    // Never invent the future
+    const lastDate = endDate < marketHours.getTradingDay() ? endDate : marketHours.getTradingDay();
+    return marketHours.getBusinessDaysBetween(startDate, lastDate).map(dateStr => getMockCandle(symbol, dateStr));
+  },
+
+  async fetchProfile(ticker) {
+    const symbol = ticker.toUpperCase();
+    const index = hashString(symbol) % INDUSTRIES.length;
+
+    return {
+      ticker: symbol,
+      name: `${symbol} Holdings (Mock)`,
+      industry: INDUSTRIES[index],
+      sector: SECTORS[index],
+      country: 'US',
+      weburl: '',
+      logo: '',
+      summary: `${symbol} Holdings is simulated company data from the offline mock provider. Prices, profiles and charts for this ticker are generated locally and do not reflect the real market.`
+    };
+  },
+
+  /**
+   * Mock option price: intrinsic value plus a simple time-value decay
+   */
+  async fetchOptionQuote({ ticker, expirationDate, optionType, strike }) {
+    const underlying = getMockClose(ticker.toUpperCase(), marketHours.getTradingDay());
+    const intrinsic = optionType === 'call'
+      ? Math.max(0, underlying - strike)
+      : Math.max(0, strike - underlying);
+
+    const msToExpiry = marketHours.parseDate(expirationDate).getTime() - Date.now();
+    const yearsToExpiry = Math.max(0, msToExpiry / (365 * TIME_CONSTANTS.ONE_DAY_MS));
+    const timeValue = underlying * 0.12 * Math.sqrt(yearsToExpiry);
+
+    return {
+      price: Math.max(0.01, round2(intrinsic + timeValue)),
+      timestamp: Date.now()
+    };
+  }
+};
@@ -0,0 +1,64 @@
+/**
+ * Polygon Provider - Options contract prices
+ * Free tier: 5 calls/minute, previous-day aggregates only
+ */
+
+const BASE_URL = 'https://api.polygon.io';
+
+/**
+ * Format option contract for Polygon.io API
+ * Format: O:TICKER{YYMMDD}{C/P}{STRIKE*1000}
+ * Example: O:AAPL250117C00150000 (AAPL $150 Call expiring Jan 17, 2025)
+ */
+export function formatOptionSymbol(ticker, expirationDate, optionType, strike) {
+  // Parse expiration date (YYYY-MM-DD format)
+  const date = new Date(expirationDate + 'T00:00:00');
+  const year = date.getFullYear().toString().slice(-2);
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+
+  // Option type: C or P
+  const typeStr = optionType === 'call' ? 'C' : 'P';
+
+  // Strike price: multiply by 1000 and pad to 8 digits
+  const strikeStr = Math.round(strike * 1000).toString().padStart(8, '0');
+
+  return `O:${ticker.toUpperCase()}${year}${month}${day}${typeStr}${strikeStr}`;
+}
+
+export const polygonProvider = {
+  id: 'polygon',
+  name: 'Polygon',
+  storageKey: 'optionsPriceApiKey',
+  capabilities: ['optionQuote'],
+  apiKey: '',
+
+  isConfigured() {
+    return !!this.apiKey;
+  },
+
+  /**
+   * Fetch the previous day's close for a contract (available on free tier)
+   * @returns {Promise<{price: number, timestamp: number}|null>}
+   */
+  async fetchOptionQuote({ ticker, expirationDate, optionType, strike }) {
+    const symbol = formatOptionSymbol(ticker, expirationDate, optionType, strike);
+    const response = await fetch(`${BASE_URL}/v2/aggs/ticker/${symbol}/prev?adjusted=true&apiKey=${this.apiKey}`);
+
+    if (!response.ok) {
+      throw new Error(`Polygon API error for ${symbol}: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (data.status === 'OK' && data.results && data.results.length > 0) {
+      const result = data.results[0];
+      return {
+        price: result.c, // Close price from previous day
+        timestamp: result.t
+      };
+    }
+
+    return null;
+  }
+};
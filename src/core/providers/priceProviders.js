@@ -0,0 +1,217 @@
+/**
+ * Price Providers - Pluggable market data sources with priority/fallback
+ *
+ * Every provider is a plain object implementing part of this interface:
+ *   id, name, storageKey (API key storage key, null if none), capabilities, apiKey
+ *   isConfigured()                              -> boolean
+ *   fetchQuote(ticker)                          -> {ticker, price, change, changePercent, timestamp}
+ *   fetchQuotes(tickers)          [batchQuote]  -> {success: [quote], failed: [{ticker, error}]}
+ *   fetchCandles(ticker, startDate, endDate)    -> [{date, open, high, low, close, volume}] oldest first
+ *   fetchProfile(ticker)                        -> {ticker, name, industry, sector, country, weburl, logo, summary}
+ *   fetchOptionQuote({ticker, expirationDate, optionType, strike}) -> {price, timestamp} | null
+ *
+ * Requests go to enabled, configured providers in the user's priority order (Settings);
+ * when one fails or has no data, the next one is tried.
+ */
+
+import { state } from '../state.js';
+import { sleep } from '../utils.js';
+import { storage } from '../../utils/storage.js';
+import { createLogger } from '../../utils/logger.js';
+import { DEFAULT_PRICE_PROVIDERS } from '../../constants/index.js';
+import { finnhubProvider } from './finnhubProvider.js';
+import { twelveDataProvider } from './twelveDataProvider.js';
+import { alphaVantageProvider } from './alphaVantageProvider.js';
+import { polygonProvider } from './polygonProvider.js';
+import { mockProvider } from './mockProvider.js';
+
+const logger = createLogger('PriceProviders');
+
+// Human-readable capability names for settings and error messages
+export const CAPABILITY_LABELS = {
+  quote: 'quotes',
+  batchQuote: 'batch quotes',
+  candles: 'charts',
+  profile: 'company info',
+  optionQuote: 'options prices'
+};
+
+class PriceProviderRegistry {
+  constructor() {
+    this.providers = new Map(
+      [finnhubProvider, twelveDataProvider, alphaVantageProvider, polygonProvider, mockProvider]
+        .map(provider => [provider.id, provider])
+    );
+  }
+
+  /**
+   * Load every provider's API key from storage
+   */
+  async init() {
+    for (const provider of this.providers.values()) {
+      if (provider.storageKey) {
+        provider.apiKey = (await storage.getItem(provider.storageKey)) || '';
+      }
+    }
+  }
+
+  getProvider(id) {
+    return this.providers.get(id) || null;
+  }
+
+  async setApiKey(id, key) {
+    const provider = this.getProvider(id);
+    if (!provider || !provider.storageKey) return;
+
+    provider.apiKey = key;
+    await storage.setItem(provider.storageKey, key);
+  }
+
+  /**
+   * Get the user's provider priority order
+   * Saved order first, then any providers the saved order doesn't know about yet
+   * @returns {Array<{id: string, enabled: boolean}>}
+   */
+  getProviderOrder() {
+    const saved = Array.isArray(state.settings.priceProviders) ? state.settings.priceProviders : [];
+    const order = saved
+      .filter(entry => this.providers.has(entry.id))
+      .map(entry => ({ id: entry.id, enabled: entry.enabled !== false }));
+
+    DEFAULT_PRICE_PROVIDERS.forEach(entry => {
+      if (!order.some(e => e.id === entry.id)) {
+        order.push({ ...entry });
+      }
+    });
+
+    return order;
+  }
+
+  /**
+   * Get enabled, configured providers supporting a capability, in priority order
+   * @param {string} capability - 'quote' | 'batchQuote' | 'candles' | 'profile' | 'optionQuote'
+   * @returns {Array<Object>} Providers
+   */
+  getProviders(capability) {
+    return this.getProviderOrder()
+      .filter(entry => entry.enabled)
+      .map(entry => this.providers.get(entry.id))
+      .filter(provider => provider.capabilities.includes(capability) && provider.isConfigured());
+  }
+
+  hasProvider(capability) {
+    return this.getProviders(capability).length > 0;
+  }
+
+  /**
+   * Call a provider method with fallback down the priority list
+   * @param {string} capability - Capability required
+   * @param {string} method - Provider method name
+   * @param {Array} args - Method arguments
+   * @param {Function} [accept] - Returns true if a result is usable; otherwise the next provider is tried
+   * @returns {Promise<*>} First accepted result, or null if no provider had data
+   * @throws {Error} If no provider is configured, or the last provider tried failed
+   */
+  async request(capability, method, args, accept = result => result != null) {
+    const providers = this.getProviders(capability);
+    if (providers.length === 0) {
+      throw new Error(`No data provider configured for ${CAPABILITY_LABELS[capability]}. Add an API key in Settings.`);
+    }
+
+    let lastError = null;
+    for (const provider of providers) {
+      try {
+        const result = await provider[method](...args);
+        if (accept(result)) {
+          return result;
+        }
+        lastError = null;
+      } catch (error) {
+        lastError = error;
+        logger.warn(`${provider.name} ${CAPABILITY_LABELS[capability]} request failed:`, error.message);
+      }
+    }
+
+    if (lastError) throw lastError;
+    return null;
+  }
+
+  fetchQuote(ticker) {
+    return this.request('quote', 'fetchQuote', [ticker]);
+  }
+
+  /**
+   * Fetch quotes for many tickers
+   * Batch-capable providers take the whole list; others are called one ticker at a time.
+   * Tickers a provider couldn't price fall through to the next provider.
+   * @param {Array<string>} tickers
+   * @returns {Promise<{success: Array, failed: Array}>}
+   */
+  async fetchQuotes(tickers) {
+    const providers = this.getProviders('quote');
+    if (providers.length === 0) {
+      throw new Error(`No data provider configured for ${CAPABILITY_LABELS.quote}. Add an API key in Settings.`);
+    }
+
+    const success = [];
+    let failed = tickers.map(ticker => ({ ticker, error: 'Not fetched' }));
+
+    for (const provider of providers) {
+      if (failed.length === 0) break;
+
+      const remaining = failed.map(f => f.ticker);
+      const result = provider.capabilities.includes('batchQuote')
+        ? await this._fetchBatch(provider, remaining)
+        : await this._fetchSequentially(provider, remaining);
+
+      success.push(...result.success);
+      failed = result.failed;
+    }
+
+    return { success, failed };
+  }
+
+  async _fetchBatch(provider, tickers) {
+    try {
+      return await provider.fetchQuotes(tickers);
+    } catch (error) {
+      logger.warn(`${provider.name} batch quote request failed:`, error.message);
+      return { success: [], failed: tickers.map(ticker => ({ ticker, error: error.message })) };
+    }
+  }
+
+  async _fetchSequentially(provider, tickers) {
+    const results = { success: [], failed: [] };
+
+    // Sequential to respect rate limits
+    for (const ticker of tickers) {
+      try {
+        results.success.push(await provider.fetchQuote(ticker));
+        await sleep(100);
+      } catch (error) {
+        results.failed.push({ ticker, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  fetchCandles(ticker, startDate, endDate) {
+    return this.request('candles', 'fetchCandles', [ticker, startDate, endDate], candles => candles?.length > 0);
+  }
+
+  /**
+   * Fetch a company profile
+   * @param {string} ticker
+   * @param {Function} [accept] - e.g. require an industry or a summary; providers without it are skipped
+   */
+  fetchProfile(ticker, accept) {
+    return this.request('profile', 'fetchProfile', [ticker], accept);
+  }
+
+  fetchOptionQuote(contract) {
+    return this.request('optionQuote', 'fetchOptionQuote', [contract]);
+  }
+}
+
+export const priceProviders = new PriceProviderRegistry();
@@ -0,0 +1,126 @@
+/**
+ * Twelve Data Provider - Daily candles and batched quotes
+ * Free tier: 800 calls/day, 8 symbols per batch request
+ */
+
+import { state } from '../state.js';
+import * as marketHours from '../../utils/marketHours.js';
+import { RATE_LIMITS } from '../../constants/index.js';
+
+const BASE_URL = 'https://api.twelvedata.com';
+
+/**
+ * Convert a Twelve Data quote object to our quote format
+ */
+function toQuote(symbol, data) {
+  if (!data || data.status === 'error' || data.code) {
+    throw new Error(data?.message || `No quote available for ${symbol}`);
+  }
+
+  // Use previous close when market is closed to avoid after-hours prices
+  const price = parseFloat(marketHours.isMarketOpen() ? data.close : data.previous_close);
+  if (isNaN(price)) {
+    throw new Error(`No quote available for ${symbol}`);
+  }
+
+  return {
+    ticker: symbol,
+    price,
+    change: parseFloat(data.change) || 0,
+    changePercent: parseFloat(data.percent_change) || 0,
+    timestamp: Date.now()
+  };
+}
+
+export const twelveDataProvider = {
+  id: 'twelveData',
+  name: 'Twelve Data',
+  storageKey: 'twelveDataApiKey',
+  capabilities: ['quote', 'batchQuote', 'candles'],
+  apiKey: '',
+
+  isConfigured() {
+    return !!this.apiKey;
+  },
+
+  async fetchQuote(ticker) {
+    const symbol = ticker.toUpperCase();
+    const response = await fetch(`${BASE_URL}/quote?symbol=${symbol}&apikey=${this.apiKey}&format=JSON`);
+
+    if (!response.ok) {
+      throw new Error(`API request failed: ${response.status}`);
+    }
+
+    return toQuote(symbol, await response.json());
+  },
+
+  /**
+   * Fetch quotes in comma-separated batches (batch size from settings)
+   */
+  async fetchQuotes(tickers) {
+    const results = { success: [], failed: [] };
+    const batchSize = state.settings.twelveDataBatchSize || RATE_LIMITS.TWELVE_DATA_BATCH_SIZE;
+    const symbols = tickers.map(t => t.toUpperCase());
+
+    for (let i = 0; i < symbols.length; i += batchSize) {
+      const batch = symbols.slice(i, i + batchSize);
+
+      try {
+        const response = await fetch(`${BASE_URL}/quote?symbol=${batch.join(',')}&apikey=${this.apiKey}&format=JSON`);
+        if (!response.ok) {
+          throw new Error(`API request failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (data.status === 'error') {
+          throw new Error(data.message || 'Twelve Data API error');
+        }
+
+        // A single symbol returns the quote itself; multiple return a map keyed by symbol
+        batch.forEach(symbol => {
+          try {
+            results.success.push(toQuote(symbol, batch.length === 1 ? data : data[symbol]));
+          } catch (error) {
+            results.failed.push({ ticker: symbol, error: error.message });
+          }
+        });
+      } catch (error) {
+        batch.forEach(symbol => results.failed.push({ ticker: symbol, error: error.message }));
+      }
+    }
+
+    return results;
+  },
+
+  async fetchCandles(ticker, startDate, endDate) {
+    const symbol = ticker.toUpperCase();
+    const url = `${BASE_URL}/time_series?symbol=${symbol}&interval=1day&start_date=${startDate}&end_date=${endDate}&apikey=${this.apiKey}&format=JSON`;
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch chart data: ${response.statusText || response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (data.status === 'error') {
+      throw new Error(data.message || 'Twelve Data API error');
+    }
+
+    if (!data.values || data.values.length === 0) {
+      throw new Error('No chart data available for this ticker');
+    }
+
+    // Twelve Data returns {datetime, open, high, low, close, volume}, newest first
+    return data.values
+      .map(item => ({
+        date: item.datetime.split(' ')[0],
+        open: parseFloat(item.open),
+        high: parseFloat(item.high),
+        low: parseFloat(item.low),
+        close: parseFloat(item.close),
+        volume: parseFloat(item.volume) || 0
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+};
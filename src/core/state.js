@@ -6,21 +6,55 @@ import { debounce } from './utils.js';
 import { calculateRealizedPnL, getTradeRealizedPnL } from './utils/tradeCalculations.js';
 import { compressTradeNotes, decompressTradeNotes } from '../utils/compression.js';
 import { storage } from '../utils/storage.js';
+import { attachmentStore } from './attachments.js';
+import { ACCOUNTS, DEFAULT_PRICE_PROVIDERS } from '../constants/index.js';
+import { hasDailyNoteContent } from '../shared/DailyNotes.js';
 
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('State');
 
+// Undo/redo depth - the oldest commands are dropped past this
+const MAX_HISTORY = 50;
+
+// Trash retention used when the setting is missing (0 keeps deleted trades until purged by hand)
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Marks a field that didn't exist before an update, so undo removes it instead of setting undefined
+const MISSING = Symbol('missing');
+
 class AppState {
   constructor() {
     this.state = {
       settings: {
-        startingAccountSize: 10000,
+        startingAccountSize: 10000, // Seeds the first account only - each account keeps its own starting balance
         defaultRiskPercent: 1,
         defaultMaxPositionPercent: 100,
         dynamicAccountEnabled: true,
         theme: 'dark',
-        twelveDataBatchSize: 8 // Twelve Data API batch size (8 for free tier, higher for paid)
+        twelveDataBatchSize: 8, // Twelve Data API batch size (8 for free tier, higher for paid)
+        // Default commission schedule used to pre-fill entry and exit fees
+        commissionPerShare: 0,
+        commissionPerContract: 0,
+        commissionPerTrade: 0,
+        // Stop/target alerts checked on every price refresh
+        alertsEnabled: true,
+        alertNearStopPercent: 2, // Warn within this % of the stop (0 disables)
+        alertBrowserNotifications: false,
+        alertSound: false,
+        // Include screenshot attachments in the JSON backup (they can make it large)
+        backupIncludesAttachments: true,
+        // Deleted trades are purged from the trash after this many days (0 = never)
+        trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
+        // Price data providers in priority order ({id, enabled})
+        priceProviders: DEFAULT_PRICE_PROVIDERS.map(provider => ({ ...provider }))
+      },
+
+      // Trading accounts (IRA, margin, paper...) - every trade and cash-flow transaction has an accountId
+      // activeId scopes the journal, cash flow and balances; ACCOUNTS.ALL combines them
+      accounts: {
+        list: [], // { id, name, startingBalance, createdAt, taxable? } - taxable unset means taxable
+        activeId: ACCOUNTS.ALL
       },
 
       account: {
@@ -37,6 +71,7 @@ class AppState {
 
       trade: {
         ticker: '',
+        direction: 'long',
         entry: null,
         stop: null,
         target: null,
@@ -63,6 +98,22 @@ class AppState {
         filter: 'all'
       },
 
+      // Soft-deleted trades, each stamped with deletedAt - kept out of journal.entries so stats and balances skip them
+      trash: {
+        entries: []
+      },
+
+      // Named filter combinations shared by the Journal, Positions and Stats filter popups
+      filterPresets: {
+        list: [], // { id, name, filters: { status, types, tickers, tags, dateRange }, createdAt }
+        defaults: { journal: null, positions: null, stats: null } // Preset ID each view starts with
+      },
+
+      // Per-day journal entries (plan, market notes, review, mood), shared by every account
+      dailyNotes: {
+        entries: {} // 'YYYY-MM-DD' -> { date, plan, market, review, mood, updatedAt }
+      },
+
       // Journal meta: wizard settings
       journalMeta: {
         settings: {
@@ -88,11 +139,17 @@ class AppState {
 
     this.listeners = new Map();
 
+    // Command history for journal and cash-flow mutations: { label, undo(), redo() }
+    this._history = { undo: [], redo: [] };
+    this._isReplaying = false; // Set while undoing/redoing so the replayed mutations aren't recorded
+
     // Create debounced save methods to prevent localStorage blocking on every mutation
     // 300ms delay allows multiple rapid changes to be batched into single save
     this._debouncedSaveJournal = debounce(() => this._saveJournalImmediate(), 300);
     this._debouncedSaveCashFlow = debounce(() => this._saveCashFlowImmediate(), 300);
     this._debouncedSaveJournalMeta = debounce(() => this._saveJournalMetaImmediate(), 300);
+    this._debouncedSaveTrash = debounce(() => this._saveTrashImmediate(), 300);
+    this._debouncedSaveDailyNotes = debounce(() => this._saveDailyNotesImmediate(), 300);
 
     // Cache for computed account values (realizedPnL, currentSize)
     // Invalidated when trades, cash flow, or starting balance changes
@@ -109,6 +166,9 @@ class AppState {
 
     // Cache Proxy instance to fix identity comparison issues
     this._accountProxy = null;
+
+    // Journal and cash flow filtered to the active account (null = rebuild on next read)
+    this._scopeCache = null;
   }
 
   // Event system
@@ -140,8 +200,8 @@ class AppState {
    * Quick hash: count + sum of IDs + sum of realized P&L
    */
   _hashTrades() {
-    return this.state.journal.entries.length +
-      this.state.journal.entries.reduce((sum, t) =>
+    return this.journal.entries.length +
+      this.journal.entries.reduce((sum, t) =>
         sum + t.id + getTradeRealizedPnL(t), 0
       );
   }
@@ -150,9 +210,9 @@ class AppState {
    * Calculate hash of cash flow for cache invalidation
    */
   _hashCashFlow() {
-    return this.state.cashFlow.transactions.length +
-      this.state.cashFlow.totalDeposits +
-      this.state.cashFlow.totalWithdrawals;
+    return this.cashFlow.transactions.length +
+      this.cashFlow.totalDeposits +
+      this.cashFlow.totalWithdrawals;
   }
 
   /**
@@ -162,7 +222,7 @@ class AppState {
   _needsRecalculation() {
     const tradesHash = this._hashTrades();
     const cashFlowHash = this._hashCashFlow();
-    const startingBalance = this.state.settings.startingAccountSize;
+    const startingBalance = this.startingBalance;
 
     const changed = tradesHash !== this._accountCache.dependencies.tradesHash ||
            cashFlowHash !== this._accountCache.dependencies.cashFlowHash ||
@@ -189,7 +249,7 @@ class AppState {
       // Fallback: recalculate (shouldn't happen in normal flow)
       this._accountCache.dependencies.tradesHash = this._hashTrades();
       this._accountCache.dependencies.cashFlowHash = this._hashCashFlow();
-      this._accountCache.dependencies.startingBalance = this.state.settings.startingAccountSize;
+      this._accountCache.dependencies.startingBalance = this.startingBalance;
     }
   }
 
@@ -200,6 +260,217 @@ class AppState {
     this._accountCache.realizedPnL = null;
     this._accountCache.currentSize = null;
     this._accountCache.lastInvalidated = Date.now();
+    this._scopeCache = null;
+  }
+
+  /**
+   * Journal entries and cash flow of the active account
+   * Rebuilt lazily after any mutation or account switch
+   */
+  _getScope() {
+    if (!this._scopeCache) {
+      const accountId = this.state.accounts.activeId;
+      const transactions = this.state.cashFlow.transactions.filter(t => t.accountId === accountId);
+      const sumOf = (type) => transactions
+        .filter(t => t.type === type)
+        .reduce((sum, t) => sum + t.amount, 0);
+
+      this._scopeCache = {
+        journal: {
+          ...this.state.journal,
+          entries: this.state.journal.entries.filter(e => e.accountId === accountId)
+        },
+        cashFlow: {
+          transactions,
+          totalDeposits: sumOf('deposit'),
+          totalWithdrawals: sumOf('withdrawal')
+        }
+      };
+    }
+    return this._scopeCache;
+  }
+
+  // Trading account methods
+  getAccountById(id) {
+    return this.state.accounts.list.find(a => a.id === id) || null;
+  }
+
+  /**
+   * Account that new trades and cash-flow transactions go to:
+   * the active account, or the only account while "All accounts" is showing
+   * (with several accounts, entry points ask for one first - see needsAccountForNewEntries)
+   */
+  getAccountIdForNewEntries() {
+    if (!this.isAllAccounts) return this.state.accounts.activeId;
+    return this.state.accounts.list[0]?.id ?? ACCOUNTS.DEFAULT_ID;
+  }
+
+  /**
+   * Scope Positions, Journal and Stats to one account, or ACCOUNTS.ALL
+   */
+  setActiveAccount(id) {
+    if (id !== ACCOUNTS.ALL && !this.getAccountById(id)) return;
+    if (id === this.state.accounts.activeId) return;
+
+    this.state.accounts.activeId = id;
+    this._invalidateAccountCache();
+    this.saveAccounts();
+    this.emit('activeAccountChanged', id);
+    this.emit('accountSizeChanged', this.currentSize);
+  }
+
+  addAccount({ name, startingBalance = 0 }) {
+    const account = {
+      id: `acct_${Date.now()}`,
+      name,
+      startingBalance,
+      createdAt: new Date().toISOString()
+    };
+    this.state.accounts.list.push(account);
+    this.saveAccounts();
+    this.emit('accountsChanged', this.state.accounts.list);
+    return account;
+  }
+
+  /**
+   * Rename an account, change its starting balance or mark it (non-)taxable
+   * @param {string} id - Account ID
+   * @param {Object} updates - { name?, startingBalance?, taxable? }
+   */
+  updateAccountDetails(id, updates) {
+    const account = this.getAccountById(id);
+    if (!account) return null;
+
+    if ('name' in updates) account.name = updates.name;
+    if ('taxable' in updates) account.taxable = updates.taxable;
+    if ('startingBalance' in updates) {
+      account.startingBalance = updates.startingBalance;
+      this._invalidateAccountCache();
+    }
+
+    this.saveAccounts();
+    this.emit('accountsChanged', this.state.accounts.list);
+    return account;
+  }
+
+  /**
+   * Whether any trade, trashed trade or cash-flow transaction belongs to an account
+   */
+  hasAccountActivity(id) {
+    const belongs = (item) => item.accountId === id;
+    return this.state.journal.entries.some(belongs) ||
+      this.state.trash.entries.some(belongs) ||
+      this.state.cashFlow.transactions.some(belongs);
+  }
+
+  /**
+   * Remove an empty account - the last account, or one with activity, can't be removed
+   * @returns {boolean} Whether the account was removed
+   */
+  removeAccount(id) {
+    if (this.state.accounts.list.length <= 1 || this.hasAccountActivity(id)) return false;
+
+    const index = this.state.accounts.list.findIndex(a => a.id === id);
+    if (index === -1) return false;
+
+    this.state.accounts.list.splice(index, 1);
+    if (this.state.accounts.activeId === id) {
+      this.setActiveAccount(ACCOUNTS.ALL);
+    }
+    this.saveAccounts();
+    this.emit('accountsChanged', this.state.accounts.list);
+    return true;
+  }
+
+  // Filter preset methods
+  getFilterPreset(id) {
+    return this.state.filterPresets.list.find(p => p.id === id) || null;
+  }
+
+  /**
+   * Save filters under a name - a preset with the same name (any case) is overwritten
+   * @param {string} name - Preset name
+   * @param {Object} filters - { status, types, tickers, tags, dateRange }
+   * @returns {Object} The saved preset
+   */
+  saveFilterPreset(name, filters) {
+    const existing = this.state.filterPresets.list
+      .find(p => p.name.toLowerCase() === name.toLowerCase());
+
+    let preset;
+    if (existing) {
+      existing.filters = filters;
+      preset = existing;
+    } else {
+      preset = {
+        id: `preset_${Date.now()}`,
+        name,
+        filters,
+        createdAt: new Date().toISOString()
+      };
+      this.state.filterPresets.list.push(preset);
+    }
+
+    this.saveFilterPresets();
+    this.emit('filterPresetsChanged', this.state.filterPresets);
+    return preset;
+  }
+
+  deleteFilterPreset(id) {
+    const index = this.state.filterPresets.list.findIndex(p => p.id === id);
+    if (index === -1) return;
+
+    this.state.filterPresets.list.splice(index, 1);
+    // A deleted preset can't stay a view's default
+    Object.keys(this.state.filterPresets.defaults).forEach(view => {
+      if (this.state.filterPresets.defaults[view] === id) {
+        this.state.filterPresets.defaults[view] = null;
+      }
+    });
+
+    this.saveFilterPresets();
+    this.emit('filterPresetsChanged', this.state.filterPresets);
+  }
+
+  /**
+   * Choose the preset a view's filters start with on load
+   * @param {string} view - 'journal', 'positions' or 'stats'
+   * @param {string|null} id - Preset ID, or null to start unfiltered
+   */
+  setDefaultFilterPreset(view, id) {
+    this.state.filterPresets.defaults[view] = id;
+    this.saveFilterPresets();
+    this.emit('filterPresetsChanged', this.state.filterPresets);
+  }
+
+  getDefaultFilterPreset(view) {
+    return this.getFilterPreset(this.state.filterPresets.defaults[view]);
+  }
+
+  // Daily note methods
+  getDailyNote(date) {
+    return this.state.dailyNotes.entries[date] || null;
+  }
+
+  /**
+   * Edit a day's journal entry - an entry left with nothing in it is removed
+   * @param {string} date - YYYY-MM-DD
+   * @param {Object} updates - Any of { plan, market, review, mood }
+   * @returns {Object|null} The entry, or null once empty
+   */
+  updateDailyNote(date, updates) {
+    const entries = this.state.dailyNotes.entries;
+    const note = { ...entries[date], ...updates, date, updatedAt: new Date().toISOString() };
+
+    if (hasDailyNoteContent(note)) {
+      entries[date] = note;
+    } else {
+      delete entries[date];
+    }
+
+    this.saveDailyNotes();
+    this.emit('dailyNoteChanged', { date, note: entries[date] || null });
+    return entries[date] || null;
   }
 
   // Settings methods
@@ -233,7 +504,8 @@ class AppState {
       id: Date.now(),
       type, // 'deposit' or 'withdrawal'
       amount,
-      timestamp: timestamp || new Date().toISOString()  // Use provided or default to now
+      timestamp: timestamp || new Date().toISOString(),  // Use provided or default to now
+      accountId: this.getAccountIdForNewEntries()
     };
 
     this.state.cashFlow.transactions.unshift(transaction);
@@ -248,6 +520,12 @@ class AppState {
     this.saveCashFlow();
     this.emit('cashFlowChanged', this.state.cashFlow);
     this.emit('accountSizeChanged', this.currentSize);
+
+    this._recordCommand({
+      label: `Add ${type}`,
+      undo: () => this.deleteCashFlowTransaction(transaction.id),
+      redo: () => this._insertCashFlowTransaction(transaction, 0)
+    });
     return transaction;
   }
 
@@ -270,11 +548,35 @@ class AppState {
     this.emit('cashFlowChanged', this.state.cashFlow);
     this.emit('accountSizeChanged', this.currentSize);
 
+    this._recordCommand({
+      label: `Delete ${deleted.type}`,
+      undo: () => this._insertCashFlowTransaction(deleted, index),
+      redo: () => this.deleteCashFlowTransaction(deleted.id)
+    });
+
     return deleted;
   }
 
+  /**
+   * Put a transaction back at its original position (undo of a delete, redo of an add)
+   */
+  _insertCashFlowTransaction(transaction, index) {
+    this.state.cashFlow.transactions.splice(index, 0, transaction);
+
+    if (transaction.type === 'deposit') {
+      this.state.cashFlow.totalDeposits += transaction.amount;
+    } else if (transaction.type === 'withdrawal') {
+      this.state.cashFlow.totalWithdrawals += transaction.amount;
+    }
+
+    this._invalidateAccountCache();
+    this.saveCashFlow();
+    this.emit('cashFlowChanged', this.state.cashFlow);
+    this.emit('accountSizeChanged', this.currentSize);
+  }
+
   getCashFlowNet() {
-    return this.state.cashFlow.totalDeposits - this.state.cashFlow.totalWithdrawals;
+    return this.cashFlow.totalDeposits - this.cashFlow.totalWithdrawals;
   }
 
   // Trade methods
@@ -294,38 +596,303 @@ class AppState {
     const newEntry = {
       id: Date.now(),
       timestamp: new Date().toISOString(),
+      accountId: this.getAccountIdForNewEntries(),
       ...entry
     };
     this.state.journal.entries.unshift(newEntry);
     this._invalidateAccountCache();
     this.saveJournal();
     this.emit('journalEntryAdded', newEntry);
+
+    this._recordCommand({
+      label: `Add ${newEntry.ticker || 'trade'}`,
+      undo: () => this._removeJournalEntries([newEntry.id]),
+      redo: () => this._insertJournalEntries([{ entry: newEntry, index: 0 }])
+    });
     return newEntry;
   }
 
-  updateJournalEntry(id, updates) {
+  /**
+   * Add many journal entries as one batch (used by CSV import)
+   * Entries are inserted and saved together, and listeners are notified once
+   * @param {Array} entries - Journal entries without ids
+   * @returns {Array} The added entries with ids assigned
+   */
+  addJournalEntries(entries) {
+    const baseId = Date.now();
+    const accountId = this.getAccountIdForNewEntries();
+    const newEntries = entries.map((entry, index) => ({
+      id: baseId + index,
+      timestamp: new Date().toISOString(),
+      accountId,
+      ...entry
+    }));
+
+    // Keep newest first, matching addJournalEntry's unshift order
+    newEntries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    this.state.journal.entries.unshift(...newEntries);
+    this._invalidateAccountCache();
+    this.saveJournal();
+    this.emit('journalEntryAdded', newEntries);
+
+    this._recordCommand({
+      label: `Import ${newEntries.length} trade${newEntries.length !== 1 ? 's' : ''}`,
+      undo: () => this._removeJournalEntries(newEntries.map(entry => entry.id)),
+      redo: () => this._insertJournalEntries(newEntries.map((entry, index) => ({ entry, index })))
+    });
+    return newEntries;
+  }
+
+  /**
+   * Apply field updates to a journal entry
+   * @param {string|number} id - Entry ID
+   * @param {Object} updates - Fields to change
+   * @param {Object} options - { undoable: false } for changes the app makes on its own
+   *   (e.g. an auto-applied trailing stop), which shouldn't land in undo or clear redo
+   */
+  updateJournalEntry(id, updates, { undoable = true } = {}) {
     const entry = this.state.journal.entries.find(e => e.id === id);
     if (entry) {
+      // Snapshot only the fields being changed - enough to reverse this update
+      const before = {};
+      Object.keys(updates).forEach(key => {
+        before[key] = key in entry ? structuredClone(entry[key]) : MISSING;
+      });
+      const after = structuredClone(updates);
+
       Object.assign(entry, updates);
       this._invalidateAccountCache();
       this.saveJournal();
       this.emit('journalEntryUpdated', entry);
+
+      if (undoable) {
+        this._recordCommand({
+          label: `Edit ${entry.ticker || 'trade'}`,
+          undo: () => this._restoreJournalEntryFields(id, before),
+          redo: () => this._restoreJournalEntryFields(id, after)
+        });
+      }
     }
     return entry;
   }
 
+  /**
+   * Move a trade to the trash (soft delete)
+   * It drops out of journal.entries, and so out of stats and balances, until restored or purged
+   */
   deleteJournalEntry(id) {
     const index = this.state.journal.entries.findIndex(e => e.id === id);
     if (index > -1) {
       const deleted = this.state.journal.entries.splice(index, 1)[0];
+      deleted.deletedAt = new Date().toISOString();
+      this.state.trash.entries.unshift(deleted);
+
       this._invalidateAccountCache();
       this.saveJournal();
+      this.deleteTrade(deleted.id); // Now kept in the trash store
+      this.saveTrash();
       this.emit('journalEntryDeleted', deleted);
+      this.emit('trashChanged', this.state.trash.entries);
+
+      this._recordCommand({
+        label: `Delete ${deleted.ticker || 'trade'}`,
+        undo: () => this._restoreFromTrash(deleted.id, index),
+        redo: () => this.deleteJournalEntry(deleted.id)
+      });
       return deleted;
     }
     return null;
   }
 
+  /**
+   * Move a trashed trade back into the journal
+   * @returns {Object|null} The restored trade
+   */
+  restoreTrashEntry(id) {
+    const restored = this._restoreFromTrash(id, 0);
+    if (!restored) return null;
+
+    this._recordCommand({
+      label: `Restore ${restored.ticker || 'trade'}`,
+      undo: () => this.deleteJournalEntry(id),
+      redo: () => this._restoreFromTrash(id, 0)
+    });
+    return restored;
+  }
+
+  _restoreFromTrash(id, index) {
+    const trashIndex = this.state.trash.entries.findIndex(e => e.id === id);
+    if (trashIndex === -1) return null; // Purged since
+
+    const [entry] = this.state.trash.entries.splice(trashIndex, 1);
+    delete entry.deletedAt;
+    this.saveTrash();
+    this.emit('trashChanged', this.state.trash.entries);
+
+    this._insertJournalEntries([{ entry, index }]);
+    return entry;
+  }
+
+  /**
+   * Permanently delete trashed trades - not undoable
+   * @param {Array<number>} ids - Trash entry IDs
+   * @returns {number} Number of trades purged
+   */
+  purgeTrashEntries(ids) {
+    const idSet = new Set(ids);
+    const purgedEntries = this.state.trash.entries.filter(e => idSet.has(e.id));
+    this.state.trash.entries = this.state.trash.entries.filter(e => !idSet.has(e.id));
+    const purged = purgedEntries.length;
+
+    if (purged > 0) {
+      const attachmentIds = purgedEntries.flatMap(e => (e.attachments || []).map(a => a.id));
+      if (attachmentIds.length > 0) {
+        attachmentStore.remove(attachmentIds).catch(e => logger.error('Failed to delete attachments:', e));
+      }
+      this.saveTrash();
+      this.emit('trashChanged', this.state.trash.entries);
+    }
+    return purged;
+  }
+
+  /**
+   * Purge trashed trades older than the retention setting
+   * @returns {number} Number of trades purged
+   */
+  purgeExpiredTrash() {
+    const days = this.state.settings.trashRetentionDays;
+    if (!days) return 0;
+
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const expired = this.state.trash.entries
+      .filter(e => new Date(e.deletedAt).getTime() < cutoff)
+      .map(e => e.id);
+
+    const purged = this.purgeTrashEntries(expired);
+    if (purged > 0) {
+      logger.info(`Purged ${purged} trade(s) from trash after ${days} days`);
+    }
+    return purged;
+  }
+
+  /**
+   * Put entries back at their original positions (undo of a delete, redo of an add)
+   * @param {Array<{entry: Object, index: number}>} items - Inserted in order, so list lower indexes first
+   */
+  _insertJournalEntries(items) {
+    items.forEach(({ entry, index }) => {
+      this.state.journal.entries.splice(Math.min(index, this.state.journal.entries.length), 0, entry);
+    });
+    this._invalidateAccountCache();
+    this.saveJournal();
+    this.emit('journalEntryAdded', items.map(item => item.entry));
+  }
+
+  _removeJournalEntries(ids) {
+    const idSet = new Set(ids);
+    const removed = this.state.journal.entries.filter(e => idSet.has(e.id));
+    this.state.journal.entries = this.state.journal.entries.filter(e => !idSet.has(e.id));
+    this._invalidateAccountCache();
+    this.saveJournal();
+    ids.forEach(id => this.deleteTrade(id));
+    this.emit('journalEntryDeleted', removed);
+  }
+
+  _restoreJournalEntryFields(id, values) {
+    const entry = this.state.journal.entries.find(e => e.id === id);
+    if (!entry) return;
+
+    Object.entries(values).forEach(([key, value]) => {
+      if (value === MISSING) {
+        delete entry[key];
+      } else {
+        entry[key] = structuredClone(value);
+      }
+    });
+    this._invalidateAccountCache();
+    this.saveJournal();
+    this.emit('journalEntryUpdated', entry);
+  }
+
+  // Undo/redo
+  _recordCommand(command) {
+    if (this._isReplaying) return;
+
+    this._history.undo.push(command);
+    if (this._history.undo.length > MAX_HISTORY) {
+      this._history.undo.shift();
+    }
+    this._history.redo = [];
+    this.emit('historyChanged', this.getHistoryState());
+  }
+
+  _replay(command, direction) {
+    this._isReplaying = true;
+    try {
+      command[direction]();
+    } finally {
+      this._isReplaying = false;
+    }
+    // Journal mutations leave this to their callers, so replays emit it themselves
+    this.emit('accountSizeChanged', this.currentSize);
+  }
+
+  /**
+   * Latest undoable command, e.g. to check a toast's Undo button still refers to it
+   */
+  peekUndo() {
+    return this._history.undo[this._history.undo.length - 1] || null;
+  }
+
+  getHistoryState() {
+    const undo = this.peekUndo();
+    const redo = this._history.redo[this._history.redo.length - 1] || null;
+    return {
+      canUndo: !!undo,
+      canRedo: !!redo,
+      undoLabel: undo?.label || null,
+      redoLabel: redo?.label || null
+    };
+  }
+
+  /**
+   * Reverse the latest journal or cash-flow mutation
+   * @param {Object} [expected] - Only undo if this is still the latest command
+   * @returns {Object|null} The undone command, or null if there was nothing (or not `expected`) to undo
+   */
+  undo(expected = null) {
+    const command = this.peekUndo();
+    if (!command || (expected && command !== expected)) return null;
+
+    this._history.undo.pop();
+    this._replay(command, 'undo');
+    this._history.redo.push(command);
+    this.emit('historyChanged', this.getHistoryState());
+    return command;
+  }
+
+  /**
+   * Re-apply the latest undone mutation
+   * @returns {Object|null} The redone command, or null if there was nothing to redo
+   */
+  redo() {
+    const command = this._history.redo.pop();
+    if (!command) return null;
+
+    this._replay(command, 'redo');
+    this._history.undo.push(command);
+    this.emit('historyChanged', this.getHistoryState());
+    return command;
+  }
+
+  /**
+   * Forget all history - used when data is replaced wholesale (clear all data)
+   */
+  clearHistory() {
+    this._history = { undo: [], redo: [] };
+    this.emit('historyChanged', this.getHistoryState());
+  }
+
   getOpenTrades() {
     return this.state.journal.entries.filter(e => e.status === 'open');
   }
@@ -364,7 +931,8 @@ class AppState {
       this.saveSettings(),
       this._saveJournalImmediate(),
       this._saveCashFlowImmediate(),
-      this._saveJournalMetaImmediate()
+      this._saveJournalMetaImmediate(),
+      this._saveTrashImmediate()
     ]);
   }
 
@@ -378,7 +946,17 @@ class AppState {
           defaultRiskPercent: parsed.defaultRiskPercent ?? 1,
           defaultMaxPositionPercent: parsed.defaultMaxPositionPercent ?? 100,
           dynamicAccountEnabled: parsed.dynamicAccountEnabled ?? true,
-          theme: parsed.theme ?? 'dark'
+          theme: parsed.theme ?? 'dark',
+          commissionPerShare: parsed.commissionPerShare ?? 0,
+          commissionPerContract: parsed.commissionPerContract ?? 0,
+          commissionPerTrade: parsed.commissionPerTrade ?? 0,
+          alertsEnabled: parsed.alertsEnabled ?? true,
+          alertNearStopPercent: parsed.alertNearStopPercent ?? 2,
+          alertBrowserNotifications: parsed.alertBrowserNotifications ?? false,
+          alertSound: parsed.alertSound ?? false,
+          backupIncludesAttachments: parsed.backupIncludesAttachments ?? true,
+          trashRetentionDays: parsed.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS,
+          priceProviders: parsed.priceProviders ?? DEFAULT_PRICE_PROVIDERS.map(provider => ({ ...provider }))
         };
         // currentSize is now a computed property - no manual assignment needed
         this.state.account.riskPercent = this.state.settings.defaultRiskPercent;
@@ -493,6 +1071,13 @@ class AppState {
 
       // Migrate trades to add options fields if missing
       this._migrateTradesForOptions();
+
+      // Migrate trades to add direction if missing
+      this._migrateTradesForDirection();
+
+      // Migrate trades logged before accounts into the first account
+      this._migrateTradesForAccounts();
+      this._invalidateAccountCache();
     } catch (e) {
       logger.error('Failed to load journal:', e);
     }
@@ -571,6 +1156,45 @@ class AppState {
     }
   }
 
+  /**
+   * Migrate existing trades to include a direction
+   * Trades logged before short support are all long positions
+   */
+  _migrateTradesForDirection() {
+    let migrated = 0;
+    this.state.journal.entries.forEach(trade => {
+      if (!trade.direction) {
+        trade.direction = 'long';
+        migrated++;
+      }
+    });
+
+    if (migrated > 0) {
+      logger.debug(`[State] Migrated ${migrated} trades to include direction`);
+      this.saveJournal(); // Save migrated data
+    }
+  }
+
+  /**
+   * Migrate existing trades to belong to an account
+   * Everything logged before accounts existed goes to the first account
+   */
+  _migrateTradesForAccounts() {
+    const accountId = this.state.accounts.list[0]?.id ?? ACCOUNTS.DEFAULT_ID;
+    let migrated = 0;
+    this.state.journal.entries.forEach(trade => {
+      if (!trade.accountId) {
+        trade.accountId = accountId;
+        migrated++;
+      }
+    });
+
+    if (migrated > 0) {
+      logger.debug(`[State] Migrated ${migrated} trades to account ${accountId}`);
+      this.saveJournal(); // Save migrated data
+    }
+  }
+
   // Public method: uses debouncing to batch saves
   saveCashFlow() {
     this._debouncedSaveCashFlow();
@@ -595,12 +1219,134 @@ class AppState {
           totalWithdrawals: parsed.totalWithdrawals || 0
         };
         // currentSize is now a computed property - no manual adjustment needed
+
+        // Transactions recorded before accounts belong to the first account
+        const accountId = this.state.accounts.list[0]?.id ?? ACCOUNTS.DEFAULT_ID;
+        const unassigned = this.state.cashFlow.transactions.filter(t => !t.accountId);
+        unassigned.forEach(t => { t.accountId = accountId; });
+        if (unassigned.length > 0) this.saveCashFlow();
+
+        this._invalidateAccountCache();
       }
     } catch (e) {
       logger.error('Failed to load cash flow:', e);
     }
   }
 
+  // Public method: uses debouncing to batch saves
+  saveTrash() {
+    this._debouncedSaveTrash();
+  }
+
+  // Private method: immediate save (called by debounced function)
+  async _saveTrashImmediate() {
+    try {
+      await storage.setItem('riskCalcTrash', this.state.trash.entries.map(trade => compressTradeNotes(trade)));
+    } catch (e) {
+      logger.error('Failed to save trash:', e);
+    }
+  }
+
+  async loadTrash() {
+    try {
+      const saved = await storage.getItem('riskCalcTrash');
+      this.state.trash.entries = Array.isArray(saved)
+        ? saved.map(trade => decompressTradeNotes(trade))
+        : [];
+
+      const accountId = this.state.accounts.list[0]?.id ?? ACCOUNTS.DEFAULT_ID;
+      this.state.trash.entries.forEach(trade => { trade.accountId ??= accountId; });
+
+      this.purgeExpiredTrash();
+    } catch (e) {
+      logger.error('Failed to load trash:', e);
+    }
+  }
+
+  // Public method: uses debouncing to batch saves (fields save as the user types)
+  saveDailyNotes() {
+    this._debouncedSaveDailyNotes();
+  }
+
+  // Private method: immediate save (called by debounced function)
+  async _saveDailyNotesImmediate() {
+    try {
+      await storage.setItem('riskCalcDailyNotes', this.state.dailyNotes.entries);
+    } catch (e) {
+      logger.error('Failed to save daily notes:', e);
+    }
+  }
+
+  async loadDailyNotes() {
+    try {
+      const saved = await storage.getItem('riskCalcDailyNotes');
+      this.state.dailyNotes.entries = saved && typeof saved === 'object' ? saved : {};
+    } catch (e) {
+      logger.error('Failed to load daily notes:', e);
+    }
+  }
+
+  async saveFilterPresets() {
+    try {
+      await storage.setItem('riskCalcFilterPresets', this.state.filterPresets);
+    } catch (e) {
+      logger.error('Failed to save filter presets:', e);
+    }
+  }
+
+  async loadFilterPresets() {
+    try {
+      const saved = await storage.getItem('riskCalcFilterPresets');
+      if (saved) {
+        this.state.filterPresets = {
+          list: saved.list || [],
+          defaults: { journal: null, positions: null, stats: null, ...saved.defaults }
+        };
+      }
+    } catch (e) {
+      logger.error('Failed to load filter presets:', e);
+    }
+  }
+
+  async saveAccounts() {
+    try {
+      await storage.setItem('riskCalcAccounts', this.state.accounts);
+    } catch (e) {
+      logger.error('Failed to save accounts:', e);
+    }
+  }
+
+  /**
+   * Load accounts, creating the first one from the single-account starting balance
+   * Must run after loadSettings and before the journal, cash flow and trash load
+   */
+  async loadAccounts() {
+    try {
+      const saved = await storage.getItem('riskCalcAccounts');
+      if (saved?.list?.length > 0) {
+        const ids = saved.list.map(a => a.id);
+        this.state.accounts = {
+          list: saved.list,
+          activeId: ids.includes(saved.activeId) ? saved.activeId : ACCOUNTS.ALL
+        };
+      } else {
+        this.state.accounts = {
+          list: [{
+            id: ACCOUNTS.DEFAULT_ID,
+            name: 'Main',
+            startingBalance: this.state.settings.startingAccountSize,
+            createdAt: new Date().toISOString()
+          }],
+          activeId: ACCOUNTS.ALL
+        };
+        await this.saveAccounts();
+      }
+      this._invalidateAccountCache();
+    } catch (e) {
+      logger.error('Failed to load accounts:', e);
+    }
+  }
+
   // JournalMeta methods
   updateJournalMeta(updates) {
     Object.assign(this.state.journalMeta, updates);
@@ -660,7 +1406,7 @@ class AppState {
     }
 
     // Recalculate from trades using shared utility
-    const pnl = calculateRealizedPnL(this.state.journal.entries);
+    const pnl = calculateRealizedPnL(this.journal.entries);
 
     // Update cache
     this._accountCache.realizedPnL = pnl;
@@ -683,7 +1429,7 @@ class AppState {
     try {
       // Recalculate
       const netCashFlow = this.getCashFlowNet();
-      const size = this.state.settings.startingAccountSize + this.realizedPnL + netCashFlow;
+      const size = this.startingBalance + this.realizedPnL + netCashFlow;
 
       // Update cache
       this._accountCache.currentSize = size;
@@ -692,7 +1438,7 @@ class AppState {
     } catch (error) {
       logger.error('Error calculating currentSize:', error);
       // Fallback: return starting balance + realized P&L (no cash flow)
-      return this.state.settings.startingAccountSize + this.realizedPnL;
+      return this.startingBalance + this.realizedPnL;
     }
   }
 
@@ -712,12 +1458,31 @@ class AppState {
     }
     return this._accountProxy;
   }
-  get cashFlow() { return this.state.cashFlow; }
+  get cashFlow() { return this.isAllAccounts ? this.state.cashFlow : this._getScope().cashFlow; }
   get trade() { return this.state.trade; }
   get results() { return this.state.results; }
-  get journal() { return this.state.journal; }
+  get journal() { return this.isAllAccounts ? this.state.journal : this._getScope().journal; }
+  get allJournalEntries() { return this.state.journal.entries; } // Every account, regardless of the switcher
+  get trash() { return this.state.trash; }
   get journalMeta() { return this.state.journalMeta; }
   get ui() { return this.state.ui; }
+  get accounts() { return this.state.accounts.list; }
+  get activeAccountId() { return this.state.accounts.activeId; }
+  get isAllAccounts() { return this.state.accounts.activeId === ACCOUNTS.ALL; }
+  // "All accounts" with several accounts doesn't say where a new trade or transaction belongs
+  get needsAccountForNewEntries() { return this.isAllAccounts && this.state.accounts.list.length > 1; }
+  get filterPresets() { return this.state.filterPresets.list; }
+  get dailyNotes() { return this.state.dailyNotes.entries; }
+
+  /**
+   * Starting balance of the active account, or of all accounts combined
+   */
+  get startingBalance() {
+    const list = this.state.accounts.list;
+    if (list.length === 0) return this.state.settings.startingAccountSize; // Accounts not loaded yet
+    if (this.isAllAccounts) return list.reduce((sum, a) => sum + a.startingBalance, 0);
+    return this.getAccountById(this.state.accounts.activeId)?.startingBalance ?? 0;
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,129 @@
+/**
+ * Stop Manager - Evaluates trailing-stop rules on price refresh and records every stop change
+ * Rules either auto-apply the new stop or leave a proposal for the positions view to show.
+ */
+
+import { state } from './state.js';
+import { priceTracker } from './priceTracker.js';
+import { alertEngine } from './alertEngine.js';
+import { showToast } from '../components/ui/ui.js';
+import { getOpenTrades } from '../shared/TradeFilters.js';
+import { formatCurrency } from './utils.js';
+import { TRAILING_STOP_RULES, canApplyRule, createStopChange, describeTrailingRule, proposeTrailingStop } from './utils/trailingStops.js';
+import * as marketHours from '../utils/marketHours.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('StopManager');
+
+// Calendar days of candles fetched for candle-based rules (covers the ATR period plus holidays)
+const CANDLE_LOOKBACK_DAYS = 40;
+
+export const stopManager = {
+  _evaluateInProgress: false,
+  _candles: new Map(), // ticker → { day, candles } - fetched at most once per day per ticker
+  _proposals: new Map(), // tradeId → { stop, rule }
+
+  getProposal(tradeId) {
+    return this._proposals.get(tradeId) || null;
+  },
+
+  async _getCandles(ticker) {
+    const today = marketHours.formatDate(new Date());
+    const cached = this._candles.get(ticker);
+    if (cached?.day === today) return cached.candles;
+
+    const start = new Date();
+    start.setDate(start.getDate() - CANDLE_LOOKBACK_DAYS);
+    const candles = await priceTracker.fetchHistoricalCandles(ticker, marketHours.formatDate(start), today);
+    this._candles.set(ticker, { day: today, candles });
+    return candles;
+  },
+
+  /**
+   * Evaluate the trailing-stop rule of every open trade against the latest cached prices
+   * Called after each price refresh (manual or auto)
+   * @returns {Promise<number>} Number of stops moved automatically
+   */
+  async evaluate() {
+    if (this._evaluateInProgress) return 0;
+    this._evaluateInProgress = true;
+
+    const proposals = new Map();
+    let applied = 0;
+    try {
+      const trades = getOpenTrades(state.allJournalEntries)
+        .filter(trade => canApplyRule(trade, trade.trailingStop));
+
+      for (const trade of trades) {
+        const price = alertEngine.getCurrentPrice(trade);
+        if (!price) continue;
+
+        let candles = [];
+        if (TRAILING_STOP_RULES[trade.trailingStop.type].needsCandles) {
+          if (!priceTracker.hasCandleProvider()) continue;
+          try {
+            candles = await this._getCandles(trade.ticker);
+          } catch (error) {
+            logger.warn(`Could not load candles for ${trade.ticker} trailing stop:`, error.message);
+            continue;
+          }
+        }
+
+        const stop = proposeTrailingStop(trade, { price, candles, today: marketHours.formatDate(new Date()) });
+        if (stop === null) continue;
+
+        if (trade.trailingStop.autoApply) {
+          this.applyStop(trade, stop, { source: 'rule', rule: trade.trailingStop, auto: true });
+          showToast(`${trade.ticker} stop moved to ${formatCurrency(stop)} (${describeTrailingRule(trade.trailingStop, trade.direction)})`, 'success');
+          applied++;
+        } else {
+          proposals.set(trade.id, { stop, rule: { ...trade.trailingStop } });
+        }
+      }
+    } finally {
+      this._evaluateInProgress = false;
+    }
+
+    const changed = proposals.size !== this._proposals.size ||
+      [...proposals].some(([id, proposal]) => this._proposals.get(id)?.stop !== proposal.stop);
+    this._proposals = proposals;
+    if (changed) {
+      state.emit('stopProposalsUpdated', [...proposals.keys()]);
+    }
+
+    return applied;
+  },
+
+  /**
+   * Move a trade's current stop and record the change in its stopHistory
+   * @param {Object} trade - Journal entry
+   * @param {number} newStop - New current stop
+   * @param {Object} options - { source: 'manual' | 'rule', rule?, auto? }
+   *   auto: moved by the rule on a price refresh - kept out of undo history so it doesn't clear redo
+   */
+  applyStop(trade, newStop, { source, rule = null, auto = false }) {
+    const change = createStopChange(trade, newStop, { source, rule });
+    this._proposals.delete(trade.id);
+
+    state.updateJournalEntry(trade.id, {
+      // Pin 1R before the stop moves - older entries only have `stop`
+      originalStop: trade.originalStop ?? trade.stop,
+      currentStop: newStop,
+      stop: newStop,
+      stopHistory: [...(trade.stopHistory || []), change]
+    }, { undoable: !auto });
+  },
+
+  /**
+   * Apply a pending rule proposal (from the positions view)
+   * @returns {boolean} Whether a proposal existed and was applied
+   */
+  applyProposal(tradeId) {
+    const proposal = this._proposals.get(tradeId);
+    const trade = state.allJournalEntries.find(e => e.id === tradeId);
+    if (!proposal || !trade) return false;
+
+    this.applyStop(trade, proposal.stop, { source: 'rule', rule: proposal.rule });
+    return true;
+  }
+};
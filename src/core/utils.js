@@ -3,6 +3,7 @@
  */
 
 import { createLogger } from '../utils/logger.js';
+import { isBusinessDay, adjustToPreviousWeekday, formatDate as formatDateYMD } from '../utils/marketHours.js';
 
 const logger = createLogger('Utils');
 
@@ -35,6 +36,15 @@ export function formatWithCommas(value) {
   return formatNumber(value, value % 1 === 0 ? 0 : 2);
 }
 
+// Escape text for interpolation into HTML markup and attribute values
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 // Parse number from string (handles K/M notation and commas)
 export function parseNumber(str) {
   if (!str) return null;
@@ -120,7 +130,7 @@ export function createTimestampFromDateInput(dateInputValue) {
   return new Date(dateInputValue + 'T12:00:00').toISOString();
 }
 
-// Initialize Flatpickr date picker with weekend disabling and custom options
+// Initialize Flatpickr date picker with weekend/holiday disabling and custom options
 export function initFlatpickr(dateInput, options = {}) {
   if (!dateInput) return null;
   if (!window.flatpickr) {
@@ -134,11 +144,11 @@ export function initFlatpickr(dateInput, options = {}) {
     altInput: true,
     altFormat: 'M j, Y', // e.g., "Jan 10, 2026"
     animate: true,
-    // Disable weekends
+    // Disable weekends and market holidays
     disable: [
       function(date) {
         // Return true to disable the date
-        return (date.getDay() === 0 || date.getDay() === 6); // Sunday = 0, Saturday = 6
+        return !isBusinessDay(formatDateYMD(date));
       }
     ],
     // Prevent future dates
@@ -221,38 +231,16 @@ export function initFlatpickr(dateInput, options = {}) {
   return fp;
 }
 
-// Get previous business day (skip weekends)
+// Get previous business day (skip weekends and market holidays)
 export function getPreviousBusinessDay(date) {
   const result = new Date(date);
   result.setDate(result.getDate() - 1);
-
-  // If it's Sunday (0), go back to Friday
-  if (result.getDay() === 0) {
-    result.setDate(result.getDate() - 2);
-  }
-  // If it's Saturday (6), go back to Friday
-  else if (result.getDay() === 6) {
-    result.setDate(result.getDate() - 1);
-  }
-
-  return result;
+  return adjustToPreviousWeekday(result);
 }
 
-// Get current weekday (or last Friday if today is weekend)
+// Get current trading day (or the last one if today is a weekend or market holiday)
 export function getCurrentWeekday() {
-  const today = new Date();
-  const dayOfWeek = today.getDay();
-
-  // If Saturday (6), go back to Friday
-  if (dayOfWeek === 6) {
-    today.setDate(today.getDate() - 1);
-  }
-  // If Sunday (0), go back to Friday
-  else if (dayOfWeek === 0) {
-    today.setDate(today.getDate() - 2);
-  }
-
-  return today;
+  return adjustToPreviousWeekday(new Date());
 }
 
 /**
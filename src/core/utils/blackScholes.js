@@ -0,0 +1,134 @@
+/**
+ * Black-Scholes Utility
+ * Theoretical value, Greeks and implied volatility for European options on a
+ * non-dividend-paying underlying - the local mark for option positions without a quote
+ */
+
+import { TIME_CONSTANTS } from '../../constants/index.js';
+import { getCurrentEST, getTradingDayEnd } from '../../utils/marketHours.js';
+
+// Annual risk-free rate, continuously compounded (roughly short-dated Treasury yields)
+export const RISK_FREE_RATE = 0.04;
+
+// Implied volatility search range (annualized, as decimals) and precision
+const MIN_VOLATILITY = 0.01;
+const MAX_VOLATILITY = 5;
+const VOLATILITY_TOLERANCE = 1e-6;
+const MAX_SOLVER_ITERATIONS = 100;
+
+const YEAR_MS = 365 * TIME_CONSTANTS.ONE_DAY_MS;
+
+/**
+ * Standard normal probability density
+ */
+function normalPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 26.2.17, error < 7.5e-8)
+ */
+function normalCdf(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  const tail = normalPdf(x) * poly;
+  return x >= 0 ? 1 - tail : tail;
+}
+
+function getIntrinsicValue(spot, strike, optionType) {
+  return optionType === 'put' ? Math.max(0, strike - spot) : Math.max(0, spot - strike);
+}
+
+/**
+ * Years from a moment to the option's expiration (the close on its expiration date)
+ * @param {string} expirationDate - YYYY-MM-DD
+ * @param {Date} [now] - Moment to measure from (defaults to now)
+ * @returns {number} Years to expiration, 0 once expired
+ */
+export function getYearsToExpiration(expirationDate, now = new Date()) {
+  if (!expirationDate) return 0;
+  // Both sides in Eastern wall-clock time, like the rest of the market-hours logic
+  const ms = getTradingDayEnd(expirationDate) - getCurrentEST(now);
+  return Math.max(0, ms / YEAR_MS);
+}
+
+/**
+ * Theoretical value and Greeks for one share of the contract
+ * At or past expiration (or with no volatility) the value is intrinsic and only delta remains.
+ * @param {Object} params
+ * @param {number} params.spot - Underlying price
+ * @param {number} params.strike - Strike price
+ * @param {number} params.years - Years to expiration
+ * @param {number} params.volatility - Annualized volatility as a decimal (0.35 = 35%)
+ * @param {string} params.optionType - 'call' or 'put'
+ * @param {number} [params.rate] - Risk-free rate as a decimal
+ * @returns {Object|null} { value, delta, gamma, theta, vega } - theta per calendar day,
+ *   vega per 1 volatility point; null when the inputs can't be priced
+ */
+export function calculateOptionGreeks({ spot, strike, years, volatility, optionType, rate = RISK_FREE_RATE }) {
+  if (!(spot > 0) || !(strike > 0) || !(years >= 0)) return null;
+
+  const isPut = optionType === 'put';
+
+  if (years === 0 || !(volatility > 0)) {
+    const inTheMoney = getIntrinsicValue(spot, strike, optionType) > 0;
+    return {
+      value: getIntrinsicValue(spot, strike, optionType),
+      delta: inTheMoney ? (isPut ? -1 : 1) : 0,
+      gamma: 0,
+      theta: 0,
+      vega: 0
+    };
+  }
+
+  const sqrtYears = Math.sqrt(years);
+  const d1 = (Math.log(spot / strike) + (rate + volatility * volatility / 2) * years) / (volatility * sqrtYears);
+  const d2 = d1 - volatility * sqrtYears;
+  const discount = Math.exp(-rate * years);
+  const density = normalPdf(d1);
+
+  const value = isPut
+    ? strike * discount * normalCdf(-d2) - spot * normalCdf(-d1)
+    : spot * normalCdf(d1) - strike * discount * normalCdf(d2);
+
+  const decay = -(spot * density * volatility) / (2 * sqrtYears);
+  const annualTheta = isPut
+    ? decay + rate * strike * discount * normalCdf(-d2)
+    : decay - rate * strike * discount * normalCdf(d2);
+
+  return {
+    value: Math.max(0, value),
+    delta: isPut ? normalCdf(d1) - 1 : normalCdf(d1),
+    gamma: density / (spot * volatility * sqrtYears),
+    theta: annualTheta / 365,
+    vega: (spot * density * sqrtYears) / 100
+  };
+}
+
+/**
+ * Volatility at which the model reproduces an observed option price (bisection - value rises with volatility)
+ * @param {number} optionPrice - Observed price per share
+ * @param {Object} params - spot, strike, years, optionType and optional rate, as for calculateOptionGreeks
+ * @returns {number|null} Annualized volatility as a decimal, or null when no volatility in range fits
+ *   (price at or below intrinsic, above the range, or already expired)
+ */
+export function solveImpliedVolatility(optionPrice, params) {
+  if (!(optionPrice > 0) || !(params.years > 0)) return null;
+
+  const valueAt = (volatility) => calculateOptionGreeks({ ...params, volatility })?.value ?? NaN;
+
+  let low = MIN_VOLATILITY;
+  let high = MAX_VOLATILITY;
+  if (!(valueAt(low) < optionPrice) || !(valueAt(high) > optionPrice)) return null;
+
+  for (let i = 0; i < MAX_SOLVER_ITERATIONS && high - low > VOLATILITY_TOLERANCE; i++) {
+    const mid = (low + high) / 2;
+    if (valueAt(mid) < optionPrice) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return (low + high) / 2;
+}
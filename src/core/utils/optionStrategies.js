@@ -0,0 +1,214 @@
+/**
+ * Option Strategies Utility
+ * Multi-leg option positions (verticals, calendars, iron condors, covered calls) logged as one trade.
+ *
+ * A strategy trade prices like a single instrument: its entry is the net premium per unit (per share
+ * of a 100-share contract), a net debit trades 'long' and a net credit 'short', and the stop sits at
+ * the net price where the defined max loss is reached - so the usual R, P&L and stats math applies.
+ */
+
+// Option legs cover 100 shares per contract, and a stock leg's ratio counts 100-share lots to match
+export const STOCK_LEG = 'stock';
+
+/**
+ * Strategy types, keyed by the `strategy` stored on the trade
+ * - legs: template rows the entry form starts from (near-dated legs first)
+ */
+export const STRATEGY_TYPES = {
+  vertical: {
+    label: 'Vertical spread',
+    legs: [
+      { kind: 'call', side: 'long', ratio: 1 },
+      { kind: 'call', side: 'short', ratio: 1 }
+    ]
+  },
+  calendar: {
+    label: 'Calendar spread',
+    legs: [
+      { kind: 'call', side: 'short', ratio: 1 },
+      { kind: 'call', side: 'long', ratio: 1 }
+    ]
+  },
+  ironCondor: {
+    label: 'Iron condor',
+    legs: [
+      { kind: 'put', side: 'long', ratio: 1 },
+      { kind: 'put', side: 'short', ratio: 1 },
+      { kind: 'call', side: 'short', ratio: 1 },
+      { kind: 'call', side: 'long', ratio: 1 }
+    ]
+  },
+  coveredCall: {
+    label: 'Covered call',
+    legs: [
+      { kind: STOCK_LEG, side: 'long', ratio: 1 },
+      { kind: 'call', side: 'short', ratio: 1 }
+    ]
+  },
+  custom: {
+    label: 'Custom',
+    legs: [
+      { kind: 'call', side: 'long', ratio: 1 },
+      { kind: 'put', side: 'long', ratio: 1 }
+    ]
+  }
+};
+
+/**
+ * Check if a trade is a multi-leg strategy
+ * @param {Object} trade - Trade object
+ * @returns {boolean}
+ */
+export function isStrategyTrade(trade) {
+  return Array.isArray(trade?.legs) && trade.legs.length > 0;
+}
+
+export function isOptionLeg(leg) {
+  return leg.kind !== STOCK_LEG;
+}
+
+function getLegSign(leg) {
+  return leg.side === 'short' ? -1 : 1;
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Net premium per unit (positive = debit paid, negative = credit received)
+ * @param {Array} legs - Strategy legs
+ * @param {Function} [getLegPrice] - leg → price per share (defaults to the leg's entry)
+ * @returns {number|null} Null when any leg has no price
+ */
+export function getNetPremium(legs, getLegPrice = leg => leg.entry) {
+  let net = 0;
+  for (const leg of legs) {
+    const price = getLegPrice(leg);
+    if (price === null || price === undefined || isNaN(price)) return null;
+    net += getLegSign(leg) * (leg.ratio || 1) * price;
+  }
+  return round(net);
+}
+
+/**
+ * Debits are bought ('long'), credits sold ('short')
+ */
+export function getStrategyDirection(legs) {
+  return getNetPremium(legs) < 0 ? 'short' : 'long';
+}
+
+/**
+ * Current price of a strategy trade in its own terms - the value of a debit, the cost to close a credit
+ * @param {Object} trade - Strategy trade
+ * @param {Function} getLegPrice - leg → current price per share (null when unknown)
+ * @returns {number|null}
+ */
+export function getStrategyMark(trade, getLegPrice) {
+  const net = getNetPremium(trade.legs, getLegPrice);
+  if (net === null) return null;
+  return trade.direction === 'short' ? -net : net;
+}
+
+/**
+ * Value of the legs at expiration for an underlying price
+ */
+function getExpirationValue(legs, spot) {
+  return legs.reduce((sum, leg) => {
+    const value = leg.kind === STOCK_LEG ? spot
+      : leg.kind === 'put' ? Math.max(0, leg.strike - spot)
+        : Math.max(0, spot - leg.strike);
+    return sum + getLegSign(leg) * (leg.ratio || 1) * value;
+  }, 0);
+}
+
+/**
+ * Defined max loss and max profit per unit, from the payoff at expiration
+ * Legs with different expirations can't be read off one payoff, so a calendar's
+ * max loss is its net debit and its max profit is left open.
+ * @param {Array} legs - Strategy legs
+ * @returns {Object} { maxLoss, maxProfit } - per share, null when unlimited or undefined
+ */
+export function getStrategyRange(legs) {
+  const net = getNetPremium(legs);
+  const expirations = new Set(legs.filter(isOptionLeg).map(leg => leg.expirationDate));
+
+  if (expirations.size > 1) {
+    return { maxLoss: net > 0 ? net : null, maxProfit: null };
+  }
+
+  // Payoff is linear between strikes, so its extremes are at a strike, at zero or toward infinity
+  const upsideSlope = legs
+    .filter(leg => leg.kind !== 'put')
+    .reduce((sum, leg) => sum + getLegSign(leg) * (leg.ratio || 1), 0);
+  const outcomes = [0, ...legs.filter(isOptionLeg).map(leg => leg.strike)]
+    .map(spot => getExpirationValue(legs, spot) - net);
+
+  return {
+    maxLoss: upsideSlope < 0 ? null : round(Math.max(0, -Math.min(...outcomes))),
+    maxProfit: upsideSlope > 0 ? null : round(Math.max(0, ...outcomes))
+  };
+}
+
+/**
+ * Check strategy legs can be logged
+ * @param {Array} legs - Strategy legs
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateStrategyLegs(legs) {
+  if (!legs || legs.length < 2) return 'A strategy needs at least two legs';
+  if (!legs.some(isOptionLeg)) return 'A strategy needs at least one option leg';
+
+  for (const leg of legs) {
+    if (!Number.isInteger(leg.ratio) || leg.ratio < 1) return 'Leg quantities must be whole numbers';
+    if (!(leg.entry > 0)) return 'Every leg needs a fill price';
+    if (isOptionLeg(leg) && !(leg.strike > 0)) return 'Every option leg needs a strike';
+    if (isOptionLeg(leg) && !leg.expirationDate) return 'Every option leg needs an expiration';
+  }
+
+  if (getNetPremium(legs) === 0) return 'Net premium can\'t be zero';
+  if (getStrategyRange(legs).maxLoss === null) return 'Max loss is unlimited - only defined-risk strategies can be logged';
+  return null;
+}
+
+/**
+ * Earliest expiration across the option legs (what the position's expiry badge counts down to)
+ */
+export function getNearestExpiration(legs) {
+  return legs.filter(isOptionLeg).map(leg => leg.expirationDate).sort()[0] || null;
+}
+
+/**
+ * Option contracts in a strategy, shaped like single-option trades for price lookups
+ * @param {Object} trade - Strategy trade
+ * @returns {Array<{ticker, strike, expirationDate, optionType}>}
+ */
+export function getStrategyContracts(trade) {
+  return trade.legs.filter(isOptionLeg).map(leg => ({
+    ticker: trade.ticker,
+    strike: leg.strike,
+    expirationDate: leg.expirationDate,
+    optionType: leg.kind
+  }));
+}
+
+export function getStrategyLabel(trade) {
+  return STRATEGY_TYPES[trade.strategy]?.label || 'Strategy';
+}
+
+/**
+ * Short leg description, e.g. "+1 150C 1/16/26" or "-1 155C 1/16/26" or "+100 sh"
+ */
+export function describeLeg(leg) {
+  const sign = leg.side === 'short' ? '-' : '+';
+  if (leg.kind === STOCK_LEG) {
+    return `${sign}${(leg.ratio || 1) * 100} sh`;
+  }
+  const [year, month, day] = (leg.expirationDate || '').split('-');
+  const expiration = year ? ` ${parseInt(month)}/${parseInt(day)}/${year.slice(-2)}` : '';
+  return `${sign}${leg.ratio || 1} ${leg.strike}${leg.kind === 'put' ? 'P' : 'C'}${expiration}`;
+}
+
+export function describeLegs(trade) {
+  return trade.legs.map(describeLeg).join(' / ');
+}
@@ -0,0 +1,365 @@
+/**
+ * Tax Lots Utility
+ * Matches every trim/close in `trimHistory` to the fills it sold (FIFO within the trade),
+ * classifies each sale as short- or long-term, and applies the wash-sale rule.
+ *
+ * Lots are the initial fill plus each add in `addHistory`, with their own prices and fees.
+ * The journal values trims against the blended entry instead (see positionUtils), so a
+ * scaled-in trade's gain per sale can differ here; over a whole closed position the two
+ * agree apart from wash-sale adjustments.
+ *
+ * Wash sales: a loss is disallowed when the same security (ticker, or option contract) is
+ * bought within 30 days before or after the sale. The disallowed loss moves into the basis
+ * of the replacement shares, and their holding period starts earlier by the time the sold
+ * shares were held. Short sales are always short-term and aren't checked for wash sales.
+ */
+
+import { getAssetMultiplier, isOptionsAsset } from '../../utils/assetTypeUtils.js';
+import { getInitialFill } from '../../utils/positionUtils.js';
+import { generateOptionKey } from '../../utils/optionKeyUtils.js';
+import { describeLegs, getStrategyLabel, isStrategyTrade } from './optionStrategies.js';
+import { getTradeEntryDateString } from '../../utils/tradeUtils.js';
+import { formatDate, parseDate } from '../../utils/marketHours.js';
+import { TIME_CONSTANTS } from '../../constants/index.js';
+
+// Days either side of a loss in which buying the same security makes it a wash sale
+export const WASH_SALE_WINDOW_DAYS = 30;
+
+// Form 8949 column (f) code for a wash sale loss disallowed
+export const WASH_SALE_CODE = 'W';
+
+function toDateString(value) {
+  return value ? value.split('T')[0] : null;
+}
+
+function addDays(dateStr, days) {
+  const date = parseDate(dateStr);
+  date.setDate(date.getDate() + days);
+  return formatDate(date);
+}
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((parseDate(toDate) - parseDate(fromDate)) / TIME_CONSTANTS.ONE_DAY_MS);
+}
+
+/**
+ * Held more than one year: sold after the anniversary of the acquisition date
+ * @param {string} acquired - YYYY-MM-DD
+ * @param {string} sold - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function isLongTermHolding(acquired, sold) {
+  const anniversary = parseDate(acquired);
+  anniversary.setFullYear(anniversary.getFullYear() + 1);
+  return sold > formatDate(anniversary);
+}
+
+/**
+ * What wash sales compare: the ticker for shares, the contract for options, the set of legs for strategies
+ */
+function getSecurityKey(trade) {
+  const ticker = (trade.ticker || '').toUpperCase();
+  if (!isOptionsAsset(trade)) return ticker;
+  if (isStrategyTrade(trade)) return `${ticker}_${describeLegs(trade)}`;
+  return generateOptionKey(trade.ticker, trade.strike, trade.expirationDate, trade.optionType) || `${ticker}_options`;
+}
+
+function describeSecurity(trade, shares) {
+  const ticker = (trade.ticker || '').toUpperCase();
+  const description = isStrategyTrade(trade)
+    ? `${shares} ${ticker} ${getStrategyLabel(trade)} (${describeLegs(trade)})`
+    : isOptionsAsset(trade)
+      ? `${shares} ${ticker} ${trade.expirationDate || ''} ${trade.strike ?? ''} ${trade.optionType === 'put' ? 'Put' : 'Call'}`.replace(/\s+/g, ' ')
+      : `${shares} sh ${ticker}`;
+  return trade.direction === 'short' ? `${description} (short sale)` : description;
+}
+
+/**
+ * Fills that opened a trade's position, oldest first
+ * @param {Object} trade - Journal entry
+ * @returns {Array<{date: string, shares: number, price: number, fees: number}>}
+ */
+export function getTradeLots(trade) {
+  const initial = getInitialFill(trade);
+  const lots = [
+    { date: getTradeEntryDateString(trade), shares: initial.shares, price: initial.price, fees: trade.entryFees || 0 },
+    ...(trade.addHistory || []).map(add => ({
+      date: toDateString(add.date),
+      shares: add.shares,
+      price: add.price,
+      fees: add.fees || 0
+    }))
+  ];
+  return lots
+    .filter(lot => lot.date && lot.shares > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Fills that closed part or all of a trade's position
+ * Closed trades from before trim history was kept get one sale for the whole position.
+ * @param {Object} trade - Journal entry
+ * @returns {Array<{date: string, shares: number, price: number, fees: number}>}
+ */
+export function getTradeSales(trade) {
+  if (trade.trimHistory?.length > 0) {
+    return trade.trimHistory.map(trim => ({
+      date: toDateString(trim.date),
+      shares: trim.shares,
+      price: trim.exitPrice,
+      fees: trim.fees || 0
+    }));
+  }
+
+  if (trade.status === 'closed' && trade.exitDate && trade.exitPrice !== undefined && trade.exitPrice !== null) {
+    return [{ date: toDateString(trade.exitDate), shares: trade.originalShares ?? trade.shares, price: trade.exitPrice, fees: 0 }];
+  }
+
+  return [];
+}
+
+/**
+ * Take shares from a lot, wash-sale-adjusted shares first
+ * @returns {Array<{shares, adjustment, acquired}>} One segment per basis adjustment the shares carried
+ */
+function takeFromLot(lot, shares) {
+  const segments = [];
+  let left = shares;
+
+  while (left > 0 && lot.adjustments.length > 0) {
+    const adjustment = lot.adjustments[0];
+    const take = Math.min(left, adjustment.shares);
+    segments.push({ shares: take, adjustment: adjustment.perShare * take, acquired: adjustment.acquired });
+    adjustment.shares -= take;
+    if (adjustment.shares <= 0) lot.adjustments.shift();
+    left -= take;
+  }
+  if (left > 0) {
+    segments.push({ shares: left, adjustment: 0, acquired: lot.acquired });
+  }
+
+  lot.remaining -= shares;
+  return segments;
+}
+
+/**
+ * Disallow a loss against shares of the same security bought within the window,
+ * earliest purchase first, moving the loss into those shares' basis
+ * (shares from the lots the sale itself drew on don't count as replacements)
+ * @returns {number} Loss disallowed (positive)
+ */
+function applyWashSale(row, soldLots, lots) {
+  const loss = -row.gain;
+  const windowStart = addDays(row.sold, -WASH_SALE_WINDOW_DAYS);
+  const windowEnd = addDays(row.sold, WASH_SALE_WINDOW_DAYS);
+  const heldDays = daysBetween(row.acquired, row.sold);
+
+  const { securityKey } = soldLots.values().next().value;
+  const replacements = lots.filter(lot =>
+    !soldLots.has(lot) &&
+    lot.direction !== 'short' &&
+    lot.securityKey === securityKey &&
+    lot.acquired >= windowStart &&
+    lot.acquired <= windowEnd
+  ).sort((a, b) => a.acquired.localeCompare(b.acquired));
+
+  let unmatched = row.shares;
+  let disallowed = 0;
+  for (const lot of replacements) {
+    if (unmatched <= 0) break;
+    // Only shares still held and not already standing in for another loss
+    const adjustedShares = lot.adjustments.reduce((sum, a) => sum + a.shares, 0);
+    const available = lot.remaining - adjustedShares;
+    if (available <= 0) continue;
+
+    const take = Math.min(available, unmatched);
+    const amount = loss * (take / row.shares);
+    lot.adjustments.push({ shares: take, perShare: amount / take, acquired: addDays(lot.acquired, -heldDays) });
+    disallowed += amount;
+    unmatched -= take;
+  }
+
+  return disallowed;
+}
+
+/**
+ * Every realized sale split into tax lots, oldest sale first
+ * Runs over all years so wash-sale basis carried into a later year is included.
+ * @param {Array} trades - Journal entries
+ * @returns {Array<Object>} Rows { tradeId, ticker, description, direction, acquired, sold, shares,
+ *   proceeds, costBasis, adjustment, code, gain, term: 'short'|'long' }
+ */
+export function calculateTaxLots(trades) {
+  const lots = [];
+  const sales = [];
+
+  trades.forEach(trade => {
+    const direction = trade.direction === 'short' ? 'short' : 'long';
+    const multiplier = getAssetMultiplier(trade.assetType);
+    const securityKey = getSecurityKey(trade);
+
+    const tradeLots = getTradeLots(trade).map(fill => ({
+      trade,
+      direction,
+      securityKey,
+      acquired: fill.date,
+      remaining: fill.shares,
+      // Per-share amounts in dollars, fees included
+      valuePerShare: fill.price * multiplier,
+      feesPerShare: fill.fees / fill.shares,
+      adjustments: [] // Wash-sale basis added to shares of this lot: { shares, perShare, acquired }
+    }));
+    lots.push(...tradeLots);
+
+    getTradeSales(trade).forEach((sale, index) => {
+      if (sale.date && sale.shares > 0) sales.push({ ...sale, trade, tradeLots, multiplier, direction, index });
+    });
+  });
+
+  // Chronological, so basis moved by a wash sale is in place before the replacement is sold
+  sales.sort((a, b) => a.date.localeCompare(b.date) || a.index - b.index);
+
+  const rows = [];
+  for (const sale of sales) {
+    const saleValuePerShare = sale.price * sale.multiplier;
+    const saleFeesPerShare = sale.fees / sale.shares;
+    let unsold = sale.shares;
+
+    // Draw every share first, so a wash-sale check never counts shares this same sale sells
+    const taken = [];
+    for (const lot of sale.tradeLots) {
+      if (unsold <= 0) break;
+      if (lot.remaining <= 0) continue;
+
+      const take = Math.min(lot.remaining, unsold);
+      unsold -= take;
+      takeFromLot(lot, take).forEach(segment => taken.push({ lot, segment }));
+    }
+    const soldLots = new Set(taken.map(item => item.lot));
+
+    for (const { lot, segment } of taken) {
+      const shares = segment.shares;
+      // A short sale's proceeds come from opening it; covering is the cost
+      const openValue = (lot.valuePerShare + (sale.direction === 'short' ? -lot.feesPerShare : lot.feesPerShare)) * shares;
+      const closeValue = (saleValuePerShare + (sale.direction === 'short' ? saleFeesPerShare : -saleFeesPerShare)) * shares;
+      const proceeds = sale.direction === 'short' ? openValue : closeValue;
+      const costBasis = (sale.direction === 'short' ? closeValue : openValue) + segment.adjustment;
+
+      const row = {
+        tradeId: sale.trade.id,
+        ticker: (sale.trade.ticker || '').toUpperCase(),
+        description: describeSecurity(sale.trade, shares),
+        direction: sale.direction,
+        acquired: segment.acquired,
+        sold: sale.date,
+        shares,
+        proceeds,
+        costBasis,
+        adjustment: 0,
+        code: '',
+        gain: proceeds - costBasis,
+        term: sale.direction === 'long' && isLongTermHolding(segment.acquired, sale.date) ? 'long' : 'short'
+      };
+
+      if (row.gain < 0 && sale.direction === 'long') {
+        const disallowed = applyWashSale(row, soldLots, lots);
+        if (disallowed > 0) {
+          row.adjustment = disallowed;
+          row.code = WASH_SALE_CODE;
+          row.gain += disallowed;
+        }
+      }
+
+      rows.push(row);
+    }
+  }
+
+  return rows;
+}
+
+function sumRows(rows) {
+  return rows.reduce((totals, row) => ({
+    proceeds: totals.proceeds + row.proceeds,
+    costBasis: totals.costBasis + row.costBasis,
+    adjustment: totals.adjustment + row.adjustment,
+    gain: totals.gain + row.gain,
+    count: totals.count + 1
+  }), { proceeds: 0, costBasis: 0, adjustment: 0, gain: 0, count: 0 });
+}
+
+/**
+ * Years with at least one sale, newest first
+ * @param {Array} trades - Journal entries
+ * @returns {Array<number>}
+ */
+export function getTaxYears(trades) {
+  const years = new Set();
+  trades.forEach(trade => {
+    getTradeSales(trade).forEach(sale => {
+      if (sale.date) years.add(parseInt(sale.date.slice(0, 4)));
+    });
+  });
+  return [...years].sort((a, b) => b - a);
+}
+
+/**
+ * Tax lot report for a calendar year
+ * @param {Array} trades - Journal entries
+ * @param {number} year - Tax year
+ * @returns {Object} { year, rows, shortTerm, longTerm, total, washSales: { count, disallowed } }
+ */
+export function buildTaxReport(trades, year) {
+  const rows = calculateTaxLots(trades).filter(row => row.sold.startsWith(`${year}-`));
+  const washRows = rows.filter(row => row.code === WASH_SALE_CODE);
+
+  return {
+    year,
+    rows,
+    shortTerm: sumRows(rows.filter(row => row.term === 'short')),
+    longTerm: sumRows(rows.filter(row => row.term === 'long')),
+    total: sumRows(rows),
+    washSales: {
+      count: washRows.length,
+      disallowed: washRows.reduce((sum, row) => sum + row.adjustment, 0)
+    }
+  };
+}
+
+function formatCsvDate(dateStr) {
+  const [year, month, day] = dateStr.split('-');
+  return `${month}/${day}/${year}`;
+}
+
+function toCsvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Form 8949-style CSV: short-term sales (Part I), then long-term (Part II)
+ * @param {Object} report - From buildTaxReport
+ * @returns {string}
+ */
+export function buildForm8949Csv(report) {
+  const headers = [
+    'Part', 'Description of property (a)', 'Date acquired (b)', 'Date sold or disposed of (c)',
+    'Proceeds (d)', 'Cost or other basis (e)', 'Code (f)', 'Amount of adjustment (g)', 'Gain or (loss) (h)'
+  ];
+  const ordered = [
+    ...report.rows.filter(row => row.term === 'short'),
+    ...report.rows.filter(row => row.term === 'long')
+  ];
+  const lines = ordered.map(row => [
+    row.term === 'long' ? 'II (long-term)' : 'I (short-term)',
+    row.description,
+    formatCsvDate(row.acquired),
+    formatCsvDate(row.sold),
+    row.proceeds.toFixed(2),
+    row.costBasis.toFixed(2),
+    row.code,
+    row.adjustment ? row.adjustment.toFixed(2) : '',
+    row.gain.toFixed(2)
+  ].map(toCsvCell).join(','));
+
+  return [headers.map(toCsvCell).join(','), ...lines].join('\n');
+}
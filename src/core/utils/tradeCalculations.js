@@ -3,20 +3,56 @@
  * Shared calculation functions for trade-related metrics
  */
 
+import { getProfitPerShare, getRiskPerShare, getRMultiple } from '../../utils/directionUtils.js';
+import { getAssetMultiplier } from '../../utils/assetTypeUtils.js';
+import { getTradeEntryDateString } from '../../utils/tradeUtils.js';
+
 /**
- * Get realized P&L for a single trade
+ * Get gross realized P&L for a single trade (before commissions and fees)
  * For trimmed trades, returns totalRealizedPnL (accumulated from all trims)
  * For closed trades, returns pnl (final P&L)
  * @param {Object} trade - Trade object
- * @returns {number} Realized P&L (0 if not available)
+ * @returns {number} Gross realized P&L (0 if not available)
  */
-export function getTradeRealizedPnL(trade) {
+export function getTradeGrossPnL(trade) {
   return trade.totalRealizedPnL ?? trade.pnl ?? 0;
 }
 
+/**
+ * Get commissions and fees paid to build a position
+ * Sums the initial entry fill fees and the fees on every add-to-position fill
+ * @param {Object} trade - Trade object
+ * @returns {number} Entry-side fees (0 if none recorded)
+ */
+export function getEntryFees(trade) {
+  const addFees = (trade.addHistory || []).reduce((sum, add) => sum + (add.fees || 0), 0);
+  return (trade.entryFees || 0) + addFees;
+}
+
+/**
+ * Get total commissions and fees paid on a trade
+ * Sums the entry-side fees (initial fill and adds) and the fees recorded on every trim/close
+ * @param {Object} trade - Trade object
+ * @returns {number} Total fees (0 if none recorded)
+ */
+export function getTradeFees(trade) {
+  const entryFees = getEntryFees(trade);
+  const exitFees = (trade.trimHistory || []).reduce((sum, trim) => sum + (trim.fees || 0), 0);
+  return entryFees + exitFees;
+}
+
+/**
+ * Get realized P&L for a single trade, net of commissions and fees
+ * @param {Object} trade - Trade object
+ * @returns {number} Net realized P&L (0 if not available)
+ */
+export function getTradeRealizedPnL(trade) {
+  return getTradeGrossPnL(trade) - getTradeFees(trade);
+}
+
 /**
  * Calculate realized P&L from trades
- * Includes closed trades (pnl) and trimmed trades (totalRealizedPnL)
+ * Includes closed trades (pnl) and trimmed trades (totalRealizedPnL), net of fees
  *
  * @param {Array} trades - Array of trade objects
  * @returns {number} Total realized P&L
@@ -26,3 +62,167 @@ export function calculateRealizedPnL(trades) {
     .filter(t => t.status === 'closed' || t.status === 'trimmed')
     .reduce((sum, t) => sum + getTradeRealizedPnL(t), 0);
 }
+
+/**
+ * Calculate total commissions and fees paid on realized trades
+ * @param {Array} trades - Array of trade objects
+ * @returns {number} Total fees
+ */
+export function calculateRealizedFees(trades) {
+  return trades
+    .filter(t => t.status === 'closed' || t.status === 'trimmed')
+    .reduce((sum, t) => sum + getTradeFees(t), 0);
+}
+
+/**
+ * Get dated realized P&L events for a trade, net of fees
+ * Closed trades produce a single event on the exit date; trimmed trades produce one
+ * event per trim, with the first trim also absorbing the entry-side fees.
+ *
+ * @param {Object} trade - Trade object
+ * @returns {Array<{date: string, pnl: number}>} Realized P&L events
+ */
+export function getRealizedPnLEvents(trade) {
+  if (trade.status === 'closed' && trade.exitDate) {
+    return [{ date: trade.exitDate, pnl: getTradeRealizedPnL(trade) }];
+  }
+
+  if (trade.status === 'trimmed' && trade.trimHistory) {
+    const entryFees = getEntryFees(trade);
+    return trade.trimHistory.map((trim, index) => ({
+      date: trim.date,
+      pnl: (trim.pnl || 0) - (trim.fees || 0) - (index === 0 ? entryFees : 0)
+    }));
+  }
+
+  return [];
+}
+
+/**
+ * Get the dollar risk a trade was opened with (1R)
+ * Uses the stored riskDollars (blended cost of every share bought vs originalStop - `entry`
+ * only covers the shares still held once a scaled trade is trimmed). Entries saved without it
+ * are measured from entry to originalStop over the full position. Either way later stop moves
+ * (trailing stops, moving to breakeven) don't change it
+ * @param {Object} trade - Trade object
+ * @returns {number} Initial risk in dollars (0 if the stop didn't define any risk)
+ */
+export function getInitialRiskDollars(trade) {
+  const multiplier = getAssetMultiplier(trade.assetType);
+  // riskDollars is per share/contract, like the wizard stores it
+  if (trade.riskDollars !== null && trade.riskDollars !== undefined) {
+    return Math.max(0, trade.riskDollars) * multiplier;
+  }
+
+  const originalStop = trade.originalStop ?? trade.stop;
+  if (!trade.entry || originalStop === null || originalStop === undefined) return 0;
+
+  const riskPerShare = getRiskPerShare(trade.entry, originalStop, trade.direction);
+  const shares = trade.originalShares ?? trade.shares;
+  return Math.max(0, riskPerShare) * shares * multiplier;
+}
+
+/**
+ * Get realized R-multiple for a closed trade: net realized P&L / initial risk
+ * @param {Object} trade - Trade object
+ * @returns {number|null} R-multiple, or null if not closed or no initial risk
+ */
+export function getTradeRealizedR(trade) {
+  if (trade.status !== 'closed') return null;
+
+  const initialRisk = getInitialRiskDollars(trade);
+  return initialRisk > 0 ? getTradeRealizedPnL(trade) / initialRisk : null;
+}
+
+/**
+ * Get the best R-multiple any exit of a trade reached (per share, vs originalStop)
+ * Used to tell whether a trade hit 1R/2R/3R even if the rest was closed lower
+ * @param {Object} trade - Trade object
+ * @returns {number|null} Highest exit R, or null if the trade has no exits or no initial risk
+ */
+export function getBestExitR(trade) {
+  if (getInitialRiskDollars(trade) <= 0) return null;
+
+  const originalStop = trade.originalStop ?? trade.stop;
+  // Trims keep the R they were valued at (against the cost held on their date)
+  const rValues = trade.trimHistory?.length
+    ? trade.trimHistory.map(trim => trim.rMultiple ?? getRMultiple(trade.entry, originalStop, trim.exitPrice, trade.direction))
+    : [trade.exitPrice]
+      .filter(price => price !== null && price !== undefined)
+      .map(price => getRMultiple(trade.entry, originalStop, price, trade.direction));
+
+  const finite = rValues.filter(Number.isFinite);
+  return finite.length > 0 ? Math.max(...finite) : null;
+}
+
+/**
+ * Calculate maximum adverse and favorable excursion (MAE/MFE) from daily candles
+ * Candles are clipped to entry date → final exit (or the latest candle while the trade is open).
+ * Daily bars can't tell intraday order, so the entry and exit days count their full range.
+ * Dollar values use the position's original size; R is measured against originalStop.
+ * @param {Object} trade - Trade object (stock trades; option premiums aren't in the candles)
+ * @param {Array<{date, high, low}>} candles - Daily candles of the underlying, any order
+ * @returns {Object|null} { mae, mfe, throughDate, complete } where mae/mfe are
+ *   { perShare, dollars, percent, r, price, date } (adverse values are negative), or null if no candles cover the trade
+ */
+export function calculateExcursions(trade, candles) {
+  const entryDate = getTradeEntryDateString(trade);
+  if (!entryDate || !trade.entry || !candles?.length) return null;
+
+  const isClosed = trade.status === 'closed';
+  const exitDate = isClosed && trade.exitDate ? trade.exitDate.split('T')[0] : null;
+  const tradeCandles = candles
+    .filter(c => c.date >= entryDate && (!exitDate || c.date <= exitDate))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (tradeCandles.length === 0) return null;
+
+  let worst = { perShare: 0, price: trade.entry, date: tradeCandles[0].date };
+  let best = { perShare: 0, price: trade.entry, date: tradeCandles[0].date };
+
+  tradeCandles.forEach(candle => {
+    [candle.low, candle.high].forEach(price => {
+      const move = getProfitPerShare(trade.entry, price, trade.direction);
+      if (move < worst.perShare) worst = { perShare: move, price, date: candle.date };
+      if (move > best.perShare) best = { perShare: move, price, date: candle.date };
+    });
+  });
+
+  const originalStop = trade.originalStop ?? trade.stop;
+  const riskPerShare = getRiskPerShare(trade.entry, originalStop, trade.direction);
+  const size = (trade.originalShares ?? trade.shares) * getAssetMultiplier(trade.assetType);
+  const describe = ({ perShare, price, date }) => ({
+    perShare,
+    dollars: perShare * size,
+    percent: (perShare / trade.entry) * 100,
+    r: riskPerShare > 0 ? perShare / riskPerShare : null,
+    price,
+    date
+  });
+
+  return {
+    mae: describe(worst),
+    mfe: describe(best),
+    throughDate: tradeCandles[tradeCandles.length - 1].date,
+    complete: isClosed
+  };
+}
+
+/**
+ * Calculate the commission for a single fill from a commission schedule
+ * Stocks are charged per share, options per contract, plus a flat per-order fee.
+ *
+ * @param {number} quantity - Shares or contracts filled
+ * @param {string} assetType - 'stock' or 'options'
+ * @param {Object} schedule - Settings with commissionPerShare, commissionPerContract, commissionPerTrade
+ * @returns {number} Commission in dollars (rounded to cents)
+ */
+export function calculateCommission(quantity, assetType, schedule) {
+  if (!quantity || quantity <= 0 || !schedule) return 0;
+
+  const perUnit = assetType === 'options'
+    ? (schedule.commissionPerContract || 0)
+    : (schedule.commissionPerShare || 0);
+  const flat = schedule.commissionPerTrade || 0;
+
+  return Math.round((perUnit * quantity + flat) * 100) / 100;
+}
@@ -0,0 +1,201 @@
+/**
+ * Trailing Stops Utility
+ * Rule definitions and pure calculations for rule-based stop moves and the stop-change history
+ */
+
+import { getProfitPerShare, getRiskPerShare, getRMultiple } from '../../utils/directionUtils.js';
+import { isOptionsAsset } from '../../utils/assetTypeUtils.js';
+import { getTradeEntryDateString } from '../../utils/tradeUtils.js';
+import { formatDate } from '../../utils/marketHours.js';
+
+// Days of true range averaged for the ATR rule
+export const ATR_PERIOD = 14;
+
+/**
+ * Trailing stop rules, keyed by the `type` stored in trade.trailingStop
+ * - value: what the numeric setting means (null when the rule has none)
+ * - needsCandles: rule reads daily candles of the underlying, so it only applies to stock trades
+ */
+export const TRAILING_STOP_RULES = {
+  breakeven: {
+    label: 'Breakeven at +R',
+    value: { label: 'R', defaultValue: 1 },
+    needsCandles: false
+  },
+  percent: {
+    label: 'Trail by %',
+    value: { label: '%', defaultValue: 10 },
+    needsCandles: false
+  },
+  atr: {
+    label: 'Trail by × ATR',
+    value: { label: '× ATR', defaultValue: 2 },
+    needsCandles: true
+  },
+  priorDayLow: {
+    label: "Prior day's low",
+    value: null,
+    needsCandles: true
+  }
+};
+
+/**
+ * Short description of a trade's trailing rule, e.g. "Trail 2× ATR(14)"
+ * Shorts trail the prior day's high, so that rule's wording follows the direction
+ * @param {Object} rule - { type, value, autoApply }
+ * @param {string} direction - 'long' or 'short'
+ * @returns {string}
+ */
+export function describeTrailingRule(rule, direction = 'long') {
+  switch (rule?.type) {
+    case 'breakeven': return `Breakeven at +${rule.value}R`;
+    case 'percent': return `Trail ${rule.value}%`;
+    case 'atr': return `Trail ${rule.value}× ATR(${ATR_PERIOD})`;
+    case 'priorDayLow': return direction === 'short' ? "Prior day's high" : "Prior day's low";
+    default: return 'None';
+  }
+}
+
+/**
+ * Whether a rule can run for a trade
+ * Candle-based rules use the underlying's candles, which don't apply to option premiums
+ */
+export function canApplyRule(trade, rule) {
+  const definition = TRAILING_STOP_RULES[rule?.type];
+  if (!definition) return false;
+  if (definition.needsCandles && isOptionsAsset(trade)) return false;
+  return !definition.value || rule.value > 0;
+}
+
+/**
+ * Average true range over the last `period` completed candles
+ * @param {Array<{date, high, low, close}>} candles - Daily candles, any order
+ * @param {number} period - Number of true ranges to average
+ * @returns {number|null} ATR, or null if there aren't enough candles
+ */
+export function calculateATR(candles, period = ATR_PERIOD) {
+  const sorted = [...(candles || [])].sort((a, b) => a.date.localeCompare(b.date));
+  if (sorted.length < period + 1) return null;
+
+  const recent = sorted.slice(-(period + 1));
+  let total = 0;
+  for (let i = 1; i < recent.length; i++) {
+    const { high, low } = recent[i];
+    const prevClose = recent[i - 1].close;
+    total += Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+  }
+  return total / period;
+}
+
+/**
+ * Raw stop level a rule asks for, before checking it against the current stop
+ * @param {Object} trade - Open journal entry
+ * @param {Object} rule - { type, value }
+ * @param {Object} context
+ * @param {number} context.price - Current price of the traded instrument
+ * @param {Array} [context.candles] - Daily candles of the underlying (candle rules only)
+ * @param {string} [context.today] - Today's date (YYYY-MM-DD); only candles before it count as completed
+ * @returns {number|null} Stop level, or null if the rule doesn't trigger or lacks data
+ */
+export function calculateRuleStop(trade, rule, { price, candles = [], today = null }) {
+  if (!price || !trade.entry) return null;
+  const isShort = trade.direction === 'short';
+
+  switch (rule.type) {
+    case 'breakeven': {
+      const originalStop = trade.originalStop ?? trade.stop;
+      if (getRiskPerShare(trade.entry, originalStop, trade.direction) <= 0) return null;
+      return getRMultiple(trade.entry, originalStop, price, trade.direction) >= rule.value ? trade.entry : null;
+    }
+    case 'percent': {
+      const offset = price * (rule.value / 100);
+      return isShort ? price + offset : price - offset;
+    }
+    case 'atr': {
+      const completed = today ? candles.filter(c => c.date < today) : candles;
+      const atr = calculateATR(completed);
+      if (atr === null) return null;
+      return isShort ? price + atr * rule.value : price - atr * rule.value;
+    }
+    case 'priorDayLow': {
+      // Prior day must be on or after entry, otherwise the stop would sit under pre-entry prices
+      const entryDate = getTradeEntryDateString(trade);
+      const priorDay = candles
+        .filter(c => (!today || c.date < today) && (!entryDate || c.date >= entryDate))
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .pop();
+      if (!priorDay) return null;
+      // One cent through the level, so the stop isn't sitting exactly on it
+      return isShort ? priorDay.high + 0.01 : priorDay.low - 0.01;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Stop a rule proposes for a trade, if it tightens the current stop
+ * Stops only ever ratchet toward profit, and never past the current price.
+ * @param {Object} trade - Open journal entry with trade.trailingStop set
+ * @param {Object} context - See calculateRuleStop
+ * @returns {number|null} New stop (rounded to cents), or null if the stop should stay put
+ */
+export function proposeTrailingStop(trade, context) {
+  const rule = trade.trailingStop;
+  if (!canApplyRule(trade, rule)) return null;
+
+  const level = calculateRuleStop(trade, rule, context);
+  if (level === null || !isFinite(level) || level <= 0) return null;
+
+  const stop = Math.round(level * 100) / 100;
+  const currentStop = trade.currentStop ?? trade.stop;
+
+  // Must be tighter than the current stop by at least a cent
+  if (getProfitPerShare(currentStop, stop, trade.direction) < 0.01) return null;
+  // Must still be on the losing side of the current price
+  if (getProfitPerShare(stop, context.price, trade.direction) <= 0) return null;
+
+  return stop;
+}
+
+/**
+ * Build a stopHistory entry for a stop change
+ * @param {Object} trade - Journal entry before the change
+ * @param {number} newStop - New current stop
+ * @param {Object} options
+ * @param {string} options.source - 'manual' or 'rule'
+ * @param {Object} [options.rule] - Rule that moved the stop (source 'rule'); its type and value are kept
+ * @param {string} [options.date] - ISO timestamp (defaults to now)
+ * @returns {Object} { date, from, to, source, rule? }
+ */
+export function createStopChange(trade, newStop, { source, rule = null, date = new Date().toISOString() }) {
+  const change = {
+    date,
+    from: trade.currentStop ?? trade.stop,
+    to: newStop,
+    source
+  };
+  // Copied, so later edits to the trade's rule don't rewrite history
+  if (rule) change.rule = { type: rule.type, value: rule.value ?? null };
+  return change;
+}
+
+/**
+ * Stop level over time, starting with the original stop on the entry date
+ * @param {Object} trade - Journal entry
+ * @returns {Array<{date: string, stop: number, change: Object|null}>} Steps in date order (local YYYY-MM-DD dates)
+ */
+export function getStopSteps(trade) {
+  const entryDate = getTradeEntryDateString(trade);
+  const history = [...(trade.stopHistory || [])].sort((a, b) => a.date.localeCompare(b.date));
+
+  // Before any recorded change, the stop was the first change's `from` (none for a trade imported without one)
+  const initialStop = history.length > 0 ? history[0].from : (trade.originalStop ?? trade.stop);
+  const initial = initialStop !== null && initialStop !== undefined
+    ? [{ date: entryDate, stop: initialStop, change: null }]
+    : [];
+  return [
+    ...initial,
+    ...history.map(change => ({ date: formatDate(new Date(change.date)), stop: change.to, change }))
+  ];
+}
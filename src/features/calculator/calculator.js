@@ -5,6 +5,7 @@
 import { state } from '../../core/state.js';
 import { parseNumber, formatCurrency, formatPercent, formatNumber, formatWithCommas } from '../../core/utils.js';
 import { showToast } from '../../components/ui/ui.js';
+import { getRiskPerShare, getProfitPerShare, getPriceAtR, isStopOnRiskSide, isTargetOnProfitSide, getStopSideLabel, getTargetSideLabel } from '../../utils/directionUtils.js';
 
 class Calculator {
   constructor() {
@@ -67,6 +68,8 @@ class Calculator {
       customRisk: document.getElementById('customRisk'),
       maxPositionPercent: document.getElementById('maxPositionPercent'),
       ticker: document.getElementById('ticker'),
+      directionToggle: document.getElementById('calcDirectionToggle'),
+      directionButtons: document.querySelectorAll('#calcDirectionToggle .toggle-switch__option'),
       entryPrice: document.getElementById('entryPrice'),
       stopLoss: document.getElementById('stopLoss'),
       targetPrice: document.getElementById('targetPrice'),
@@ -128,6 +131,14 @@ class Calculator {
       if (el) el.addEventListener('input', () => this.calculate());
     });
 
+    // Direction toggle (Long/Short) - click anywhere to toggle
+    if (this.elements.directionToggle) {
+      this.elements.directionToggle.addEventListener('click', () => {
+        this.setDirection(this.getDirection() === 'short' ? 'long' : 'short');
+        this.calculate();
+      });
+    }
+
     // Risk button handlers
     document.querySelectorAll('.risk-btn').forEach(btn => {
       btn.addEventListener('click', (e) => this.handleRiskButton(e));
@@ -265,7 +276,7 @@ class Calculator {
     document.querySelectorAll('.risk-btn').forEach(b => b.classList.remove('risk-btn--active'));
 
     // Calculate risk % from shares bought
-    const riskPerShare = entry - stop;
+    const riskPerShare = getRiskPerShare(entry, stop, this.getDirection());
     const totalRisk = sharesBought * riskPerShare;
     const riskPercent = (totalRisk / accountSize) * 100;
 
@@ -301,6 +312,9 @@ class Calculator {
     if (this.elements.targetPrice) this.elements.targetPrice.value = '';
     if (this.elements.sharesBought) this.elements.sharesBought.value = '';
 
+    // Reset direction to long
+    this.setDirection('long');
+
     // Reset trade date to today
     this.setDefaultTradeDate();
 
@@ -363,6 +377,7 @@ class Calculator {
       riskPercent = state.account.riskPercent || state.settings.defaultRiskPercent;
     }
     
+    const direction = this.getDirection();
     const entry = parseNumber(this.elements.entryPrice?.value);
     const stop = parseNumber(this.elements.stopLoss?.value);
     const target = parseNumber(this.elements.targetPrice?.value);
@@ -375,13 +390,14 @@ class Calculator {
 
     state.updateTrade({
       ticker: this.elements.ticker?.value.toUpperCase() || '',
+      direction,
       entry,
       stop,
       target
     });
 
     // Check target vs entry early (even before full validation)
-    const hasTargetWarning = target && entry && target <= entry;
+    const hasTargetWarning = target && entry && !isTargetOnProfitSide(entry, target, direction);
 
     // Validate minimum inputs
     if (!accountSize || !riskPercent || !entry || !stop) {
@@ -389,16 +405,16 @@ class Calculator {
       this.renderEmptyResults();
       // Show target warning even with incomplete form
       if (hasTargetWarning) {
-        this.updateInsights([{ type: 'warning', text: 'Target should be above entry for long trades' }]);
+        this.updateInsights([{ type: 'warning', text: `Target should be ${getTargetSideLabel(direction)} entry for ${direction} trades` }]);
       }
       return;
     }
 
-    // Validate trade setup - stop must be below entry for long trades
-    if (stop >= entry) {
+    // Validate trade setup - stop must be below entry for longs, above entry for shorts
+    if (!isStopOnRiskSide(entry, stop, direction)) {
       this.setStopError(true);
       this.renderEmptyResults();
-      this.updateInsights([{ type: 'danger', text: 'Stop must be below entry for long trades' }]);
+      this.updateInsights([{ type: 'danger', text: `Stop must be ${getStopSideLabel(direction)} entry for ${direction} trades` }]);
       return;
     }
 
@@ -406,7 +422,7 @@ class Calculator {
     this.setStopError(false);
 
     // Core calculations
-    const riskPerShare = entry - stop;
+    const riskPerShare = getRiskPerShare(entry, stop, direction);
     const riskDollars = accountSize * (riskPercent / 100);
 
     // Check if user manually entered shares bought
@@ -452,14 +468,14 @@ class Calculator {
     let targetProfitPerShare = null;
 
     if (target && target !== entry) {
-      targetProfitPerShare = target - entry;
+      targetProfitPerShare = getProfitPerShare(entry, target, direction);
       rMultiple = targetProfitPerShare / riskPerShare;
       profit = shares * targetProfitPerShare;
       roi = (targetProfitPerShare / entry) * 100;
     }
 
     // 5R Target
-    const target5R = entry + (5 * riskPerShare);
+    const target5R = getPriceAtR(entry, stop, 5, direction);
 
     // Update state results
     const results = {
@@ -488,9 +504,9 @@ class Calculator {
 
     // Render
     this.renderResults(results);
-    this.renderInsights(entry, stop, target, stopDistance, isLimited);
+    this.renderInsights(entry, stop, target, stopDistance, isLimited, direction);
     this.renderScenarios(accountSize, entry, riskPerShare, maxPositionPercent);
-    this.renderRProgressBar(entry, stop, shares, riskPerShare);
+    this.renderRProgressBar(entry, stop, shares, riskPerShare, direction);
   }
 
   renderResults(r) {
@@ -605,27 +621,27 @@ class Calculator {
     }
   }
 
-  renderInsights(entry, stop, target, stopDistance, isLimited) {
+  renderInsights(entry, stop, target, stopDistance, isLimited, direction = 'long') {
     const insights = [];
 
     if (entry && stop) {
       insights.push({
         type: 'neutral',
-        text: `Stop is ${formatPercent(stopDistance)} below entry`
+        text: `Stop is ${formatPercent(stopDistance)} ${getStopSideLabel(direction)} entry`
       });
     }
 
     if (target && entry) {
-      const targetDistance = ((target - entry) / entry) * 100;
-      if (target <= entry) {
+      const targetDistance = (getProfitPerShare(entry, target, direction) / entry) * 100;
+      if (!isTargetOnProfitSide(entry, target, direction)) {
         insights.push({
           type: 'warning',
-          text: 'Target should be above entry for long trades'
+          text: `Target should be ${getTargetSideLabel(direction)} entry for ${direction} trades`
         });
       } else {
         insights.push({
           type: 'success',
-          text: `Target is ${formatPercent(targetDistance)} above entry`
+          text: `Target is ${formatPercent(targetDistance)} ${getTargetSideLabel(direction)} entry`
         });
       }
     }
@@ -693,12 +709,12 @@ class Calculator {
   }
 
   // R-Progress Bar rendering
-  renderRProgressBar(entry, stop, shares, riskPerShare) {
+  renderRProgressBar(entry, stop, shares, riskPerShare, direction = 'long') {
     const bar = this.elements.rProgressBar;
     if (!bar) return;
 
-    // Only show for valid long positions (entry > stop)
-    if (!entry || !stop || stop >= entry || shares <= 0) {
+    // Only show for valid setups (stop on the losing side of entry)
+    if (!entry || !stop || !isStopOnRiskSide(entry, stop, direction) || shares <= 0) {
       bar.classList.remove('visible');
       return;
     }
@@ -707,11 +723,11 @@ class Calculator {
     const levels = {
       stop: { price: stop, profit: -(riskPerShare * shares) },
       entry: { price: entry, profit: 0 },
-      r1: { price: entry + (1 * riskPerShare), profit: 1 * riskPerShare * shares },
-      r2: { price: entry + (2 * riskPerShare), profit: 2 * riskPerShare * shares },
-      r3: { price: entry + (3 * riskPerShare), profit: 3 * riskPerShare * shares },
-      r4: { price: entry + (4 * riskPerShare), profit: 4 * riskPerShare * shares },
-      r5: { price: entry + (5 * riskPerShare), profit: 5 * riskPerShare * shares }
+      r1: { price: getPriceAtR(entry, stop, 1, direction), profit: 1 * riskPerShare * shares },
+      r2: { price: getPriceAtR(entry, stop, 2, direction), profit: 2 * riskPerShare * shares },
+      r3: { price: getPriceAtR(entry, stop, 3, direction), profit: 3 * riskPerShare * shares },
+      r4: { price: getPriceAtR(entry, stop, 4, direction), profit: 4 * riskPerShare * shares },
+      r5: { price: getPriceAtR(entry, stop, 5, direction), profit: 5 * riskPerShare * shares }
     };
 
     // Update DOM elements
@@ -738,6 +754,22 @@ class Calculator {
     bar.classList.add('visible');
   }
 
+  // Direction helpers
+  getDirection() {
+    const activeBtn = Array.from(this.elements.directionButtons || []).find(b => b.classList.contains('active'));
+    if (activeBtn) {
+      return activeBtn.dataset.tradeDirection === 'short' ? 'short' : 'long';
+    }
+    return state.trade.direction === 'short' ? 'short' : 'long';
+  }
+
+  setDirection(direction) {
+    const index = direction === 'short' ? 1 : 0;
+    this.elements.directionButtons?.forEach((b, i) => b.classList.toggle('active', i === index));
+    this.elements.directionToggle?.setAttribute('data-active', index);
+    state.updateTrade({ direction: index === 1 ? 'short' : 'long' });
+  }
+
   // Validation helpers
   setStopError(hasError) {
     if (this.elements.stopLoss) {
@@ -0,0 +1,324 @@
+/**
+ * Journal Search Index - In-memory inverted index for the Journal search bar
+ *
+ * Indexes each trade's ticker, setup type, theme and notes (decompressed, markup stripped)
+ * once, then keeps up with journal events one trade at a time, so typing in the search
+ * box never re-reads every trade's notes. Daily notes (plan, market notes, review) are
+ * indexed alongside as "day:YYYY-MM-DD" documents.
+ *
+ * Query syntax - every part must match (AND):
+ *   breakout          whole word
+ *   earn*             word prefix
+ *   "failed breakout" exact phrase (a trailing * makes its last word a prefix)
+ */
+
+import { state } from '../../core/state.js';
+import { escapeHtml } from '../../core/utils.js';
+import { decompressText } from '../../utils/compression.js';
+import { formatBreakdownKey } from '../../shared/TradeBreakdowns.js';
+import { DAILY_NOTE_FIELDS, getMood } from '../../shared/DailyNotes.js';
+import { createLogger } from '../../utils/logger.js';
+
+
+const logger = createLogger('JournalSearchIndex');
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+const WORD_CHAR = '[\\p{L}\\p{N}]';
+const DAY_PREFIX = 'day:'; // Document IDs of daily notes - trade IDs are numbers
+
+/**
+ * Split text into lower-case word tokens
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return (text || '').toLowerCase().match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Plain text of a notes field - notes are stored as contenteditable HTML
+ */
+function htmlToText(html) {
+  return (html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse a search box query into clauses
+ * @param {string} query
+ * @returns {Array<{tokens: Array<string>, prefix: boolean}>} Single-token clauses are words, longer ones phrases
+ */
+export function parseSearchQuery(query) {
+  const clauses = [];
+  for (const match of (query || '').matchAll(/"([^"]*)"?|(\S+)/g)) {
+    const text = match[1] ?? match[2];
+    const tokens = tokenize(text);
+    if (tokens.length === 0) continue;
+    // A word like "brk.b" splits into tokens that must stay adjacent, so it's a phrase too
+    clauses.push({ tokens, prefix: text.trimEnd().endsWith('*') });
+  }
+  return clauses;
+}
+
+class JournalSearchIndex {
+  constructor() {
+    this.postings = new Map(); // term -> Map(docId -> token positions)
+    this.docTerms = new Map(); // docId -> Set of terms, for removal
+    this.sortedTerms = null; // Vocabulary for prefix lookups, rebuilt lazily after changes
+    this.isBuilt = false; // Built on the first search, then kept current by events
+  }
+
+  init() {
+    const forEachTrade = (payload, fn) => [].concat(payload || []).forEach(fn);
+
+    state.on('journalEntryAdded', (payload) => forEachTrade(payload, trade => this.updateTrade(trade)));
+    state.on('journalEntryUpdated', (payload) => forEachTrade(payload, trade => this.updateTrade(trade)));
+    state.on('journalEntryDeleted', (payload) => forEachTrade(payload, trade => this.removeTrade(trade.id)));
+    state.on('dailyNoteChanged', ({ date, note }) => this.updateDay(date, note));
+    // Bulk replacement (clear all data) - start over on the next search
+    state.on('journalChanged', () => this.reset());
+    state.on('dailyNotesChanged', () => this.reset());
+  }
+
+  reset() {
+    this.postings.clear();
+    this.docTerms.clear();
+    this.sortedTerms = null;
+    this.isBuilt = false;
+  }
+
+  build() {
+    this.reset();
+    state.allJournalEntries.forEach(trade => this.addTrade(trade));
+    Object.values(state.dailyNotes).forEach(note => this.addDay(note));
+    this.isBuilt = true;
+    logger.debug(`Indexed ${this.docTerms.size} trades and days (${this.postings.size} terms)`);
+  }
+
+  /**
+   * Searchable fields of a trade, in order - a phrase never spans two fields
+   */
+  getFields(trade) {
+    const setupType = trade.thesis?.setupType;
+    // Loaded trades already hold plain notes; only a still-compressed copy needs decompressing
+    const notes = trade.notesCompressed ? decompressText(trade.notes) : trade.notes;
+    return [
+      trade.ticker,
+      setupType ? formatBreakdownKey('setup', setupType) : '',
+      trade.thesis?.theme,
+      htmlToText(notes)
+    ];
+  }
+
+  /**
+   * Searchable fields of a daily note
+   */
+  getDayFields(note) {
+    return [
+      ...DAILY_NOTE_FIELDS.map(field => note[field.key]),
+      getMood(note.mood)?.label
+    ];
+  }
+
+  addTrade(trade) {
+    if (!trade?.id) return;
+    this.addDocument(trade.id, this.getFields(trade));
+  }
+
+  addDay(note) {
+    if (!note?.date) return;
+    this.addDocument(`${DAY_PREFIX}${note.date}`, this.getDayFields(note));
+  }
+
+  addDocument(id, fields) {
+    const terms = new Set();
+    let position = 0;
+    fields.forEach(field => {
+      tokenize(field).forEach(term => {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+          this.sortedTerms = null;
+        }
+        const docs = this.postings.get(term);
+        if (!docs.has(id)) docs.set(id, []);
+        docs.get(id).push(position++);
+        terms.add(term);
+      });
+      position++; // Gap between fields
+    });
+
+    this.docTerms.set(id, terms);
+  }
+
+  removeTrade(id) {
+    this.removeDocument(id);
+  }
+
+  removeDocument(id) {
+    const terms = this.docTerms.get(id);
+    if (!terms) return;
+
+    terms.forEach(term => {
+      const docs = this.postings.get(term);
+      docs.delete(id);
+      if (docs.size === 0) {
+        this.postings.delete(term);
+        this.sortedTerms = null;
+      }
+    });
+    this.docTerms.delete(id);
+  }
+
+  /**
+   * Re-index one trade (after an edit, including silent inline edits)
+   */
+  updateTrade(trade) {
+    if (!this.isBuilt || !trade?.id) return;
+    this.removeDocument(trade.id);
+    this.addTrade(trade);
+  }
+
+  /**
+   * Re-index one day's notes (null once the entry is emptied)
+   */
+  updateDay(date, note) {
+    if (!this.isBuilt) return;
+    this.removeDocument(`${DAY_PREFIX}${date}`);
+    if (note) this.addDay(note);
+  }
+
+  /**
+   * Terms starting with a prefix, via binary search over the sorted vocabulary
+   */
+  expandPrefix(prefix) {
+    if (!this.sortedTerms) {
+      this.sortedTerms = [...this.postings.keys()].sort();
+    }
+
+    let low = 0;
+    let high = this.sortedTerms.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.sortedTerms[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+
+    const terms = [];
+    for (let i = low; i < this.sortedTerms.length && this.sortedTerms[i].startsWith(prefix); i++) {
+      terms.push(this.sortedTerms[i]);
+    }
+    return terms;
+  }
+
+  /**
+   * Positions of each clause token in each trade
+   * @returns {Array<Map<number, Set<number>>>} Per token: tradeId -> positions
+   */
+  getTokenPositions(clause) {
+    return clause.tokens.map((token, index) => {
+      const isPrefix = clause.prefix && index === clause.tokens.length - 1;
+      const terms = isPrefix ? this.expandPrefix(token) : [token];
+
+      const positions = new Map();
+      terms.forEach(term => {
+        this.postings.get(term)?.forEach((termPositions, id) => {
+          if (!positions.has(id)) positions.set(id, new Set());
+          termPositions.forEach(p => positions.get(id).add(p));
+        });
+      });
+      return positions;
+    });
+  }
+
+  matchClause(clause) {
+    const [first, ...rest] = this.getTokenPositions(clause);
+    const ids = new Set();
+
+    first.forEach((starts, id) => {
+      if (!rest.every(positions => positions.has(id))) return;
+      // Phrase: each following token sits right after the previous one
+      const isMatch = [...starts].some(start =>
+        rest.every((positions, offset) => positions.get(id).has(start + offset + 1))
+      );
+      if (isMatch) ids.add(id);
+    });
+    return ids;
+  }
+
+  /**
+   * Trades and days matching every clause of a query
+   * @returns {Set<number|string>|null} Document IDs, or null for an empty query
+   */
+  searchDocuments(query) {
+    const clauses = parseSearchQuery(query);
+    if (clauses.length === 0) return null;
+
+    if (!this.isBuilt) this.build();
+
+    return clauses.reduce((ids, clause) => {
+      const matches = this.matchClause(clause);
+      return ids ? new Set([...ids].filter(id => matches.has(id))) : matches;
+    }, null);
+  }
+
+  /**
+   * Trades matching every clause of a query
+   * @param {string} query - Search box text
+   * @returns {Set<number>|null} Matching trade IDs, or null for an empty query
+   */
+  search(query) {
+    const ids = this.searchDocuments(query);
+    return ids && new Set([...ids].filter(id => !String(id).startsWith(DAY_PREFIX)));
+  }
+
+  /**
+   * Days whose daily notes match every clause of a query
+   * @param {string} query - Search box text
+   * @returns {Array<string>} Dates (YYYY-MM-DD), most recent first
+   */
+  searchDays(query) {
+    const ids = this.searchDocuments(query);
+    if (!ids) return [];
+    return [...ids]
+      .filter(id => String(id).startsWith(DAY_PREFIX))
+      .map(id => id.slice(DAY_PREFIX.length))
+      .sort()
+      .reverse();
+  }
+}
+
+function clausePattern(clause) {
+  const words = clause.tokens.map(token => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const tail = clause.prefix ? `${WORD_CHAR}*` : '';
+  return `(?<!${WORD_CHAR})${words.join(`[^\\p{L}\\p{N}<&]+`)}${tail}(?!${WORD_CHAR})`;
+}
+
+/**
+ * Wrap query matches in <mark> within HTML, leaving tags and entities alone
+ * @param {string} html
+ * @param {Array} clauses - From parseSearchQuery
+ * @returns {string}
+ */
+export function highlightSearchMatches(html, clauses) {
+  if (!html || clauses.length === 0) return html;
+
+  const pattern = new RegExp(clauses.map(clausePattern).join('|'), 'giu');
+  return html.replace(/(<[^>]*>|&[#\w]+;)|([^<&]+|&)/g, (match, markup, text) =>
+    markup ?? text.replace(pattern, '<mark class="search-match">$&</mark>')
+  );
+}
+
+/**
+ * Escape plain text, then highlight query matches in it
+ */
+export function highlightSearchText(text, clauses) {
+  return highlightSearchMatches(escapeHtml(text), clauses);
+}
+
+export const journalSearchIndex = new JournalSearchIndex();
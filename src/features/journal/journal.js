@@ -5,7 +5,8 @@
 import { state } from '../../core/state.js';
 import { formatCurrency, formatPercent, formatDate, createTimestampFromDateInput } from '../../core/utils.js';
 import { getTradeRealizedPnL } from '../../core/utils/tradeCalculations.js';
-import { showToast } from '../../components/ui/ui.js';
+import { showToast, showUndoToast } from '../../components/ui/ui.js';
+import { accountSwitcher } from '../../components/ui/accountSwitcher.js';
 import { trimModal } from '../../components/modals/trimModal.js';
 import { dataManager } from '../../core/dataManager.js';
 import { wizard } from '../../components/modals/wizard.js';
@@ -13,6 +14,7 @@ import { confetti } from '../../components/ui/confetti.js';
 import { viewManager } from '../../components/ui/viewManager.js';
 import { priceTracker } from '../../core/priceTracker.js';
 import { getOpenTrades } from '../../shared/TradeFilters.js';
+import { getRiskPerShare, getPriceAtR, isShortTrade } from '../../utils/directionUtils.js';
 
 class Journal {
   constructor() {
@@ -30,6 +32,7 @@ class Journal {
     state.on('journalEntryAdded', () => this.render());
     state.on('journalEntryUpdated', () => this.render());
     state.on('journalEntryDeleted', () => this.render());
+    state.on('activeAccountChanged', () => this.render());
 
     // Listen for calculation results to enable/disable log button
     state.on('resultsRendered', (results) => {
@@ -211,9 +214,11 @@ class Journal {
       return;
     }
 
-    // Validate ticker and fetch company data if API key is configured
+    if (!accountSwitcher.requireAccount('trades')) return;
+
+    // Validate ticker and fetch company data if a quote provider is configured
     let companyData = null;
-    if (priceTracker.apiKey && trade.ticker) {
+    if (priceTracker.hasQuoteProvider() && trade.ticker) {
       try {
         // Show loading toast
         showToast('🔍 Validating ticker...', 'info');
@@ -290,7 +295,7 @@ class Journal {
       this.elements.tradeNotes.innerHTML = '';
     }
 
-    showToast(`✅ ${entry.ticker} trade logged!`, 'success');
+    showUndoToast(`✅ ${entry.ticker} trade logged!`, 'success');
 
     // Disable button after logging (will re-enable when new calculation happens)
     this.updateLogButtonState({ shares: 0 });
@@ -321,10 +326,11 @@ class Journal {
   }
 
   deleteTrade(id) {
-    if (!confirm('Delete this trade?')) return;
-
-    state.deleteJournalEntry(id);
-    // Toast removed - silent delete
+    const deleted = state.deleteJournalEntry(id);
+    if (deleted) {
+      state.emit('accountSizeChanged', state.currentSize);
+      showUndoToast(`🗑️ ${deleted.ticker} trade moved to trash`, 'success');
+    }
   }
 
   render() {
@@ -358,11 +364,11 @@ class Journal {
 
     this.elements.activeTrades.innerHTML = activeTrades.slice(0, 5).map(trade => {
       const shares = trade.remainingShares ?? trade.shares;
-      const riskPerShare = trade.entry - trade.stop;
+      const riskPerShare = getRiskPerShare(trade.entry, trade.stop, trade.direction);
       const currentRisk = shares * riskPerShare;
       const isTrimmed = trade.status === 'trimmed';
-      const realizedPnL = trade.totalRealizedPnL || 0;
-      const target5R = trade.entry + (5 * riskPerShare);
+      const realizedPnL = getTradeRealizedPnL(trade);
+      const target5R = getPriceAtR(trade.entry, trade.stop, 5, trade.direction);
 
       // For trimmed trades, calculate NET risk (remaining risk - realized profit)
       // For all trades, clamp to 0 minimum (stop above entry = no risk)
@@ -394,7 +400,7 @@ class Journal {
           <div class="trade-card__header">
             <div class="trade-card__header-left">
               <span class="trade-card__ticker">${trade.ticker}</span>
-              <span class="trade-card__shares">${shares} shares${isTrimmed ? ` (${trade.originalShares} orig)` : ''}</span>
+              <span class="trade-card__shares">${isShortTrade(trade) ? 'Short ' : ''}${shares} shares${isTrimmed ? ` (${trade.originalShares} orig)` : ''}</span>
             </div>
             <span class="status-badge status-badge--${statusClass}">${statusText}</span>
           </div>
@@ -405,7 +411,7 @@ class Journal {
             </div>
             <div class="trade-card__detail">
               <span class="trade-card__label">Stop</span>
-              <span class="trade-card__value text-danger">${formatCurrency(trade.stop)}</span>
+              <span class="trade-card__value text-danger">${trade.stop !== null ? formatCurrency(trade.stop) : '—'}</span>
             </div>
             <div class="trade-card__detail">
               <span class="trade-card__label">5R Target</span>
@@ -449,12 +455,12 @@ class Journal {
     // Calculate NET risk (remaining risk minus realized profit for trimmed trades)
     const totalRisk = activeTrades.reduce((sum, t) => {
       const shares = t.remainingShares ?? t.shares;
-      const riskPerShare = t.entry - t.stop;
+      const riskPerShare = getRiskPerShare(t.entry, t.stop, t.direction);
       const grossRisk = shares * riskPerShare;
 
       // For trimmed trades, subtract realized profit (net risk can't go below 0)
       // For all trades, clamp to 0 minimum (stop above entry = no risk)
-      const realizedPnL = t.totalRealizedPnL || 0;
+      const realizedPnL = getTradeRealizedPnL(t);
       const isTrimmed = t.status === 'trimmed';
       const netRisk = isTrimmed ? Math.max(0, grossRisk - realizedPnL) : Math.max(0, grossRisk);
 
@@ -526,7 +532,7 @@ class Journal {
           <td>${date}</td>
           <td>${trade.ticker}</td>
           <td>${formatCurrency(trade.entry)}</td>
-          <td>${formatCurrency(trade.stop)}</td>
+          <td>${trade.stop !== null ? formatCurrency(trade.stop) : '—'}</td>
           <td>${sharesDisplay}</td>
           <td>${formatCurrency(trade.riskDollars)}</td>
           <td><span class="status-badge status-badge--${trade.status}">${trade.status}</span></td>
@@ -3,20 +3,33 @@
  */
 
 import { state } from '../../core/state.js';
-import { formatCurrency, formatPercent, formatDate, initFlatpickr, getCurrentWeekday } from '../../core/utils.js';
+import { formatCurrency, formatPercent, formatDate, initFlatpickr, getCurrentWeekday, debounce } from '../../core/utils.js';
 import { formatDate as formatDateYMD } from '../../utils/marketHours.js';
-import { getTradeRealizedPnL } from '../../core/utils/tradeCalculations.js';
+import { getTradeRealizedPnL, getTradeGrossPnL, getTradeFees } from '../../core/utils/tradeCalculations.js';
 import { trimModal } from '../../components/modals/trimModal.js';
+import { trashModal } from '../../components/modals/trashModal.js';
+import { taxReportModal } from '../../components/modals/taxReportModal.js';
 import { viewManager } from '../../components/ui/viewManager.js';
 import { dataManager } from '../../core/dataManager.js';
 import { priceTracker } from '../../core/priceTracker.js';
-import { showToast } from '../../components/ui/ui.js';
+import { excursionTracker } from '../../core/excursionTracker.js';
+import { describeTrailingRule, getStopSteps } from '../../core/utils/trailingStops.js';
+import { isOptionsAsset } from '../../utils/assetTypeUtils.js';
+import { formatDateLong, parseYMDString } from '../../utils/dateFormatters.js';
+import { showToast, showUndoToast } from '../../components/ui/ui.js';
 import { DateRangeFilter } from '../../shared/DateRangeFilter.js';
 import { FilterPopup } from '../../shared/FilterPopup.js';
+import { describeTagFilter, matchesTagFilter } from '../../shared/TradeTags.js';
+import { journalSearchIndex, parseSearchQuery, highlightSearchMatches, highlightSearchText } from './JournalSearchIndex.js';
+import { createPresetFilters, describeTickerFilter, getPresetDateRange, matchesTickerFilter, parseTickers } from '../../shared/FilterPresets.js';
+import { TagInput } from '../../components/ui/tagInput.js';
+import { pnlCalendar } from '../stats/PnLCalendar.js';
+import { getDailyNoteExcerpt, getMood } from '../../shared/DailyNotes.js';
+import { NoteAttachments } from '../../components/ui/noteAttachments.js';
+import { BREAKDOWN_DIMENSIONS, formatBreakdownKey, matchesBreakdown } from '../../shared/TradeBreakdowns.js';
 import { renderJournalTableRows } from '../../shared/journalTableRenderer.js';
 import { VirtualScroll } from '../../components/VirtualScroll.js';
 import { createLogger } from '../../utils/logger.js';
-import { storage } from '../../utils/storage.js';
 const logger = createLogger('JournalView');
 
 // Threshold for enabling virtual scrolling (number of trades)
@@ -31,7 +44,12 @@ class JournalView {
     this.filters = {
       status: 'all',
       types: ['ep', 'long-term', 'base', 'breakout', 'bounce', 'other'], // Default to all types selected
+      tickers: [], // Upper-case tickers; empty = every ticker
+      tags: [], // Tag keys - trades with any of them; empty = no tag filter
+      breakdown: null, // { dimension, key, label } group from the Stats breakdown click-through
+      search: '' // Search box query (see JournalSearchIndex) - separate from the filter popup
     };
+    this.searchClauses = []; // Parsed search query, for highlighting matches in row details
     this.filterPopup = null; // Shared filter popup component
     this.sortColumn = 'date';
     this.sortDirection = 'desc';
@@ -60,15 +78,25 @@ class JournalView {
         filterClose: this.elements.filterClose,
         applyBtn: this.elements.applyFilters,
         resetBtn: this.elements.selectAllTypes,
-        filterCount: this.elements.filterCount
+        filterCount: this.elements.filterCount,
+        tagOptions: this.elements.tagOptions,
+        presetBar: this.elements.presetBar
       },
       onOpen: () => this.syncFilterUIToState(),
       onApply: () => this.applyFilters(),
-      onReset: () => this.selectAllTypes()
+      onReset: () => this.selectAllTypes(),
+      presets: {
+        view: 'journal',
+        getFilters: () => this.getPresetFilters(),
+        onLoad: (filters) => this.loadFilterPreset(filters)
+      }
     });
 
     this.bindEvents();
 
+    // Search index follows journal events from here on
+    journalSearchIndex.init();
+
     // Initialize all type checkboxes to be checked (matching "All Types" default state)
     if (this.elements.typeCheckboxes) {
       this.elements.typeCheckboxes.forEach(checkbox => {
@@ -86,7 +114,12 @@ class JournalView {
       this.dateRangeFilter.setFilter(dateFrom, dateTo);
     }
 
-    // Update filter count badge (should be 0 since all filters are at default state)
+    // Start from the saved default filters, if any - rendered below or on viewChanged
+    if (this.filterPopup.loadDefaultPreset()) {
+      this.applyFilters({ render: false });
+    }
+
+    // Update filter count badge (0 unless a default preset was applied)
     this.updateFilterCount();
 
     // Only render if view is already active (page refresh case)
@@ -100,6 +133,9 @@ class JournalView {
     state.on('journalEntryAdded', () => this.render());
     state.on('journalEntryUpdated', () => this.render());
     state.on('journalEntryDeleted', () => this.render());
+    state.on('activeAccountChanged', () => this.render());
+    state.on('trashChanged', () => this.updateTrashCount());
+    this.updateTrashCount();
 
     // Listen for view changes
     state.on('viewChanged', (data) => {
@@ -152,10 +188,20 @@ class JournalView {
       journalCount: document.getElementById('journalCount'),
       journalStatusFilter: document.getElementById('journalStatusFilter'),
       journalTypeFilter: document.getElementById('journalTypeFilter'),
+      tagFilter: document.getElementById('journalTagFilter'),
+      tagFilterLabel: document.getElementById('journalTagFilterLabel'),
+      tickerFilter: document.getElementById('journalTickerFilter'),
+      tickerFilterLabel: document.getElementById('journalTickerFilterLabel'),
+      searchInput: document.getElementById('journalSearchInput'),
+      dayMatches: document.getElementById('journalDayMatches'),
+      breakdownFilter: document.getElementById('journalBreakdownFilter'),
+      breakdownFilterLabel: document.getElementById('journalBreakdownFilterLabel'),
+      breakdownFilterClear: document.getElementById('journalBreakdownFilterClear'),
 
       // Summary bar
       dateRange: document.getElementById('journalDateRange'),
       totalPnL: document.getElementById('journalTotalPnL'),
+      pnlBreakdown: document.getElementById('journalPnLBreakdown'),
       winRate: document.getElementById('journalWinRate'),
       wins: document.getElementById('journalWins'),
       losses: document.getElementById('journalLosses'),
@@ -173,6 +219,11 @@ class JournalView {
       // Export buttons
       exportCSV: document.getElementById('journalExportCSV'),
 
+      // Trash
+      trashBtn: document.getElementById('journalTrashBtn'),
+      taxReportBtn: document.getElementById('journalTaxReportBtn'),
+      trashCount: document.getElementById('journalTrashCount'),
+
       // Filter dropdown
       filterBtn: document.getElementById('journalFilterBtn'),
       filterPanel: document.getElementById('journalFilterPanel'),
@@ -184,6 +235,9 @@ class JournalView {
       statusBtns: document.querySelectorAll('#journalFilterPanel .filter-status-btn'),
       typeCheckboxes: document.querySelectorAll('.journal-type-checkbox'),
       allTypesCheckbox: document.getElementById('journalAllTypesCheckbox'),
+      tagOptions: document.getElementById('journalTagOptions'),
+      tickerInput: document.getElementById('journalTickerInput'),
+      presetBar: document.getElementById('journalFilterPresets'),
       dateFrom: document.getElementById('journalFilterDateFrom'),
       dateTo: document.getElementById('journalFilterDateTo'),
       datePresetBtns: document.querySelectorAll('#journalFilterPanel .filter-preset-btn')
@@ -200,6 +254,27 @@ class JournalView {
 
     // Note: Filter popup open/close/apply/reset now handled by shared FilterPopup component
 
+    // Search box - debounced so the table re-renders once typing pauses
+    if (this.elements.searchInput) {
+      const applySearch = debounce(() => this.setSearchQuery(this.elements.searchInput.value), 200);
+      this.elements.searchInput.addEventListener('input', applySearch);
+      this.elements.searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && this.elements.searchInput.value) {
+          e.stopPropagation();
+          this.elements.searchInput.value = '';
+          this.setSearchQuery('');
+        }
+      });
+    }
+
+    // Daily notes found by the search open on the Stats calendar
+    this.elements.dayMatches?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-note-date]');
+      if (!button) return;
+      viewManager.navigateTo('stats');
+      pnlCalendar.showDate(button.dataset.noteDate);
+    });
+
     // Status buttons
     if (this.elements.statusBtns) {
       this.elements.statusBtns.forEach(btn => {
@@ -263,6 +338,13 @@ class JournalView {
 
     // Note: Click outside to close handled by shared FilterPopup component
 
+    // Breakdown group chip - clear button
+    if (this.elements.breakdownFilterClear) {
+      this.elements.breakdownFilterClear.addEventListener('click', () => {
+        this.clearBreakdownFilter();
+      });
+    }
+
     // Export buttons
     if (this.elements.exportCSV) {
       this.elements.exportCSV.addEventListener('click', () => {
@@ -270,6 +352,9 @@ class JournalView {
       });
     }
 
+    this.elements.trashBtn?.addEventListener('click', () => trashModal.open());
+    this.elements.taxReportBtn?.addEventListener('click', () => taxReportModal.open());
+
     // Table header click for sorting (delegated)
     const table = document.getElementById('journalTable');
     if (table) {
@@ -291,7 +376,21 @@ class JournalView {
     });
 
     // Sync type checkboxes to current filter state
-    if (this.filters.types.length === 0) {
+    this.syncTypeCheckboxes(this.filters.types);
+
+    if (this.elements.tickerInput) {
+      this.elements.tickerInput.value = this.filters.tickers.join(', ');
+    }
+
+    // Tag list follows the journal, so rebuild it each time the panel opens
+    this.filterPopup.renderTagOptions(state.journal.entries, this.filters.tags);
+
+    // Sync date range to current filter state (using shared date range filter)
+    this.dateRangeFilter.syncFilterUIToState(this.elements, this.elements.datePresetBtns);
+  }
+
+  syncTypeCheckboxes(types) {
+    if (types.length === 0) {
       // No types selected
       this.elements.typeCheckboxes?.forEach(checkbox => {
         checkbox.checked = false;
@@ -303,7 +402,7 @@ class JournalView {
     } else {
       // Specific types selected
       this.elements.typeCheckboxes?.forEach(checkbox => {
-        checkbox.checked = this.filters.types.includes(checkbox.value);
+        checkbox.checked = types.includes(checkbox.value);
       });
 
       // Update "All Types" checkbox state
@@ -315,9 +414,53 @@ class JournalView {
         this.elements.allTypesCheckbox.indeterminate = !allChecked && !noneChecked;
       }
     }
+  }
 
-    // Sync date range to current filter state (using shared date range filter)
-    this.dateRangeFilter.syncFilterUIToState(this.elements, this.elements.datePresetBtns);
+  /**
+   * Filters currently set in the panel, as a saved preset
+   */
+  getPresetFilters() {
+    const { status, types, tickers, tags, dateFrom, dateTo } = this.readFilterUI();
+    const allTypesSelected = types.length === (this.elements.typeCheckboxes?.length || 0);
+
+    return createPresetFilters({
+      status,
+      types: allTypesSelected ? null : types,
+      tickers,
+      tags,
+      dateRange: getPresetDateRange(this.elements.datePresetBtns, dateFrom, dateTo)
+    });
+  }
+
+  /**
+   * Fill the panel from a saved preset (Apply applies it)
+   */
+  loadFilterPreset(filters) {
+    this.elements.statusBtns?.forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.status === (filters.status || 'all'));
+    });
+
+    this.syncTypeCheckboxes(filters.types ?? Array.from(this.elements.typeCheckboxes || []).map(cb => cb.value));
+
+    if (this.elements.tickerInput) {
+      this.elements.tickerInput.value = (filters.tickers || []).join(', ');
+    }
+
+    this.filterPopup.renderTagOptions(state.journal.entries, filters.tags || []);
+
+    const dateRange = filters.dateRange;
+    if (dateRange?.range) {
+      this.handleDatePreset(dateRange.range);
+    } else if (dateRange) {
+      // Hand-picked dates - no preset button matches
+      this.elements.datePresetBtns?.forEach(btn => btn.classList.remove('active'));
+      this.elements.dateFrom?.classList.remove('preset-value');
+      this.elements.dateTo?.classList.remove('preset-value');
+      this.dateFromPicker?.setDate(parseYMDString(dateRange.dateFrom));
+      this.dateToPicker?.setDate(parseYMDString(dateRange.dateTo));
+    } else {
+      this.handleDatePreset('max');
+    }
   }
 
   handleDatePreset(range) {
@@ -349,19 +492,31 @@ class JournalView {
     }
   }
 
-  applyFilters() {
-    // Get selected status
-    const selectedStatus = Array.from(this.elements.statusBtns || [])
-      .find(btn => btn.classList.contains('active'))?.dataset.status || 'all';
-
-    // Get selected types
-    const selectedTypes = Array.from(this.elements.typeCheckboxes || [])
-      .filter(checkbox => checkbox.checked)
-      .map(checkbox => checkbox.value);
+  /**
+   * Filter values set in the panel, applied or not
+   */
+  readFilterUI() {
+    return {
+      status: Array.from(this.elements.statusBtns || [])
+        .find(btn => btn.classList.contains('active'))?.dataset.status || 'all',
+      types: Array.from(this.elements.typeCheckboxes || [])
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => checkbox.value),
+      tickers: parseTickers(this.elements.tickerInput?.value),
+      tags: this.filterPopup.getSelectedTags(),
+      // Get date range from flatpickr instances (not from input.value)
+      dateFrom: this.dateFromPicker?.input?.value || null,
+      dateTo: this.dateToPicker?.input?.value || null
+    };
+  }
 
-    // Get date range from flatpickr instances (not from input.value)
-    const dateFrom = this.dateFromPicker?.input?.value || null;
-    const dateTo = this.dateToPicker?.input?.value || null;
+  /**
+   * Apply the filters set in the panel
+   * @param {Object} [options]
+   * @param {boolean} [options.render=true] - False while initializing, before the view is shown
+   */
+  applyFilters({ render = true } = {}) {
+    const { status: selectedStatus, types: selectedTypes, tickers, tags, dateFrom, dateTo } = this.readFilterUI();
 
     // Validate date range
     if (dateFrom && dateTo && dateFrom > dateTo) {
@@ -379,6 +534,8 @@ class JournalView {
     // Update journal-specific filters
     this.filters.status = selectedStatus;
     this.filters.types = selectedTypes;
+    this.filters.tickers = tickers;
+    this.filters.tags = tags;
 
     // Update shared date range filter
     this.dateRangeFilter.setFilter(dateFrom, dateTo);
@@ -386,6 +543,8 @@ class JournalView {
     // Update filter count badge
     this.updateFilterCount();
 
+    if (!render) return;
+
     // Clear expanded rows before re-rendering
     this.expandedRows.clear();
 
@@ -400,7 +559,7 @@ class JournalView {
    * Apply filters and UI state for navigation from other views
    * Centralizes the logic for setting filters programmatically
    */
-  applyFiltersFromExternal({ dateFrom, dateTo, resetToDefaults = true }) {
+  applyFiltersFromExternal({ dateFrom, dateTo, breakdown = null, tickers = [], tags = [], resetToDefaults = true }) {
     if (resetToDefaults) {
       // Set status to 'all'
       this.elements.statusBtns?.forEach(btn => {
@@ -419,12 +578,19 @@ class JournalView {
       // Set internal filter state
       this.filters.status = 'all';
       this.filters.types = ['ep', 'long-term', 'base', 'breakout', 'bounce', 'other'];
+      this.filters.tickers = tickers;
+      this.filters.tags = tags;
 
       // Reset sort to default (date descending = newest first)
       this.sortColumn = 'date';
       this.sortDirection = 'desc';
     }
 
+    // Breakdown group (from Stats) - a reset always replaces any previous group
+    if (resetToDefaults || breakdown) {
+      this.filters.breakdown = breakdown;
+    }
+
     // Set date range
     if (dateFrom && dateTo) {
       const [fromYear, fromMonth, fromDay] = dateFrom.split('-').map(Number);
@@ -445,13 +611,48 @@ class JournalView {
 
     // Update filter count
     if (this.filterPopup) {
-      this.filterPopup.updateFilterCount((dateFrom || dateTo) ? 1 : 0);
+      this.filterPopup.updateFilterCount(
+        ((dateFrom || dateTo) ? 1 : 0) +
+        (this.filters.tickers.length > 0 ? 1 : 0) +
+        (this.filters.tags.length > 0 ? 1 : 0) +
+        (this.filters.breakdown ? 1 : 0)
+      );
     }
 
     // Note: Don't render here - let the viewChanged event trigger render
     // to avoid double-rendering which causes timing issues
   }
 
+  /**
+   * Filter the journal to trades matching a search query
+   * @param {string} query - Words, prefix* and "phrases" (see JournalSearchIndex)
+   */
+  setSearchQuery(query) {
+    const trimmed = query.trim();
+    if (trimmed === this.filters.search) return;
+
+    this.filters.search = trimmed;
+    this.searchClauses = parseSearchQuery(trimmed);
+    this.expandedRows.clear();
+    this.render();
+  }
+
+  /**
+   * Remove the Stats breakdown group filter
+   * Re-renders only when the journal is on screen; otherwise the next viewChanged render picks it up
+   */
+  clearBreakdownFilter() {
+    if (!this.filters.breakdown) return;
+
+    this.filters.breakdown = null;
+    this.updateFilterCount();
+
+    if (state.ui.currentView === 'journal') {
+      this.expandedRows.clear();
+      this.render();
+    }
+  }
+
   selectAllTypes() {
     // Reset status to "all"
     this.elements.statusBtns?.forEach(btn => {
@@ -468,10 +669,21 @@ class JournalView {
       this.elements.allTypesCheckbox.indeterminate = false;
     }
 
+    if (this.elements.tickerInput) this.elements.tickerInput.value = '';
+    this.filterPopup.clearTagSelection();
+
     // Reset date range to "Max" preset
     this.handleDatePreset('max');
   }
 
+  updateTrashCount() {
+    const count = state.trash.entries.length;
+    if (this.elements.trashCount) {
+      this.elements.trashCount.textContent = count;
+      this.elements.trashCount.style.display = count > 0 ? '' : 'none';
+    }
+  }
+
   updateFilterCount() {
     let count = 0;
 
@@ -496,6 +708,21 @@ class JournalView {
       count++;
     }
 
+    // Count ticker filter
+    if (this.filters.tickers.length > 0) {
+      count++;
+    }
+
+    // Count tag filter
+    if (this.filters.tags.length > 0) {
+      count++;
+    }
+
+    // Count breakdown group filter (set from Stats)
+    if (this.filters.breakdown) {
+      count++;
+    }
+
     // Update badge using shared FilterPopup
     this.filterPopup.updateFilterCount(count);
   }
@@ -554,6 +781,22 @@ class JournalView {
       });
     }
 
+    // Filter by tickers and tags (any of the selected)
+    filtered = filtered.filter(trade =>
+      matchesTickerFilter(trade, this.filters.tickers) && matchesTagFilter(trade, this.filters.tags)
+    );
+
+    // Filter by breakdown group (set from the Stats breakdown table)
+    if (this.filters.breakdown) {
+      filtered = filtered.filter(trade => matchesBreakdown(trade, this.filters.breakdown));
+    }
+
+    // Filter by search query
+    const searchMatches = journalSearchIndex.search(this.filters.search);
+    if (searchMatches) {
+      filtered = filtered.filter(trade => searchMatches.has(trade.id));
+    }
+
     // Filter by date range (using shared date range filter)
     filtered = this.dateRangeFilter.getFilteredTrades(filtered);
 
@@ -581,8 +824,8 @@ class JournalView {
           bVal = b.entry;
           break;
         case 'pnl':
-          aVal = a.totalRealizedPnL ?? a.pnl ?? 0;
-          bVal = b.totalRealizedPnL ?? b.pnl ?? 0;
+          aVal = getTradeRealizedPnL(a);
+          bVal = getTradeRealizedPnL(b);
           break;
         default:
           aVal = new Date(a.timestamp).getTime();
@@ -620,6 +863,7 @@ class JournalView {
 
       // Update filter displays
       this.updateFilterDisplays();
+      this.renderDayMatches();
 
       // Render summary bar with filtered trades
       this.renderSummary(trades);
@@ -636,6 +880,44 @@ class JournalView {
     }
   }
 
+  /**
+   * Days whose daily notes match the search box, above the trade table
+   */
+  renderDayMatches() {
+    const container = this.elements.dayMatches;
+    if (!container) return;
+
+    const dates = journalSearchIndex.searchDays(this.filters.search);
+    container.hidden = dates.length === 0;
+    if (dates.length === 0) {
+      container.replaceChildren();
+      return;
+    }
+
+    const label = document.createElement('span');
+    label.className = 'journal-day-matches__label';
+    label.textContent = `Daily notes (${dates.length})`;
+
+    // Notes are free text - highlightSearchText escapes the excerpt before marking matches
+    const items = dates.map(date => {
+      const note = state.getDailyNote(date);
+      const mood = getMood(note?.mood);
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'journal-day-matches__item';
+      button.dataset.noteDate = date;
+      button.title = 'Open on the P&L calendar';
+      button.innerHTML = `
+        <span class="journal-day-matches__date">${formatDateLong(date)}</span>
+        ${mood ? `<span>${mood.emoji}</span>` : ''}
+        <span class="journal-day-matches__text">${highlightSearchText(note ? getDailyNoteExcerpt(note, 60) : '', this.searchClauses)}</span>
+      `;
+      return button;
+    });
+
+    container.replaceChildren(label, ...items);
+  }
+
   updateFilterDisplays() {
     // Update status display
     if (this.elements.journalStatusFilter) {
@@ -670,6 +952,34 @@ class JournalView {
         this.elements.journalTypeFilter.textContent = `Type: ${typeNames}`;
       }
     }
+
+    // Update ticker display
+    if (this.elements.tickerFilter) {
+      const hasTickers = this.filters.tickers.length > 0;
+      this.elements.tickerFilter.style.display = hasTickers ? '' : 'none';
+      if (hasTickers && this.elements.tickerFilterLabel) {
+        this.elements.tickerFilterLabel.textContent = describeTickerFilter(this.filters.tickers);
+      }
+    }
+
+    // Update tag display
+    if (this.elements.tagFilter) {
+      const hasTags = this.filters.tags.length > 0;
+      this.elements.tagFilter.style.display = hasTags ? '' : 'none';
+      if (hasTags && this.elements.tagFilterLabel) {
+        this.elements.tagFilterLabel.textContent = describeTagFilter(this.filters.tags, state.journal.entries);
+      }
+    }
+
+    // Update breakdown group chip
+    if (this.elements.breakdownFilter) {
+      const group = this.filters.breakdown;
+      this.elements.breakdownFilter.style.display = group ? '' : 'none';
+      if (group && this.elements.breakdownFilterLabel) {
+        const dimensionLabel = BREAKDOWN_DIMENSIONS[group.dimension]?.label || group.dimension;
+        this.elements.breakdownFilterLabel.textContent = `${dimensionLabel}: ${group.label ?? formatBreakdownKey(group.dimension, group.key)}`;
+      }
+    }
   }
 
   renderSummary(filteredTrades = null) {
@@ -703,10 +1013,12 @@ class JournalView {
       this.elements.dateRange.textContent = dateRangeText;
     }
 
-    // Total P&L
+    // Total P&L (net of fees), with gross and fees broken out underneath
     const totalPnL = closedTrades.reduce((sum, t) => {
       return sum + (getTradeRealizedPnL(t));
     }, 0);
+    const grossPnL = closedTrades.reduce((sum, t) => sum + getTradeGrossPnL(t), 0);
+    const totalFees = closedTrades.reduce((sum, t) => sum + getTradeFees(t), 0);
 
     if (this.elements.totalPnL) {
       const isPositive = totalPnL >= 0;
@@ -714,6 +1026,10 @@ class JournalView {
       this.elements.totalPnL.className = `journal-summary-bar__value journal-summary-bar__value--lg ${isPositive ? 'journal-summary-bar__value--positive' : 'journal-summary-bar__value--negative'}`;
     }
 
+    if (this.elements.pnlBreakdown) {
+      this.elements.pnlBreakdown.textContent = `Gross ${grossPnL >= 0 ? '+' : ''}${formatCurrency(grossPnL)} · Fees ${formatCurrency(totalFees)}`;
+    }
+
     // Wins and losses
     // Breakeven trades (P&L = 0) are counted as losses for win rate purposes
     const winningTrades = closedTrades.filter(t => (getTradeRealizedPnL(t)) > 0);
@@ -929,12 +1245,22 @@ class JournalView {
               <div class="journal-info-box__label">Company Summary</div>
               <div class="journal-info-box__content" data-company-summary="${trade.id}">${companySummary}</div>
             </div>
+            <div class="journal-info-box__section">
+              <div class="journal-info-box__label">Excursion (MAE / MFE)</div>
+              <div class="journal-info-box__content" data-excursion="${trade.id}">${this.renderExcursion(trade)}</div>
+            </div>
+            <div class="journal-info-box__section">
+              <div class="journal-info-box__label">Tags</div>
+              <div data-trade-tags="${trade.id}"></div>
+            </div>
+            ${this.renderThesis(trade)}
             <div class="journal-info-box__section">
               <div class="journal-info-box__label">Notes</div>
               <div class="journal-info-box__notes-editable"
                    contenteditable="true"
                    data-trade-id="${trade.id}"
-                   data-action="edit-notes-inline">${trade.notes || ''}</div>
+                   data-action="edit-notes-inline">${highlightSearchMatches(trade.notes || '', this.searchClauses)}</div>
+              <div data-trade-attachments="${trade.id}"></div>
               ${trade.thesis?.conviction ? `
               <div class="conviction-container">
                 <span class="conviction-label">Conviction:</span>
@@ -948,17 +1274,19 @@ class JournalView {
             </div>
           </div>
         </div>
-        ${trade.trimHistory && trade.trimHistory.length > 0 ? `
+        ${trade.trimHistory?.length > 0 || trade.addHistory?.length > 0 ? `
         <div class="journal-row-details__section">
           <div class="journal-row-details__label">Trade Log</div>
           <div class="journal-row-details__value journal-row-details__trade-log">
-            ${trade.trimHistory.map((trim, index) => {
-              const isLastEntry = index === trade.trimHistory.length - 1;
-              const isClose = isLastEntry && trade.status === 'closed';
-              const actionText = isClose ? 'Closed' : 'Trimmed';
-              const statusClass = isClose ? 'closed' : 'trimmed';
-              return `<div class="trade-log-entry"><span class="journal-table__status journal-table__status--${statusClass}">${actionText}</span> ${formatDate(trim.date)}: ${trim.shares} shares @ ${formatCurrency(trim.exitPrice)} = <span class="${trim.pnl >= 0 ? 'text-success' : 'text-danger'}">${trim.pnl >= 0 ? '+' : ''}${formatCurrency(trim.pnl)}</span> (${trim.rMultiple >= 0 ? '+' : ''}${trim.rMultiple.toFixed(1)}R)</div>`;
-            }).join('')}
+            ${this.renderTradeLogEntries(trade)}
+          </div>
+        </div>
+        ` : ''}
+        ${trade.stopHistory?.length > 0 ? `
+        <div class="journal-row-details__section">
+          <div class="journal-row-details__label">Stop History</div>
+          <div class="journal-row-details__value stop-timeline">
+            ${this.renderStopTimeline(trade)}
           </div>
         </div>
         ` : ''}
@@ -972,6 +1300,110 @@ class JournalView {
     `;
   }
 
+  /**
+   * Setup type and theme, with search matches highlighted (empty when neither is set)
+   */
+  renderThesis(trade) {
+    const parts = [];
+    if (trade.thesis?.setupType) {
+      parts.push(`Setup: ${highlightSearchText(formatBreakdownKey('setup', trade.thesis.setupType), this.searchClauses)}`);
+    }
+    if (trade.thesis?.theme) {
+      parts.push(`Theme: ${highlightSearchText(trade.thesis.theme, this.searchClauses)}`);
+    }
+    if (parts.length === 0) return '';
+
+    return `
+            <div class="journal-info-box__section">
+              <div class="journal-info-box__label">Thesis</div>
+              <div class="journal-info-box__content">${parts.join(' · ')}</div>
+            </div>`;
+  }
+
+  /**
+   * Render stored MAE/MFE for the row details ($, % and R from entry)
+   */
+  renderExcursion(trade) {
+    if (!excursionTracker.canMeasure(trade)) {
+      return '<span class="text-muted">Not available for options</span>';
+    }
+
+    const excursion = trade.excursion;
+    if (!excursion || excursion.signature !== excursionTracker.getSignature(trade)) {
+      return '<span class="text-muted">Measured when the chart loads</span>';
+    }
+
+    const formatMove = (move, className) => {
+      const sign = move.dollars >= 0 ? '+' : '-';
+      const r = move.r !== null ? `, ${sign}${Math.abs(move.r).toFixed(2)}R` : '';
+      return `<span class="${className}">${sign}${formatCurrency(Math.abs(move.dollars))}</span> (${sign}${Math.abs(move.percent).toFixed(2)}%${r}) <span class="text-muted">@ ${formatCurrency(move.price)} on ${formatDate(parseYMDString(move.date))}</span>`;
+    };
+
+    // Joined without whitespace - the info box content uses pre-wrap
+    return [
+      `<div class="excursion-line"><span class="excursion-line__label">MAE</span> ${formatMove(excursion.mae, 'text-danger')}</div>`,
+      `<div class="excursion-line"><span class="excursion-line__label">MFE</span> ${formatMove(excursion.mfe, 'text-success')}</div>`,
+      excursion.complete ? '' : `<div class="excursion-line text-muted">Open trade - through ${formatDate(parseYMDString(excursion.throughDate))}</div>`
+    ].join('');
+  }
+
+  /**
+   * Refresh the MAE/MFE block of an expanded row in place
+   */
+  updateExcursionDisplay(trade) {
+    const el = document.querySelector(`[data-excursion="${trade.id}"]`);
+    if (el) {
+      el.innerHTML = this.renderExcursion(trade);
+    }
+  }
+
+  /**
+   * Render the stop's path from the initial stop through every recorded change
+   */
+  renderStopTimeline(trade) {
+    return getStopSteps(trade).map(({ date, stop, change }) => {
+      let source = 'Initial stop';
+      if (change) {
+        const from = change.from !== null && change.from !== undefined
+          ? `<span class="text-muted">from ${formatCurrency(change.from)}</span>`
+          : '<span class="text-muted">first stop</span>';
+        source = change.source === 'rule'
+          ? `${from} · ${describeTrailingRule(change.rule, trade.direction)}`
+          : `${from} · Manual`;
+      }
+      return `<div class="trade-log-entry"><span class="stop-timeline__date">${formatDate(parseYMDString(date))}</span> <span class="stop-timeline__price">${formatCurrency(stop)}</span> ${source}</div>`;
+    }).join('');
+  }
+
+  /**
+   * Render add-to-position fills and trims as one chronological trade log
+   */
+  renderTradeLogEntries(trade) {
+    const trimHistory = trade.trimHistory || [];
+
+    const addEntries = (trade.addHistory || []).map(add => ({
+      date: add.date,
+      html: `<div class="trade-log-entry"><span class="journal-table__status journal-table__status--open">Added</span> ${formatDate(add.date)}: ${add.shares} shares @ ${formatCurrency(add.price)}${add.fees ? ` <span class="text-muted">- ${formatCurrency(add.fees)} fees</span>` : ''}</div>`
+    }));
+
+    const trimEntries = trimHistory.map((trim, index) => {
+      const isLastEntry = index === trimHistory.length - 1;
+      const isClose = isLastEntry && trade.status === 'closed';
+      const actionText = isClose ? 'Closed' : 'Trimmed';
+      const statusClass = isClose ? 'closed' : 'trimmed';
+      return {
+        date: trim.date,
+        html: `<div class="trade-log-entry"><span class="journal-table__status journal-table__status--${statusClass}">${actionText}</span> ${formatDate(trim.date)}: ${trim.shares} shares @ ${formatCurrency(trim.exitPrice)} = <span class="${trim.pnl >= 0 ? 'text-success' : 'text-danger'}">${trim.pnl >= 0 ? '+' : ''}${formatCurrency(trim.pnl)}</span> (${trim.rMultiple >= 0 ? '+' : ''}${trim.rMultiple.toFixed(1)}R)${trim.fees ? ` <span class="text-muted">- ${formatCurrency(trim.fees)} fees</span>` : ''}</div>`
+      };
+    });
+
+    // Adds sort ahead of trims on the same day
+    return [...addEntries, ...trimEntries]
+      .sort((a, b) => a.date.split('T')[0].localeCompare(b.date.split('T')[0]))
+      .map(entry => entry.html)
+      .join('');
+  }
+
   bindRowActions() {
     // Make rows clickable to expand
     this.elements.tableBody.querySelectorAll('.journal-table__row').forEach(row => {
@@ -995,12 +1427,46 @@ class JournalView {
     this.elements.tableBody.querySelectorAll('[data-action="delete"]').forEach(btn => {
       btn.addEventListener('click', (e) => {
         const id = parseInt(e.currentTarget.dataset.id);
-        if (confirm('Delete this trade?')) {
-          state.deleteJournalEntry(id);
+        const deleted = state.deleteJournalEntry(id);
+        if (deleted) {
+          state.emit('accountSizeChanged', state.currentSize);
+          showUndoToast(`🗑️ ${deleted.ticker} trade moved to trash`, 'success');
         }
       });
     });
 
+    // Inline tag editing
+    this.elements.tableBody.querySelectorAll('[data-trade-tags]').forEach(tagsEl => {
+      const tradeId = parseInt(tagsEl.dataset.tradeTags);
+      const trade = state.journal.entries.find(t => t.id === tradeId);
+      const tagInput = new TagInput(tagsEl, {
+        // Update silently without triggering re-render, so the field keeps focus
+        onChange: (tags) => {
+          if (!trade) return;
+          trade.tags = tags;
+          state.saveJournal();
+        }
+      });
+      tagInput.setTags(trade?.tags || []);
+    });
+
+    // Screenshots pasted or dropped into the notes
+    this.elements.tableBody.querySelectorAll('[data-trade-attachments]').forEach(attachmentsEl => {
+      const tradeId = parseInt(attachmentsEl.dataset.tradeAttachments);
+      const trade = state.journal.entries.find(t => t.id === tradeId);
+      const noteAttachments = new NoteAttachments({
+        editor: this.elements.tableBody.querySelector(`[data-action="edit-notes-inline"][data-trade-id="${tradeId}"]`),
+        container: attachmentsEl,
+        // Update silently without triggering re-render, like notes and tags
+        onChange: (attachments) => {
+          if (!trade) return;
+          trade.attachments = attachments;
+          state.saveJournal();
+        }
+      });
+      noteAttachments.setAttachments(trade?.attachments || []);
+    });
+
     // Inline notes editing
     this.elements.tableBody.querySelectorAll('[data-action="edit-notes-inline"]').forEach(noteEl => {
       const tradeId = parseInt(noteEl.dataset.tradeId);
@@ -1067,6 +1533,14 @@ class JournalView {
         }
       });
 
+      // Search highlights are display-only - drop them before editing so they aren't saved
+      noteEl.addEventListener('focus', () => {
+        const marks = noteEl.querySelectorAll('mark.search-match');
+        if (marks.length === 0) return;
+        marks.forEach(mark => mark.replaceWith(...mark.childNodes));
+        noteEl.normalize();
+      });
+
       // Save on blur (when user clicks away)
       noteEl.addEventListener('blur', () => {
         // Use innerHTML to preserve formatting like bold, italic, bullets
@@ -1080,6 +1554,7 @@ class JournalView {
           if (tradeIndex !== -1) {
             state.journal.entries[tradeIndex].notes = newNotes;
             state.saveJournal();
+            journalSearchIndex.updateTrade(state.journal.entries[tradeIndex]);
           }
         }
       });
@@ -1324,6 +1799,23 @@ class JournalView {
     return sma;
   }
 
+  /**
+   * Stop level in effect on each candle from entry through exit (or the last candle)
+   * Candles outside the trade are left out so the step line only spans the holding period
+   */
+  getStopLineData(trade, candles) {
+    const steps = getStopSteps(trade);
+    if (steps.length === 0) return [];
+    const exitDate = trade.status === 'closed' && trade.exitDate ? trade.exitDate.split('T')[0] : null;
+
+    return candles
+      .filter(candle => candle.time >= steps[0].date && (!exitDate || candle.time <= exitDate))
+      .map(candle => ({
+        time: candle.time,
+        value: steps.filter(step => step.date <= candle.time).pop().stop
+      }));
+  }
+
   async renderChart(trade) {
     // Retry logic: wait for chart container to appear in DOM (handles off-screen rows)
     let chartContainer = document.getElementById(`chart-${trade.id}`);
@@ -1369,7 +1861,7 @@ class JournalView {
         // Use cached data
         candles = this._convertPricesToCandles(cachedData, chartStartDate, chartEndDate);
       } else {
-        // Fetch from Twelve Data API directly
+        // Fetch from the configured candles provider
         candles = await this._fetchChartData(trade.ticker, chartStartDate, chartEndDate);
 
         // Save to cache if we got data
@@ -1389,6 +1881,12 @@ class JournalView {
         }
       }
 
+      // Measure MAE/MFE from the same candles while we have them
+      if (excursionTracker.needsUpdate(trade)) {
+        const excursion = excursionTracker.applyCandles(trade, candles.map(c => ({ date: c.time, high: c.high, low: c.low })));
+        if (excursion) this.updateExcursionDisplay(trade);
+      }
+
       // Clear loading message
       chartContainer.innerHTML = '';
 
@@ -1478,6 +1976,22 @@ class JournalView {
       sma10Series.setData(sma10Data);
       sma20Series.setData(sma20Data);
 
+      // Stop moves as a step line - only for stocks, since option stops are set on the premium
+      const dangerColor = getComputedStyle(document.documentElement).getPropertyValue('--danger').trim();
+      const showStopLine = trade.stopHistory?.length > 0 && !isOptionsAsset(trade);
+      if (showStopLine) {
+        const stopSeries = chart.addLineSeries({
+          color: dangerColor,
+          lineWidth: 2,
+          lineStyle: LightweightCharts.LineStyle.Dashed,
+          lineType: LightweightCharts.LineType.WithSteps,
+          priceScaleId: 'right',
+          lastValueVisible: false,
+          priceLineVisible: false,
+        });
+        stopSeries.setData(this.getStopLineData(trade, candles));
+      }
+
       // Add custom legend in top-left corner
       const legend = document.createElement('div');
       legend.className = 'chart-legend';
@@ -1490,6 +2004,12 @@ class JournalView {
           <span class="chart-legend__line" style="background: rgba(245, 158, 11, 0.5);"></span>
           <span class="chart-legend__label">20 SMA</span>
         </div>
+        ${showStopLine ? `
+        <div class="chart-legend__item">
+          <span class="chart-legend__line" style="background: ${dangerColor};"></span>
+          <span class="chart-legend__label">Stop</span>
+        </div>
+        ` : ''}
       `;
       chartContainer.appendChild(legend);
 
@@ -1644,11 +2164,11 @@ class JournalView {
     try {
       let cleanSummary = '';
 
-      // First check if Finnhub description exists in cached company data
+      // First check if a profile description exists in cached company data
       if (companyData?.description) {
         cleanSummary = companyData.description.trim();
       } else {
-        // If no Finnhub description, try Alpha Vantage
+        // If no profile description, fetch a summary from the providers
         const overview = await priceTracker.fetchCompanySummary(trade.ticker);
 
         if (overview && overview.summary) {
@@ -1709,47 +2229,23 @@ class JournalView {
   }
 
   /**
-   * Fetch chart data from Twelve Data API
+   * Fetch chart data from the configured candles provider
    * @param {string} ticker - Stock ticker symbol
    * @param {string} startDate - Start date (YYYY-MM-DD)
    * @param {string} endDate - End date (YYYY-MM-DD)
    * @returns {Promise<Array>} Array of candles
    */
   async _fetchChartData(ticker, startDate, endDate) {
-    const apiKey = await storage.getItem('twelveDataApiKey');
-    if (!apiKey) {
-      throw new Error('Twelve Data API key required for charts');
-    }
-
-    const url = `https://api.twelvedata.com/time_series?symbol=${ticker}&interval=1day&start_date=${startDate}&end_date=${endDate}&apikey=${apiKey}&format=JSON`;
-
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch chart data: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-
-    if (data.status === 'error') {
-      throw new Error(data.message || 'Failed to fetch chart data');
-    }
-
-    if (!data.values || data.values.length === 0) {
-      throw new Error('No chart data available for this ticker');
-    }
-
-    // Convert Twelve Data format to candles
-    // Twelve Data returns newest first, so reverse it
-    const candles = data.values.reverse().map(item => ({
-      time: item.datetime,
-      open: parseFloat(item.open),
-      high: parseFloat(item.high),
-      low: parseFloat(item.low),
-      close: parseFloat(item.close),
-      volume: parseFloat(item.volume) || 0
+    const candles = await priceTracker.fetchHistoricalCandles(ticker, startDate, endDate);
+
+    return candles.map(candle => ({
+      time: candle.date,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume
     }));
-
-    return candles;
   }
 
   /**
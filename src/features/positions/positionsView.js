@@ -5,16 +5,25 @@
 import { state } from '../../core/state.js';
 import { formatCurrency, formatPercent } from '../../core/utils.js';
 import { trimModal } from '../../components/modals/trimModal.js';
+import { addSharesModal } from '../../components/modals/addSharesModal.js';
 import { wizard } from '../../components/modals/wizard.js';
 import { viewManager } from '../../components/ui/viewManager.js';
 import { priceTracker } from '../../core/priceTracker.js';
+import { alertEngine } from '../../core/alertEngine.js';
+import { stopManager } from '../../core/stopManager.js';
+import { describeTrailingRule } from '../../core/utils/trailingStops.js';
 import { showToast } from '../../components/ui/ui.js';
 import { sharedMetrics } from '../../shared/SharedMetrics.js';
 import { FilterPopup } from '../../shared/FilterPopup.js';
+import { describeTagFilter, matchesTagFilter, renderTagChips } from '../../shared/TradeTags.js';
+import { createPresetFilters, describeTickerFilter, matchesTickerFilter, parseTickers } from '../../shared/FilterPresets.js';
 import accountBalanceCalculator from '../../shared/AccountBalanceCalculator.js';
 import { createLogger } from '../../utils/logger.js';
 import { getOpenTrades, isOpenTrade } from '../../shared/TradeFilters.js';
+import { getRiskPerShare, getPriceAtR, isShortTrade, isTargetOnProfitSide } from '../../utils/directionUtils.js';
 import * as marketHours from '../../utils/marketHours.js';
+import { getTradeRealizedPnL } from '../../core/utils/tradeCalculations.js';
+import { describeLeg, getStrategyLabel, getStrategyRange, isStrategyTrade } from '../../core/utils/optionStrategies.js';
 const logger = createLogger('PositionsView');
 
 class PositionsView {
@@ -22,7 +31,9 @@ class PositionsView {
     this.elements = {};
     this.filters = {
       status: 'all',
-      types: ['ep', 'long-term', 'base', 'breakout', 'bounce', 'other'] // Default to all types selected
+      types: ['ep', 'long-term', 'base', 'breakout', 'bounce', 'other'], // Default to all types selected
+      tickers: [], // Upper-case tickers; empty = every ticker
+      tags: [] // Tag keys - positions with any of them; empty = no tag filter
     };
     this.filterPopup = null; // Shared filter popup component
     this.autoRefreshInterval = null;
@@ -42,11 +53,18 @@ class PositionsView {
         filterClose: this.elements.filterClose,
         applyBtn: this.elements.applyFilters,
         resetBtn: this.elements.selectAllTypes,
-        filterCount: this.elements.filterCount
+        filterCount: this.elements.filterCount,
+        tagOptions: this.elements.tagOptions,
+        presetBar: this.elements.presetBar
       },
       onOpen: () => this.syncFilterUIToState(),
       onApply: () => this.applyFilters(),
-      onReset: () => this.selectAllTypes()
+      onReset: () => this.selectAllTypes(),
+      presets: {
+        view: 'positions',
+        getFilters: () => this.getPresetFilters(),
+        onLoad: (filters) => this.loadFilterPreset(filters)
+      }
     });
 
     this.bindEvents();
@@ -58,6 +76,11 @@ class PositionsView {
       });
     }
 
+    // Start from the saved default filters, if any - rendered below or on viewChanged
+    if (this.filterPopup.loadDefaultPreset()) {
+      this.applyFilters({ render: false });
+    }
+
     // Only render if view is already active (page refresh case)
     // Otherwise, viewChanged event will trigger the initial render
     const positionsView = document.getElementById('positionsView');
@@ -69,6 +92,7 @@ class PositionsView {
     state.on('journalEntryAdded', () => this.render());
     state.on('journalEntryUpdated', () => this.render());
     state.on('journalEntryDeleted', () => this.render());
+    state.on('activeAccountChanged', () => this.render());
 
     // Listen for view changes
     state.on('viewChanged', (data) => {
@@ -90,6 +114,7 @@ class PositionsView {
 
     // Listen for price updates
     state.on('pricesUpdated', () => this.render());
+    state.on('stopProposalsUpdated', () => this.render());
 
     // Start auto-refresh if we're on positions page
     if (state.ui.currentView === 'positions') {
@@ -103,6 +128,10 @@ class PositionsView {
       positionsCount: document.getElementById('positionsCount'),
       positionsStatusFilter: document.getElementById('positionsStatusFilter'),
       positionsTypeFilter: document.getElementById('positionsTypeFilter'),
+      positionsTagFilter: document.getElementById('positionsTagFilter'),
+      positionsTagFilterLabel: document.getElementById('positionsTagFilterLabel'),
+      positionsTickerFilter: document.getElementById('positionsTickerFilter'),
+      positionsTickerFilterLabel: document.getElementById('positionsTickerFilterLabel'),
 
       // Risk bar
       riskBar: document.getElementById('positionsRiskBar'),
@@ -132,7 +161,10 @@ class PositionsView {
       selectAllTypes: document.getElementById('positionsSelectAllTypes'),
       statusBtns: document.querySelectorAll('#positionsFilterPanel .filter-status-btn'),
       typeAllCheckbox: document.getElementById('filterTypeAll'),
-      typeCheckboxes: document.querySelectorAll('#positionsFilterPanel input[type="checkbox"]:not(#filterTypeAll)')
+      typeCheckboxes: document.querySelectorAll('#positionsFilterPanel input[type="checkbox"]:not(#filterTypeAll)'),
+      tagOptions: document.getElementById('positionsTagOptions'), // Filled on open, so not part of typeCheckboxes
+      tickerInput: document.getElementById('positionsTickerInput'),
+      presetBar: document.getElementById('positionsFilterPresets')
     };
   }
 
@@ -206,7 +238,18 @@ class PositionsView {
     });
 
     // Sync type checkboxes to current filter state
-    if (this.filters.types.length === 0) {
+    this.syncTypeCheckboxes(this.filters.types);
+
+    if (this.elements.tickerInput) {
+      this.elements.tickerInput.value = this.filters.tickers.join(', ');
+    }
+
+    // Only tags on open positions are offered
+    this.filterPopup.renderTagOptions(getOpenTrades(state.journal.entries), this.filters.tags);
+  }
+
+  syncTypeCheckboxes(types) {
+    if (types.length === 0) {
       // No types selected - uncheck everything
       this.elements.typeCheckboxes?.forEach(checkbox => {
         checkbox.checked = false;
@@ -218,7 +261,7 @@ class PositionsView {
     } else {
       // Specific types selected
       this.elements.typeCheckboxes?.forEach(checkbox => {
-        checkbox.checked = this.filters.types.includes(checkbox.value);
+        checkbox.checked = types.includes(checkbox.value);
       });
 
       // Update "All Types" checkbox state
@@ -232,23 +275,70 @@ class PositionsView {
     }
   }
 
-  applyFilters() {
-    // Get selected status
-    const selectedStatus = Array.from(this.elements.statusBtns || [])
-      .find(btn => btn.classList.contains('active'))?.dataset.status || 'all';
+  /**
+   * Filter values set in the panel, applied or not
+   */
+  readFilterUI() {
+    return {
+      status: Array.from(this.elements.statusBtns || [])
+        .find(btn => btn.classList.contains('active'))?.dataset.status || 'all',
+      types: Array.from(this.elements.typeCheckboxes || [])
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => checkbox.value),
+      tickers: parseTickers(this.elements.tickerInput?.value),
+      tags: this.filterPopup.getSelectedTags()
+    };
+  }
 
-    // Get selected types
-    const selectedTypes = Array.from(this.elements.typeCheckboxes || [])
-      .filter(checkbox => checkbox.checked)
-      .map(checkbox => checkbox.value);
+  /**
+   * Filters currently set in the panel, as a saved preset (Positions has no date range)
+   */
+  getPresetFilters() {
+    const { status, types, tickers, tags } = this.readFilterUI();
+    const allTypesSelected = types.length === (this.elements.typeCheckboxes?.length || 0);
+
+    return createPresetFilters({ status, types: allTypesSelected ? null : types, tickers, tags });
+  }
+
+  /**
+   * Fill the panel from a saved preset (Apply applies it)
+   * Journal-only statuses like Winners show every position.
+   */
+  loadFilterPreset(filters) {
+    const hasStatus = Array.from(this.elements.statusBtns || []).some(btn => btn.dataset.status === filters.status);
+    const status = hasStatus ? filters.status : 'all';
+    this.elements.statusBtns?.forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.status === status);
+    });
+
+    this.syncTypeCheckboxes(filters.types ?? Array.from(this.elements.typeCheckboxes || []).map(cb => cb.value));
+
+    if (this.elements.tickerInput) {
+      this.elements.tickerInput.value = (filters.tickers || []).join(', ');
+    }
+
+    this.filterPopup.renderTagOptions(getOpenTrades(state.journal.entries), filters.tags || []);
+  }
+
+  /**
+   * Apply the filters set in the panel
+   * @param {Object} [options]
+   * @param {boolean} [options.render=true] - False while initializing, before the view is shown
+   */
+  applyFilters({ render = true } = {}) {
+    const { status, types, tickers, tags } = this.readFilterUI();
 
     // Update filters
-    this.filters.status = selectedStatus;
-    this.filters.types = selectedTypes;
+    this.filters.status = status;
+    this.filters.types = types;
+    this.filters.tickers = tickers;
+    this.filters.tags = tags;
 
     // Update filter count badge
     this.updateFilterCount();
 
+    if (!render) return;
+
     // Reset animation flag to re-animate filtered cards
     this.hasAnimated = false;
 
@@ -271,6 +361,9 @@ class PositionsView {
       this.elements.typeAllCheckbox.checked = true;
       this.elements.typeAllCheckbox.indeterminate = false;
     }
+
+    if (this.elements.tickerInput) this.elements.tickerInput.value = '';
+    this.filterPopup.clearTagSelection();
   }
 
   updateFilterCount() {
@@ -291,6 +384,16 @@ class PositionsView {
       count += selectedTypes;
     }
 
+    // Count ticker filter
+    if (this.filters.tickers.length > 0) {
+      count++;
+    }
+
+    // Count tag filter
+    if (this.filters.tags.length > 0) {
+      count++;
+    }
+
     // Update badge using shared FilterPopup
     this.filterPopup.updateFilterCount(count);
   }
@@ -314,7 +417,10 @@ class PositionsView {
       });
     }
 
-    return positions;
+    // Filter by tickers and tags (any of the selected)
+    return positions.filter(trade =>
+      matchesTickerFilter(trade, this.filters.tickers) && matchesTagFilter(trade, this.filters.tags)
+    );
   }
 
   async render() {
@@ -386,6 +492,24 @@ class PositionsView {
         this.elements.positionsTypeFilter.textContent = `Type: ${typeNames}`;
       }
     }
+
+    // Update ticker display
+    if (this.elements.positionsTickerFilter) {
+      const hasTickers = this.filters.tickers.length > 0;
+      this.elements.positionsTickerFilter.style.display = hasTickers ? '' : 'none';
+      if (hasTickers && this.elements.positionsTickerFilterLabel) {
+        this.elements.positionsTickerFilterLabel.textContent = describeTickerFilter(this.filters.tickers);
+      }
+    }
+
+    // Update tag display
+    if (this.elements.positionsTagFilter) {
+      const hasTags = this.filters.tags.length > 0;
+      this.elements.positionsTagFilter.style.display = hasTags ? '' : 'none';
+      if (hasTags && this.elements.positionsTagFilterLabel) {
+        this.elements.positionsTagFilterLabel.textContent = describeTagFilter(this.filters.tags, state.journal.entries);
+      }
+    }
   }
 
   renderRiskBar(activeTrades) {
@@ -420,7 +544,7 @@ class PositionsView {
     // Calculate total unrealized P&L using centralized calculator
     const currentPrices = priceTracker.getPricesAsObject();
     const balanceData = accountBalanceCalculator.calculateCurrentBalance({
-      startingBalance: state.settings.startingAccountSize,
+      startingBalance: state.startingBalance,
       allTrades: state.journal.entries,
       cashFlowTransactions: state.cashFlow.transactions,
       currentPrices
@@ -504,15 +628,17 @@ class PositionsView {
 
     this.elements.grid.innerHTML = positions.map(trade => {
       const isOptions = trade.assetType === 'options';
+      const isStrategy = isStrategyTrade(trade);
+      const isShort = isShortTrade(trade);
       const shares = trade.remainingShares ?? trade.shares;
-      const riskPerShare = trade.entry - trade.stop;
+      const riskPerShare = getRiskPerShare(trade.entry, trade.stop, trade.direction);
 
       // For options, multiply by 100 (contract multiplier)
       const multiplier = isOptions ? 100 : 1;
       const grossRisk = shares * riskPerShare * multiplier;
 
       const isTrimmed = trade.status === 'trimmed';
-      const realizedPnL = trade.totalRealizedPnL || 0;
+      const realizedPnL = getTradeRealizedPnL(trade);
 
       // For trimmed trades, calculate NET risk (remaining risk - realized profit)
       // For all trades, clamp to 0 minimum (stop above entry = no risk)
@@ -523,6 +649,10 @@ class PositionsView {
       const pnlData = isOptions
         ? priceTracker.calculateOptionsUnrealizedPnL(trade)
         : priceTracker.calculateUnrealizedPnL(trade);
+      const theoretical = isOptions ? priceTracker.getTheoreticalOption(trade) : null;
+      const currentLabel = pnlData?.isTheoretical
+        ? 'Current <span class="position-card__theo-badge" title="No option quote - Black-Scholes value from the stock price">Theo</span>'
+        : 'Current';
 
       // Determine status
       let statusClass = trade.status;
@@ -538,15 +668,21 @@ class PositionsView {
 
       // Determine target and label
       const originalStop = trade.originalStop ?? trade.stop;
-      const riskAmount = trade.entry - originalStop;
+      const hasStop = trade.stop !== null && trade.stop !== undefined;
+      const stopProposal = stopManager.getProposal(trade.id);
+
+      // Strategies with a capped payoff aim for their max profit (a credit's is buying back at zero)
+      const maxProfit = isStrategy ? getStrategyRange(trade.legs).maxProfit : null;
+      const strategyTarget = maxProfit !== null ? Math.max(0, trade.entry + (isShort ? -maxProfit : maxProfit)) : null;
 
-      // Use trade.target if set, otherwise default to 5R
-      const targetPrice = trade.target || (trade.entry + (riskAmount * 5));
+      // Use trade.target if set, otherwise default to 5R (no default without a stop to measure R from)
+      const defaultTarget = hasStop ? getPriceAtR(trade.entry, originalStop, 5, trade.direction) : null;
+      const targetPrice = strategyTarget ?? (trade.target || defaultTarget);
 
       // Calculate which R-multiple this target represents (if any)
-      let targetLabel = 'Target';
-      for (let r = 1; r <= 5; r++) {
-        const rTarget = trade.entry + (riskAmount * r);
+      let targetLabel = strategyTarget !== null ? 'Max Profit' : 'Target';
+      for (let r = 1; r <= 5 && strategyTarget === null && hasStop; r++) {
+        const rTarget = getPriceAtR(trade.entry, originalStop, r, trade.direction);
         if (Math.abs(targetPrice - rTarget) < 0.01) { // Within 1 cent
           targetLabel = `${r}R Target`;
           break;
@@ -599,14 +735,16 @@ class PositionsView {
           daysUntilExpHTML = `<span class="position-card__expiry-badge ${urgencyClass}" title="${urgencyText}">${badgeText}</span>`;
         }
 
-        const optionDetails = `${strike}${optionSymbol} ${formattedExp}`;
+        // Strategies show their type here and their legs below the header
+        const optionDetails = isStrategy ? getStrategyLabel(trade) : `${strike}${optionSymbol} ${formattedExp}`;
 
-        // For options, shares field contains the actual contract count
+        // For options, shares field contains the actual contract count (units for strategies)
         const contracts = shares;
         const originalContracts = trade.originalShares || contracts;
+        const unitLabel = isStrategy ? (originalContracts === 1 ? 'unit' : 'units') : 'contracts';
 
         optionDetailsHTML = `<div style="display: flex; align-items: center; gap: var(--space-2);"><span class="position-card__option-details">${optionDetails}</span>${daysUntilExpHTML}</div>`;
-        quantityHTML = `<span class="position-card__contracts">${isTrimmed ? `${contracts} of ${originalContracts}` : contracts} contracts</span>`;
+        quantityHTML = `<span class="position-card__contracts">${isTrimmed ? `${contracts} of ${originalContracts}` : contracts} ${unitLabel}</span>`;
       } else {
         // Stock display
         quantityHTML = `<span class="position-card__shares">${isTrimmed ? `${shares} of ${trade.originalShares}` : shares} shares</span>`;
@@ -623,6 +761,12 @@ class PositionsView {
       };
       const formattedSetupType = setupType ? (typeLabels[setupType] || setupType.replace(/\b\w/g, l => l.toUpperCase())) : '';
 
+      // Within 5% of target (above for longs, below for shorts)
+      const isNearTarget = pnlData && targetPrice !== null && (isShort
+        ? pnlData.currentPrice <= targetPrice * 1.05
+        : pnlData.currentPrice >= targetPrice * 0.95);
+      const isTargetReached = pnlData && !isTargetOnProfitSide(pnlData.currentPrice, targetPrice, trade.direction);
+
       return `
         <div class="position-card ${shouldAnimate ? 'position-card--animate' : ''} ${isTrimmed ? 'position-card--trimmed' : ''} ${isOptions ? 'position-card--options' : ''}" data-id="${trade.id}">
           <div class="position-card__header" style="display: grid; grid-template-columns: auto 1fr; gap: var(--space-2); row-gap: 2px; align-items: start;">
@@ -630,6 +774,8 @@ class PositionsView {
             <div style="grid-column: 2; grid-row: 1 / span ${isOptions ? '3' : '2'}; display: flex; align-items: flex-start; align-content: flex-start; gap: var(--space-2); flex-wrap: wrap; justify-content: flex-end;">
               ${industry ? `<span class="position-card__badge position-card__badge--industry" style="white-space: nowrap;">${industry}</span>` : ''}
               ${formattedSetupType ? `<span class="position-card__badge position-card__badge--type" style="white-space: nowrap;">${formattedSetupType}</span>` : ''}
+              ${isShort ? `<span class="position-card__badge position-card__badge--short" style="white-space: nowrap;">${isStrategy ? 'Credit' : 'Short'}</span>` : ''}
+              ${renderTagChips(trade, 'position-card__badge position-card__badge--tag')}
               <span class="position-card__badge position-card__badge--${statusClass}" style="white-space: nowrap;">
                 ${statusText}
               </span>
@@ -648,43 +794,51 @@ class PositionsView {
             `}
           </div>
 
+          ${isStrategy ? `
+          <div class="position-card__legs">
+            ${trade.legs.map(leg => `<span class="position-card__leg position-card__leg--${leg.side}">${describeLeg(leg)}</span>`).join('')}
+          </div>
+          ` : ''}
+
           <div class="position-card__details">
             <div class="position-card__detail">
-              <span class="position-card__detail-label">Entry</span>
+              <span class="position-card__detail-label">${isStrategy ? (isShort ? 'Net Credit' : 'Net Debit') : trade.addHistory?.length ? 'Avg Entry' : 'Entry'}</span>
               <span class="position-card__detail-value" style="color: var(--primary);">${formatCurrency(trade.entry)}</span>
             </div>
             <div class="position-card__detail">
-              <span class="position-card__detail-label">Stop</span>
-              <span class="position-card__detail-value" style="color: var(--danger);">${formatCurrency(trade.stop)}</span>
+              <span class="position-card__detail-label"${trade.trailingStop ? ` title="Trailing: ${describeTrailingRule(trade.trailingStop, trade.direction)}${trade.trailingStop.autoApply ? ' (auto)' : ''}"` : ''}>Stop${trade.trailingStop ? ' <span class="position-card__trailing-badge">Trailing</span>' : ''}</span>
+              <span class="position-card__detail-value" style="color: var(--danger);">${hasStop ? formatCurrency(trade.stop) : '—'}</span>
             </div>
-            ${pnlData && pnlData.currentPrice >= (targetPrice * 0.95) ? `
+            ${isNearTarget ? `
             <div class="position-card__detail">
-              <span class="position-card__detail-label">Current</span>
+              <span class="position-card__detail-label">${currentLabel}</span>
             </div>
             <div class="position-card__detail">
               <span class="position-card__detail-label">${targetLabel}</span>
             </div>
             <div style="grid-column: 1 / -1; display: grid; grid-template-columns: 1fr 1fr; gap: var(--space-3); outline: 2px solid var(--warning); outline-offset: 2px; border-radius: 4px; padding: 2px 4px; margin-top: -6px;">
-              <span class="position-card__detail-value" style="color: var(--warning); white-space: nowrap;">${formatCurrency(pnlData.currentPrice)} <span style="font-size: var(--text-xs); color: var(--text-muted); font-weight: normal;">${pnlData.currentPrice >= targetPrice ? 'target reached' : 'nearing target'}</span></span>
-              <span class="position-card__detail-value" style="color: var(--warning); text-align: right; white-space: nowrap;">${formatCurrency(targetPrice)}</span>
+              <span class="position-card__detail-value" style="color: var(--warning); white-space: nowrap;">${formatCurrency(pnlData.currentPrice)} <span style="font-size: var(--text-xs); color: var(--text-muted); font-weight: normal;">${isTargetReached ? 'target reached' : 'nearing target'}</span></span>
+              <span class="position-card__detail-value" style="color: var(--warning); text-align: right; white-space: nowrap;">${targetPrice !== null ? formatCurrency(targetPrice) : '—'}</span>
             </div>
             ` : pnlData ? `
             <div class="position-card__detail">
-              <span class="position-card__detail-label">Current</span>
+              <span class="position-card__detail-label">${currentLabel}</span>
               <span class="position-card__detail-value">${formatCurrency(pnlData.currentPrice)}</span>
             </div>
             <div class="position-card__detail">
               <span class="position-card__detail-label">${targetLabel}</span>
-              <span class="position-card__detail-value" style="color: var(--warning);">${formatCurrency(targetPrice)}</span>
+              <span class="position-card__detail-value" style="color: var(--warning);">${targetPrice !== null ? formatCurrency(targetPrice) : '—'}</span>
             </div>
             ` : `
             <div class="position-card__detail">
               <span class="position-card__detail-label">${targetLabel}</span>
-              <span class="position-card__detail-value" style="color: var(--warning);">${formatCurrency(targetPrice)}</span>
+              <span class="position-card__detail-value" style="color: var(--warning);">${targetPrice !== null ? formatCurrency(targetPrice) : '—'}</span>
             </div>
             `}
           </div>
 
+          ${theoretical ? this.renderGreeksHTML(theoretical) : ''}
+
           <div class="position-card__risk">
             <div class="position-card__risk-row">
               <span class="position-card__risk-label">Open Risk</span>
@@ -703,6 +857,11 @@ class PositionsView {
             </div>
             ` : ''}
           </div>
+
+          <div class="position-card__actions">
+            ${stopProposal ? `<button type="button" class="btn btn--sm btn--ghost position-card__stop-btn" data-action="apply-stop" title="${describeTrailingRule(trade.trailingStop, trade.direction)}">Move stop to ${formatCurrency(stopProposal.stop)}</button>` : ''}
+            <button type="button" class="btn btn--sm btn--ghost position-card__add-btn" data-action="add-shares">+ Add ${isOptions ? 'contracts' : 'shares'}</button>
+          </div>
         </div>
       `;
     }).join('');
@@ -711,6 +870,36 @@ class PositionsView {
     this.bindCardActions();
   }
 
+  /**
+   * Black-Scholes Greeks strip for an option card (per share of one contract, or of one
+   * strategy unit - where each leg has its own volatility, so there's no single IV to show)
+   * @param {Object} theoretical - From priceTracker.getTheoreticalOption
+   */
+  renderGreeksHTML(theoretical) {
+    const volatilityNote = theoretical.volatilitySource === 'entered'
+      ? 'entered on the trade'
+      : 'implied by the last option quote';
+    const items = [
+      ['Theo', formatCurrency(theoretical.value), 'Theoretical value per share'],
+      ['Δ', theoretical.delta.toFixed(2), 'Delta - value change per $1 move in the stock'],
+      ['Γ', theoretical.gamma.toFixed(3), 'Gamma - delta change per $1 move in the stock'],
+      ['Θ', theoretical.theta.toFixed(2), 'Theta - value change per calendar day'],
+      ['Vega', theoretical.vega.toFixed(2), 'Vega - value change per 1 point of implied volatility'],
+      theoretical.volatility !== null && ['IV', `${(theoretical.volatility * 100).toFixed(1)}%`, `Implied volatility, ${volatilityNote}`]
+    ].filter(Boolean);
+
+    return `
+      <div class="position-card__greeks">
+        ${items.map(([label, value, title]) => `
+          <div class="position-card__greek" title="${title}">
+            <span class="position-card__greek-label">${label}</span>
+            <span class="position-card__greek-value">${value}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
   bindCardActions() {
     // Make entire card clickable to open manage modal
     this.elements.grid.querySelectorAll('.position-card').forEach(card => {
@@ -720,6 +909,26 @@ class PositionsView {
         trimModal.open(id);
       });
     });
+
+    // Trailing-stop proposals apply in place
+    this.elements.grid.querySelectorAll('[data-action="apply-stop"]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const id = parseInt(btn.closest('.position-card').dataset.id);
+        if (stopManager.applyProposal(id)) {
+          showToast('Stop updated', 'success');
+        }
+      });
+    });
+
+    // Scaling in opens its own modal instead of the manage modal
+    this.elements.grid.querySelectorAll('[data-action="add-shares"]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const id = parseInt(btn.closest('.position-card').dataset.id);
+        addSharesModal.open(id);
+      });
+    });
   }
 
   showEmptyState() {
@@ -779,9 +988,9 @@ class PositionsView {
   }
 
   async refreshPrices(isAutoRefresh = false) {
-    if (!priceTracker.apiKey) {
+    if (!priceTracker.hasQuoteProvider()) {
       if (!isAutoRefresh) {
-        showToast('⚠️ Please add your Finnhub API key in Settings first', 'error');
+        showToast('⚠️ Please add a price data API key in Settings first', 'error');
       }
       return;
     }
@@ -802,9 +1011,9 @@ class PositionsView {
       // Fetch stock prices
       const results = await priceTracker.refreshAllActivePrices();
 
-      // Fetch options prices if API key is configured
+      // Fetch options prices if an options provider is configured
       let optionsResults = { success: [], failed: [] };
-      if (priceTracker.optionsApiKey) {
+      if (priceTracker.hasOptionsProvider()) {
         const activeTrades = getOpenTrades(state.journal.entries)
           .filter(e => e.assetType === 'options');
         if (activeTrades.length > 0) {
@@ -826,6 +1035,11 @@ class PositionsView {
 
         // Render will be triggered by the 'pricesUpdated' event
         state.emit('pricesUpdated', { stocks: results, options: optionsResults });
+
+        // Move trailing stops first, so alerts check the updated stops
+        stopManager.evaluate()
+          .finally(() => alertEngine.evaluate())
+          .catch(error => logger.error('Failed to evaluate stops and alerts:', error));
       }
 
       if (totalFailed > 0) {
@@ -857,7 +1071,7 @@ class PositionsView {
     this.stopAutoRefresh();
 
     // Refresh immediately on start (unless skipped for animation purposes)
-    if (!skipImmediate && (priceTracker.apiKey || priceTracker.optionsApiKey)) {
+    if (!skipImmediate && (priceTracker.hasQuoteProvider() || priceTracker.hasOptionsProvider())) {
       this.refreshPrices(true);
     }
 
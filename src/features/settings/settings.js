@@ -3,14 +3,19 @@
  */
 
 import { state } from '../../core/state.js';
-import { parseNumber, formatCurrency, formatWithCommas, initFlatpickr, getCurrentWeekday, restrictToNumberInput } from '../../core/utils.js';
-import { showToast } from '../../components/ui/ui.js';
+import { parseNumber, formatCurrency, formatWithCommas, initFlatpickr, getCurrentWeekday, restrictToNumberInput, escapeHtml } from '../../core/utils.js';
+import { showToast, showUndoToast } from '../../components/ui/ui.js';
 import { dataManager } from '../../core/dataManager.js';
 import { clearDataModal } from '../../components/modals/clearDataModal.js';
+import { importModal } from '../../components/modals/importModal.js';
+import { accountSwitcher } from '../../components/ui/accountSwitcher.js';
 import { priceTracker } from '../../core/priceTracker.js';
+import { alertEngine } from '../../core/alertEngine.js';
+import { priceProviders, CAPABILITY_LABELS } from '../../core/providers/priceProviders.js';
 import accountBalanceCalculator from '../../shared/AccountBalanceCalculator.js';
 import { getStorageUsage, formatBytes, getStorageBreakdownPercent } from '../../utils/storageMonitor.js';
 import { storage } from '../../utils/storage.js';
+import { attachmentStore } from '../../core/attachments.js';
 import { formatDate } from '../../utils/marketHours.js';
 import { StatsCalculator } from '../stats/StatsCalculator.js';
 import { createLogger } from '../../utils/logger.js';
@@ -46,6 +51,18 @@ class Settings {
       })
     );
 
+    // Accounts renamed/added/removed, or the header switcher changed scope
+    this.eventUnsubscribers.push(
+      state.on('accountsChanged', () => this.renderAccountList())
+    );
+    this.eventUnsubscribers.push(
+      state.on('activeAccountChanged', () => {
+        this.updateAccountScopeDisplay();
+        this.renderAccountList();
+        this.updateCashFlowDisplay();
+      })
+    );
+
     // Listen for price updates to refresh header with unrealized P&L
     this.eventUnsubscribers.push(
       state.on('pricesUpdated', () => {
@@ -132,6 +149,27 @@ class Settings {
       // Settings inputs
       settingsAccountSize: document.getElementById('settingsAccountSize'),
       settingsAccountSizeError: document.getElementById('settingsAccountSizeError'),
+      settingsAccountScope: document.getElementById('settingsAccountScope'),
+
+      // Accounts
+      accountList: document.getElementById('accountList'),
+      newAccountName: document.getElementById('newAccountName'),
+      newAccountNameError: document.getElementById('newAccountNameError'),
+      addAccountBtn: document.getElementById('addAccountBtn'),
+
+      // Commission schedule
+      commissionPerShare: document.getElementById('commissionPerShare'),
+      commissionPerContract: document.getElementById('commissionPerContract'),
+      commissionPerTrade: document.getElementById('commissionPerTrade'),
+
+      // Price alerts
+      alertsEnabled: document.getElementById('alertsEnabled'),
+      alertNearStopPercent: document.getElementById('alertNearStopPercent'),
+      alertBrowserNotifications: document.getElementById('alertBrowserNotifications'),
+      alertSound: document.getElementById('alertSound'),
+
+      // Backup
+      backupIncludesAttachments: document.getElementById('backupIncludesAttachments'),
 
       // Price tracking
       finnhubApiKey: document.getElementById('finnhubApiKey'),
@@ -142,10 +180,12 @@ class Settings {
       alphaVantageApiKeyBtn: document.getElementById('alphaVantageApiKeyBtn'),
       optionsPriceApiKey: document.getElementById('optionsPriceApiKey'),
       optionsPriceApiKeyBtn: document.getElementById('optionsPriceApiKeyBtn'),
+      priceProviderList: document.getElementById('priceProviderList'),
 
       // Data management buttons
       exportDataBtn: document.getElementById('exportDataBtn'),
       importDataBtn: document.getElementById('importDataBtn'),
+      importCsvBtn: document.getElementById('importCsvBtn'),
       clearDataBtn: document.getElementById('clearDataBtn'),
 
       // Cash Flow
@@ -192,12 +232,13 @@ class Settings {
     // Settings account size with K/M instant conversion
     if (this.elements.settingsAccountSize) {
       const syncAccountSize = (value) => {
-        // Only sync if value is valid (> 0)
-        if (value <= 0) {
+        // Only sync if value is valid (> 0) - and only one account's balance can be edited
+        const accountId = this.getEditableAccountId();
+        if (value <= 0 || !accountId) {
           return false;
         }
 
-        state.updateSettings({ startingAccountSize: value });
+        state.updateAccountDetails(accountId, { startingBalance: value });
 
         this.updateSummary();
 
@@ -272,10 +313,49 @@ class Settings {
       });
     }
 
+    // Commission schedule - saved on blur/Enter
+    ['commissionPerShare', 'commissionPerContract', 'commissionPerTrade'].forEach(key => {
+      const input = this.elements[key];
+      if (!input) return;
+
+      input.addEventListener('input', (e) => this.sanitizeDecimalInput(e));
+      input.addEventListener('blur', () => this.saveCommissionSetting(key));
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          e.target.blur();
+        }
+      });
+    });
+
+    // Price alerts
+    ['alertsEnabled', 'alertSound', 'backupIncludesAttachments'].forEach(key => {
+      this.elements[key]?.addEventListener('change', (e) => {
+        state.updateSettings({ [key]: e.target.checked });
+      });
+    });
+
+    if (this.elements.alertBrowserNotifications) {
+      this.elements.alertBrowserNotifications.addEventListener('change', (e) => this.toggleBrowserNotifications(e.target.checked));
+    }
+
+    if (this.elements.alertNearStopPercent) {
+      const input = this.elements.alertNearStopPercent;
+      input.addEventListener('input', (e) => this.sanitizeDecimalInput(e));
+      input.addEventListener('blur', () => this.saveNearStopPercent());
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          e.target.blur();
+        }
+      });
+    }
+
     // Finnhub API Key
     if (this.elements.finnhubApiKey && this.elements.finnhubApiKeyBtn) {
       const saveApiKey = async (apiKey) => {
         await priceTracker.setApiKey(apiKey);
+        this.renderProviderList();
         if (apiKey) {
           // Update button to active state
           this.setApiKeyButtonActive(this.elements.finnhubApiKeyBtn);
@@ -307,8 +387,8 @@ class Settings {
     // Twelve Data API Key
     if (this.elements.twelveDataApiKey && this.elements.twelveDataApiKeyBtn) {
       const saveTwelveDataKey = async (apiKey) => {
-        await storage.setItem('twelveDataApiKey', apiKey);
-        // Twelve Data still used for Journal trade charts
+        await priceProviders.setApiKey('twelveData', apiKey);
+        this.renderProviderList();
         if (apiKey) {
           // Update button to active state
           this.setApiKeyButtonActive(this.elements.twelveDataApiKeyBtn);
@@ -340,7 +420,8 @@ class Settings {
     // Alpha Vantage API Key
     if (this.elements.alphaVantageApiKey && this.elements.alphaVantageApiKeyBtn) {
       const saveAlphaVantageKey = async (apiKey) => {
-        await storage.setItem('alphaVantageApiKey', apiKey);
+        await priceProviders.setApiKey('alphaVantage', apiKey);
+        this.renderProviderList();
         if (apiKey) {
           // Update button to active state
           this.setApiKeyButtonActive(this.elements.alphaVantageApiKeyBtn);
@@ -372,8 +453,8 @@ class Settings {
     // Options Price API Key
     if (this.elements.optionsPriceApiKey && this.elements.optionsPriceApiKeyBtn) {
       const saveOptionsPriceKey = async (apiKey) => {
-        await storage.setItem('optionsPriceApiKey', apiKey);
-        priceTracker.optionsApiKey = apiKey;
+        await priceProviders.setApiKey('polygon', apiKey);
+        this.renderProviderList();
         if (apiKey) {
           showToast('Options API key saved', 'success');
           this.setApiKeyButtonActive(this.elements.optionsPriceApiKeyBtn);
@@ -402,6 +483,23 @@ class Settings {
       });
     }
 
+    // Price provider priority - enable/disable and reorder
+    if (this.elements.priceProviderList) {
+      this.elements.priceProviderList.addEventListener('change', (e) => {
+        const checkbox = e.target.closest('[data-provider-toggle]');
+        if (checkbox) {
+          this.toggleProvider(checkbox.dataset.providerToggle, checkbox.checked);
+        }
+      });
+
+      this.elements.priceProviderList.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-provider-move]');
+        if (btn) {
+          this.moveProvider(btn.dataset.providerId, parseInt(btn.dataset.providerMove, 10));
+        }
+      });
+    }
+
     // Cash Flow: Deposit
     if (this.elements.depositAmount) {
       // Real-time validation
@@ -436,6 +534,30 @@ class Settings {
       });
     }
 
+    // Accounts
+    if (this.elements.addAccountBtn) {
+      this.elements.addAccountBtn.addEventListener('click', () => this.handleAddAccount());
+    }
+    if (this.elements.newAccountName) {
+      this.elements.newAccountName.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.handleAddAccount();
+        }
+      });
+    }
+    if (this.elements.accountList) {
+      // Rows are rendered dynamically - delegate
+      this.elements.accountList.addEventListener('change', (e) => {
+        const input = e.target.closest('[data-account-name]');
+        if (input) this.handleRenameAccount(input.dataset.accountName, input);
+      });
+      this.elements.accountList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-account-remove]');
+        if (button) this.handleRemoveAccount(button.dataset.accountRemove);
+      });
+    }
+
     // Data management buttons
     if (this.elements.exportDataBtn) {
       this.elements.exportDataBtn.addEventListener('click', () => dataManager.exportAllData());
@@ -443,6 +565,12 @@ class Settings {
     if (this.elements.importDataBtn) {
       this.elements.importDataBtn.addEventListener('click', () => dataManager.importData());
     }
+    if (this.elements.importCsvBtn) {
+      this.elements.importCsvBtn.addEventListener('click', () => {
+        this.close();
+        importModal.open();
+      });
+    }
     if (this.elements.clearDataBtn) {
       this.elements.clearDataBtn.addEventListener('click', () => clearDataModal.open());
     }
@@ -476,22 +604,43 @@ class Settings {
     restrictToNumberInput(this.elements.settingsAccountSize, true);
     restrictToNumberInput(this.elements.depositAmount, true);
     restrictToNumberInput(this.elements.withdrawAmount, true);
+    restrictToNumberInput(this.elements.commissionPerShare, true);
+    restrictToNumberInput(this.elements.commissionPerContract, true);
+    restrictToNumberInput(this.elements.commissionPerTrade, true);
+    restrictToNumberInput(this.elements.alertNearStopPercent, true);
   }
 
   async loadAndApply() {
     // Load saved settings (async with IndexedDB)
     await state.loadSettings();
+    await state.loadAccounts();
     await state.loadJournal();
     await state.loadJournalMeta();
     await state.loadCashFlow();
+    await state.loadTrash();
+    await state.loadFilterPresets();
+    await state.loadDailyNotes();
+
+    // Screenshots whose trade is gone (added then undone, or replaced by an import)
+    attachmentStore.removeUnreferenced([...state.allJournalEntries, ...state.trash.entries])
+      .catch(error => logger.error('Failed to clean up attachments:', error));
 
     // Apply theme
     const theme = state.settings.theme || 'dark';
     document.documentElement.dataset.theme = theme;
 
     // Apply to settings panel
-    if (this.elements.settingsAccountSize) {
-      this.elements.settingsAccountSize.value = formatWithCommas(state.settings.startingAccountSize);
+    this.updateAccountScopeDisplay();
+    this.renderAccountList();
+
+    // Apply commission schedule
+    this.updateCommissionDisplay();
+
+    // Apply price alert settings
+    this.updateAlertDisplay();
+
+    if (this.elements.backupIncludesAttachments) {
+      this.elements.backupIncludesAttachments.checked = !!state.settings.backupIncludesAttachments;
     }
 
     // Apply to main calculator
@@ -499,14 +648,15 @@ class Settings {
       this.elements.accountSize.value = formatWithCommas(state.account.currentSize);
     }
 
-    // Load API keys
+    // Load API keys into the price providers
+    await priceProviders.init();
+
     const finnhubKey = (await storage.getItem('finnhubApiKey')) || '';
     if (this.elements.finnhubApiKey) {
       this.elements.finnhubApiKey.value = finnhubKey;
     }
-    // Set Finnhub key in priceTracker and activate button if key exists
+    // Activate button if key exists
     if (finnhubKey) {
-      await priceTracker.setApiKey(finnhubKey);
       this.setApiKeyButtonActive(this.elements.finnhubApiKeyBtn);
     }
 
@@ -514,7 +664,6 @@ class Settings {
     if (this.elements.twelveDataApiKey) {
       this.elements.twelveDataApiKey.value = twelveDataKey;
     }
-    // Load API key into batcher
     if (twelveDataKey) {
       this.setApiKeyButtonActive(this.elements.twelveDataApiKeyBtn);
     }
@@ -532,10 +681,11 @@ class Settings {
       this.elements.optionsPriceApiKey.value = optionsPriceKey;
     }
     if (optionsPriceKey) {
-      priceTracker.optionsApiKey = optionsPriceKey;
       this.setApiKeyButtonActive(this.elements.optionsPriceApiKeyBtn);
     }
 
+    this.renderProviderList();
+
     // Update header
     this.updateAccountDisplay(state.account.currentSize);
 
@@ -543,6 +693,67 @@ class Settings {
     this.updateCashFlowDisplay();
   }
 
+  /**
+   * Render the price provider priority list
+   */
+  renderProviderList() {
+    const list = this.elements.priceProviderList;
+    if (!list) return;
+
+    const order = priceProviders.getProviderOrder();
+
+    list.innerHTML = order.map((entry, index) => {
+      const provider = priceProviders.getProvider(entry.id);
+      const capabilities = provider.capabilities
+        .filter(cap => cap !== 'batchQuote')
+        .map(cap => CAPABILITY_LABELS[cap])
+        .join(', ');
+      const status = provider.storageKey
+        ? (provider.isConfigured()
+          ? '<span class="provider-list__status">Key set</span>'
+          : '<span class="provider-list__status provider-list__status--missing">No API key</span>')
+        : '<span class="provider-list__status">No key needed</span>';
+
+      return `
+        <li class="provider-list__item ${entry.enabled ? '' : 'provider-list__item--disabled'}">
+          <label class="checkbox-label" title="${entry.enabled ? 'Disable' : 'Enable'} ${provider.name}">
+            <input type="checkbox" data-provider-toggle="${provider.id}" ${entry.enabled ? 'checked' : ''}>
+            <span class="checkbox-box"></span>
+          </label>
+          <div class="provider-list__info">
+            <span class="provider-list__name">${provider.name}</span>
+            <span class="provider-list__meta">${capabilities} · ${status}</span>
+          </div>
+          <div class="provider-list__move">
+            <button type="button" class="btn btn--ghost btn--sm" data-provider-id="${provider.id}" data-provider-move="-1" ${index === 0 ? 'disabled' : ''} aria-label="Move ${provider.name} up">↑</button>
+            <button type="button" class="btn btn--ghost btn--sm" data-provider-id="${provider.id}" data-provider-move="1" ${index === order.length - 1 ? 'disabled' : ''} aria-label="Move ${provider.name} down">↓</button>
+          </div>
+        </li>
+      `;
+    }).join('');
+  }
+
+  toggleProvider(id, enabled) {
+    const order = priceProviders.getProviderOrder()
+      .map(entry => entry.id === id ? { ...entry, enabled } : entry);
+    this.saveProviderOrder(order);
+  }
+
+  moveProvider(id, direction) {
+    const order = priceProviders.getProviderOrder();
+    const index = order.findIndex(entry => entry.id === id);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= order.length) return;
+
+    [order[index], order[target]] = [order[target], order[index]];
+    this.saveProviderOrder(order);
+  }
+
+  saveProviderOrder(order) {
+    state.updateSettings({ priceProviders: order });
+    this.renderProviderList();
+  }
+
   open() {
     this.elements.settingsPanel?.classList.add('open');
     this.elements.settingsOverlay?.classList.add('open');
@@ -551,7 +762,7 @@ class Settings {
     this.updateSummary();
 
     // Store current valid starting account size
-    this.previousValidAccountSize = state.settings.startingAccountSize;
+    this.previousValidAccountSize = state.startingBalance;
 
     // Clear any existing errors
     this.clearInputError(this.elements.settingsAccountSize, this.elements.settingsAccountSizeError);
@@ -575,17 +786,92 @@ class Settings {
     state.setUI('settingsOpen', false);
   }
 
+  /**
+   * Persist one field of the default commission schedule
+   * Empty or invalid input resets the field to $0
+   */
+  saveCommissionSetting(key) {
+    const input = this.elements[key];
+    if (!input) return;
+
+    const value = parseFloat(input.value);
+    const amount = !isNaN(value) && value > 0 ? value : 0;
+
+    // Keep sub-cent precision (e.g. $0.0035/share)
+    input.value = amount > 0 ? String(amount) : '';
+
+    if (amount !== state.settings[key]) {
+      state.updateSettings({ [key]: amount });
+    }
+  }
+
+  updateCommissionDisplay() {
+    ['commissionPerShare', 'commissionPerContract', 'commissionPerTrade'].forEach(key => {
+      const input = this.elements[key];
+      if (!input) return;
+      const amount = state.settings[key] || 0;
+      input.value = amount > 0 ? String(amount) : '';
+    });
+  }
+
+  /**
+   * Persist the near-stop warning threshold
+   * Empty or invalid input turns the warning off (0%)
+   */
+  saveNearStopPercent() {
+    const input = this.elements.alertNearStopPercent;
+    if (!input) return;
+
+    const value = parseFloat(input.value);
+    const percent = !isNaN(value) && value > 0 ? value : 0;
+    input.value = percent > 0 ? String(percent) : '';
+
+    if (percent !== state.settings.alertNearStopPercent) {
+      state.updateSettings({ alertNearStopPercent: percent });
+    }
+  }
+
+  /**
+   * Turn browser notifications on or off
+   * Turning them on asks for permission first; the toggle reverts if it's refused
+   */
+  async toggleBrowserNotifications(enabled) {
+    const checkbox = this.elements.alertBrowserNotifications;
+
+    if (enabled && !(await alertEngine.requestPermission())) {
+      if (checkbox) checkbox.checked = false;
+      showToast('Browser notifications are blocked - allow them in your browser settings', 'warning');
+      return;
+    }
+
+    state.updateSettings({ alertBrowserNotifications: enabled });
+  }
+
+  updateAlertDisplay() {
+    const { alertsEnabled, alertNearStopPercent, alertBrowserNotifications, alertSound } = this.elements;
+    if (alertsEnabled) alertsEnabled.checked = !!state.settings.alertsEnabled;
+    if (alertSound) alertSound.checked = !!state.settings.alertSound;
+    if (alertBrowserNotifications) {
+      // Permission can be revoked outside the app, so only show it on while it still works
+      alertBrowserNotifications.checked = !!state.settings.alertBrowserNotifications && alertEngine.canNotify();
+    }
+    if (alertNearStopPercent) {
+      const percent = state.settings.alertNearStopPercent || 0;
+      alertNearStopPercent.value = percent > 0 ? String(percent) : '';
+    }
+  }
+
   updateSummary(cachedUnrealizedPnL = null) {
     // Use shared calculator - single source of truth
     const currentPrices = priceTracker.getPricesAsObject();
     const result = accountBalanceCalculator.calculateCurrentBalance({
-      startingBalance: state.settings.startingAccountSize,
+      startingBalance: state.startingBalance,
       allTrades: state.journal.entries,
       cashFlowTransactions: state.cashFlow.transactions,
       currentPrices
     });
 
-    const starting = state.settings.startingAccountSize;
+    const starting = state.startingBalance;
     const realizedPnL = result.realizedPnL;
     const unrealizedPnL = result.unrealizedPnL;
     const cashFlow = result.cashFlow;
@@ -625,7 +911,7 @@ class Settings {
     // Get unrealized P&L for summary
     const currentPrices = priceTracker.getPricesAsObject();
     const result = accountBalanceCalculator.calculateCurrentBalance({
-      startingBalance: state.settings.startingAccountSize,
+      startingBalance: state.startingBalance,
       allTrades: state.journal.entries,
       cashFlowTransactions: state.cashFlow.transactions,
       currentPrices
@@ -669,6 +955,7 @@ class Settings {
 
   handleDeposit() {
     if (!this.elements.depositAmount) return;
+    if (!accountSwitcher.requireAccount('deposits')) return;
 
     // Clear any previous error
     this.clearInputError(this.elements.depositAmount, this.elements.depositAmountError);
@@ -690,7 +977,7 @@ class Settings {
     }
 
     // Add transaction with custom timestamp
-    state.addCashFlowTransaction('deposit', amount, selectedDate.toISOString());
+    const transaction = state.addCashFlowTransaction('deposit', amount, selectedDate.toISOString());
 
     // Clear inputs and reset date to today
     this.elements.depositAmount.value = '';
@@ -699,11 +986,12 @@ class Settings {
     }
 
     this.updateCashFlowDisplay();  // Immediate UI update
-    showToast(`✅ Deposited ${formatCurrency(amount)}`, 'success');
+    showUndoToast(`✅ Deposited ${formatCurrency(amount)}${this.describeTransactionAccount(transaction, 'to')}`, 'success');
   }
 
   handleWithdraw() {
     if (!this.elements.withdrawAmount) return;
+    if (!accountSwitcher.requireAccount('withdrawals')) return;
 
     // Clear any previous error
     this.clearInputError(this.elements.withdrawAmount, this.elements.withdrawAmountError);
@@ -725,7 +1013,7 @@ class Settings {
     }
 
     // Add transaction with custom timestamp
-    state.addCashFlowTransaction('withdrawal', amount, selectedDate.toISOString());
+    const transaction = state.addCashFlowTransaction('withdrawal', amount, selectedDate.toISOString());
 
     // Clear inputs and reset date to today
     this.elements.withdrawAmount.value = '';
@@ -734,11 +1022,11 @@ class Settings {
     }
 
     this.updateCashFlowDisplay();  // Immediate UI update
-    showToast(`✅ Withdrew ${formatCurrency(amount)}`, 'success');
+    showUndoToast(`✅ Withdrew ${formatCurrency(amount)}${this.describeTransactionAccount(transaction, 'from')}`, 'success');
   }
 
   handleDeleteTransaction(transactionId) {
-    if (!confirm('Delete this transaction? This cannot be undone.')) {
+    if (!confirm('Delete this transaction?')) {
       return;
     }
 
@@ -746,13 +1034,138 @@ class Settings {
 
     if (deleted) {
       const type = deleted.type === 'deposit' ? 'Deposit' : 'Withdrawal';
-      showToast(`🗑️ ${type} deleted`, 'success');
+      showUndoToast(`🗑️ ${type} deleted`, 'success');
       this.updateCashFlowDisplay();  // Immediate UI update
     }
   }
 
+  /**
+   * Starting balance field follows the header switcher - it edits one account at a time
+   */
+  updateAccountScopeDisplay() {
+    const input = this.elements.settingsAccountSize;
+    if (input) {
+      input.value = formatWithCommas(state.startingBalance);
+      input.disabled = !this.getEditableAccountId();
+    }
+    this.previousValidAccountSize = state.startingBalance;
+
+    if (this.elements.settingsAccountScope) {
+      const account = state.getAccountById(state.activeAccountId);
+      let hint = '';
+      if (state.accounts.length > 1) {
+        hint = account
+          ? `${account.name} account`
+          : 'All accounts combined - pick an account in the header to edit its starting balance';
+      }
+      this.elements.settingsAccountScope.textContent = hint;
+      this.elements.settingsAccountScope.style.display = hint ? '' : 'none';
+    }
+  }
+
+  /**
+   * Account whose starting balance the settings field edits - none while several are combined
+   */
+  getEditableAccountId() {
+    if (state.accounts.length === 1) return state.accounts[0].id;
+    return state.isAllAccounts ? null : state.activeAccountId;
+  }
+
+  renderAccountList() {
+    const list = this.elements.accountList;
+    if (!list) return;
+
+    const accounts = state.accounts;
+    const { byAccount, combined } = accountBalanceCalculator.calculateAccountBalances({
+      accounts,
+      allTrades: state.allJournalEntries,
+      cashFlowTransactions: state.state.cashFlow.transactions,
+      currentPrices: priceTracker.getPricesAsObject()
+    });
+
+    const canRemove = (account) => accounts.length > 1 && !state.hasAccountActivity(account.id);
+    const rows = accounts.map(account => `
+      <div class="account-row ${account.id === state.activeAccountId ? 'account-row--active' : ''}">
+        <input type="text" class="input account-row__name" data-account-name="${account.id}" value="${escapeHtml(account.name)}" maxlength="40" aria-label="Account name">
+        <span class="account-row__balance">${formatCurrency(byAccount[account.id].balance)}</span>
+        <button class="btn-icon btn-icon--danger account-row__remove" data-account-remove="${account.id}"
+          title="${canRemove(account) ? 'Remove account' : 'Only empty accounts can be removed'}" ${canRemove(account) ? '' : 'disabled'}>
+          <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2M10 11v6M14 11v6"></path>
+          </svg>
+        </button>
+      </div>
+    `);
+
+    if (accounts.length > 1) {
+      rows.push(`
+        <div class="account-row account-row--total">
+          <span class="account-row__label">All accounts</span>
+          <span class="account-row__balance">${formatCurrency(combined.balance)}</span>
+        </div>
+      `);
+    }
+
+    list.innerHTML = rows.join('');
+  }
+
+  handleAddAccount() {
+    const input = this.elements.newAccountName;
+    if (!input) return;
+    this.clearInputError(input, this.elements.newAccountNameError);
+
+    const name = input.value.trim();
+    if (!name) {
+      this.showInputError(input, this.elements.newAccountNameError, 'Enter a name for the account');
+      return;
+    }
+    if (state.accounts.some(a => a.name.toLowerCase() === name.toLowerCase())) {
+      this.showInputError(input, this.elements.newAccountNameError, 'An account with this name already exists');
+      return;
+    }
+
+    state.addAccount({ name, startingBalance: 0 });
+    input.value = '';
+    this.updateAccountScopeDisplay();
+    showToast(`✅ Added ${name} account - switch to it in the header to set its starting balance`, 'success');
+  }
+
+  handleRenameAccount(id, input) {
+    const account = state.getAccountById(id);
+    if (!account) return;
+
+    const name = input.value.trim();
+    if (!name || name === account.name) {
+      input.value = account.name;
+      return;
+    }
+    state.updateAccountDetails(id, { name });
+    this.updateAccountScopeDisplay();
+  }
+
+  handleRemoveAccount(id) {
+    const account = state.getAccountById(id);
+    if (!account || !confirm(`Remove the ${account.name} account?`)) return;
+
+    if (state.removeAccount(id)) {
+      this.updateAccountScopeDisplay();
+      showToast(`🗑️ ${account.name} account removed`, 'success');
+    } else {
+      showToast('Only empty accounts can be removed - move or delete their trades and cash flow first', 'warning');
+    }
+  }
+
+  /**
+   * " to IRA" style suffix for cash-flow toasts, once there's more than one account
+   */
+  describeTransactionAccount(transaction, preposition) {
+    if (state.accounts.length <= 1) return '';
+    const account = state.getAccountById(transaction.accountId);
+    return account ? ` ${preposition} ${account.name}` : '';
+  }
+
   updateCashFlowDisplay() {
-    const cashFlow = state.state.cashFlow;
+    const cashFlow = state.cashFlow;
     const netCashFlow = state.getCashFlowNet();
 
     // Update summary values
@@ -784,13 +1197,17 @@ class Settings {
   renderCashFlowHistory() {
     if (!this.elements.cashFlowHistory) return;
 
-    const transactions = state.state.cashFlow.transactions;
+    const transactions = state.cashFlow.transactions;
 
     if (transactions.length === 0) {
       this.elements.cashFlowHistory.innerHTML = '';
       return;
     }
 
+    // Combined view mixes accounts, so label each transaction with its account
+    const showAccount = state.isAllAccounts && state.accounts.length > 1;
+    const accountName = (t) => escapeHtml(state.getAccountById(t.accountId)?.name || '');
+
     // Show ALL transactions, not just 5
     const historyHTML = `
       <div class="cash-flow-history__title">Recent Transactions</div>
@@ -802,6 +1219,7 @@ class Settings {
                 ${t.type === 'deposit' ? '↑ Deposit' : '↓ Withdrawal'}
               </span>
               <span class="cash-flow-transaction__date">${this.formatTransactionDate(t.timestamp)}</span>
+              ${showAccount ? `<span class="cash-flow-transaction__account">${accountName(t)}</span>` : ''}
             </div>
             <div class="cash-flow-transaction__right">
               <span class="cash-flow-transaction__amount">
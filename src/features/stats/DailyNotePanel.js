@@ -0,0 +1,149 @@
+/**
+ * Daily Note Panel - Day journal under the P&L calendar's trade list
+ * Edits the selected day's plan, market notes, review and mood; fields save as you type.
+ * A selected week (Saturday cell) lists that week's notes instead.
+ */
+
+import { state } from '../../core/state.js';
+import { pnlCalendar } from './PnLCalendar.js';
+import * as marketHours from '../../utils/marketHours.js';
+import { DAILY_NOTE_FIELDS, MOODS, getDailyNoteExcerpt, getMood } from '../../shared/DailyNotes.js';
+
+class DailyNotePanel {
+  constructor() {
+    this.elements = {};
+    this.date = null; // Day being edited, or null while a week is selected
+  }
+
+  init() {
+    this.elements = {
+      panel: document.getElementById('dailyNotePanel'),
+      title: document.getElementById('dailyNoteTitle'),
+      moods: document.getElementById('dailyNoteMoods'),
+      fields: document.getElementById('dailyNoteFields'),
+      week: document.getElementById('dailyNoteWeek')
+    };
+    if (!this.elements.panel) return;
+
+    this.renderControls();
+    this.bindEvents();
+
+    // Cleared or imported elsewhere - reload what's shown
+    state.on('dailyNotesChanged', () => {
+      if (this.date) this.show(this.date);
+    });
+  }
+
+  /**
+   * Mood buttons and one textarea per field - built once, filled per day
+   */
+  renderControls() {
+    this.elements.moods.innerHTML = MOODS.map(mood => `
+      <button type="button" class="daily-note__mood" data-mood="${mood.value}" title="${mood.label}" aria-label="${mood.label}" aria-pressed="false">${mood.emoji}</button>
+    `).join('');
+
+    this.elements.fields.innerHTML = DAILY_NOTE_FIELDS.map(field => `
+      <label class="daily-note__field">
+        <span class="daily-note__label">${field.label}</span>
+        <textarea class="input daily-note__input" data-field="${field.key}" rows="3" placeholder="${field.placeholder}"></textarea>
+      </label>
+    `).join('');
+  }
+
+  bindEvents() {
+    this.elements.moods.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-mood]');
+      if (!button || !this.date) return;
+
+      // Clicking the current mood clears it
+      const current = state.getDailyNote(this.date)?.mood;
+      const mood = current === button.dataset.mood ? null : button.dataset.mood;
+      state.updateDailyNote(this.date, { mood });
+      this.updateMoodButtons(mood);
+    });
+
+    this.elements.fields.addEventListener('input', (e) => {
+      const input = e.target.closest('[data-field]');
+      if (!input || !this.date) return;
+      state.updateDailyNote(this.date, { [input.dataset.field]: input.value });
+    });
+
+    this.elements.week?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-note-date]');
+      if (button) pnlCalendar.showDate(button.dataset.noteDate);
+    });
+  }
+
+  /**
+   * Show a day's notes, or a week's notes for a Saturday selection
+   * @param {string} dateStr - YYYY-MM-DD
+   * @param {Object|null} weekRange - { from, to } when a week is selected
+   */
+  show(dateStr, weekRange = null) {
+    if (!this.elements.panel) return;
+
+    this.date = weekRange ? null : dateStr;
+    this.elements.panel.classList.toggle('daily-note--week', !!weekRange);
+    this.elements.moods.hidden = !!weekRange;
+    this.elements.fields.hidden = !!weekRange;
+    this.elements.week.hidden = !weekRange;
+
+    if (weekRange) {
+      this.elements.title.textContent = 'Week Journal';
+      this.renderWeek(weekRange);
+      return;
+    }
+
+    this.elements.title.textContent = 'Day Journal';
+    const note = state.getDailyNote(dateStr);
+    this.elements.fields.querySelectorAll('[data-field]').forEach(input => {
+      input.value = note?.[input.dataset.field] || '';
+    });
+    this.updateMoodButtons(note?.mood || null);
+  }
+
+  updateMoodButtons(mood) {
+    this.elements.moods.querySelectorAll('[data-mood]').forEach(button => {
+      const isActive = button.dataset.mood === mood;
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-pressed', String(isActive));
+    });
+  }
+
+  /**
+   * List the week's days that have notes
+   */
+  renderWeek(weekRange) {
+    const notes = Object.values(state.dailyNotes)
+      .filter(note => note.date >= weekRange.from && note.date <= weekRange.to)
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    if (notes.length === 0) {
+      this.elements.week.innerHTML = '<div class="daily-note__empty">No notes this week - pick a day to write its plan and review.</div>';
+      return;
+    }
+
+    // Notes are free text, so set them as text rather than HTML
+    this.elements.week.replaceChildren(...notes.map(note => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'daily-note__week-item';
+      button.dataset.noteDate = note.date;
+
+      const day = document.createElement('span');
+      day.className = 'daily-note__week-date';
+      day.textContent = marketHours.parseDate(note.date)
+        .toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+      const text = document.createElement('span');
+      text.className = 'daily-note__week-text';
+      const mood = getMood(note.mood);
+      text.textContent = [mood?.emoji, getDailyNoteExcerpt(note)].filter(Boolean).join(' ');
+
+      button.append(day, text);
+      return button;
+    }));
+  }
+}
+
+export const dailyNotePanel = new DailyNotePanel();
@@ -4,10 +4,12 @@
  */
 
 import { state } from '../../core/state.js';
-import { getCurrentWeekday } from '../../core/utils.js';
+import { getCurrentWeekday, escapeHtml } from '../../core/utils.js';
 import { createLogger } from '../../utils/logger.js';
 const logger = createLogger('PnLCalendar');
 import * as marketHours from '../../utils/marketHours.js';
+import { getRealizedPnLEvents } from '../../core/utils/tradeCalculations.js';
+import { getDailyNoteExcerpt, getMood } from '../../shared/DailyNotes.js';
 
 class PnLCalendar {
   constructor(options = {}) {
@@ -45,6 +47,10 @@ class PnLCalendar {
     this.currentYear = today.getFullYear();
     this.currentMonth = today.getMonth();
 
+    // Keep the daily-note dots current without re-rendering the month
+    state.on('dailyNoteChanged', ({ date }) => this.updateNoteIndicator(date));
+    state.on('dailyNotesChanged', () => this.refresh());
+
     // Initial render
     await this.render();
 
@@ -77,6 +83,21 @@ class PnLCalendar {
     this.render();
   }
 
+  /**
+   * Switch to a date's month (if needed) and select it
+   * @param {string} dateStr - YYYY-MM-DD
+   */
+  async showDate(dateStr) {
+    const date = marketHours.parseDate(dateStr);
+    if (date.getFullYear() !== this.currentYear || date.getMonth() !== this.currentMonth) {
+      this.currentYear = date.getFullYear();
+      this.currentMonth = date.getMonth();
+      this.selectedDate = dateStr;
+      await this.render();
+    }
+    this.handleDayClick(dateStr);
+  }
+
   /**
    * Refresh the calendar (recalculate and re-render)
    * Called when trade data changes or equity curve updates
@@ -103,6 +124,26 @@ class PnLCalendar {
     this._buildCalendarGrid();
   }
 
+  /**
+   * Realized P&L (net of fees) per day, optionally limited to a date range
+   * @param {string|null} dateFrom - YYYY-MM-DD, inclusive
+   * @param {string|null} dateTo - YYYY-MM-DD, inclusive
+   * @returns {Object} Date string -> P&L, only days with a close or trim
+   */
+  getDailyPnL(dateFrom = null, dateTo = null) {
+    const pnlByDate = {};
+
+    state.journal.entries.forEach(trade => {
+      getRealizedPnLEvents(trade).forEach(event => {
+        const dateStr = event.date.split('T')[0];
+        if ((dateFrom && dateStr < dateFrom) || (dateTo && dateStr > dateTo)) return;
+        pnlByDate[dateStr] = (pnlByDate[dateStr] || 0) + event.pnl;
+      });
+    });
+
+    return pnlByDate;
+  }
+
   /**
    * Calculate P&L data from realized trades (closed/trimmed) for the month
    * Shows P&L only on days when trades were closed
@@ -114,22 +155,8 @@ class PnLCalendar {
     try {
       this.monthData.clear();
 
-      const allTrades = state.journal.entries;
-
       // Build map of date -> P&L from trade closes
-      const pnlByDate = {};
-
-      allTrades.forEach(trade => {
-        if (trade.status === 'closed' && trade.exitDate) {
-          const exitDateStr = trade.exitDate.split('T')[0];
-          pnlByDate[exitDateStr] = (pnlByDate[exitDateStr] || 0) + (trade.pnl || 0);
-        } else if (trade.status === 'trimmed' && trade.trimHistory) {
-          trade.trimHistory.forEach(trim => {
-            const trimDateStr = trim.date.split('T')[0];
-            pnlByDate[trimDateStr] = (pnlByDate[trimDateStr] || 0) + (trim.pnl || 0);
-          });
-        }
-      });
+      const pnlByDate = this.getDailyPnL();
 
       // Add cash flow events
       const cashFlowTransactions = state.cashFlow?.transactions || [];
@@ -233,6 +260,8 @@ class PnLCalendar {
       dayCompare.setHours(0, 0, 0, 0);
       const isFuture = dayCompare > today;
       const isWeekend = day.isWeekend;
+      // Holidays render like weekends: no trading, so no "$0" placeholder
+      const isClosed = isWeekend || day.holiday !== null;
       const isSaturday = day.date.getDay() === 6;
 
       // For Saturday cells, calculate weekly P&L
@@ -246,7 +275,8 @@ class PnLCalendar {
       if (!day.isCurrentMonth) classes.push('pnl-calendar__cell--other-month');
       if (isToday) classes.push('pnl-calendar__cell--today');
       if (isFuture) classes.push('pnl-calendar__cell--future');
-      if (isWeekend) classes.push('pnl-calendar__cell--weekend');
+      if (isClosed) classes.push('pnl-calendar__cell--weekend');
+      if (day.holiday) classes.push('pnl-calendar__cell--holiday');
 
       // Restore selected state if this date matches the currently selected date
       if (this.selectedDate && dateStr === this.selectedDate) {
@@ -262,7 +292,7 @@ class PnLCalendar {
         } else {
           classes.push('pnl-calendar__cell--neutral');
         }
-      } else if (!isWeekend && !isFuture && day.isCurrentMonth && !isSaturday) {
+      } else if (!isClosed && !isFuture && day.isCurrentMonth && !isSaturday) {
         // Also add neutral class for $0 days
         classes.push('pnl-calendar__cell--neutral');
       }
@@ -272,7 +302,7 @@ class PnLCalendar {
       let pnlDisplay = '';
       if (pnlValue !== null && pnlValue !== undefined) {
         pnlDisplay = this._formatPnL(pnlValue);
-      } else if (!isWeekend && !isFuture && day.isCurrentMonth && !isSaturday) {
+      } else if (!isClosed && !isFuture && day.isCurrentMonth && !isSaturday) {
         // Show $0 for weekdays with no trading activity
         pnlDisplay = '+$0.00';
       }
@@ -307,15 +337,51 @@ class PnLCalendar {
         tooltipText = `Weekly P&L: ${pnlFormatted}`;
       }
 
+      // Flag market holidays and early closes
+      const sessionNote = day.holiday
+        ? `Market closed: ${day.holiday}`
+        : (day.isEarlyClose ? 'Early close (1:00pm ET)' : '');
+      if (sessionNote) {
+        tooltipText = tooltipText ? `${sessionNote} | ${tooltipText}` : sessionNote;
+      }
+
       return `
         <div class="${classes.join(' ')}" data-date="${dateStr}"${tooltipText ? ` title="${tooltipText}"` : ''}>
           <span class="pnl-calendar__day-number">${day.date.getDate()}</span>
           ${pnlDisplay ? `<span class="pnl-calendar__day-pnl">${pnlDisplay}</span>` : ''}
+          ${isSaturday ? '' : this._buildNoteIndicator(dateStr)}
         </div>
       `;
     }).join('');
   }
 
+  /**
+   * Dot marking a day with daily journal notes (empty when it has none)
+   * @private
+   */
+  _buildNoteIndicator(dateStr) {
+    const note = state.getDailyNote(dateStr);
+    if (!note) return '';
+
+    const mood = getMood(note.mood);
+    const excerpt = getDailyNoteExcerpt(note);
+    const title = [mood ? `${mood.emoji} ${mood.label}` : '', excerpt].filter(Boolean).join(' - ') || 'Daily notes';
+    return `<span class="pnl-calendar__note-dot" title="${escapeHtml(title)}"></span>`;
+  }
+
+  /**
+   * Add or remove a day's note dot after its daily notes change
+   * @param {string} dateStr - YYYY-MM-DD
+   */
+  updateNoteIndicator(dateStr) {
+    const container = document.getElementById(this.containerId);
+    const cell = container?.querySelector(`.pnl-calendar__cell[data-date="${dateStr}"]`);
+    if (!cell || marketHours.parseDate(dateStr).getDay() === 6) return;
+
+    cell.querySelector('.pnl-calendar__note-dot')?.remove();
+    cell.insertAdjacentHTML('beforeend', this._buildNoteIndicator(dateStr));
+  }
+
   /**
    * Calculate weekly P&L total for a given Saturday
    * Sums P&L from Monday through Friday of the week (trading days only)
@@ -644,22 +710,14 @@ class PnLCalendar {
       const prevMonthDays = prevMonthLastDay.getDate();
       for (let i = firstDayOfWeek - 1; i >= 0; i--) {
         const date = new Date(this.currentYear, this.currentMonth - 1, prevMonthDays - i);
-        days.push({
-          date,
-          isCurrentMonth: false,
-          isWeekend: date.getDay() === 0 || date.getDay() === 6
-        });
+        days.push(this._buildDay(date, false));
       }
     }
 
     // Add days from current month
     for (let day = 1; day <= lastDay.getDate(); day++) {
       const date = new Date(this.currentYear, this.currentMonth, day);
-      days.push({
-        date,
-        isCurrentMonth: true,
-        isWeekend: date.getDay() === 0 || date.getDay() === 6
-      });
+      days.push(this._buildDay(date, true));
     }
 
     // Add trailing days from next month to complete the week
@@ -667,11 +725,7 @@ class PnLCalendar {
     if (lastDayOfWeek < 6) {
       for (let i = 1; i <= 6 - lastDayOfWeek; i++) {
         const date = new Date(this.currentYear, this.currentMonth + 1, i);
-        days.push({
-          date,
-          isCurrentMonth: false,
-          isWeekend: date.getDay() === 0 || date.getDay() === 6
-        });
+        days.push(this._buildDay(date, false));
       }
     }
 
@@ -679,19 +733,28 @@ class PnLCalendar {
   }
 
   /**
-   * Get previous business day (skips weekends)
+   * Build a calendar day entry with its market session info
+   * @private
+   */
+  _buildDay(date, isCurrentMonth) {
+    const dateStr = marketHours.formatDate(date);
+    return {
+      date,
+      isCurrentMonth,
+      isWeekend: date.getDay() === 0 || date.getDay() === 6,
+      holiday: marketHours.getMarketHoliday(dateStr),
+      isEarlyClose: marketHours.isEarlyClose(dateStr)
+    };
+  }
+
+  /**
+   * Get previous business day (skips weekends and market holidays)
    * @private
    */
   _getPreviousBusinessDay(date) {
     const prevDate = new Date(date);
     prevDate.setDate(prevDate.getDate() - 1);
-
-    // Skip weekends
-    while (prevDate.getDay() === 0 || prevDate.getDay() === 6) {
-      prevDate.setDate(prevDate.getDate() - 1);
-    }
-
-    return prevDate;
+    return marketHours.adjustToPreviousWeekday(prevDate);
   }
 
   /**
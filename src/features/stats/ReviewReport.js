@@ -0,0 +1,209 @@
+/**
+ * Review Report - Weekly and monthly trading reviews
+ * Gathers a period's P&L, win rate, R stats, best/worst trades, rule violations, P&L calendar
+ * and equity curve into one report object; reportFormatters turns it into HTML or Markdown.
+ * Trades count toward a period when they realized P&L in it (a close or a trim).
+ */
+
+import { state } from '../../core/state.js';
+import { StatsCalculator } from './StatsCalculator.js';
+import { stats } from './stats.js';
+import { pnlCalendar } from './PnLCalendar.js';
+import { equityChart } from './statsChart.js';
+import { getRealizedPnLEvents, getTradeRealizedR } from '../../core/utils/tradeCalculations.js';
+import { getRuleViolations } from '../../shared/TradeRules.js';
+import { hasDailyNoteContent } from '../../shared/DailyNotes.js';
+import { getTradeEntryDateString } from '../../utils/tradeUtils.js';
+import { formatDateLong } from '../../utils/dateFormatters.js';
+import * as marketHours from '../../utils/marketHours.js';
+
+// Own instance - the Stats page's calculator caches results for its own trade list
+const calculator = new StatsCalculator();
+
+// Trades listed under best and worst
+const TOP_TRADES_COUNT = 3;
+
+function addDays(dateStr, days) {
+  const date = marketHours.parseDate(dateStr);
+  date.setDate(date.getDate() + days);
+  return marketHours.formatDate(date);
+}
+
+/**
+ * Monday of the week a date falls in (weekends belong to the week just traded)
+ */
+function getMonday(dateStr) {
+  const day = marketHours.parseDate(dateStr).getDay();
+  return addDays(dateStr, -((day + 6) % 7));
+}
+
+/**
+ * Week (Monday-Friday, like the calendar's weekly totals) or calendar month containing a date
+ * @param {string} type - 'week' or 'month'
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {Object} { type, from, to, label }
+ */
+export function getReportPeriod(type, dateStr) {
+  if (type === 'week') {
+    const from = getMonday(dateStr);
+    return { type, from, to: addDays(from, 4), label: `Week of ${formatDateLong(from)}` };
+  }
+
+  const date = marketHours.parseDate(dateStr);
+  const first = new Date(date.getFullYear(), date.getMonth(), 1, 12);
+  const last = new Date(date.getFullYear(), date.getMonth() + 1, 0, 12);
+  return {
+    type: 'month',
+    from: marketHours.formatDate(first),
+    to: marketHours.formatDate(last),
+    label: first.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+  };
+}
+
+/**
+ * The period `delta` weeks or months away
+ * @param {Object} period - From getReportPeriod
+ * @param {number} delta - e.g. -1 for the previous period
+ * @returns {Object} Period of the same type
+ */
+export function shiftReportPeriod(period, delta) {
+  if (period.type === 'week') {
+    return getReportPeriod('week', addDays(period.from, delta * 7));
+  }
+  const date = marketHours.parseDate(period.from);
+  return getReportPeriod('month', marketHours.formatDate(new Date(date.getFullYear(), date.getMonth() + delta, 1, 12)));
+}
+
+function summarizeTrade(trade, periodPnL) {
+  return {
+    id: trade.id,
+    ticker: trade.ticker,
+    direction: trade.direction || 'long',
+    status: trade.status,
+    entryDate: getTradeEntryDateString(trade),
+    exitDate: trade.exitDate ? trade.exitDate.split('T')[0] : null,
+    pnl: periodPnL,
+    r: getTradeRealizedR(trade)
+  };
+}
+
+/**
+ * Monday-Friday rows covering the period, with each day's realized P&L
+ * @returns {Array<{days: Array<{date, inPeriod, pnl, hasNote}>, total: number}>}
+ */
+function buildCalendarWeeks(period) {
+  const pnlByDate = pnlCalendar.getDailyPnL(period.from, period.to);
+  const weeks = [];
+
+  for (let monday = getMonday(period.from); monday <= period.to; monday = addDays(monday, 7)) {
+    const days = [0, 1, 2, 3, 4].map(offset => {
+      const date = addDays(monday, offset);
+      const inPeriod = date >= period.from && date <= period.to;
+      return {
+        date,
+        inPeriod,
+        pnl: inPeriod ? (pnlByDate[date] ?? null) : null,
+        hasNote: inPeriod && hasDailyNoteContent(state.getDailyNote(date))
+      };
+    });
+    weeks.push({ days, total: days.reduce((sum, day) => sum + (day.pnl || 0), 0) });
+  }
+
+  return weeks;
+}
+
+/**
+ * Balance over the period, starting from the balance the period opened with
+ * @returns {Object} { curve, startBalance, endBalance }
+ */
+function buildPeriodCurve(period) {
+  const fullCurve = stats.buildEquityCurve({ dateFrom: null, dateTo: null });
+  const before = fullCurve.filter(point => point.date < period.from);
+  const startBalance = before.length > 0 ? before[before.length - 1].balance : state.startingBalance;
+
+  const points = fullCurve.filter(point => point.date >= period.from && point.date <= period.to);
+  const curve = points[0]?.date === period.from
+    ? points
+    : [{ date: period.from, balance: startBalance, realizedBalance: startBalance, unrealizedPnL: 0, dayPnL: 0, cashFlow: 0 }, ...points];
+
+  return { curve, startBalance, endBalance: curve[curve.length - 1].balance };
+}
+
+/**
+ * Assemble the review for a period
+ * @param {Object} period - From getReportPeriod
+ * @returns {Object} Report data for renderReportHtml / renderReportMarkdown
+ */
+export function buildReviewReport(period) {
+  const inPeriod = (dateStr) => dateStr >= period.from && dateStr <= period.to;
+  const entries = state.journal.entries;
+
+  // Each trade's P&L realized inside the period (a trade trimmed across two weeks counts in both)
+  const realized = entries
+    .map(trade => {
+      const events = getRealizedPnLEvents(trade).filter(event => inPeriod(event.date.split('T')[0]));
+      return { trade, events: events.length, pnl: events.reduce((sum, event) => sum + event.pnl, 0) };
+    })
+    .filter(item => item.events > 0);
+  const realizedTrades = realized.map(item => item.trade);
+  const openedTrades = entries.filter(trade => inPeriod(getTradeEntryDateString(trade)));
+
+  const winsLosses = calculator.calculateWinsLosses(realizedTrades);
+  const summary = {
+    pnl: realized.reduce((sum, item) => sum + item.pnl, 0),
+    tradesOpened: openedTrades.length,
+    tradesRealized: winsLosses.total,
+    wins: winsLosses.wins,
+    losses: winsLosses.losses,
+    winRate: calculator.calculateWinRate(realizedTrades),
+    profitFactor: calculator.calculateProfitFactor(realizedTrades),
+    expectancy: calculator.calculateTradeExpectancy(realizedTrades),
+    avgWinLossRatio: calculator.calculateAvgWinLossRatio(realizedTrades),
+    netCashFlow: calculator.calculateNetCashFlow(period.from, period.to)
+  };
+
+  const byPnL = [...realized].sort((a, b) => b.pnl - a.pnl);
+  const bestTrades = byPnL.filter(item => item.pnl > 0).slice(0, TOP_TRADES_COUNT)
+    .map(item => summarizeTrade(item.trade, item.pnl));
+  const worstTrades = byPnL.filter(item => item.pnl < 0).reverse().slice(0, TOP_TRADES_COUNT)
+    .map(item => summarizeTrade(item.trade, item.pnl));
+
+  // Rules apply to trades entered or exited in the period
+  const reviewed = new Set([...openedTrades, ...realizedTrades]);
+  const periodPnLById = new Map(realized.map(item => [item.trade.id, item.pnl]));
+  const violations = [...reviewed]
+    .map(trade => ({
+      trade: summarizeTrade(trade, periodPnLById.get(trade.id) ?? null),
+      violations: getRuleViolations(trade, state.settings)
+    }))
+    .filter(item => item.violations.length > 0)
+    .sort((a, b) => (a.trade.entryDate || '').localeCompare(b.trade.entryDate || ''));
+
+  const { curve, startBalance, endBalance } = buildPeriodCurve(period);
+  const drawdown = calculator.calculateDrawdownSeries(curve);
+  const drawdownStats = calculator.calculateDrawdownStats(curve);
+
+  const dailyNotes = Object.values(state.dailyNotes)
+    .filter(note => inPeriod(note.date) && hasDailyNoteContent(note))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return {
+    period,
+    generatedAt: new Date().toISOString(),
+    summary,
+    rAnalytics: calculator.calculateRAnalytics(realizedTrades),
+    bestTrades,
+    worstTrades,
+    violations,
+    calendar: buildCalendarWeeks(period),
+    equity: {
+      startBalance,
+      endBalance,
+      // Cash moved in or out isn't performance
+      returnPercent: startBalance > 0 ? ((endBalance - startBalance - summary.netCashFlow) / startBalance) * 100 : null,
+      maxDrawdownPercent: drawdownStats?.maxDrawdownPercent ?? null,
+      chartImage: equityChart.renderSnapshot(curve, drawdown)
+    },
+    dailyNotes
+  };
+}
@@ -6,8 +6,27 @@
 import { state } from '../../core/state.js';
 import { priceTracker } from '../../core/priceTracker.js';
 import accountBalanceCalculator from '../../shared/AccountBalanceCalculator.js';
-import { calculateRealizedPnL, getTradeRealizedPnL } from '../../core/utils/tradeCalculations.js';
-import { formatDate } from '../../utils/marketHours.js';
+import { calculateRealizedPnL, getTradeRealizedPnL, getInitialRiskDollars, getTradeRealizedR, getBestExitR } from '../../core/utils/tradeCalculations.js';
+import { formatDate, parseDate, getBusinessDaysBetween } from '../../utils/marketHours.js';
+import { TIME_CONSTANTS } from '../../constants/index.js';
+import { getBreakdownKeys, formatBreakdownKey } from '../../shared/TradeBreakdowns.js';
+import { excursionTracker } from '../../core/excursionTracker.js';
+
+const TRADING_DAYS_PER_YEAR = 252;
+const DAYS_PER_YEAR = 365.25;
+
+// R-multiple histogram bucket edges; the first and last buckets are open-ended
+const R_HISTOGRAM_EDGES = [-2, -1, 0, 1, 2, 3, 4];
+const R_HIT_TARGETS = [1, 2, 3];
+// Van Tharp caps N at 100 so SQN compares systems rather than sample sizes
+const SQN_MAX_TRADES = 100;
+
+/**
+ * Calendar days between two 'YYYY-MM-DD' dates
+ */
+function daysBetween(fromDate, toDate) {
+  return Math.round((parseDate(toDate) - parseDate(fromDate)) / TIME_CONSTANTS.ONE_DAY_MS);
+}
 
 export class StatsCalculator {
   /**
@@ -18,7 +37,7 @@ export class StatsCalculator {
     const currentPrices = priceTracker.getPricesAsObject();
 
     const result = accountBalanceCalculator.calculateCurrentBalance({
-      startingBalance: state.settings.startingAccountSize,
+      startingBalance: state.startingBalance,
       allTrades: state.journal.entries,
       cashFlowTransactions: state.cashFlow.transactions,
       currentPrices
@@ -28,7 +47,7 @@ export class StatsCalculator {
   }
 
   /**
-   * Calculate realized P&L from closed/trimmed trades
+   * Calculate realized P&L from closed/trimmed trades (net of fees)
    */
   calculateRealizedPnL(trades) {
     return calculateRealizedPnL(trades);
@@ -122,6 +141,8 @@ export class StatsCalculator {
   /**
    * Calculate Profit Factor
    * Formula: Total Gross Profit / Total Gross Loss
+   * Each trade is classified by its P&L net of commissions and fees,
+   * so a small winner eaten by fees counts as a loss
    * > 1.0 = Profitable, < 1.0 = Losing money
    */
   calculateProfitFactor(trades) {
@@ -216,4 +237,317 @@ export class StatsCalculator {
     return this.calculateCashFlowBreakdown(dateFrom, dateTo).net;
   }
 
+  /**
+   * Calculate R-multiple analytics for closed trades
+   * R is measured against each trade's originalStop, so later stop moves don't distort it.
+   * - avgR / medianR: of realized R per trade (net of fees)
+   * - rExpectancy: total P&L / total initial risk (R earned per R risked, weighted by trade risk)
+   * - sqn: System Quality Number = sqrt(min(N, 100)) × mean R / stdev R
+   * - hitRates: % of trades with an exit at or beyond 1R/2R/3R
+   * @param {Array} trades - Trades (filtered to the selected range)
+   * @returns {Object} { count, avgR, medianR, rExpectancy, sqn, hitRates, histogram }
+   */
+  calculateRAnalytics(trades) {
+    const rTrades = trades
+      .map(trade => ({ trade, r: getTradeRealizedR(trade) }))
+      .filter(item => item.r !== null);
+
+    const histogram = [
+      { label: `< ${R_HISTOGRAM_EDGES[0]}R`, min: -Infinity, max: R_HISTOGRAM_EDGES[0], count: 0 },
+      ...R_HISTOGRAM_EDGES.slice(0, -1).map((edge, i) => ({
+        label: `${edge} to ${R_HISTOGRAM_EDGES[i + 1]}R`,
+        min: edge,
+        max: R_HISTOGRAM_EDGES[i + 1],
+        count: 0
+      })),
+      { label: `≥ ${R_HISTOGRAM_EDGES[R_HISTOGRAM_EDGES.length - 1]}R`, min: R_HISTOGRAM_EDGES[R_HISTOGRAM_EDGES.length - 1], max: Infinity, count: 0 }
+    ];
+
+    const count = rTrades.length;
+    if (count === 0) {
+      return {
+        count: 0,
+        avgR: null,
+        medianR: null,
+        rExpectancy: null,
+        sqn: null,
+        hitRates: R_HIT_TARGETS.map(target => ({ target, percent: null })),
+        histogram
+      };
+    }
+
+    const rValues = rTrades.map(item => item.r);
+    rValues.forEach(r => {
+      const bucket = histogram.find(b => r >= b.min && r < b.max);
+      bucket.count++;
+    });
+
+    const avgR = rValues.reduce((sum, r) => sum + r, 0) / count;
+
+    const sorted = [...rValues].sort((a, b) => a - b);
+    const mid = Math.floor(count / 2);
+    const medianR = count % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+
+    const totalPnL = rTrades.reduce((sum, item) => sum + getTradeRealizedPnL(item.trade), 0);
+    const totalRisk = rTrades.reduce((sum, item) => sum + getInitialRiskDollars(item.trade), 0);
+    const rExpectancy = totalRisk > 0 ? totalPnL / totalRisk : null;
+
+    let sqn = null;
+    if (count >= 2) {
+      const stdDev = Math.sqrt(rValues.reduce((sum, r) => sum + (r - avgR) ** 2, 0) / (count - 1));
+      sqn = stdDev > 0 ? Math.sqrt(Math.min(count, SQN_MAX_TRADES)) * avgR / stdDev : null;
+    }
+
+    const bestExits = rTrades.map(item => getBestExitR(item.trade) ?? item.r);
+    // Small tolerance so an exit exactly at the target isn't missed to float rounding
+    const hitRates = R_HIT_TARGETS.map(target => ({
+      target,
+      percent: (bestExits.filter(r => r >= target - 1e-6).length / count) * 100
+    }));
+
+    return { count, avgR, medianR, rExpectancy, sqn, hitRates, histogram };
+  }
+
+  /**
+   * Collect MAE/MFE scatter points for closed trades with an up-to-date excursion measurement
+   * Each point pairs an excursion (in R vs originalStop) with the trade's realized R:
+   * winners with deep MAE suggest stops are about right; realized R far below MFE suggests exits are early.
+   * - avgWinnerMaeR: mean MAE of winning trades
+   * - avgMfeR: mean MFE of all measured trades
+   * - captureRatio: mean share of MFE that winners kept (realized R / MFE R), in %
+   * @param {Array} trades - Trades (filtered to the selected range)
+   * @returns {Object} { points: [{id, ticker, maeR, mfeR, realizedR}], avgWinnerMaeR, avgMfeR, captureRatio }
+   */
+  calculateExcursionPoints(trades) {
+    const points = trades
+      .filter(trade => trade.excursion && trade.excursion.signature === excursionTracker.getSignature(trade))
+      .map(trade => ({
+        id: trade.id,
+        ticker: trade.ticker,
+        maeR: trade.excursion.mae.r,
+        mfeR: trade.excursion.mfe.r,
+        realizedR: getTradeRealizedR(trade)
+      }))
+      .filter(point => point.realizedR !== null && point.maeR !== null);
+
+    const average = values => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    const winners = points.filter(point => point.realizedR > 0);
+
+    return {
+      points,
+      avgWinnerMaeR: average(winners.map(point => point.maeR)),
+      avgMfeR: average(points.map(point => point.mfeR)),
+      captureRatio: average(winners.filter(point => point.mfeR > 0).map(point => (point.realizedR / point.mfeR) * 100))
+    };
+  }
+
+  /**
+   * Group closed trades by a breakdown dimension and compute per-group metrics
+   * Win rate, P&L and profit factor use the same closed/trimmed set as the overview stats;
+   * avg R only counts fully closed trades with a defined initial risk.
+   * @param {Array} trades - Trades (filtered to the selected range)
+   * A trade with several tags counts toward each of its tag groups.
+   * @param {string} dimension - Key of BREAKDOWN_DIMENSIONS (setup, theme, tag, conviction, ...)
+   * @returns {Array<{key, label, count, wins, winRate, pnl, avgR, profitFactor}>} Groups, unsorted
+   */
+  calculateBreakdown(trades, dimension) {
+    const groups = new Map();
+    this._getClosedTradeMetrics(trades).closedTrades.forEach(trade => {
+      getBreakdownKeys(trade, dimension).forEach(key => {
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(trade);
+      });
+    });
+
+    return Array.from(groups, ([key, groupTrades]) => {
+      const metrics = this._getClosedTradeMetrics(groupTrades);
+      const rValues = groupTrades.map(getTradeRealizedR).filter(r => r !== null);
+
+      return {
+        key,
+        label: formatBreakdownKey(dimension, key, groupTrades[0]),
+        count: groupTrades.length,
+        wins: metrics.winsCount,
+        winRate: metrics.winRate,
+        pnl: metrics.totalWins + metrics.totalLosses,
+        avgR: rValues.length > 0 ? rValues.reduce((sum, r) => sum + r, 0) / rValues.length : null,
+        profitFactor: this.calculateProfitFactor(groupTrades)
+      };
+    });
+  }
+
+  /**
+   * Convert an equity curve into a daily series of trading returns
+   * Cash flow is excluded so deposits and withdrawals don't count as performance.
+   * Business days with no curve point are flat (0% return) days.
+   * @param {Array<{date, balance, dayPnL, cashFlow}>} curve - Equity curve points, oldest first
+   * @returns {Array<{date: string, pnl: number, balance: number, return: number}>}
+   * @private
+   */
+  _getDailyReturns(curve) {
+    if (!curve || curve.length === 0) return [];
+
+    // Aggregate points by date (the curve's starting point can share a date with the first event)
+    const pointsByDate = new Map();
+    curve.forEach(point => {
+      const existing = pointsByDate.get(point.date);
+      pointsByDate.set(point.date, {
+        pnl: (existing?.pnl || 0) + (point.dayPnL || 0),
+        cashFlow: (existing?.cashFlow || 0) + (point.cashFlow || 0),
+        balance: point.balance
+      });
+    });
+
+    const firstDate = curve[0].date;
+    const lastDate = curve[curve.length - 1].date;
+    const dates = [...new Set([...getBusinessDaysBetween(firstDate, lastDate), ...pointsByDate.keys()])].sort();
+
+    // Balance before the first day's P&L and cash flow
+    const first = pointsByDate.get(firstDate);
+    let balance = first.balance - first.pnl - first.cashFlow;
+
+    return dates.map(date => {
+      const point = pointsByDate.get(date);
+      const pnl = point ? point.pnl : 0;
+      const dailyReturn = balance > 0 ? pnl / balance : 0;
+
+      if (point) {
+        balance = point.balance;
+      }
+
+      return { date, pnl, balance, return: dailyReturn };
+    });
+  }
+
+  /**
+   * Calculate drawdown for each day of an equity curve
+   * $ drawdown is measured on cumulative trading P&L, % drawdown on compounded daily returns,
+   * so neither is distorted by deposits or withdrawals.
+   * @param {Array} curve - Equity curve points, oldest first
+   * @returns {Array<{date: string, drawdown: number, drawdownPercent: number, peakDate: string}>}
+   *   drawdown/drawdownPercent are <= 0
+   */
+  calculateDrawdownSeries(curve) {
+    const days = this._getDailyReturns(curve);
+    if (days.length === 0) return [];
+
+    let cumulativePnL = 0;
+    let peakPnL = 0;
+    let equityIndex = 1;
+    let peakIndex = 1;
+    let peakDate = days[0].date;
+
+    return days.map(day => {
+      cumulativePnL += day.pnl;
+      equityIndex *= 1 + day.return;
+
+      peakPnL = Math.max(peakPnL, cumulativePnL);
+      if (equityIndex >= peakIndex) {
+        peakIndex = equityIndex;
+        peakDate = day.date;
+      }
+
+      return {
+        date: day.date,
+        drawdown: cumulativePnL - peakPnL,
+        drawdownPercent: (equityIndex / peakIndex - 1) * 100,
+        peakDate
+      };
+    });
+  }
+
+  /**
+   * Calculate drawdown stats for an equity curve
+   * Durations are calendar days. Recovery is the time from the max drawdown's trough back to its prior peak.
+   * @param {Array} curve - Equity curve points, oldest first (already limited to the selected range)
+   * @returns {Object|null} { maxDrawdown, maxDrawdownPercent, maxDrawdownDate, currentDrawdown,
+   *   currentDrawdownPercent, longestDrawdownDays, recoveryDays, recovered } or null without data
+   */
+  calculateDrawdownStats(curve) {
+    const series = this.calculateDrawdownSeries(curve);
+    if (series.length === 0) return null;
+
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+    let trough = null;
+    let longestDrawdownDays = 0;
+
+    series.forEach((point, i) => {
+      maxDrawdown = Math.min(maxDrawdown, point.drawdown);
+
+      if (point.drawdownPercent < maxDrawdownPercent) {
+        maxDrawdownPercent = point.drawdownPercent;
+        trough = point;
+      }
+
+      const previous = series[i - 1];
+      if (point.drawdownPercent < 0) {
+        // Still underwater - measured to today so an unrecovered drawdown counts too
+        longestDrawdownDays = Math.max(longestDrawdownDays, daysBetween(point.peakDate, point.date));
+      } else if (previous && previous.drawdownPercent < 0) {
+        // Back at a new high - the drawdown lasted from its peak until today
+        longestDrawdownDays = Math.max(longestDrawdownDays, daysBetween(previous.peakDate, point.date));
+      }
+    });
+
+    // Recovery: first day after the trough back at (or above) the trough's prior peak
+    let recoveryDays = null;
+    if (trough) {
+      const recovery = series.find(point => point.date > trough.date && point.peakDate !== trough.peakDate);
+      if (recovery) {
+        recoveryDays = daysBetween(trough.date, recovery.date);
+      }
+    }
+
+    const current = series[series.length - 1];
+
+    return {
+      maxDrawdown,
+      maxDrawdownPercent,
+      maxDrawdownDate: trough?.date || null,
+      currentDrawdown: current.drawdown,
+      currentDrawdownPercent: current.drawdownPercent,
+      longestDrawdownDays,
+      recoveryDays,
+      recovered: !trough || recoveryDays !== null
+    };
+  }
+
+  /**
+   * Calculate risk-adjusted return ratios for an equity curve
+   * Sharpe/Sortino use daily trading returns annualized over 252 trading days with a 0% risk-free rate.
+   * Calmar = CAGR / |max drawdown %|
+   * @param {Array} curve - Equity curve points, oldest first (already limited to the selected range)
+   * @returns {Object|null} { sharpe, sortino, cagr, calmar } (cagr in %) or null without data
+   */
+  calculateRiskAdjustedReturns(curve) {
+    const days = this._getDailyReturns(curve);
+    if (days.length < 2) return null;
+
+    const returns = days.map(day => day.return);
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+    const stdDev = Math.sqrt(variance);
+
+    const downsideVariance = returns.reduce((sum, r) => sum + Math.min(0, r) ** 2, 0) / returns.length;
+    const downsideDev = Math.sqrt(downsideVariance);
+
+    const annualization = Math.sqrt(TRADING_DAYS_PER_YEAR);
+    const sharpe = stdDev > 0 ? (mean / stdDev) * annualization : null;
+    const sortino = downsideDev > 0 ? (mean / downsideDev) * annualization : null;
+
+    // CAGR from compounded returns over the calendar span of the curve
+    const growth = returns.reduce((product, r) => product * (1 + r), 1);
+    const years = daysBetween(days[0].date, days[days.length - 1].date) / DAYS_PER_YEAR;
+    const cagr = years > 0 && growth > 0 ? (Math.pow(growth, 1 / years) - 1) * 100 : null;
+
+    const drawdown = this.calculateDrawdownStats(curve);
+    const calmar = cagr !== null && drawdown && drawdown.maxDrawdownPercent < 0
+      ? cagr / Math.abs(drawdown.maxDrawdownPercent)
+      : null;
+
+    return { sharpe, sortino, cagr, calmar };
+  }
+
 }
@@ -0,0 +1,306 @@
+/**
+ * Excursion Chart - Canvas scatter of MAE or MFE (x, in R) against realized R (y)
+ * One instance per plot; stats.js owns the data and calls setData() + render()
+ */
+
+import { createLogger } from '../../utils/logger.js';
+const logger = createLogger('ExcursionChart');
+
+// Hover radius (px) for picking the nearest point
+const HIT_RADIUS = 8;
+
+class ExcursionChart {
+  /**
+   * @param {Object} options
+   * @param {string} options.canvasId - Canvas element ID
+   * @param {string} options.containerId - Positioned container ID (also hosts the tooltip)
+   * @param {string} options.emptyId - Empty state element ID
+   * @param {string} options.xKey - Point field plotted on x ('maeR' or 'mfeR')
+   * @param {string} options.xLabel - Axis title for x
+   * @param {string} options.reference - 'stop' draws the -1R stop line, 'capture' draws realized = excursion
+   */
+  constructor({ canvasId, containerId, emptyId, xKey, xLabel, reference }) {
+    this.ids = { canvasId, containerId, emptyId };
+    this.xKey = xKey;
+    this.xLabel = xLabel;
+    this.reference = reference;
+    this.canvas = null;
+    this.ctx = null;
+    this.container = null;
+    this.emptyState = null;
+    this.dpr = window.devicePixelRatio || 1;
+    this.tooltip = null;
+    this.points = [];
+    this.plotted = []; // Points with pixel positions, for hover
+    this.hoverId = null;
+
+    this.colors = {
+      win: '#22c55e',
+      loss: '#ef4444',
+      grid: 'rgba(255, 255, 255, 0.05)',
+      zero: 'rgba(255, 255, 255, 0.2)',
+      reference: 'rgba(245, 158, 11, 0.6)',
+      text: '#64748b',
+      tooltip: 'rgba(0, 0, 0, 0.9)'
+    };
+
+    this.lightColors = {
+      win: '#16a34a',
+      loss: '#dc2626',
+      grid: 'rgba(0, 0, 0, 0.03)',
+      zero: 'rgba(0, 0, 0, 0.2)',
+      reference: 'rgba(217, 119, 6, 0.7)',
+      text: '#64748b',
+      tooltip: 'rgba(0, 0, 0, 0.85)'
+    };
+  }
+
+  init() {
+    this.canvas = document.getElementById(this.ids.canvasId);
+    this.container = document.getElementById(this.ids.containerId);
+    this.emptyState = document.getElementById(this.ids.emptyId);
+
+    if (!this.canvas || !this.container) {
+      logger.warn(`ExcursionChart: Required elements not found (${this.ids.canvasId})`);
+      return;
+    }
+
+    this.ctx = this.canvas.getContext('2d');
+
+    let resizeTimer;
+    window.addEventListener('resize', () => {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(() => this.render(), 100);
+    });
+
+    this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+    this.canvas.addEventListener('mouseleave', () => this.handleMouseLeave());
+  }
+
+  getColors() {
+    const isLight = document.documentElement.dataset.theme === 'light';
+    return isLight ? this.lightColors : this.colors;
+  }
+
+  // points: [{id, ticker, maeR, mfeR, realizedR}]
+  setData(points) {
+    this.points = points.filter(p => p[this.xKey] !== null && p[this.xKey] !== undefined);
+    this.hoverId = null;
+  }
+
+  resize() {
+    const rect = this.container.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return false;
+
+    if (this.canvas.width !== rect.width * this.dpr || this.canvas.height !== rect.height * this.dpr) {
+      this.canvas.width = rect.width * this.dpr;
+      this.canvas.height = rect.height * this.dpr;
+      this.canvas.style.width = `${rect.width}px`;
+      this.canvas.style.height = `${rect.height}px`;
+    }
+    // Setting canvas size resets the transform, so always reapply it
+    this.ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+    return true;
+  }
+
+  render() {
+    if (!this.ctx || !this.container) return;
+
+    if (this.points.length === 0) {
+      this.showEmptyState(true);
+      return;
+    }
+    this.showEmptyState(false);
+
+    if (!this.resize()) return;
+
+    const width = this.canvas.width / this.dpr;
+    const height = this.canvas.height / this.dpr;
+    const colors = this.getColors();
+    this.ctx.clearRect(0, 0, width, height);
+
+    const padding = { top: 16, right: 16, bottom: 36, left: 48 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    // Axis ranges always include 0 (and -1R on the MAE plot) so the reference lines are visible
+    const xs = this.points.map(p => p[this.xKey]);
+    const ys = this.points.map(p => p.realizedR);
+    const xExtras = this.reference === 'stop' ? [0, -1] : [0];
+    const [xMin, xMax] = this.getPaddedRange([...xs, ...xExtras]);
+    const [yMin, yMax] = this.getPaddedRange([...ys, 0]);
+
+    const scaleX = (value) => padding.left + ((value - xMin) / (xMax - xMin)) * plotWidth;
+    const scaleY = (value) => padding.top + plotHeight - ((value - yMin) / (yMax - yMin)) * plotHeight;
+
+    this.drawGrid(padding, plotWidth, plotHeight, xMin, xMax, yMin, yMax, scaleX, scaleY, colors);
+    this.drawReference(xMin, xMax, yMin, yMax, scaleX, scaleY, colors);
+
+    this.plotted = this.points.map(p => ({ ...p, px: scaleX(p[this.xKey]), py: scaleY(p.realizedR) }));
+    this.plotted.forEach(p => {
+      const isHover = p.id === this.hoverId;
+      this.ctx.beginPath();
+      this.ctx.arc(p.px, p.py, isHover ? 5.5 : 4, 0, Math.PI * 2);
+      this.ctx.fillStyle = p.realizedR > 0 ? colors.win : colors.loss;
+      this.ctx.globalAlpha = isHover ? 1 : 0.75;
+      this.ctx.fill();
+      this.ctx.globalAlpha = 1;
+    });
+  }
+
+  getPaddedRange(values) {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const pad = (max - min || 1) * 0.1;
+    return [min - pad, max + pad];
+  }
+
+  drawGrid(padding, plotWidth, plotHeight, xMin, xMax, yMin, yMax, scaleX, scaleY, colors) {
+    const ctx = this.ctx;
+    ctx.strokeStyle = colors.grid;
+    ctx.lineWidth = 1;
+    ctx.fillStyle = colors.text;
+    ctx.font = '11px Inter, sans-serif';
+
+    // Horizontal grid + y labels (4 steps)
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let i = 0; i <= 4; i++) {
+      const value = yMax - ((yMax - yMin) / 4) * i;
+      const y = scaleY(value);
+      ctx.beginPath();
+      ctx.moveTo(padding.left, y);
+      ctx.lineTo(padding.left + plotWidth, y);
+      ctx.stroke();
+      ctx.fillText(this.formatR(value), padding.left - 6, y);
+    }
+
+    // X labels (4 steps)
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let i = 0; i <= 4; i++) {
+      const value = xMin + ((xMax - xMin) / 4) * i;
+      ctx.fillText(this.formatR(value), scaleX(value), padding.top + plotHeight + 6);
+    }
+    ctx.fillText(this.xLabel, padding.left + plotWidth / 2, padding.top + plotHeight + 20);
+
+    // Zero axes
+    ctx.strokeStyle = colors.zero;
+    ctx.beginPath();
+    ctx.moveTo(scaleX(0), padding.top);
+    ctx.lineTo(scaleX(0), padding.top + plotHeight);
+    ctx.moveTo(padding.left, scaleY(0));
+    ctx.lineTo(padding.left + plotWidth, scaleY(0));
+    ctx.stroke();
+  }
+
+  drawReference(xMin, xMax, yMin, yMax, scaleX, scaleY, colors) {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.strokeStyle = colors.reference;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+
+    if (this.reference === 'stop') {
+      // Original stop: winners left of this line survived a full 1R heat
+      ctx.moveTo(scaleX(-1), scaleY(yMax));
+      ctx.lineTo(scaleX(-1), scaleY(yMin));
+    } else {
+      // Realized = MFE: points near the line exited close to the best price
+      const from = Math.max(xMin, yMin);
+      const to = Math.min(xMax, yMax);
+      if (to > from) {
+        ctx.moveTo(scaleX(from), scaleY(from));
+        ctx.lineTo(scaleX(to), scaleY(to));
+      }
+    }
+
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  formatR(value) {
+    return `${value > 0 ? '+' : ''}${value.toFixed(1)}R`;
+  }
+
+  handleMouseMove(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+
+    let closest = null;
+    let minDistance = HIT_RADIUS;
+    this.plotted.forEach(p => {
+      const distance = Math.hypot(p.px - x, p.py - y);
+      if (distance <= minDistance) {
+        minDistance = distance;
+        closest = p;
+      }
+    });
+
+    if ((closest?.id ?? null) !== this.hoverId) {
+      this.hoverId = closest?.id ?? null;
+      this.render();
+    }
+
+    if (closest) {
+      this.showTooltip(closest, x, y);
+      this.canvas.style.cursor = 'pointer';
+    } else {
+      this.hideTooltip();
+      this.canvas.style.cursor = 'default';
+    }
+  }
+
+  handleMouseLeave() {
+    this.hideTooltip();
+    if (this.hoverId !== null) {
+      this.hoverId = null;
+      this.render();
+    }
+  }
+
+  showTooltip(point, mouseX, mouseY) {
+    if (!this.tooltip) {
+      this.tooltip = document.createElement('div');
+      this.tooltip.className = 'excursion-chart__tooltip';
+      this.container.appendChild(this.tooltip);
+    }
+    this.tooltip.style.background = this.getColors().tooltip;
+
+    const formatR = value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}R`;
+    this.tooltip.innerHTML = `
+      <div style="font-weight: 600; margin-bottom: 4px;">${point.ticker}</div>
+      <div style="font-size: 11px;">MAE ${formatR(point.maeR)} · MFE ${point.mfeR !== null ? formatR(point.mfeR) : '-'}</div>
+      <div style="font-size: 11px; opacity: 0.9;">Realized ${formatR(point.realizedR)}</div>
+    `;
+
+    const rect = this.container.getBoundingClientRect();
+    const tooltipRect = this.tooltip.getBoundingClientRect();
+    let left = mouseX + 12;
+    let top = mouseY - tooltipRect.height - 8;
+    if (left + tooltipRect.width > rect.width) left = mouseX - tooltipRect.width - 12;
+    if (top < 0) top = mouseY + 12;
+
+    this.tooltip.style.left = `${left}px`;
+    this.tooltip.style.top = `${top}px`;
+    this.tooltip.style.display = 'block';
+  }
+
+  hideTooltip() {
+    if (this.tooltip) {
+      this.tooltip.style.display = 'none';
+    }
+  }
+
+  showEmptyState(show) {
+    if (this.emptyState) {
+      this.emptyState.style.display = show ? 'flex' : 'none';
+    }
+    if (this.canvas) {
+      this.canvas.style.display = show ? 'none' : 'block';
+    }
+  }
+}
+
+export { ExcursionChart };
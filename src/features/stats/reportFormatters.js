@@ -0,0 +1,347 @@
+/**
+ * Report Formatters - Review reports as a printable HTML page or Markdown
+ * The HTML page is self-contained (inline styles, chart as a data URL) so it prints
+ * to PDF from its own window and still reads the same when saved.
+ */
+
+import { formatCurrency, formatPercent, escapeHtml } from '../../core/utils.js';
+import { formatDateLong } from '../../utils/dateFormatters.js';
+import { DAILY_NOTE_FIELDS, getMood } from '../../shared/DailyNotes.js';
+import * as marketHours from '../../utils/marketHours.js';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'];
+
+/**
+ * Markdown table cells can't hold pipes or line breaks
+ */
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+function formatSignedCurrency(value) {
+  return `${value >= 0 ? '+' : '-'}${formatCurrency(Math.abs(value))}`;
+}
+
+function formatR(value) {
+  return value === null || value === undefined ? '—' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}R`;
+}
+
+function formatRatio(value) {
+  return value === null || value === undefined ? '—' : value.toFixed(2);
+}
+
+function formatOptionalPercent(value, signed = false) {
+  if (value === null || value === undefined) return '—';
+  return `${signed && value > 0 ? '+' : ''}${formatPercent(value)}`;
+}
+
+function formatShortDate(dateStr) {
+  return marketHours.parseDate(dateStr).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+function pnlClass(value) {
+  if (!value) return '';
+  return value > 0 ? 'positive' : 'negative';
+}
+
+/**
+ * Headline numbers shared by both formats, as [label, value, raw value for colouring]
+ */
+function getSummaryRows(report) {
+  const { summary, equity } = report;
+  return [
+    ['Net P&L', formatSignedCurrency(summary.pnl), summary.pnl],
+    ['Return', formatOptionalPercent(equity.returnPercent, true), equity.returnPercent],
+    ['Win rate', summary.winRate === null ? '—' : `${formatPercent(summary.winRate, 1)} (${summary.wins}W / ${summary.losses}L)`],
+    ['Profit factor', formatRatio(summary.profitFactor)],
+    ['Expectancy', summary.expectancy === null ? '—' : formatSignedCurrency(summary.expectancy), summary.expectancy],
+    ['Avg win / avg loss', formatRatio(summary.avgWinLossRatio)],
+    ['Trades opened', String(summary.tradesOpened)],
+    ['Trades with exits', String(summary.tradesRealized)],
+    ['Max drawdown', equity.maxDrawdownPercent ? formatPercent(equity.maxDrawdownPercent) : '—', equity.maxDrawdownPercent],
+    ['Balance', `${formatCurrency(equity.startBalance)} → ${formatCurrency(equity.endBalance)}`]
+  ];
+}
+
+function getRRows(report) {
+  const r = report.rAnalytics;
+  return [
+    ['Avg R', formatR(r.avgR)],
+    ['Median R', formatR(r.medianR)],
+    ['R expectancy', formatR(r.rExpectancy)],
+    ['SQN', formatRatio(r.sqn)],
+    ...r.hitRates.map(hit => [`Reached ${hit.target}R`, formatOptionalPercent(hit.percent)])
+  ];
+}
+
+function getTradeCells(trade) {
+  return [
+    trade.ticker,
+    trade.direction === 'short' ? 'Short' : 'Long',
+    trade.entryDate ? formatShortDate(trade.entryDate) : '—',
+    trade.exitDate ? formatShortDate(trade.exitDate) : (trade.status === 'open' ? 'Open' : '—'),
+    trade.pnl === null ? '—' : formatSignedCurrency(trade.pnl),
+    formatR(trade.r)
+  ];
+}
+
+const TRADE_HEADERS = ['Ticker', 'Side', 'Entry', 'Exit', 'P&L', 'R'];
+
+// ---------------------------------------------------------------------------
+// HTML
+// ---------------------------------------------------------------------------
+
+const REPORT_CSS = `
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 32px; font: 13px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #0f172a; background: #fff; }
+  .report { max-width: 820px; margin: 0 auto; }
+  h1 { margin: 0; font-size: 22px; }
+  h2 { margin: 28px 0 10px; font-size: 15px; border-bottom: 1px solid #e2e8f0; padding-bottom: 4px; }
+  h3 { margin: 14px 0 4px; font-size: 13px; }
+  .meta { color: #64748b; margin-top: 2px; }
+  .actions { margin: 16px 0 0; }
+  .actions button { font: inherit; padding: 6px 14px; border: 1px solid #cbd5e1; border-radius: 6px; background: #f8fafc; cursor: pointer; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 8px; }
+  .metric { border: 1px solid #e2e8f0; border-radius: 6px; padding: 8px 10px; }
+  .metric__label { color: #64748b; font-size: 11px; text-transform: uppercase; letter-spacing: 0.03em; }
+  .metric__value { font-size: 15px; font-weight: 600; font-variant-numeric: tabular-nums; }
+  table { width: 100%; border-collapse: collapse; font-variant-numeric: tabular-nums; }
+  th, td { text-align: left; padding: 5px 8px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+  th { color: #64748b; font-size: 11px; font-weight: 600; text-transform: uppercase; }
+  .calendar td { width: 16.66%; height: 44px; }
+  .calendar .outside { color: #cbd5e1; }
+  .calendar .day { display: block; color: #64748b; font-size: 11px; }
+  .calendar .week-total { font-weight: 600; }
+  .note-mark { color: #2563eb; }
+  .positive { color: #16a34a; }
+  .negative { color: #dc2626; }
+  .chart { width: 100%; border: 1px solid #e2e8f0; border-radius: 6px; }
+  .empty { color: #64748b; font-style: italic; }
+  .violation__rule { font-weight: 600; }
+  .note { margin-bottom: 12px; page-break-inside: avoid; }
+  .note p { margin: 2px 0 6px; white-space: pre-wrap; }
+  @media print {
+    body { padding: 0; }
+    .actions { display: none; }
+    h2 { page-break-after: avoid; }
+    table, .chart, .grid { page-break-inside: avoid; }
+  }
+`;
+
+function renderHtmlTable(headers, rows, rowClass = () => '') {
+  return `
+    <table>
+      <thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+      <tbody>
+        ${rows.map((cells, i) => `<tr class="${rowClass(i)}">${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderHtmlTrades(trades, emptyText) {
+  if (trades.length === 0) return `<p class="empty">${escapeHtml(emptyText)}</p>`;
+  return renderHtmlTable(TRADE_HEADERS, trades.map(trade => {
+    const cells = getTradeCells(trade).map(escapeHtml);
+    cells[4] = `<span class="${pnlClass(trade.pnl)}">${cells[4]}</span>`;
+    return cells;
+  }));
+}
+
+function renderHtmlCalendar(report) {
+  const rows = report.calendar.map(week => [
+    ...week.days.map(day => {
+      if (!day.inPeriod) return `<span class="day outside">${escapeHtml(formatShortDate(day.date))}</span>`;
+      const note = day.hasNote ? ' <span class="note-mark" title="Has a daily note">●</span>' : '';
+      const pnl = day.pnl === null ? '' : `<span class="${pnlClass(day.pnl)}">${escapeHtml(formatSignedCurrency(day.pnl))}</span>`;
+      return `<span class="day">${escapeHtml(formatShortDate(day.date))}${note}</span>${pnl}`;
+    }),
+    `<span class="week-total ${pnlClass(week.total)}">${week.total ? escapeHtml(formatSignedCurrency(week.total)) : ''}</span>`
+  ]);
+  return `<div class="calendar">${renderHtmlTable([...WEEKDAYS, 'Week'], rows)}</div>`;
+}
+
+function renderHtmlViolations(report) {
+  if (report.violations.length === 0) {
+    return '<p class="empty">No rule violations - every trade stayed within the sizing rules and kept its stop.</p>';
+  }
+  const rows = report.violations.map(({ trade, violations }) => [
+    escapeHtml(trade.ticker),
+    escapeHtml(trade.entryDate ? formatShortDate(trade.entryDate) : '—'),
+    violations.map(v => `<span class="violation__rule">${escapeHtml(v.label)}</span>: ${escapeHtml(v.detail)}`).join('<br>')
+  ]);
+  return renderHtmlTable(['Ticker', 'Entry', 'Broken rules'], rows);
+}
+
+function renderHtmlNotes(report) {
+  if (report.dailyNotes.length === 0) return '<p class="empty">No daily journal entries in this period.</p>';
+  return report.dailyNotes.map(note => {
+    const mood = getMood(note.mood);
+    const sections = DAILY_NOTE_FIELDS
+      .filter(field => note[field.key]?.trim())
+      .map(field => `<div><strong>${escapeHtml(field.label)}</strong><p>${escapeHtml(note[field.key].trim())}</p></div>`)
+      .join('');
+    return `
+      <div class="note">
+        <h3>${escapeHtml(formatDateLong(note.date))}${mood ? ` · ${mood.emoji} ${escapeHtml(mood.label)}` : ''}</h3>
+        ${sections}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Printable review page
+ * @param {Object} report - From buildReviewReport
+ * @returns {string} Complete HTML document
+ */
+export function renderReportHtml(report) {
+  const { period } = report;
+  const title = `Trading Review - ${period.label}`;
+
+  const metrics = getSummaryRows(report).map(([label, value, raw]) => `
+    <div class="metric">
+      <div class="metric__label">${escapeHtml(label)}</div>
+      <div class="metric__value ${raw === undefined ? '' : pnlClass(raw)}">${escapeHtml(value)}</div>
+    </div>
+  `).join('');
+
+  const rMetrics = getRRows(report).map(([label, value]) => `
+    <div class="metric">
+      <div class="metric__label">${escapeHtml(label)}</div>
+      <div class="metric__value">${escapeHtml(value)}</div>
+    </div>
+  `).join('');
+
+  const chart = report.equity.chartImage
+    ? `<img class="chart" src="${report.equity.chartImage}" alt="Equity curve and drawdown for ${escapeHtml(period.label)}">`
+    : '<p class="empty">Not enough balance history in this period to chart.</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>${REPORT_CSS}</style>
+</head>
+<body>
+  <main class="report">
+    <h1>${escapeHtml(title)}</h1>
+    <div class="meta">${escapeHtml(formatDateLong(period.from))} - ${escapeHtml(formatDateLong(period.to))} · Generated ${escapeHtml(new Date(report.generatedAt).toLocaleString('en-US'))}</div>
+    <div class="actions"><button type="button" onclick="window.print()">Print / Save as PDF</button></div>
+
+    <h2>Summary</h2>
+    <div class="grid">${metrics}</div>
+
+    <h2>R Multiples</h2>
+    ${report.rAnalytics.count > 0
+      ? `<div class="grid">${rMetrics}</div>`
+      : '<p class="empty">No closed trades with a defined initial risk.</p>'}
+
+    <h2>Equity Curve</h2>
+    ${chart}
+
+    <h2>P&amp;L Calendar</h2>
+    ${renderHtmlCalendar(report)}
+
+    <h2>Best Trades</h2>
+    ${renderHtmlTrades(report.bestTrades, 'No winning trades in this period.')}
+
+    <h2>Worst Trades</h2>
+    ${renderHtmlTrades(report.worstTrades, 'No losing trades in this period.')}
+
+    <h2>Rule Violations</h2>
+    ${renderHtmlViolations(report)}
+
+    <h2>Daily Journal</h2>
+    ${renderHtmlNotes(report)}
+  </main>
+</body>
+</html>`;
+}
+
+// ---------------------------------------------------------------------------
+// Markdown
+// ---------------------------------------------------------------------------
+
+function renderMarkdownTable(headers, rows) {
+  return [
+    `| ${headers.map(escapeMarkdownCell).join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(cells => `| ${cells.map(escapeMarkdownCell).join(' | ')} |`)
+  ].join('\n');
+}
+
+function renderMarkdownTrades(trades, emptyText) {
+  return trades.length > 0 ? renderMarkdownTable(TRADE_HEADERS, trades.map(getTradeCells)) : `_${emptyText}_`;
+}
+
+/**
+ * Review as Markdown, for pasting into notes apps
+ * @param {Object} report - From buildReviewReport
+ * @returns {string}
+ */
+export function renderReportMarkdown(report) {
+  const { period } = report;
+  const lines = [
+    `# Trading Review - ${period.label}`,
+    '',
+    `${formatDateLong(period.from)} - ${formatDateLong(period.to)} · Generated ${new Date(report.generatedAt).toLocaleString('en-US')}`,
+    '',
+    '## Summary',
+    '',
+    renderMarkdownTable(['Metric', 'Value'], getSummaryRows(report).map(([label, value]) => [label, value])),
+    '',
+    '## R Multiples',
+    '',
+    report.rAnalytics.count > 0
+      ? renderMarkdownTable(['Metric', 'Value'], getRRows(report))
+      : '_No closed trades with a defined initial risk._',
+    '',
+    '## P&L Calendar',
+    '',
+    renderMarkdownTable([...WEEKDAYS, 'Week'], report.calendar.map(week => [
+      ...week.days.map(day => {
+        if (!day.inPeriod) return '';
+        const label = `${formatShortDate(day.date)}${day.hasNote ? ' ●' : ''}`;
+        return day.pnl === null ? label : `${label}: ${formatSignedCurrency(day.pnl)}`;
+      }),
+      week.total ? formatSignedCurrency(week.total) : ''
+    ])),
+    '',
+    '## Best Trades',
+    '',
+    renderMarkdownTrades(report.bestTrades, 'No winning trades in this period.'),
+    '',
+    '## Worst Trades',
+    '',
+    renderMarkdownTrades(report.worstTrades, 'No losing trades in this period.'),
+    '',
+    '## Rule Violations',
+    ''
+  ];
+
+  if (report.violations.length === 0) {
+    lines.push('_No rule violations._');
+  } else {
+    report.violations.forEach(({ trade, violations }) => {
+      const entry = trade.entryDate ? ` (${formatShortDate(trade.entryDate)})` : '';
+      violations.forEach(v => lines.push(`- **${trade.ticker}**${entry} - ${v.label}: ${v.detail}`));
+    });
+  }
+
+  lines.push('', '## Daily Journal', '');
+  if (report.dailyNotes.length === 0) {
+    lines.push('_No daily journal entries in this period._');
+  } else {
+    report.dailyNotes.forEach(note => {
+      const mood = getMood(note.mood);
+      lines.push(`### ${formatDateLong(note.date)}${mood ? ` · ${mood.emoji} ${mood.label}` : ''}`, '');
+      DAILY_NOTE_FIELDS
+        .filter(field => note[field.key]?.trim())
+        .forEach(field => lines.push(`**${field.label}**`, '', note[field.key].trim(), ''));
+    });
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
@@ -11,8 +11,13 @@ import { DateRangeFilter } from '../../shared/DateRangeFilter.js';
 import { FilterPopup } from '../../shared/FilterPopup.js';
 import { sharedMetrics } from '../../shared/SharedMetrics.js';
 import { EquityChart } from './statsChart.js';
+import { ExcursionChart } from './excursionChart.js';
 import { pnlCalendar } from './PnLCalendar.js';
+import { dailyNotePanel } from './DailyNotePanel.js';
 import { priceTracker } from '../../core/priceTracker.js';
+import { excursionTracker } from '../../core/excursionTracker.js';
+import { alertEngine } from '../../core/alertEngine.js';
+import { stopManager } from '../../core/stopManager.js';
 import accountBalanceCalculator from '../../shared/AccountBalanceCalculator.js';
 import * as marketHours from '../../utils/marketHours.js';
 import { getTradeEntryDateString } from '../../utils/tradeUtils.js';
@@ -22,6 +27,11 @@ import { renderJournalTableRows } from '../../shared/journalTableRenderer.js';
 import { convertHyphenKeyToUnderscoreKey, generateOptionKeyFromTrade } from '../../utils/optionKeyUtils.js';
 import { createLogger } from '../../utils/logger.js';
 import { getOpenTrades, isOpenTrade } from '../../shared/TradeFilters.js';
+import { getRealizedPnLEvents } from '../../core/utils/tradeCalculations.js';
+import { BREAKDOWN_DIMENSIONS, UNSET_BREAKDOWN_KEY } from '../../shared/TradeBreakdowns.js';
+import { describeTagFilter, matchesTagFilter } from '../../shared/TradeTags.js';
+import { createPresetFilters, describeTickerFilter, getPresetDateRange, matchesTickerFilter, parseTickers } from '../../shared/FilterPresets.js';
+import { parseYMDString } from '../../utils/dateFormatters.js';
 
 const logger = createLogger('Stats');
 
@@ -37,12 +47,19 @@ class Stats {
     this.elements = {};
     this.stats = {};
     this.filters = new DateRangeFilter();
+    this.tickerFilter = []; // Upper-case tickers; empty = every ticker
+    this.tagFilter = []; // Tag keys - trades with any of them; empty = no tag filter
     this.calculator = incrementalStatsCalculator; // Use incremental calculator
     this.chart = null;
+    this.maeChart = null; // MAE vs realized R scatter
+    this.mfeChart = null; // MFE vs realized R scatter
+    this._excursionRenderTimer = null;
     this.calendar = null; // P&L calendar component
     this.isCalculating = false;
     this.filterPopup = null; // Shared filter popup component
     this.autoRefreshInterval = null; // For auto-refreshing prices
+    this.breakdownDimension = 'setup'; // Active breakdown tab
+    this.breakdownSort = { column: 'pnl', direction: 'desc' };
 
     // Store flatpickr instances
     this.dateFromPicker = null;
@@ -79,6 +96,41 @@ class Stats {
       totalGrowthCard: document.getElementById('statTotalGrowthCard'),
       cashFlow: document.getElementById('statCashFlow'),
       cashFlowCard: document.getElementById('statCashFlowCard'),
+      maxDrawdown: document.getElementById('statMaxDrawdown'),
+      maxDrawdownSub: document.getElementById('statMaxDrawdownSub'),
+      currentDrawdown: document.getElementById('statCurrentDrawdown'),
+      currentDrawdownSub: document.getElementById('statCurrentDrawdownSub'),
+      longestDrawdown: document.getElementById('statLongestDrawdown'),
+      recoveryTime: document.getElementById('statRecoveryTime'),
+      recoveryTimeSub: document.getElementById('statRecoveryTimeSub'),
+      sharpeRatio: document.getElementById('statSharpeRatio'),
+      sharpeRatioCard: document.getElementById('statSharpeRatioCard'),
+      sortino: document.getElementById('statSortino'),
+      sortinoCard: document.getElementById('statSortinoCard'),
+      cagr: document.getElementById('statCagr'),
+      cagrCard: document.getElementById('statCagrCard'),
+      calmar: document.getElementById('statCalmar'),
+      calmarCard: document.getElementById('statCalmarCard'),
+      rCount: document.getElementById('statsRCount'),
+      avgR: document.getElementById('statAvgR'),
+      avgRCard: document.getElementById('statAvgRCard'),
+      medianR: document.getElementById('statMedianR'),
+      medianRCard: document.getElementById('statMedianRCard'),
+      rExpectancy: document.getElementById('statRExpectancy'),
+      rExpectancyCard: document.getElementById('statRExpectancyCard'),
+      sqn: document.getElementById('statSqn'),
+      sqnCard: document.getElementById('statSqnCard'),
+      sqnSub: document.getElementById('statSqnSub'),
+      hit1R: document.getElementById('statHit1R'),
+      hit2R: document.getElementById('statHit2R'),
+      hit3R: document.getElementById('statHit3R'),
+      rTrades: document.getElementById('statRTrades'),
+      rHistogram: document.getElementById('rHistogram'),
+      excursionSummary: document.getElementById('statsExcursionSummary'),
+      breakdownTabs: document.getElementById('breakdownTabs'),
+      breakdownTable: document.getElementById('breakdownTable'),
+      breakdownTableBody: document.getElementById('breakdownTableBody'),
+      breakdownGroupHeader: document.getElementById('breakdownGroupHeader'),
 
       // Chart
       chartValue: document.getElementById('statChartValue'),
@@ -86,6 +138,11 @@ class Stats {
 
       // Filter elements
       dateRange: document.getElementById('statsDateRange'),
+      tagFilterLabel: document.getElementById('statsTagFilter'),
+      tickerFilterLabel: document.getElementById('statsTickerFilter'),
+      tagOptions: document.getElementById('statsTagOptions'),
+      tickerInput: document.getElementById('statsTickerInput'),
+      presetBar: document.getElementById('statsFilterPresets'),
       filterBtn: document.getElementById('statsFilterBtn'),
       filterPanel: document.getElementById('statsFilterPanel'),
       filterClose: document.getElementById('statsFilterClose'),
@@ -102,10 +159,31 @@ class Stats {
     this.chart = new EquityChart();
     this.chart.init();
 
+    // Initialize MAE/MFE scatter plots
+    this.maeChart = new ExcursionChart({
+      canvasId: 'maeChartCanvas',
+      containerId: 'maeChartContainer',
+      emptyId: 'maeChartEmpty',
+      xKey: 'maeR',
+      xLabel: 'MAE (R)',
+      reference: 'stop'
+    });
+    this.mfeChart = new ExcursionChart({
+      canvasId: 'mfeChartCanvas',
+      containerId: 'mfeChartContainer',
+      emptyId: 'mfeChartEmpty',
+      xKey: 'mfeR',
+      xLabel: 'MFE (R)',
+      reference: 'capture'
+    });
+    this.maeChart.init();
+    this.mfeChart.init();
+
     // Initialize P&L calendar
     this.calendar = pnlCalendar;
     this.calendar.statsCalculator = this.calculator; // Give calendar access to live balance calculation
     this.calendar.onDayClick = (dateStr, weekRange) => this.handleCalendarDayClick(dateStr, weekRange);
+    dailyNotePanel.init();
 
     // Note: Calendar init is async, but we don't await it here to avoid blocking
     // The auto-select of today will happen after the calendar renders
@@ -115,6 +193,9 @@ class Stats {
     this.currentTradesMode = 'opened'; // Default to showing opened trades
     this.setupTradesToggle();
 
+    // Breakdown tabs, sortable headers and row click-through
+    this.bindBreakdownEvents();
+
     // Listen for journal changes
     state.on('journalEntryAdded', () => {
       this.calculator.invalidateCache();
@@ -137,6 +218,13 @@ class Stats {
         this.refresh();
       }
     });
+    state.on('activeAccountChanged', () => {
+      this.calculator.invalidateCache();
+      if (state.ui.currentView === 'stats') {
+        sharedMetrics.recalculateAll();
+        this.refresh();
+      }
+    });
     state.on('accountSizeChanged', () => {
       if (state.ui.currentView === 'stats') {
         this.refresh();
@@ -152,6 +240,16 @@ class Stats {
         this.refresh();
       }
     });
+    state.on('excursionsUpdated', () => {
+      // Measurements arrive one trade at a time - batch them into one redraw
+      if (state.ui.currentView !== 'stats') return;
+      clearTimeout(this._excursionRenderTimer);
+      this._excursionRenderTimer = setTimeout(() => {
+        const trades = this.getFilteredTrades();
+        this.stats.excursions = this.calculator.calculateExcursionPoints(trades);
+        this.renderExcursions(this.stats.excursions);
+      }, 300);
+    });
     state.on('pricesUpdated', () => {
       // Only refresh if we're currently on the stats page
       if (state.ui.currentView === 'stats') {
@@ -183,11 +281,18 @@ class Stats {
         filterClose: this.elements.filterClose,
         applyBtn: this.elements.applyFilters,
         resetBtn: this.elements.clearFilters,
-        filterCount: this.elements.filterCount
+        filterCount: this.elements.filterCount,
+        tagOptions: this.elements.tagOptions,
+        presetBar: this.elements.presetBar
       },
       onOpen: () => this.onFilterOpen(),
       onApply: () => this.applyFilters(),
-      onReset: () => this.clearFilters()
+      onReset: () => this.clearFilters(),
+      presets: {
+        view: 'stats',
+        getFilters: () => this.getPresetFilters(),
+        onLoad: (filters) => this.loadFilterPreset(filters)
+      }
     });
 
     // Bind date preset buttons and input change handlers
@@ -196,6 +301,11 @@ class Stats {
     // Initialize Max preset dates
     this.handleDatePreset('max');
 
+    // Start from the saved default filters, if any - refreshed below or on viewChanged
+    if (this.filterPopup.loadDefaultPreset()) {
+      this.applyFilters({ refresh: false });
+    }
+
     // Initial calculation and render - ONLY if stats view is active
     const statsView = document.getElementById('statsView');
     if (statsView && statsView.classList.contains('view--active')) {
@@ -304,6 +414,68 @@ class Stats {
   onFilterOpen() {
     // Sync UI to current filter state when opening popup
     this.filters.syncFilterUIToState(this.elements, this.elements.datePresetBtns);
+    if (this.elements.tickerInput) {
+      this.elements.tickerInput.value = this.tickerFilter.join(', ');
+    }
+    this.filterPopup.renderTagOptions(state.journal.entries, this.tagFilter);
+  }
+
+  /**
+   * Filters currently set in the panel, as a saved preset (Stats has no status or type filter)
+   */
+  getPresetFilters() {
+    const dateFrom = this.elements.dateFrom?.value || null;
+    const dateTo = this.elements.dateTo?.value || null;
+
+    return createPresetFilters({
+      tickers: parseTickers(this.elements.tickerInput?.value),
+      tags: this.filterPopup.getSelectedTags(),
+      dateRange: getPresetDateRange(this.elements.datePresetBtns, dateFrom, dateTo)
+    });
+  }
+
+  /**
+   * Fill the panel from a saved preset (Apply applies it)
+   */
+  loadFilterPreset(filters) {
+    if (this.elements.tickerInput) {
+      this.elements.tickerInput.value = (filters.tickers || []).join(', ');
+    }
+
+    this.filterPopup.renderTagOptions(state.journal.entries, filters.tags || []);
+
+    const dateRange = filters.dateRange;
+    if (dateRange?.range) {
+      this.handleDatePreset(dateRange.range);
+    } else if (dateRange) {
+      // Hand-picked dates - no preset button matches
+      this.elements.datePresetBtns?.forEach(btn => btn.classList.remove('active'));
+      this.elements.dateFrom?.classList.remove('preset-value');
+      this.elements.dateTo?.classList.remove('preset-value');
+      this.dateFromPicker?.setDate(parseYMDString(dateRange.dateFrom));
+      this.dateToPicker?.setDate(parseYMDString(dateRange.dateTo));
+    } else {
+      this.handleDatePreset('max');
+    }
+  }
+
+  /**
+   * Trades in the selected date range for the selected tickers, with any of the selected tags
+   * Account balance and the equity curve still use every trade.
+   */
+  getFilteredTrades() {
+    return this.filters.getFilteredTrades(state.journal.entries)
+      .filter(trade => matchesTickerFilter(trade, this.tickerFilter) && matchesTagFilter(trade, this.tagFilter));
+  }
+
+  /**
+   * Badge counts the date range (unless Max), the ticker filter and the tag filter
+   */
+  updateFilterCount() {
+    const hasDateFilter = !this.filters.isMaxPreset();
+    this.filterPopup.updateFilterCount(
+      (hasDateFilter ? 1 : 0) + (this.tickerFilter.length > 0 ? 1 : 0) + (this.tagFilter.length > 0 ? 1 : 0)
+    );
   }
 
   handleDatePreset(range) {
@@ -337,12 +509,16 @@ class Stats {
     // Store filter state so it's applied immediately
     this.filters.setFilter(dates.dateFrom, dates.dateTo);
 
-    // Update filter count badge (0 if Max preset, 1 otherwise)
-    const hasFilters = !this.filters.isMaxPreset();
-    this.filterPopup.updateFilterCount(hasFilters ? 1 : 0);
+    // Update filter count badge
+    this.updateFilterCount();
   }
 
-  applyFilters() {
+  /**
+   * Apply the filters set in the panel
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh=true] - False while initializing, before the view is shown
+   */
+  applyFilters({ refresh = true } = {}) {
     const dateFrom = this.elements.dateFrom?.value || null;
     const dateTo = this.elements.dateTo?.value || null;
 
@@ -362,10 +538,13 @@ class Stats {
 
     // Update filters
     this.filters.setFilter(dateFrom, dateTo);
+    this.tickerFilter = parseTickers(this.elements.tickerInput?.value);
+    this.tagFilter = this.filterPopup.getSelectedTags();
+
+    // Update filter count badge
+    this.updateFilterCount();
 
-    // Update filter count badge (0 to hide, 1 if date filter active AND not Max preset)
-    const hasFilters = (dateFrom || dateTo) && !this.filters.isMaxPreset();
-    this.filterPopup.updateFilterCount(hasFilters ? 1 : 0);
+    if (!refresh) return;
 
     // Refresh (FilterPopup handles closing)
     this.refresh();
@@ -373,6 +552,10 @@ class Stats {
 
   clearFilters() {
     this.filters.clearFilters();
+    this.tickerFilter = [];
+    this.tagFilter = [];
+    if (this.elements.tickerInput) this.elements.tickerInput.value = '';
+    this.filterPopup.clearTagSelection();
 
     // Clear date pickers
     this.dateFromPicker?.clear();
@@ -411,6 +594,9 @@ class Stats {
       this.render();
       await this.renderEquityCurve();
 
+      // Measure MAE/MFE for a few unmeasured trades in the background (redraws via excursionsUpdated)
+      excursionTracker.updatePending();
+
       // Refresh calendar after equity curve is built
       if (this.calendar) {
         this.calendar.refresh();
@@ -427,8 +613,8 @@ class Stats {
   async calculate() {
     const allEntries = state.journal.entries;
     const filterState = this.filters.getActiveFilter();
-    const filteredTrades = this.filters.getFilteredTrades(allEntries);
-    const startingBalance = state.settings.startingAccountSize;
+    const filteredTrades = this.getFilteredTrades();
+    const startingBalance = state.startingBalance;
 
     // Calculate realized P&L for both filtered and all trades (two calls required for different scopes)
     const realizedPnL = this.calculator.calculateRealizedPnL(filteredTrades);
@@ -450,6 +636,20 @@ class Stats {
     const avgWinLossRatio = this.calculator.calculateAvgWinLossRatio(filteredTrades);
     const tradeExpectancy = this.calculator.calculateTradeExpectancy(filteredTrades);
 
+    // Drawdown and risk-adjusted returns from the daily balance series (same range as the equity curve)
+    const equityCurve = this.buildEquityCurve();
+    const drawdown = this.calculator.calculateDrawdownStats(equityCurve);
+    const riskAdjusted = this.calculator.calculateRiskAdjustedReturns(equityCurve);
+
+    // R-multiple analytics (closed trades, measured from originalStop)
+    const rAnalytics = this.calculator.calculateRAnalytics(filteredTrades);
+
+    // MAE/MFE scatter points (closed trades with a current measurement)
+    const excursions = this.calculator.calculateExcursionPoints(filteredTrades);
+
+    // Per-group performance for the active breakdown tab
+    const breakdown = this.calculator.calculateBreakdown(filteredTrades, this.breakdownDimension);
+
     // Get shared metrics
     const openRisk = sharedMetrics.getOpenRisk();
 
@@ -491,7 +691,12 @@ class Stats {
       totalGrowth,
       netCashFlow: cashFlowBreakdown.net,
       deposits: cashFlowBreakdown.deposits,
-      withdrawals: cashFlowBreakdown.withdrawals
+      withdrawals: cashFlowBreakdown.withdrawals,
+      drawdown,
+      riskAdjusted,
+      rAnalytics,
+      excursions,
+      breakdown
     };
   }
 
@@ -621,152 +826,231 @@ class Stats {
     if (cashFlowSub) {
       cashFlowSub.innerHTML = `(<span class="stat-card__sub--success-glow">Deposits</span> - <span class="stat-card__sub--danger">withdrawals</span>)`;
     }
+
+    this.renderDrawdownStats(s.drawdown);
+    this.renderRiskAdjustedStats(s.riskAdjusted);
+    this.renderRAnalytics(s.rAnalytics);
+    this.renderExcursions(s.excursions);
+    this.renderBreakdown(s.breakdown);
   }
 
-  async renderEquityCurve() {
-    if (!this.chart) {
-      logger.warn('Chart not initialized');
-      return;
+  /**
+   * Render max/current drawdown, longest drawdown and recovery time cards
+   */
+  renderDrawdownStats(dd) {
+    if (this.elements.maxDrawdown) {
+      this.elements.maxDrawdown.textContent = dd && dd.maxDrawdownPercent < 0
+        ? `${dd.maxDrawdownPercent.toFixed(2)}%`
+        : '-';
+      this.elements.maxDrawdown.closest('.stat-card')?.classList.toggle('stat-card--danger', !!dd && dd.maxDrawdownPercent < 0);
+    }
+    if (this.elements.maxDrawdownSub) {
+      this.elements.maxDrawdownSub.innerHTML = dd && dd.maxDrawdown < 0
+        ? `<span class="stat-card__sub--danger">-$${this.formatNumber(dd.maxDrawdown)}</span> peak to trough`
+        : 'Peak to trough';
     }
 
-    try {
-      // Show loading
-      if (this.elements.chartLoading) {
-        this.elements.chartLoading.style.display = 'inline-flex';
+    if (this.elements.currentDrawdown) {
+      this.elements.currentDrawdown.textContent = dd && dd.currentDrawdownPercent < 0
+        ? `${dd.currentDrawdownPercent.toFixed(2)}%`
+        : (dd ? '0.00%' : '-');
+      this.elements.currentDrawdown.closest('.stat-card')?.classList.toggle('stat-card--danger', !!dd && dd.currentDrawdownPercent < 0);
+    }
+    if (this.elements.currentDrawdownSub) {
+      this.elements.currentDrawdownSub.innerHTML = dd && dd.currentDrawdown < 0
+        ? `<span class="stat-card__sub--danger">-$${this.formatNumber(dd.currentDrawdown)}</span> below peak`
+        : 'At equity high';
+    }
+
+    if (this.elements.longestDrawdown) {
+      this.elements.longestDrawdown.textContent = dd && dd.longestDrawdownDays > 0
+        ? this.formatDays(dd.longestDrawdownDays)
+        : '-';
+    }
+
+    if (this.elements.recoveryTime) {
+      if (!dd || dd.maxDrawdownPercent >= 0) {
+        this.elements.recoveryTime.textContent = '-';
+      } else {
+        this.elements.recoveryTime.textContent = dd.recovered ? this.formatDays(dd.recoveryDays) : 'Recovering';
       }
+    }
+    if (this.elements.recoveryTimeSub) {
+      this.elements.recoveryTimeSub.textContent = dd?.maxDrawdownDate && !dd.recovered
+        ? `Since trough on ${this.formatDateShort(dd.maxDrawdownDate)}`
+        : 'Max drawdown trough to new high';
+    }
+  }
 
-      const filterState = this.filters.getActiveFilter();
-      const allTrades = state.journal.entries;
-      const cashFlowTransactions = state.cashFlow?.transactions || [];
-      const startingBalance = state.settings.startingAccountSize;
-
-      // Build timeline of balance changes from trade exits and cash flow
-      const events = [];
-
-      // Add trade close events (including trimmed trades)
-      allTrades.forEach(trade => {
-        if (trade.status === 'closed' && trade.exitDate) {
-          const exitDateStr = trade.exitDate.split('T')[0];
-          events.push({
-            date: exitDateStr,
-            type: 'trade_close',
-            pnl: trade.pnl || 0
-          });
-        } else if (trade.status === 'trimmed' && trade.trimHistory) {
-          // Add event for each trim
-          trade.trimHistory.forEach(trim => {
-            const trimDateStr = trim.date.split('T')[0];
-            events.push({
-              date: trimDateStr,
-              type: 'trim',
-              pnl: trim.pnl || 0
-            });
-          });
-        }
-      });
+  /**
+   * Render Sharpe, Sortino, CAGR and Calmar cards
+   */
+  renderRiskAdjustedStats(ratios) {
+    const renderRatio = (valueEl, cardEl, value, format = v => v.toFixed(2)) => {
+      if (!valueEl) return;
+      const hasValue = value !== null && value !== undefined && isFinite(value);
+      valueEl.textContent = hasValue ? format(value) : '-';
+      cardEl?.classList.toggle('stat-card--success', hasValue && value > 0);
+      cardEl?.classList.toggle('stat-card--danger', hasValue && value < 0);
+    };
+
+    renderRatio(this.elements.sharpeRatio, this.elements.sharpeRatioCard, ratios?.sharpe);
+    renderRatio(this.elements.sortino, this.elements.sortinoCard, ratios?.sortino);
+    renderRatio(this.elements.cagr, this.elements.cagrCard, ratios?.cagr,
+      v => `${v >= 0 ? '+' : ''}${v.toFixed(2)}%`);
+    renderRatio(this.elements.calmar, this.elements.calmarCard, ratios?.calmar);
+  }
 
-      // Add cash flow events
-      cashFlowTransactions.forEach(tx => {
-        const txDate = new Date(tx.timestamp);
-        const txDateStr = marketHours.formatDate(txDate);
-        const amount = tx.type === 'deposit' ? tx.amount : -tx.amount;
+  /**
+   * Build the daily balance series behind the equity curve and drawdown/risk stats
+   * One point per day with realized P&L (net of fees) or cash flow, extended to today,
+   * limited to a date range (the active filter unless one is given)
+   * @param {Object} filterState - { dateFrom, dateTo }, either may be null
+   * @returns {Array<{date, balance, realizedBalance, unrealizedPnL, dayPnL, cashFlow}>}
+   */
+  buildEquityCurve(filterState = this.filters.getActiveFilter()) {
+    const allTrades = state.journal.entries;
+    const cashFlowTransactions = state.cashFlow?.transactions || [];
+    const startingBalance = state.startingBalance;
+
+    // Build timeline of balance changes from trade exits and cash flow
+    const events = [];
+
+    // Add trade close events (including trimmed trades)
+    // P&L is net of commissions and fees so the curve ends at the account balance
+    allTrades.forEach(trade => {
+      const type = trade.status === 'closed' ? 'trade_close' : 'trim';
+      getRealizedPnLEvents(trade).forEach(event => {
         events.push({
-          date: txDateStr,
-          type: 'cashflow',
-          cashflow: amount
+          date: event.date.split('T')[0],
+          type,
+          pnl: event.pnl
         });
       });
+    });
 
-      // Sort events by date
-      events.sort((a, b) => a.date.localeCompare(b.date));
+    // Add cash flow events
+    cashFlowTransactions.forEach(tx => {
+      const txDate = new Date(tx.timestamp);
+      const txDateStr = marketHours.formatDate(txDate);
+      const amount = tx.type === 'deposit' ? tx.amount : -tx.amount;
+      events.push({
+        date: txDateStr,
+        type: 'cashflow',
+        cashflow: amount
+      });
+    });
 
-      // Build cumulative balance data points
-      let curveData = [];
-      let currentBalance = startingBalance;
+    // Sort events by date
+    events.sort((a, b) => a.date.localeCompare(b.date));
+
+    // Build cumulative balance data points
+    let curveData = [];
+    let currentBalance = startingBalance;
+
+    // Add starting point
+    if (events.length > 0) {
+      curveData.push({
+        date: events[0].date,
+        balance: startingBalance,
+        realizedBalance: startingBalance,
+        unrealizedPnL: 0,
+        dayPnL: 0,
+        cashFlow: 0
+      });
+    }
 
-      // Add starting point
-      if (events.length > 0) {
-        curveData.push({
-          date: events[0].date,
-          balance: startingBalance,
-          realizedBalance: startingBalance,
-          unrealizedPnL: 0,
-          dayPnL: 0,
-          cashFlow: 0
-        });
+    // Aggregate events by date
+    const eventsByDate = {};
+    events.forEach(event => {
+      if (!eventsByDate[event.date]) {
+        eventsByDate[event.date] = { pnl: 0, cashflow: 0 };
       }
+      if (event.pnl) eventsByDate[event.date].pnl += event.pnl;
+      if (event.cashflow) eventsByDate[event.date].cashflow += event.cashflow;
+    });
 
-      // Aggregate events by date
-      const eventsByDate = {};
-      events.forEach(event => {
-        if (!eventsByDate[event.date]) {
-          eventsByDate[event.date] = { pnl: 0, cashflow: 0 };
-        }
-        if (event.pnl) eventsByDate[event.date].pnl += event.pnl;
-        if (event.cashflow) eventsByDate[event.date].cashflow += event.cashflow;
+    // Create data points for each date with events
+    Object.keys(eventsByDate).sort().forEach(date => {
+      const event = eventsByDate[date];
+      const dayPnL = event.pnl;
+      const dayCashFlow = event.cashflow;
+      currentBalance += dayPnL + dayCashFlow;
+
+      curveData.push({
+        date,
+        balance: currentBalance,
+        realizedBalance: currentBalance,
+        unrealizedPnL: 0,
+        dayPnL,
+        cashFlow: dayCashFlow
       });
+    });
 
-      // Create data points for each date with events
-      Object.keys(eventsByDate).sort().forEach(date => {
-        const event = eventsByDate[date];
-        const dayPnL = event.pnl;
-        const dayCashFlow = event.cashflow;
-        currentBalance += dayPnL + dayCashFlow;
+    // Extend curve to today if today is after the last data point
+    const today = new Date();
+    const todayStr = marketHours.formatDate(today);
 
+    if (curveData.length > 0) {
+      const lastPoint = curveData[curveData.length - 1];
+      if (lastPoint.date < todayStr) {
+        // Add a data point for today with the same balance as the last point
         curveData.push({
-          date,
+          date: todayStr,
           balance: currentBalance,
           realizedBalance: currentBalance,
           unrealizedPnL: 0,
-          dayPnL,
-          cashFlow: dayCashFlow
-        });
-      });
-
-      // Extend curve to today if today is after the last data point
-      const today = new Date();
-      const todayStr = marketHours.formatDate(today);
-
-      if (curveData.length > 0) {
-        const lastPoint = curveData[curveData.length - 1];
-        if (lastPoint.date < todayStr) {
-          // Add a data point for today with the same balance as the last point
-          curveData.push({
-            date: todayStr,
-            balance: currentBalance,
-            realizedBalance: currentBalance,
-            unrealizedPnL: 0,
-            dayPnL: 0,
-            cashFlow: 0
-          });
-        }
-      } else if (events.length === 0) {
-        // No events at all - show starting balance from beginning to today
-        curveData.push({
-          date: todayStr,
-          balance: startingBalance,
-          realizedBalance: startingBalance,
-          unrealizedPnL: 0,
           dayPnL: 0,
           cashFlow: 0
         });
       }
+    } else if (events.length === 0) {
+      // No events at all - show starting balance from beginning to today
+      curveData.push({
+        date: todayStr,
+        balance: startingBalance,
+        realizedBalance: startingBalance,
+        unrealizedPnL: 0,
+        dayPnL: 0,
+        cashFlow: 0
+      });
+    }
 
-      // Filter curve data for display
-      if (filterState.dateFrom || filterState.dateTo) {
-        curveData = curveData.filter(point => {
-          let inRange = true;
-          if (filterState.dateFrom) {
-            inRange = inRange && point.date >= filterState.dateFrom;
-          }
-          if (filterState.dateTo) {
-            inRange = inRange && point.date <= filterState.dateTo;
-          }
-          return inRange;
-        });
+    // Filter curve data for display
+    if (filterState.dateFrom || filterState.dateTo) {
+      curveData = curveData.filter(point => {
+        let inRange = true;
+        if (filterState.dateFrom) {
+          inRange = inRange && point.date >= filterState.dateFrom;
+        }
+        if (filterState.dateTo) {
+          inRange = inRange && point.date <= filterState.dateTo;
+        }
+        return inRange;
+      });
+    }
+
+    return curveData;
+  }
+
+  async renderEquityCurve() {
+    if (!this.chart) {
+      logger.warn('Chart not initialized');
+      return;
+    }
+
+    try {
+      // Show loading
+      if (this.elements.chartLoading) {
+        this.elements.chartLoading.style.display = 'inline-flex';
       }
 
-      this.chart.setData(curveData);
+      const curveData = this.buildEquityCurve();
+
+      // Underwater panel: % below running peak, same range as the curve
+      const drawdownSeries = this.calculator.calculateDrawdownSeries(curveData);
+
+      this.chart.setData(curveData, drawdownSeries);
       this.chart.render();
 
       // Update chart value display
@@ -786,6 +1070,18 @@ class Stats {
   }
 
   updateDateRangeDisplay() {
+    if (this.elements.tickerFilterLabel) {
+      const hasTickers = this.tickerFilter.length > 0;
+      this.elements.tickerFilterLabel.style.display = hasTickers ? '' : 'none';
+      if (hasTickers) this.elements.tickerFilterLabel.textContent = describeTickerFilter(this.tickerFilter);
+    }
+
+    if (this.elements.tagFilterLabel) {
+      const hasTags = this.tagFilter.length > 0;
+      this.elements.tagFilterLabel.style.display = hasTags ? '' : 'none';
+      if (hasTags) this.elements.tagFilterLabel.textContent = describeTagFilter(this.tagFilter, state.journal.entries);
+    }
+
     if (!this.elements.dateRange) return;
 
     const filterState = this.filters.getActiveFilter();
@@ -894,6 +1190,246 @@ class Stats {
     return `${monthNames[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
   }
 
+  /**
+   * Render R-multiple stat cards and distribution histogram
+   */
+  renderRAnalytics(r) {
+    if (!r) return;
+
+    const formatR = value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}R`;
+    const renderR = (valueEl, cardEl, value, format = formatR) => {
+      if (!valueEl) return;
+      const hasValue = value !== null;
+      valueEl.textContent = hasValue ? format(value) : '-';
+      cardEl?.classList.toggle('stat-card--success', hasValue && value > 0);
+      cardEl?.classList.toggle('stat-card--danger', hasValue && value < 0);
+    };
+
+    renderR(this.elements.avgR, this.elements.avgRCard, r.avgR);
+    renderR(this.elements.medianR, this.elements.medianRCard, r.medianR);
+    renderR(this.elements.rExpectancy, this.elements.rExpectancyCard, r.rExpectancy);
+    renderR(this.elements.sqn, this.elements.sqnCard, r.sqn, value => value.toFixed(2));
+
+    if (this.elements.sqnSub) {
+      this.elements.sqnSub.textContent = r.sqn !== null ? this.getSqnRating(r.sqn) : 'System Quality Number';
+    }
+
+    const hitElements = { 1: this.elements.hit1R, 2: this.elements.hit2R, 3: this.elements.hit3R };
+    r.hitRates.forEach(({ target, percent }) => {
+      if (hitElements[target]) {
+        hitElements[target].textContent = percent !== null ? `${percent.toFixed(1)}%` : '-';
+      }
+    });
+
+    if (this.elements.rTrades) {
+      this.elements.rTrades.textContent = r.count;
+    }
+    if (this.elements.rCount) {
+      this.elements.rCount.textContent = `${r.count} closed trade${r.count !== 1 ? 's' : ''} with a stop`;
+    }
+
+    this.renderRHistogram(r.histogram, r.count);
+  }
+
+  renderRHistogram(histogram, count) {
+    const container = this.elements.rHistogram;
+    if (!container) return;
+
+    if (count === 0) {
+      container.innerHTML = '<div class="r-histogram__empty">Close trades with a stop to see your R distribution</div>';
+      return;
+    }
+
+    const maxCount = Math.max(...histogram.map(b => b.count));
+
+    container.innerHTML = histogram.map(bucket => {
+      const height = maxCount > 0 ? (bucket.count / maxCount) * 100 : 0;
+      const isNegative = bucket.max <= 0;
+      return `
+        <div class="r-histogram__bucket ${isNegative ? 'r-histogram__bucket--negative' : ''}" title="${bucket.label}: ${bucket.count} trade${bucket.count !== 1 ? 's' : ''}">
+          <div class="r-histogram__bar-area">
+            <span class="r-histogram__count">${bucket.count || ''}</span>
+            <div class="r-histogram__bar" style="height: ${height}%"></div>
+          </div>
+          <span class="r-histogram__label">${bucket.label}</span>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Van Tharp's SQN rating bands
+   */
+  getSqnRating(sqn) {
+    if (sqn < 1.6) return 'Poor';
+    if (sqn < 2.0) return 'Below average';
+    if (sqn < 2.5) return 'Average';
+    if (sqn < 3.0) return 'Good';
+    if (sqn < 5.1) return 'Excellent';
+    if (sqn < 7.0) return 'Superb';
+    return 'Holy grail';
+  }
+
+  /**
+   * Render MAE/MFE scatter plots and their summary line
+   */
+  renderExcursions(excursions) {
+    if (!excursions) return;
+
+    this.maeChart?.setData(excursions.points);
+    this.maeChart?.render();
+    this.mfeChart?.setData(excursions.points);
+    this.mfeChart?.render();
+
+    if (this.elements.excursionSummary) {
+      const count = excursions.points.length;
+      const formatR = value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}R`;
+      const parts = [`${count} closed trade${count !== 1 ? 's' : ''} measured`];
+      if (excursions.avgWinnerMaeR !== null) parts.push(`winners' avg MAE ${formatR(excursions.avgWinnerMaeR)}`);
+      if (excursions.avgMfeR !== null) parts.push(`avg MFE ${formatR(excursions.avgMfeR)}`);
+      if (excursions.captureRatio !== null) parts.push(`winners kept ${excursions.captureRatio.toFixed(0)}% of MFE`);
+      this.elements.excursionSummary.textContent = parts.join(' · ');
+    }
+  }
+
+  bindBreakdownEvents() {
+    // Dimension tabs
+    this.elements.breakdownTabs?.addEventListener('click', (e) => {
+      const tab = e.target.closest('[data-dimension]');
+      if (!tab || tab.dataset.dimension === this.breakdownDimension) return;
+
+      this.breakdownDimension = tab.dataset.dimension;
+      this.elements.breakdownTabs.querySelectorAll('[data-dimension]').forEach(btn => {
+        btn.classList.toggle('active', btn === tab);
+      });
+
+      const trades = this.getFilteredTrades();
+      this.stats.breakdown = this.calculator.calculateBreakdown(trades, this.breakdownDimension);
+      this.renderBreakdown(this.stats.breakdown);
+    });
+
+    // Sortable headers - first click sorts names A-Z and metrics high-to-low
+    this.elements.breakdownTable?.querySelector('thead')?.addEventListener('click', (e) => {
+      const th = e.target.closest('th[data-sort]');
+      if (!th) return;
+
+      const column = th.dataset.sort;
+      if (this.breakdownSort.column === column) {
+        this.breakdownSort.direction = this.breakdownSort.direction === 'asc' ? 'desc' : 'asc';
+      } else {
+        this.breakdownSort = { column, direction: column === 'label' ? 'asc' : 'desc' };
+      }
+      this.renderBreakdown(this.stats.breakdown);
+    });
+
+    // Row click-through to the journal
+    this.elements.breakdownTableBody?.addEventListener('click', (e) => {
+      const row = e.target.closest('.breakdown-table__row');
+      if (row) {
+        const group = this.stats.breakdown?.find(g => g.key === row.dataset.key);
+        if (group) this.openBreakdownInJournal(group);
+      }
+    });
+  }
+
+  /**
+   * Sort breakdown groups by the active column
+   * Groups without a value for the column (e.g. no avg R) always sort last.
+   */
+  sortBreakdownGroups(groups) {
+    const { column, direction } = this.breakdownSort;
+    const sign = direction === 'asc' ? 1 : -1;
+    const sortKey = BREAKDOWN_DIMENSIONS[this.breakdownDimension]?.sortKey;
+
+    return [...groups].sort((a, b) => {
+      if (column === 'label') {
+        // "Not set" always sorts last
+        if (a.key === UNSET_BREAKDOWN_KEY) return 1;
+        if (b.key === UNSET_BREAKDOWN_KEY) return -1;
+        if (sortKey) return (sortKey(a.key) - sortKey(b.key)) * sign;
+        return a.label.localeCompare(b.label) * sign;
+      }
+
+      const aVal = a[column];
+      const bVal = b[column];
+      if (aVal === null && bVal === null) return 0;
+      if (aVal === null) return 1;
+      if (bVal === null) return -1;
+      return (aVal - bVal) * sign;
+    });
+  }
+
+  /**
+   * Render the breakdown table for the active dimension
+   */
+  renderBreakdown(groups) {
+    const tbody = this.elements.breakdownTableBody;
+    if (!tbody || !groups) return;
+
+    if (this.elements.breakdownGroupHeader) {
+      this.elements.breakdownGroupHeader.textContent = BREAKDOWN_DIMENSIONS[this.breakdownDimension]?.label || 'Group';
+    }
+
+    this.elements.breakdownTable?.querySelectorAll('th[data-sort]').forEach(th => {
+      const isActive = th.dataset.sort === this.breakdownSort.column;
+      th.classList.toggle('sort-asc', isActive && this.breakdownSort.direction === 'asc');
+      th.classList.toggle('sort-desc', isActive && this.breakdownSort.direction === 'desc');
+    });
+
+    if (groups.length === 0) {
+      tbody.innerHTML = '<tr class="breakdown-table__empty"><td colspan="6">No closed trades in this range</td></tr>';
+      return;
+    }
+
+    const formatPnL = pnl => `${pnl >= 0 ? '+' : '-'}$${this.formatNumber(pnl)}`;
+    const pnlClass = value => value > 0 ? 'stat-card__sub--success-glow' : value < 0 ? 'stat-card__sub--danger' : '';
+
+    tbody.innerHTML = '';
+    this.sortBreakdownGroups(groups).forEach(group => {
+      const row = document.createElement('tr');
+      row.className = 'breakdown-table__row';
+      row.classList.toggle('breakdown-table__row--unset', group.key === UNSET_BREAKDOWN_KEY);
+      row.dataset.key = group.key;
+      row.title = 'View these trades in the Journal';
+      row.innerHTML = `
+        <td></td>
+        <td>${group.count}</td>
+        <td>${group.winRate.toFixed(1)}%</td>
+        <td class="${pnlClass(group.pnl)}">${formatPnL(group.pnl)}</td>
+        <td class="${pnlClass(group.avgR ?? 0)}">${group.avgR !== null ? `${group.avgR >= 0 ? '+' : ''}${group.avgR.toFixed(2)}R` : '-'}</td>
+        <td>${group.profitFactor !== null ? group.profitFactor.toFixed(2) : '-'}</td>
+      `;
+      // Labels can be free text (themes), so set them as text rather than HTML
+      row.firstElementChild.textContent = group.label;
+      tbody.appendChild(row);
+    });
+  }
+
+  /**
+   * Open the journal filtered to one breakdown group and the current stats date range
+   * @param {{key: string, label: string}} group - Group within the active breakdown dimension
+   */
+  openBreakdownInJournal(group) {
+    const { dateFrom, dateTo } = this.filters.getActiveFilter();
+    const breakdown = { dimension: this.breakdownDimension, key: group.key, label: group.label };
+    const tickers = [...this.tickerFilter];
+    const tags = [...this.tagFilter];
+
+    if (dateFrom && dateTo) {
+      journalView.applyFiltersFromExternal({ dateFrom, dateTo, breakdown, tickers, tags, resetToDefaults: true });
+    } else {
+      journalView.applyFiltersFromExternal({ breakdown, tickers, tags, resetToDefaults: true });
+      journalView.dateRangeFilter.clearFilters();
+      journalView.handleDatePreset('max');
+    }
+
+    viewManager.navigateTo('journal');
+  }
+
+  formatDays(days) {
+    return `${days} day${days !== 1 ? 's' : ''}`;
+  }
+
   formatDateShort(dateStr) {
     if (!dateStr) return '';
 
@@ -917,8 +1453,8 @@ class Stats {
    * Called when stats page becomes active
    */
   startAutoRefresh() {
-    if (!priceTracker.apiKey) {
-      logger.debug('[Stats] No Finnhub API key, skipping auto-refresh');
+    if (!priceTracker.hasQuoteProvider()) {
+      logger.debug('[Stats] No quote provider configured, skipping auto-refresh');
       return;
     }
 
@@ -968,6 +1504,11 @@ class Stats {
       // Fetch current prices for open positions
       await priceTracker.refreshAllActivePrices();
 
+      // Move trailing stops first, so alerts check the updated stops
+      stopManager.evaluate()
+        .finally(() => alertEngine.evaluate())
+        .catch(error => logger.error('Failed to evaluate stops and alerts:', error));
+
       // Recalculate stats with new prices
       sharedMetrics.recalculateAll();
 
@@ -1066,6 +1607,9 @@ class Stats {
       dateRange.textContent = dateRangeText;
     }
 
+    // Day journal for the same day (or the week's notes)
+    dailyNotePanel.show(dateStr, weekRange);
+
     // Render trades based on current mode
     if (this.currentTradesMode === 'opened') {
       await this._renderTradesSection('selectedDayTrades', tradesOpened, weekRange, dateStr, 'opened');
@@ -1190,6 +1734,7 @@ class Stats {
         resetToDefaults: true
       });
     } else {
+      journalView.clearBreakdownFilter();
       journalView.dateRangeFilter.clearFilters();
       journalView.handleDatePreset('max');
       journalView.filterPopup?.updateFilterCount(0);
@@ -1,5 +1,5 @@
 /**
- * Stats Chart - Canvas-based equity curve chart
+ * Stats Chart - Canvas-based equity curve chart with underwater (drawdown) panel
  */
 
 import { state } from '../../core/state.js';
@@ -16,9 +16,12 @@ class EquityChart {
     this.dpr = window.devicePixelRatio || 1;
     this.tooltip = null;
     this.data = null;
+    this.drawdownData = [];
+    this.hoverPoint = null;
     this.chartData = null;
     this.chartScales = null;
     this.chartPadding = null;
+    this.chartLayout = null;
 
     // Chart colors
     this.colors = {
@@ -30,7 +33,9 @@ class EquityChart {
       grid: 'rgba(255, 255, 255, 0.05)',
       text: '#64748b',       // Muted text
       axis: '#2a3545',       // Border subtle
-      tooltip: 'rgba(0, 0, 0, 0.9)'
+      tooltip: 'rgba(0, 0, 0, 0.9)',
+      underwater: 'rgba(239, 68, 68, 0.25)',
+      crosshair: 'rgba(255, 255, 255, 0.25)'
     };
 
     // Light theme colors (applied via CSS custom properties check)
@@ -43,7 +48,9 @@ class EquityChart {
       grid: 'rgba(0, 0, 0, 0.03)',
       text: '#64748b',
       axis: '#e2e8f0',
-      tooltip: 'rgba(0, 0, 0, 0.85)'
+      tooltip: 'rgba(0, 0, 0, 0.85)',
+      underwater: 'rgba(220, 38, 38, 0.2)',
+      crosshair: 'rgba(0, 0, 0, 0.2)'
     };
   }
 
@@ -115,8 +122,11 @@ class EquityChart {
   }
 
   // Set chart data (called from stats.js)
-  setData(data) {
+  // drawdown: [{date, drawdownPercent}] for the underwater panel, same date range as data
+  setData(data, drawdown = []) {
     this.data = data;
+    this.drawdownData = drawdown;
+    this.hoverPoint = null;
   }
 
   async render() {
@@ -166,7 +176,14 @@ class EquityChart {
     };
 
     const chartWidth = width - padding.left - padding.right;
-    const chartHeight = height - padding.top - padding.bottom;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    // Split plot area: equity curve on top, underwater panel below sharing the x-axis
+    const hasUnderwater = this.drawdownData.length >= 2;
+    const panelGap = 16;
+    const underwaterHeight = hasUnderwater ? Math.round(plotHeight * 0.28) : 0;
+    const chartHeight = hasUnderwater ? plotHeight - underwaterHeight - panelGap : plotHeight;
+    const underwaterTop = padding.top + chartHeight + panelGap;
 
     // Calculate min/max for scaling
     const values = data.map(d => d.balance);
@@ -188,10 +205,20 @@ class EquityChart {
     const scaleX = (date) => padding.left + ((new Date(date).getTime() - minDate) / dateRange) * chartWidth;
     const scaleY = (value) => padding.top + chartHeight - ((value - paddedMin) / paddedRange) * chartHeight;
 
+    // Underwater Y scale: 0% at top, deepest drawdown at bottom
+    const minDrawdown = hasUnderwater
+      ? Math.min(-1, ...this.drawdownData.map(d => d.drawdownPercent))
+      : -1;
+    const scaleUnderwaterY = (value) => underwaterTop + (value / minDrawdown) * underwaterHeight;
+
     // Store data and scales for tooltip
     this.chartData = data;
-    this.chartScales = { scaleX, scaleY };
+    this.chartScales = { scaleX, scaleY, scaleUnderwaterY };
     this.chartPadding = padding;
+    this.chartLayout = {
+      chartWidth,
+      plotBottom: hasUnderwater ? underwaterTop + underwaterHeight : padding.top + chartHeight
+    };
 
     // Draw grid lines
     this.drawGrid(padding, chartWidth, chartHeight, paddedMin, paddedMax, colors);
@@ -205,8 +232,127 @@ class EquityChart {
     // Draw Y-axis labels
     this.drawYAxisLabels(padding, chartHeight, paddedMin, paddedMax, colors);
 
-    // Draw X-axis labels
-    this.drawXAxisLabels(data, scaleX, padding, chartWidth, chartHeight, colors);
+    // Draw underwater panel
+    if (hasUnderwater) {
+      this.drawUnderwater(scaleX, scaleUnderwaterY, padding, chartWidth, underwaterTop, underwaterHeight, minDrawdown, colors);
+    }
+
+    // Draw X-axis labels (below the bottom panel)
+    this.drawXAxisLabels(data, scaleX, padding, chartWidth, this.chartLayout.plotBottom - padding.top, colors);
+
+    // Draw hover crosshair across both panels
+    if (this.hoverPoint) {
+      this.drawCrosshair(this.hoverPoint, colors);
+    }
+  }
+
+  /**
+   * Draw a curve on an offscreen canvas in the light palette (for printed review reports)
+   * @param {Array} data - Equity curve points
+   * @param {Array} drawdown - Drawdown series for the underwater panel
+   * @param {Object} size - { width, height } in CSS pixels
+   * @returns {string|null} PNG data URL, or null with fewer than two points
+   */
+  renderSnapshot(data, drawdown = [], { width = 720, height = 300 } = {}) {
+    if (!data || data.length < 2) return null;
+
+    const snapshot = new EquityChart();
+    snapshot.canvas = document.createElement('canvas');
+    snapshot.ctx = snapshot.canvas.getContext('2d');
+    snapshot.container = { getBoundingClientRect: () => ({ width, height }) };
+    snapshot.dpr = 2; // Sharp when printed
+    snapshot.getColors = () => snapshot.lightColors;
+    snapshot.showEmptyState = () => {};
+
+    snapshot.setData(data, drawdown);
+    // render() has no awaits, so the canvas is drawn by the time it returns
+    snapshot.render();
+    return snapshot.canvas.toDataURL('image/png');
+  }
+
+  drawUnderwater(scaleX, scaleY, padding, chartWidth, top, height, minDrawdown, colors) {
+    const data = this.drawdownData;
+
+    // Zero line (running peak)
+    this.ctx.strokeStyle = colors.grid;
+    this.ctx.lineWidth = 1;
+    this.ctx.beginPath();
+    this.ctx.moveTo(padding.left, top);
+    this.ctx.lineTo(padding.left + chartWidth, top);
+    this.ctx.moveTo(padding.left, top + height);
+    this.ctx.lineTo(padding.left + chartWidth, top + height);
+    this.ctx.stroke();
+
+    // Step path - drawdown holds until the next day's value
+    const tracePath = () => {
+      this.ctx.moveTo(scaleX(data[0].date), scaleY(data[0].drawdownPercent));
+      for (let i = 1; i < data.length; i++) {
+        const x = scaleX(data[i].date);
+        this.ctx.lineTo(x, scaleY(data[i - 1].drawdownPercent));
+        this.ctx.lineTo(x, scaleY(data[i].drawdownPercent));
+      }
+    };
+
+    // Fill between the zero line and the drawdown
+    this.ctx.beginPath();
+    tracePath();
+    this.ctx.lineTo(scaleX(data[data.length - 1].date), top);
+    this.ctx.lineTo(scaleX(data[0].date), top);
+    this.ctx.closePath();
+    this.ctx.fillStyle = colors.underwater;
+    this.ctx.fill();
+
+    this.ctx.beginPath();
+    tracePath();
+    this.ctx.strokeStyle = colors.loss;
+    this.ctx.lineWidth = 1.5;
+    this.ctx.lineJoin = 'round';
+    this.ctx.stroke();
+
+    // Y labels: 0% and deepest drawdown
+    this.ctx.fillStyle = colors.text;
+    this.ctx.font = '11px Inter, sans-serif';
+    this.ctx.textAlign = 'right';
+    this.ctx.textBaseline = 'middle';
+    this.ctx.fillText('0%', padding.left - 8, top);
+    this.ctx.fillText(`${minDrawdown.toFixed(1)}%`, padding.left - 8, top + height);
+  }
+
+  drawCrosshair(point, colors) {
+    const { plotBottom } = this.chartLayout;
+
+    this.ctx.strokeStyle = colors.crosshair;
+    this.ctx.lineWidth = 1;
+    this.ctx.setLineDash([4, 4]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(point.px, this.chartPadding.top);
+    this.ctx.lineTo(point.px, plotBottom);
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+
+    const markers = [{ y: point.py, color: colors.line }];
+    if (point.drawdownPercent !== null) {
+      markers.push({ y: this.chartScales.scaleUnderwaterY(point.drawdownPercent), color: colors.loss });
+    }
+
+    markers.forEach(marker => {
+      this.ctx.beginPath();
+      this.ctx.arc(point.px, marker.y, 4, 0, Math.PI * 2);
+      this.ctx.fillStyle = marker.color;
+      this.ctx.fill();
+    });
+  }
+
+  /**
+   * Get the drawdown for a date (last known value on or before it)
+   */
+  getDrawdownAt(date) {
+    let value = null;
+    for (const point of this.drawdownData) {
+      if (point.date > date) break;
+      value = point.drawdownPercent;
+    }
+    return value;
   }
 
   drawGrid(padding, chartWidth, chartHeight, minValue, maxValue, colors) {
@@ -377,35 +523,49 @@ class EquityChart {
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
 
-    // Find closest data point
+    // Outside the plot area - clear crosshair
+    if (x < this.chartPadding.left || x > this.chartPadding.left + this.chartLayout.chartWidth ||
+        y < this.chartPadding.top || y > this.chartLayout.plotBottom) {
+      this.handleMouseLeave();
+      return;
+    }
+
+    // Find the data point closest to the cursor's x position (crosshair spans both panels)
     const { scaleX, scaleY } = this.chartScales;
     let closestPoint = null;
     let minDistance = Infinity;
 
     for (const point of this.chartData) {
       const px = scaleX(point.date);
-      const py = scaleY(point.balance);
-      const distance = Math.sqrt((x - px) ** 2 + (y - py) ** 2);
+      const distance = Math.abs(x - px);
 
       if (distance < minDistance) {
         minDistance = distance;
-        closestPoint = { ...point, px, py };
+        closestPoint = { ...point, px, py: scaleY(point.balance) };
       }
     }
 
-    // Show tooltip if close enough (within 30px)
-    if (closestPoint && minDistance < 30) {
-      this.showTooltip(closestPoint, x, y);
-      this.canvas.style.cursor = 'pointer';
-    } else {
-      this.hideTooltip();
-      this.canvas.style.cursor = 'default';
+    if (!closestPoint) return;
+
+    closestPoint.drawdownPercent = this.drawdownData.length >= 2 ? this.getDrawdownAt(closestPoint.date) : null;
+
+    if (this.hoverPoint?.date !== closestPoint.date) {
+      this.hoverPoint = closestPoint;
+      this.render();
     }
+
+    this.showTooltip(closestPoint, x, y);
+    this.canvas.style.cursor = 'crosshair';
   }
 
   handleMouseLeave() {
     this.hideTooltip();
     this.canvas.style.cursor = 'default';
+
+    if (this.hoverPoint) {
+      this.hoverPoint = null;
+      this.render();
+    }
   }
 
   showTooltip(point, mouseX, mouseY) {
@@ -425,8 +585,16 @@ class EquityChart {
       this.container.appendChild(this.tooltip);
     }
 
+    let drawdownLine = '';
+    if (point.drawdownPercent !== null && point.drawdownPercent !== undefined) {
+      drawdownLine = point.drawdownPercent < 0
+        ? `<div style="font-size: 11px; color: ${this.getColors().loss}; margin-bottom: 2px;">${point.drawdownPercent.toFixed(2)}% from peak</div>`
+        : '<div style="font-size: 11px; margin-bottom: 2px;">At peak</div>';
+    }
+
     this.tooltip.innerHTML = `
       <div style="font-weight: 600; margin-bottom: 4px;">${this.formatCurrencyFull(point.balance)}</div>
+      ${drawdownLine}
       <div style="font-size: 11px; opacity: 0.9;">${this.formatDateFull(point.date)}</div>
     `;
 
@@ -9,10 +9,18 @@ import { journal } from './features/journal/journal.js';
 import { settings } from './features/settings/settings.js';
 import { theme, keyboard, settingsToggle, focusManager, hintArrow, tooltipHandler } from './components/ui/ui.js';
 import { trimModal } from './components/modals/trimModal.js';
+import { addSharesModal } from './components/modals/addSharesModal.js';
+import { strategyModal } from './components/modals/strategyModal.js';
 import { wizard } from './components/modals/wizard.js';
 import { dataManager } from './core/dataManager.js';
 import { clearDataModal } from './components/modals/clearDataModal.js';
+import { importModal } from './components/modals/importModal.js';
+import { trashModal } from './components/modals/trashModal.js';
+import { lightbox } from './components/modals/lightbox.js';
+import { reportModal } from './components/modals/reportModal.js';
+import { taxReportModal } from './components/modals/taxReportModal.js';
 import { viewManager } from './components/ui/viewManager.js';
+import { accountSwitcher } from './components/ui/accountSwitcher.js';
 import { stats } from './features/stats/stats.js';
 import { equityChart } from './features/stats/statsChart.js';
 import { positionsView } from './features/positions/positionsView.js';
@@ -38,7 +46,7 @@ class App {
     await priceTracker.init();
 
     // Auto-fetch prices on load if we have open trades and cache is empty/stale
-    const openTrades = getOpenTrades(state.journal.entries);
+    const openTrades = getOpenTrades(state.allJournalEntries);
     const hasOpenTrades = openTrades.length > 0;
     const hasCachedPrices = priceTracker.cache.size > 0;
 
@@ -73,6 +81,8 @@ class App {
 
     // Initialize trim modal
     trimModal.init();
+    addSharesModal.init();
+    strategyModal.init();
 
     // Initialize wizard
     wizard.init();
@@ -80,9 +90,27 @@ class App {
     // Initialize clear data modal
     clearDataModal.init();
 
+    // Initialize broker CSV import modal
+    importModal.init();
+
+    // Initialize trash (deleted trades) modal
+    trashModal.init();
+
+    // Initialize screenshot lightbox
+    lightbox.init();
+
+    // Initialize weekly/monthly review report modal
+    reportModal.init();
+
+    // Initialize tax lot report modal
+    taxReportModal.init();
+
     // Initialize view manager (4-view navigation)
     viewManager.init();
 
+    // Initialize header account switcher
+    accountSwitcher.init();
+
     // Initialize stats and chart
     await stats.init();
     equityChart.init();
@@ -13,14 +13,17 @@
  */
 
 import { state } from '../core/state.js';
-import { calculateRealizedPnL, getTradeRealizedPnL } from '../core/utils/tradeCalculations.js';
+import { calculateRealizedPnL, getTradeRealizedPnL, getEntryFees } from '../core/utils/tradeCalculations.js';
 import { formatDate } from '../utils/marketHours.js';
 import { getCashFlowOnDate, getTransactionDateString, getNetCashFlow, getCashFlowUpToDate } from '../utils/cashFlowUtils.js';
 import { getTradesOpenOnDate, getTradeEntryDateString } from '../utils/tradeUtils.js';
+import { getSharesBoughtByDate } from '../utils/positionUtils.js';
 import { priceTracker } from '../core/priceTracker.js';
-import { generateOptionKeyFromTrade } from '../utils/optionKeyUtils.js';
+import { generateOptionKey, generateOptionKeyFromTrade } from '../utils/optionKeyUtils.js';
+import { getStrategyMark, isStrategyTrade, STOCK_LEG } from '../core/utils/optionStrategies.js';
 import { getOpenTrades } from './TradeFilters.js';
 import { getAssetMultiplier } from '../utils/assetTypeUtils.js';
+import { getProfitPerShare } from '../utils/directionUtils.js';
 
 class AccountBalanceCalculator {
   /**
@@ -62,6 +65,41 @@ class AccountBalanceCalculator {
     };
   }
 
+  /**
+   * Calculate the current balance of each account, plus all accounts combined
+   * @param {Object} options
+   * @param {Array} options.accounts - Accounts ({ id, startingBalance })
+   * @param {Array} options.allTrades - Trades of every account
+   * @param {Array} options.cashFlowTransactions - Transactions of every account
+   * @param {Object} options.currentPrices - Map of ticker → { price, change, changePercent }
+   * @returns {Object} { byAccount: { [accountId]: result }, combined: result } - results as calculateCurrentBalance
+   */
+  calculateAccountBalances({
+    accounts,
+    allTrades,
+    cashFlowTransactions,
+    currentPrices
+  }) {
+    const byAccount = {};
+    accounts.forEach(account => {
+      byAccount[account.id] = this.calculateCurrentBalance({
+        startingBalance: account.startingBalance,
+        allTrades: allTrades.filter(t => t.accountId === account.id),
+        cashFlowTransactions: cashFlowTransactions.filter(t => t.accountId === account.id),
+        currentPrices
+      });
+    });
+
+    const combined = this.calculateCurrentBalance({
+      startingBalance: accounts.reduce((sum, account) => sum + account.startingBalance, 0),
+      allTrades,
+      cashFlowTransactions,
+      currentPrices
+    });
+
+    return { byAccount, combined };
+  }
+
   /**
    * Calculate balance at a specific historical date
    * Uses EOD prices from cache or provided prices
@@ -132,20 +170,22 @@ class AccountBalanceCalculator {
     // Determine shares held
     let shares = trade.shares;
 
-    if (trade.status === 'trimmed') {
-      if (dateStr) {
-        // For historical calculations, need to figure out shares on this date
-        shares = this._getSharesOnDate(trade, dateStr);
-      } else {
-        // For current calculations
-        shares = trade.remainingShares || trade.shares;
-      }
+    if (dateStr && trade.status !== 'closed') {
+      // For historical calculations, need to figure out shares on this date
+      shares = this._getSharesOnDate(trade, dateStr);
+    } else if (trade.status === 'trimmed') {
+      // For current calculations
+      shares = trade.remainingShares || trade.shares;
     }
 
     // For options, multiply by 100 (contract multiplier)
+    // Shorts profit when price falls, so the move is signed by direction
     const multiplier = getAssetMultiplier(trade.assetType);
-    const unrealizedPnL = (currentPrice - trade.entry) * shares * multiplier;
-    const unrealizedPercent = ((currentPrice - trade.entry) / trade.entry) * 100;
+    const profitPerShare = getProfitPerShare(trade.entry, currentPrice, trade.direction);
+    // Entry fees count against open positions until the first exit realizes them
+    const entryFees = trade.status === 'open' ? getEntryFees(trade) : 0;
+    const unrealizedPnL = profitPerShare * shares * multiplier - entryFees;
+    const unrealizedPercent = (profitPerShare / trade.entry) * 100;
 
     return {
       unrealizedPnL,
@@ -178,14 +218,9 @@ class AccountBalanceCalculator {
       .reduce((sum, trade) => {
         let price = null;
 
-        // For options, get price from options cache
+        // For options, the cached quote or else the theoretical value
         if (trade.assetType === 'options') {
-          price = priceTracker.getOptionPrice(
-            trade.ticker,
-            trade.expirationDate,
-            trade.optionType,
-            trade.strike
-          );
+          price = priceTracker.getOptionMark(trade)?.price ?? null;
         } else {
           // For stocks, get from currentPrices map
           const priceData = currentPrices[trade.ticker];
@@ -213,7 +248,15 @@ class AccountBalanceCalculator {
     return trades.reduce((sum, trade) => {
       let price;
 
-      if (trade.assetType === 'options') {
+      if (isStrategyTrade(trade)) {
+        // Strategies net their legs' prices - each option leg by its key, stock legs by ticker
+        price = getStrategyMark(trade, leg => (leg.kind === STOCK_LEG
+          ? prices[trade.ticker]
+          : prices[generateOptionKey(trade.ticker, leg.strike, leg.expirationDate, leg.kind)]) ?? null);
+
+        // Skip unless every leg has a price
+        if (!price) return sum;
+      } else if (trade.assetType === 'options') {
         // For options, lookup by unique key: ticker_strike_expiration_type
         const optionKey = generateOptionKeyFromTrade(trade);
         price = prices[optionKey];
@@ -296,7 +339,7 @@ class AccountBalanceCalculator {
   }
 
   /**
-   * Get the number of shares held on a specific date (accounts for trims)
+   * Get the number of shares held on a specific date (accounts for adds and trims)
    * @param {Object} trade - Trade object
    * @param {string} dateStr - Date in 'YYYY-MM-DD' format
    * @returns {number} Shares held on date
@@ -307,13 +350,14 @@ class AccountBalanceCalculator {
       return 0;
     }
 
+    // Shares bought by this date - adds made after it don't count yet
+    let shares = getSharesBoughtByDate(trade, dateStr);
+
     if (trade.status === 'open' || !trade.trimHistory || trade.trimHistory.length === 0) {
-      return trade.shares;
+      return shares;
     }
 
-    // For trimmed trades, calculate shares based on trim history
-    let shares = trade.shares;
-
+    // For trimmed trades, subtract trims made by this date
     for (const trim of trade.trimHistory || []) {
       if (trim.date <= dateStr) {
         shares -= (trim.sharesSold || trim.shares);
@@ -332,7 +376,7 @@ class AccountBalanceCalculator {
   calculateDayPnL(allTrades, dateStr) {
     return allTrades
       .filter(t => t.exitDate === dateStr)
-      .reduce((sum, t) => sum + (t.pnl || 0), 0);
+      .reduce((sum, t) => sum + getTradeRealizedPnL(t), 0);
   }
 
   /**
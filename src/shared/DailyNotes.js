@@ -0,0 +1,51 @@
+/**
+ * Daily Notes - Per-day journal entries (pre-market plan, market notes, review, mood)
+ * Keyed by calendar date (YYYY-MM-DD) rather than by trade, and shared by every account.
+ */
+
+// Text sections of a day's entry, in the order they're shown
+export const DAILY_NOTE_FIELDS = [
+  { key: 'plan', label: 'Pre-market plan', placeholder: 'Watchlist, levels, what has to happen to take a trade...' },
+  { key: 'market', label: 'Market notes', placeholder: 'Indexes, breadth, sector rotation, news...' },
+  { key: 'review', label: 'End-of-day review', placeholder: 'What went well, what to fix tomorrow...' }
+];
+
+export const MOODS = [
+  { value: 'great', label: 'Great', emoji: '😄' },
+  { value: 'good', label: 'Good', emoji: '🙂' },
+  { value: 'neutral', label: 'Neutral', emoji: '😐' },
+  { value: 'frustrated', label: 'Frustrated', emoji: '😤' },
+  { value: 'tilted', label: 'Tilted', emoji: '😵' }
+];
+
+/**
+ * Check whether a day's entry has anything written or picked
+ * @param {Object|null} note - Daily note
+ * @returns {boolean}
+ */
+export function hasDailyNoteContent(note) {
+  if (!note) return false;
+  return !!note.mood || DAILY_NOTE_FIELDS.some(field => note[field.key]?.trim());
+}
+
+/**
+ * @param {string|null} value - Mood value
+ * @returns {Object|null} Mood { value, label, emoji }
+ */
+export function getMood(value) {
+  return MOODS.find(mood => mood.value === value) || null;
+}
+
+/**
+ * First line of text in a day's entry, for lists and tooltips
+ * @param {Object} note - Daily note
+ * @param {number} maxLength
+ * @returns {string}
+ */
+export function getDailyNoteExcerpt(note, maxLength = 80) {
+  const text = DAILY_NOTE_FIELDS
+    .map(field => note[field.key]?.trim())
+    .find(Boolean) || '';
+  const firstLine = text.split('\n')[0];
+  return firstLine.length > maxLength ? `${firstLine.slice(0, maxLength - 1)}…` : firstLine;
+}
@@ -54,10 +54,8 @@ export class DateRangeFilter {
         .map(t => new Date(t.timestamp));
 
       if (datesWithTrades.length > 0) {
-        let earliestDate = new Date(Math.min(...datesWithTrades));
-        const dayOfWeek = earliestDate.getDay();
-        if (dayOfWeek === 0) earliestDate.setDate(earliestDate.getDate() - 2);
-        else if (dayOfWeek === 6) earliestDate.setDate(earliestDate.getDate() - 1);
+        const earliestDate = new Date(Math.min(...datesWithTrades));
+        marketHours.adjustToPreviousWeekday(earliestDate);
 
         const earliestStr = this.formatDate(earliestDate);
         return this.filters.dateFrom === earliestStr;
@@ -3,18 +3,25 @@
  * Handles open/close, backdrop, click-outside, and common interactions
  */
 
+import { state } from '../core/state.js';
+import { showToast } from '../components/ui/ui.js';
+import { collectTags } from './TradeTags.js';
+
 export class FilterPopup {
   constructor(options) {
-    this.elements = options.elements; // { filterBtn, filterPanel, filterBackdrop, filterClose, applyBtn, resetBtn, filterCount }
+    this.elements = options.elements; // { filterBtn, filterPanel, filterBackdrop, filterClose, applyBtn, resetBtn, filterCount, tagOptions?, presetBar? }
     this.callbacks = {
       onOpen: options.onOpen || (() => {}),
       onClose: options.onClose || (() => {}),
       onApply: options.onApply || (() => {}),
       onReset: options.onReset || (() => {})
     };
+    // Saved filter presets: { view, getFilters: () => filters in the panel, onLoad: (filters) => fill the panel }
+    this.presets = options.presets || null;
 
     this.isOpen = false;
     this.bindEvents();
+    this.initPresetBar();
   }
 
   bindEvents() {
@@ -82,6 +89,8 @@ export class FilterPopup {
     this.elements.filterBackdrop?.classList.add('open');
     this.isOpen = true;
     this.callbacks.onOpen();
+    // The panel now shows the applied filters, which may not be any preset
+    this.renderPresets(null);
   }
 
   close() {
@@ -92,6 +101,181 @@ export class FilterPopup {
     this.callbacks.onClose();
   }
 
+  /**
+   * Build the saved-filters controls: a preset picker, Default/Delete, and a name field to save under
+   */
+  initPresetBar() {
+    const bar = this.elements.presetBar;
+    if (!bar || !this.presets) return;
+
+    bar.innerHTML = `
+      <div class="filter-presets__row">
+        <select class="input filter-presets__select" aria-label="Saved filters"></select>
+        <button type="button" class="btn btn--ghost btn--xs filter-presets__default" title="Start this page with these filters">Default</button>
+        <button type="button" class="btn btn--ghost btn--xs filter-presets__delete" title="Delete these saved filters">Delete</button>
+      </div>
+      <div class="filter-presets__row">
+        <input type="text" class="input filter-presets__name" placeholder="Name current filters..." maxlength="40" aria-label="Preset name">
+        <button type="button" class="btn btn--ghost btn--xs filter-presets__save">Save</button>
+      </div>
+    `;
+    this.presetControls = {
+      select: bar.querySelector('.filter-presets__select'),
+      defaultBtn: bar.querySelector('.filter-presets__default'),
+      deleteBtn: bar.querySelector('.filter-presets__delete'),
+      nameInput: bar.querySelector('.filter-presets__name'),
+      saveBtn: bar.querySelector('.filter-presets__save')
+    };
+
+    const { select, defaultBtn, deleteBtn, nameInput, saveBtn } = this.presetControls;
+
+    // Picking a preset fills the panel like the date preset buttons do - Apply still applies it
+    select.addEventListener('change', () => {
+      const preset = state.getFilterPreset(select.value);
+      if (preset) {
+        this.presets.onLoad(preset.filters);
+        nameInput.value = preset.name;
+      }
+      this.updatePresetButtons();
+    });
+
+    defaultBtn.addEventListener('click', () => {
+      const id = select.value;
+      if (!id) return;
+      const isDefault = state.state.filterPresets.defaults[this.presets.view] === id;
+      state.setDefaultFilterPreset(this.presets.view, isDefault ? null : id);
+    });
+
+    deleteBtn.addEventListener('click', () => {
+      const preset = state.getFilterPreset(select.value);
+      if (!preset || !confirm(`Delete the saved filters "${preset.name}"?`)) return;
+      state.deleteFilterPreset(preset.id);
+      nameInput.value = '';
+    });
+
+    saveBtn.addEventListener('click', () => this.savePreset());
+    nameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.savePreset();
+      }
+    });
+
+    state.on('filterPresetsChanged', () => this.renderPresets());
+    this.renderPresets(null);
+  }
+
+  savePreset() {
+    const { nameInput, select } = this.presetControls;
+    const name = nameInput.value.replace(/\s+/g, ' ').trim();
+    if (!name) {
+      nameInput.focus();
+      return;
+    }
+
+    // Only ask before overwriting a preset other than the one being edited
+    const existing = state.filterPresets.find(p => p.name.toLowerCase() === name.toLowerCase());
+    if (existing && existing.id !== select.value && !confirm(`Replace the saved filters "${existing.name}"?`)) return;
+
+    const preset = state.saveFilterPreset(name, this.presets.getFilters());
+    this.renderPresets(preset.id);
+    showToast(`💾 Saved filters "${preset.name}"`, 'success');
+  }
+
+  /**
+   * Refill the preset picker
+   * @param {string|null} [selectedId] - Preset to select; defaults to keeping the current one
+   */
+  renderPresets(selectedId) {
+    if (!this.presetControls) return;
+
+    const { select, nameInput } = this.presetControls;
+    const selected = selectedId === undefined ? select.value : selectedId;
+    const defaultId = state.state.filterPresets.defaults[this.presets.view];
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = state.filterPresets.length > 0 ? 'Saved filters...' : 'No saved filters yet';
+
+    // Names are free text, so set them as text rather than HTML
+    select.replaceChildren(placeholder, ...state.filterPresets.map(preset => {
+      const option = document.createElement('option');
+      option.value = preset.id;
+      option.textContent = preset.id === defaultId ? `${preset.name} (default)` : preset.name;
+      return option;
+    }));
+    select.value = state.getFilterPreset(selected) ? selected : '';
+    if (selectedId === null) nameInput.value = '';
+
+    this.updatePresetButtons();
+  }
+
+  updatePresetButtons() {
+    const { select, defaultBtn, deleteBtn } = this.presetControls;
+    const isDefault = !!select.value && state.state.filterPresets.defaults[this.presets.view] === select.value;
+
+    defaultBtn.disabled = !select.value;
+    deleteBtn.disabled = !select.value;
+    defaultBtn.classList.toggle('active', isDefault);
+    defaultBtn.setAttribute('aria-pressed', String(isDefault));
+  }
+
+  /**
+   * Fill the panel with this view's default preset, if it has one
+   * @returns {boolean} Whether a preset was loaded - the caller applies it
+   */
+  loadDefaultPreset() {
+    const preset = this.presets && state.getDefaultFilterPreset(this.presets.view);
+    if (!preset) return false;
+
+    this.presets.onLoad(preset.filters);
+    return true;
+  }
+
+  /**
+   * Fill the tag section with one checkbox per tag used by the given trades
+   * Selected tags that no longer exist are dropped from the list.
+   * @param {Array} trades - Trades whose tags are offered
+   * @param {Array<string>} selectedKeys - Tag keys to check
+   */
+  renderTagOptions(trades, selectedKeys = []) {
+    const container = this.elements.tagOptions;
+    if (!container) return;
+
+    const tags = collectTags(trades);
+    if (tags.length === 0) {
+      container.innerHTML = '<span class="filter-dropdown__empty">No tags yet - add them when logging or editing a trade</span>';
+      return;
+    }
+
+    // Tags are free text, so set labels as text rather than HTML
+    container.replaceChildren(...tags.map(tag => {
+      const label = document.createElement('label');
+      label.className = 'filter-checkbox';
+      label.innerHTML = '<input type="checkbox"><span class="filter-checkbox__label"></span>';
+      const checkbox = label.querySelector('input');
+      checkbox.value = tag.key;
+      checkbox.checked = selectedKeys.includes(tag.key);
+      label.querySelector('.filter-checkbox__label').textContent = `${tag.label} (${tag.count})`;
+      return label;
+    }));
+  }
+
+  /**
+   * Tag keys checked in the tag section
+   * @returns {Array<string>}
+   */
+  getSelectedTags() {
+    return Array.from(this.elements.tagOptions?.querySelectorAll('input[type="checkbox"]:checked') || [])
+      .map(checkbox => checkbox.value);
+  }
+
+  clearTagSelection() {
+    this.elements.tagOptions?.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = false;
+    });
+  }
+
   /**
    * Update the filter count badge
    * @param {number} count - Number of active filters (0 to hide badge)
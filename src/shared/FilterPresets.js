@@ -0,0 +1,63 @@
+/**
+ * Filter Presets - Saved filter combinations shared by Journal, Positions and Stats
+ * A preset holds every filter any view has; each view applies the parts it supports
+ * (Positions has no date range, Stats has no status or type filter).
+ */
+
+/**
+ * Parse the ticker filter field ("aapl, msft nvda") into upper-case tickers
+ * @param {string} text - Comma or space separated tickers
+ * @returns {Array<string>} Unique tickers in the order typed
+ */
+export function parseTickers(text) {
+  const tickers = (text || '')
+    .split(/[\s,]+/)
+    .map(ticker => ticker.trim().toUpperCase())
+    .filter(Boolean);
+  return [...new Set(tickers)];
+}
+
+/**
+ * Check whether a trade is for one of the selected tickers
+ * @param {Object} trade - Trade object
+ * @param {Array<string>} tickers - Upper-case tickers; empty matches every trade
+ * @returns {boolean}
+ */
+export function matchesTickerFilter(trade, tickers) {
+  if (!tickers || tickers.length === 0) return true;
+  return tickers.includes((trade.ticker || '').toUpperCase());
+}
+
+/**
+ * Filter-bar text for selected tickers, e.g. "Tickers: AAPL, MSFT"
+ * @param {Array<string>} tickers
+ * @returns {string}
+ */
+export function describeTickerFilter(tickers) {
+  return `Tickers: ${tickers.join(', ')}`;
+}
+
+/**
+ * Date range to store in a preset
+ * A highlighted preset button is kept as its range ("30", "ytd"...) so the preset
+ * stays relative to the day it's loaded; hand-picked dates are stored as-is.
+ * @param {NodeList} datePresetBtns - The panel's Max/1M/3M/YTD/1Y buttons
+ * @param {string|null} dateFrom - YYYY-MM-DD
+ * @param {string|null} dateTo - YYYY-MM-DD
+ * @returns {Object|null} { range } or { dateFrom, dateTo }; null for no date filter
+ */
+export function getPresetDateRange(datePresetBtns, dateFrom, dateTo) {
+  const activeBtn = Array.from(datePresetBtns || []).find(btn => btn.classList.contains('active'));
+  if (activeBtn) return { range: activeBtn.dataset.range };
+  if (dateFrom || dateTo) return { dateFrom, dateTo };
+  return null;
+}
+
+/**
+ * Build a preset's filters, filling in what the saving view doesn't have
+ * @param {Object} filters - Any of { status, types, tickers, tags, dateRange }
+ * @returns {Object}
+ */
+export function createPresetFilters({ status = 'all', types = null, tickers = [], tags = [], dateRange = null } = {}) {
+  return { status, types, tickers, tags, dateRange };
+}
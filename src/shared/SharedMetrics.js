@@ -5,6 +5,8 @@
 
 import { state } from '../core/state.js';
 import { getOpenTrades } from './TradeFilters.js';
+import { getRiskPerShare } from '../utils/directionUtils.js';
+import { getTradeRealizedPnL } from '../core/utils/tradeCalculations.js';
 
 class SharedMetrics {
   constructor() {
@@ -28,12 +30,12 @@ class SharedMetrics {
 
     const totalOpenRisk = allOpenTrades.reduce((sum, t) => {
       const shares = t.remainingShares ?? t.shares;
-      const riskPerShare = t.entry - t.stop;
+      const riskPerShare = getRiskPerShare(t.entry, t.stop, t.direction);
       const grossRisk = shares * riskPerShare;
 
       // For trimmed trades, subtract realized profit (net risk can't go below 0)
       // For all trades, clamp to 0 minimum (stop above entry = no risk)
-      const realizedPnL = t.totalRealizedPnL || 0;
+      const realizedPnL = getTradeRealizedPnL(t);
       const isTrimmed = t.status === 'trimmed';
       const netRisk = isTrimmed ? Math.max(0, grossRisk - realizedPnL) : Math.max(0, grossRisk);
 
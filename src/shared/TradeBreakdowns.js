@@ -0,0 +1,115 @@
+/**
+ * Trade Breakdowns - Grouping dimensions for per-group performance stats
+ * Shared by the Stats breakdown table and the Journal click-through filter
+ * so a group's trades are identified the same way on both pages.
+ */
+
+import { getTradeEntryDateString } from '../utils/tradeUtils.js';
+import { parseYMDString } from '../utils/dateFormatters.js';
+import { getTagKey, getTradeTags } from './TradeTags.js';
+
+// Key used for trades that have no value for a dimension
+export const UNSET_BREAKDOWN_KEY = '__none__';
+
+const SETUP_LABELS = {
+  'ep': 'EP',
+  'long-term': 'Long-term',
+  'base': 'Base',
+  'breakout': 'Breakout',
+  'bounce': 'Bounce',
+  'other': 'Other'
+};
+
+const DAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Breakdown dimensions, in tab order
+ * getKey returns a stable string key (or null when unset); formatKey turns it into a label,
+ * unless getLabel can take the label from a trade in the group.
+ * Multi-valued dimensions define getKeys instead, and a trade counts in each of its groups.
+ * sortKey orders groups naturally when the table is sorted by name.
+ */
+export const BREAKDOWN_DIMENSIONS = {
+  setup: {
+    label: 'Setup',
+    getKey: (trade) => trade.thesis?.setupType || null,
+    formatKey: (key) => SETUP_LABELS[key] || key.replace(/\b\w/g, l => l.toUpperCase())
+  },
+  theme: {
+    label: 'Theme',
+    // Themes are free text, so group case-insensitively but label with the trade's own spelling
+    getKey: (trade) => trade.thesis?.theme?.trim().toLowerCase() || null,
+    getLabel: (trade) => trade.thesis.theme.trim(),
+    formatKey: (key) => key.replace(/\b\w/g, l => l.toUpperCase())
+  },
+  tag: {
+    label: 'Tag',
+    getKeys: (trade) => getTradeTags(trade).map(getTagKey),
+    getLabel: (trade, key) => getTradeTags(trade).find(tag => getTagKey(tag) === key),
+    formatKey: (key) => key
+  },
+  conviction: {
+    label: 'Conviction',
+    getKey: (trade) => trade.thesis?.conviction ? String(trade.thesis.conviction) : null,
+    formatKey: (key) => '★'.repeat(Number(key)),
+    sortKey: (key) => -Number(key)
+  },
+  ticker: {
+    label: 'Ticker',
+    getKey: (trade) => trade.ticker?.toUpperCase() || null,
+    formatKey: (key) => key
+  },
+  assetType: {
+    label: 'Asset Type',
+    getKey: (trade) => trade.assetType === 'options' ? 'options' : 'stock',
+    formatKey: (key) => key === 'options' ? 'Options' : 'Stock'
+  },
+  dayOfWeek: {
+    label: 'Entry Day',
+    getKey: (trade) => {
+      const dateStr = getTradeEntryDateString(trade);
+      return dateStr ? String(parseYMDString(dateStr).getDay()) : null;
+    },
+    formatKey: (key) => DAY_LABELS[Number(key)],
+    sortKey: (key) => Number(key)
+  }
+};
+
+/**
+ * Get every group key a trade belongs to for a dimension
+ * Single-valued dimensions return one key; multi-valued ones (tags) one per value
+ * @param {Object} trade - Trade object
+ * @param {string} dimension - Key of BREAKDOWN_DIMENSIONS
+ * @returns {Array<string>} Group keys ([UNSET_BREAKDOWN_KEY] when the trade has no value)
+ */
+export function getBreakdownKeys(trade, dimension) {
+  const config = BREAKDOWN_DIMENSIONS[dimension];
+  const keys = config?.getKeys
+    ? config.getKeys(trade)
+    : [config?.getKey(trade) ?? null].filter(key => key !== null);
+  return keys.length > 0 ? keys : [UNSET_BREAKDOWN_KEY];
+}
+
+/**
+ * Get the display label for a group key
+ * @param {string} dimension - Key of BREAKDOWN_DIMENSIONS
+ * @param {string} key - Group key
+ * @param {Object} [trade] - A trade in the group, for dimensions that label from trade data
+ * @returns {string}
+ */
+export function formatBreakdownKey(dimension, key, trade = null) {
+  if (key === UNSET_BREAKDOWN_KEY) return 'Not set';
+  const config = BREAKDOWN_DIMENSIONS[dimension];
+  if (!config) return key;
+  return (trade && config.getLabel?.(trade, key)) || config.formatKey(key);
+}
+
+/**
+ * Check whether a trade belongs to a breakdown group
+ * @param {Object} trade - Trade object
+ * @param {{dimension: string, key: string}} group - Breakdown group
+ * @returns {boolean}
+ */
+export function matchesBreakdown(trade, { dimension, key }) {
+  return getBreakdownKeys(trade, dimension).includes(key);
+}
@@ -0,0 +1,77 @@
+/**
+ * Trade Rules - Risk rules a trade is checked against in review reports
+ * Limits come from the sizing settings (default risk %, max position %), so a
+ * violation means the trade broke the plan the calculator was set up with.
+ */
+
+import { getTradeRealizedR } from '../core/utils/tradeCalculations.js';
+import { getProfitPerShare, isStopOnRiskSide } from '../utils/directionUtils.js';
+import { formatPercent } from '../core/utils.js';
+import { isStrategyTrade } from '../core/utils/optionStrategies.js';
+
+// Slack over a limit before it counts as broken, so rounding in sizing isn't flagged
+const LIMIT_TOLERANCE = 0.1;
+
+// A stopped-out loss can slip a little past -1R; beyond this the stop wasn't honored
+const MAX_LOSS_R = -1.1;
+
+export const TRADE_RULES = {
+  stop: { label: 'No stop', description: 'Entered without a stop on the risk side' },
+  risk: { label: 'Oversized risk', description: 'Risked more than the default risk per trade' },
+  size: { label: 'Oversized position', description: 'Position larger than the max position size' },
+  widened: { label: 'Widened stop', description: 'Moved the stop further from entry after entering' },
+  loss: { label: 'Loss beyond stop', description: `Lost more than ${Math.abs(MAX_LOSS_R)}R` }
+};
+
+function isOverLimit(value, limit) {
+  return limit > 0 && value > limit * (1 + LIMIT_TOLERANCE);
+}
+
+/**
+ * Rules a trade broke
+ * @param {Object} trade - Journal entry
+ * @param {Object} settings - { defaultRiskPercent, defaultMaxPositionPercent }
+ * @returns {Array<{rule: string, label: string, detail: string}>}
+ */
+export function getRuleViolations(trade, settings) {
+  const violations = [];
+  const add = (rule, detail) => violations.push({ rule, label: TRADE_RULES[rule].label, detail });
+
+  // Strategies are only logged with a defined max loss; their stop is the net price there (0 for a debit spread)
+  const originalStop = trade.originalStop ?? trade.stop;
+  const hasStop = isStrategyTrade(trade) ||
+    (originalStop !== null && originalStop !== undefined && isStopOnRiskSide(trade.entry, originalStop, trade.direction));
+  if (!hasStop) {
+    add('stop', TRADE_RULES.stop.description);
+  }
+
+  if (isOverLimit(trade.riskPercent, settings.defaultRiskPercent)) {
+    add('risk', `Risked ${formatPercent(trade.riskPercent)} (limit ${formatPercent(settings.defaultRiskPercent)})`);
+  }
+
+  // Account size at entry follows from the dollar and percent risk recorded together
+  if (trade.riskDollars > 0 && trade.riskPercent > 0 && trade.positionSize > 0) {
+    const positionPercent = (trade.positionSize * trade.riskPercent) / trade.riskDollars;
+    if (isOverLimit(positionPercent, settings.defaultMaxPositionPercent)) {
+      add('size', `Position was ${formatPercent(positionPercent)} of the account (limit ${formatPercent(settings.defaultMaxPositionPercent)})`);
+    }
+  }
+
+  // Setting a first stop on a trade imported without one isn't a widening
+  const widened = (trade.stopHistory || []).filter(change =>
+    change.from !== null && change.from !== undefined && getProfitPerShare(change.from, change.to, trade.direction) < 0
+  );
+  if (widened.length > 0) {
+    const last = widened[widened.length - 1];
+    add('widened', widened.length > 1
+      ? `Stop widened ${widened.length} times (last ${last.from} → ${last.to})`
+      : `Stop widened from ${last.from} to ${last.to}`);
+  }
+
+  const realizedR = getTradeRealizedR(trade);
+  if (realizedR !== null && realizedR < MAX_LOSS_R) {
+    add('loss', `Closed at ${realizedR.toFixed(2)}R`);
+  }
+
+  return violations;
+}
@@ -0,0 +1,100 @@
+/**
+ * Trade Tags - Free-form labels on trades ("earnings", "FOMO", "A+ setup")
+ * Tags keep the spelling they were entered with but compare case-insensitively,
+ * so "fomo" and "FOMO" are the same tag for filtering and stats.
+ */
+
+import { escapeHtml } from '../core/utils.js';
+
+// Longest tag kept - longer input is cut rather than rejected
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * Key a tag is compared by
+ * @param {string} tag
+ * @returns {string}
+ */
+export function getTagKey(tag) {
+  return tag.trim().toLowerCase();
+}
+
+/**
+ * Clean up a list of tags: trim, collapse inner whitespace, drop empties and case-insensitive duplicates
+ * @param {Array<string>} tags - Raw tags
+ * @returns {Array<string>} Tags in their original order
+ */
+export function normalizeTags(tags) {
+  const seen = new Set();
+  return (tags || [])
+    .map(tag => String(tag).replace(/\s+/g, ' ').trim().slice(0, MAX_TAG_LENGTH))
+    .filter(tag => {
+      const key = getTagKey(tag);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Get a trade's tags
+ * @param {Object} trade - Trade object
+ * @returns {Array<string>}
+ */
+export function getTradeTags(trade) {
+  return trade.tags || [];
+}
+
+/**
+ * Every tag used across trades, most used first
+ * A tag is labelled with the spelling of its most recent trade.
+ * @param {Array} trades - Trade objects
+ * @returns {Array<{key: string, label: string, count: number}>}
+ */
+export function collectTags(trades) {
+  const tags = new Map();
+  [...trades]
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .forEach(trade => {
+      getTradeTags(trade).forEach(tag => {
+        const key = getTagKey(tag);
+        const existing = tags.get(key);
+        tags.set(key, { key, label: existing?.label ?? tag, count: (existing?.count ?? 0) + 1 });
+      });
+    });
+
+  return [...tags.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+/**
+ * Check whether a trade has any of the selected tags
+ * @param {Object} trade - Trade object
+ * @param {Array<string>} selectedKeys - Tag keys (see getTagKey); empty matches every trade
+ * @returns {boolean}
+ */
+export function matchesTagFilter(trade, selectedKeys) {
+  if (!selectedKeys || selectedKeys.length === 0) return true;
+  return getTradeTags(trade).some(tag => selectedKeys.includes(getTagKey(tag)));
+}
+
+/**
+ * Filter-bar text for selected tags, e.g. "Tags: earnings, FOMO"
+ * @param {Array<string>} selectedKeys - Tag keys
+ * @param {Array} trades - Trades to take the tags' spelling from
+ * @returns {string}
+ */
+export function describeTagFilter(selectedKeys, trades) {
+  const labels = new Map(collectTags(trades).map(tag => [tag.key, tag.label]));
+  return `Tags: ${selectedKeys.map(key => labels.get(key) ?? key).join(', ')}`;
+}
+
+/**
+ * Read-only tag chips for card and table markup
+ * @param {Object} trade - Trade object
+ * @param {string} className - Chip class
+ * @returns {string} HTML (empty when the trade has no tags)
+ */
+export function renderTagChips(trade, className = 'tag tag--label') {
+  return getTradeTags(trade)
+    .map(tag => `<span class="${className}">${escapeHtml(tag)}</span>`)
+    .join('');
+}
@@ -10,6 +10,8 @@ import { state } from '../core/state.js';
 import { priceTracker } from '../core/priceTracker.js';
 import { isOpenTrade } from './TradeFilters.js';
 import { getAssetMultiplier } from '../utils/assetTypeUtils.js';
+import { getProfitPerShare, isShortTrade } from '../utils/directionUtils.js';
+import { describeLegs, getStrategyLabel, isStrategyTrade } from '../core/utils/optionStrategies.js';
 
 /**
  * Render journal table rows for given trades
@@ -79,7 +81,7 @@ export async function renderJournalTableRows(trades, options = {}) {
     // Determine exit price class
     let exitPriceClass = '';
     if (trade.exitPrice) {
-      const priceDiff = trade.exitPrice - trade.entry;
+      const priceDiff = getProfitPerShare(trade.entry, trade.exitPrice, trade.direction);
       if (Math.abs(priceDiff) >= 0.01) {
         exitPriceClass = priceDiff > 0 ? 'journal-table__pnl--positive' : 'journal-table__pnl--negative';
       }
@@ -87,7 +89,9 @@ export async function renderJournalTableRows(trades, options = {}) {
 
     // Format option details if this is an options trade
     let optionDisplay = '—';
-    if (trade.assetType === 'options' && trade.strike && trade.expirationDate) {
+    if (isStrategyTrade(trade)) {
+      optionDisplay = `<span class="journal-option-glow" title="${describeLegs(trade)}">${getStrategyLabel(trade)}</span>`;
+    } else if (trade.assetType === 'options' && trade.strike && trade.expirationDate) {
       const strike = trade.strike;
       const optionSymbol = trade.optionType === 'put' ? 'P' : 'C';
       const expDate = new Date(trade.expirationDate + 'T00:00:00');
@@ -121,7 +125,7 @@ export async function renderJournalTableRows(trades, options = {}) {
       return `
         <tr class="journal-table__row ${shouldAnimate ? 'journal-row--animate' : ''} ${rowBgClass}" data-id="${trade.id}" style="${animationDelay}">
           <td>${formatDate(trade.timestamp)}</td>
-          <td><strong>${trade.ticker}</strong></td>
+          <td><strong>${trade.ticker}</strong>${isShortTrade(trade) ? ' <span class="tag tag--short">Short</span>' : ''}</td>
           <td>${optionDisplay}</td>
           <td style="color: var(--primary);">${formatCurrency(trade.entry)}</td>
           <td class="${exitPriceClass}">${trade.exitPrice ? formatCurrency(trade.exitPrice) : '—'}</td>
@@ -145,7 +149,7 @@ export async function renderJournalTableRows(trades, options = {}) {
     return `
       <tr class="journal-table__row ${shouldAnimate ? 'journal-row--animate' : ''} ${rowBgClass}" data-id="${trade.id}" style="${animationDelay}">
         <td>${formatDate(trade.timestamp)}</td>
-        <td><strong>${trade.ticker}</strong></td>
+        <td><strong>${trade.ticker}</strong>${isShortTrade(trade) ? ' <span class="tag tag--short">Short</span>' : ''}</td>
         <td>${optionDisplay}</td>
         <td style="color: var(--primary);">${formatCurrency(trade.entry)}</td>
         <td class="${exitPriceClass}">${trade.exitPrice ? formatCurrency(trade.exitPrice) : '—'}</td>
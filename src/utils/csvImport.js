@@ -0,0 +1,625 @@
+/**
+ * CSV Import Utilities - Parse broker execution exports into journal entries
+ *
+ * Pipeline: parseCSV → detectLayout/guessMapping → normalizeExecutions
+ *           → groupExecutionsIntoTrades → markDuplicates
+ */
+
+import { TRADE_DIRECTIONS, TRADE_STATUS, ASSET_TYPES } from '../constants/index.js';
+import { getProfitPerShare, getRMultiple } from './directionUtils.js';
+import { createTimestampFromDateInput } from '../core/utils.js';
+import { getInitialFill, recalculatePosition } from './positionUtils.js';
+
+/**
+ * Fields the importer understands. Required fields must be mapped before parsing.
+ */
+export const IMPORT_FIELDS = [
+  { key: 'ticker', label: 'Ticker', required: true },
+  { key: 'side', label: 'Side', required: false },
+  { key: 'quantity', label: 'Quantity', required: true },
+  { key: 'price', label: 'Price', required: true },
+  { key: 'date', label: 'Date', required: true },
+  { key: 'fees', label: 'Fees', required: false },
+  { key: 'stop', label: 'Stop', required: false }
+];
+
+/**
+ * Known broker export layouts, matched by header names (case-insensitive)
+ * Each field lists candidate headers; every matching header is used (fees are summed)
+ */
+export const BROKER_LAYOUTS = [
+  {
+    id: 'ibkr',
+    name: 'Interactive Brokers',
+    columns: {
+      ticker: ['Symbol'],
+      side: ['Buy/Sell'],
+      quantity: ['Quantity'],
+      price: ['TradePrice', 'T. Price'],
+      date: ['TradeDate', 'Date/Time'],
+      fees: ['IBCommission', 'Comm/Fee']
+    }
+  },
+  {
+    id: 'schwab',
+    name: 'Charles Schwab',
+    columns: {
+      ticker: ['Symbol'],
+      side: ['Action'],
+      quantity: ['Quantity'],
+      price: ['Price'],
+      date: ['Date'],
+      fees: ['Fees & Comm']
+    }
+  },
+  {
+    id: 'fidelity',
+    name: 'Fidelity',
+    columns: {
+      ticker: ['Symbol'],
+      side: ['Action'],
+      quantity: ['Quantity'],
+      price: ['Price ($)'],
+      date: ['Run Date'],
+      fees: ['Commission ($)', 'Fees ($)']
+    }
+  },
+  {
+    id: 'robinhood',
+    name: 'Robinhood',
+    columns: {
+      ticker: ['Instrument'],
+      side: ['Trans Code'],
+      quantity: ['Quantity'],
+      price: ['Price'],
+      date: ['Activity Date']
+    }
+  },
+  {
+    id: 'webull',
+    name: 'Webull',
+    columns: {
+      ticker: ['Symbol'],
+      side: ['Side'],
+      quantity: ['Filled'],
+      price: ['Avg Price'],
+      date: ['Filled Time']
+    },
+    // Webull exports cancelled orders too
+    statusColumn: 'Status',
+    statusValue: 'filled'
+  }
+];
+
+// Header keywords used to guess a mapping for unknown layouts
+const GENERIC_HEADER_HINTS = {
+  ticker: ['symbol', 'ticker', 'instrument', 'underlying'],
+  side: ['side', 'action', 'buy/sell', 'trans code', 'type'],
+  quantity: ['quantity', 'qty', 'shares', 'filled'],
+  price: ['price', 'fill price', 'avg price', 'tradeprice'],
+  date: ['trade date', 'date', 'time'],
+  fees: ['commission', 'fees', 'fee', 'comm'],
+  stop: ['stop', 'stop loss']
+};
+
+const BUY_PATTERN = /\b(buy|bought|bot|cover|btc|bto)\b/;
+const SELL_PATTERN = /\b(sell|sold|sld|short|sto|stc|ss)\b/;
+// OCC-style option symbols (e.g. "AAPL 240315C00170000") or Fidelity's "-AAPL240315C170"
+const OPTION_SYMBOL_PATTERN = /(^-)|(\d{6}[CP]\d)/;
+// Stock symbols: a letter, then letters, digits or a class separator (BRK.B, BF-B, BRK/B).
+// The file is untrusted and tickers end up in toasts and card markup, so anything else is skipped
+const TICKER_PATTERN = /^[A-Z][A-Z0-9.\-/]{0,9}$/;
+
+/**
+ * Parse CSV text into an array of rows (RFC 4180 quoting, CRLF or LF line endings)
+ * Blank lines are dropped.
+ * @param {string} text - Raw CSV text
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM some brokers prepend
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows
+    .map(r => r.map(c => c.trim()))
+    .filter(r => r.some(c => c !== ''));
+}
+
+/**
+ * Find the header row - brokers often put account info above the real header
+ * Picks the first row (within the first 20) that maps all required fields for some layout.
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @returns {number} Index of the header row (0 if none found)
+ */
+export function findHeaderRowIndex(rows) {
+  const limit = Math.min(rows.length, 20);
+  for (let i = 0; i < limit; i++) {
+    if (detectLayout(rows[i]) || hasRequiredFields(guessMapping(rows[i]))) {
+      return i;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Resolve a column spec (candidate header names) to column indices
+ * @param {Array<string>} headers - Header row
+ * @param {Object} columns - Map of field → candidate header names
+ * @returns {Object} Map of field → array of column indices
+ */
+function resolveColumns(headers, columns) {
+  const normalized = headers.map(h => h.toLowerCase());
+  const mapping = {};
+
+  Object.entries(columns).forEach(([field, candidates]) => {
+    const indices = candidates
+      .map(name => normalized.indexOf(name.toLowerCase()))
+      .filter(index => index !== -1);
+    if (indices.length > 0) {
+      mapping[field] = indices;
+    }
+  });
+
+  return mapping;
+}
+
+/**
+ * Map a header row using a specific broker layout
+ * @param {Array<string>} headers - Header row
+ * @param {Object} layout - Entry from BROKER_LAYOUTS
+ * @returns {Object} Map of field → array of column indices (may be incomplete)
+ */
+export function getLayoutMapping(headers, layout) {
+  return resolveColumns(headers, layout.columns);
+}
+
+/**
+ * Check that every required import field has a column
+ * @param {Object} mapping - Map of field → array of column indices
+ * @returns {boolean}
+ */
+export function hasRequiredFields(mapping) {
+  return IMPORT_FIELDS
+    .filter(field => field.required)
+    .every(field => mapping[field.key]?.length > 0);
+}
+
+/**
+ * Detect a known broker layout from the header row
+ * @param {Array<string>} headers - Header row
+ * @returns {Object|null} { layout, mapping } or null if no layout matches
+ */
+export function detectLayout(headers) {
+  let best = null;
+
+  BROKER_LAYOUTS.forEach(layout => {
+    const mapping = resolveColumns(headers, layout.columns);
+    const allMapped = Object.keys(layout.columns).every(field => mapping[field]);
+    if (!allMapped) return;
+
+    const score = Object.keys(mapping).length;
+    if (!best || score > best.score) {
+      best = { layout, mapping, score };
+    }
+  });
+
+  return best ? { layout: best.layout, mapping: best.mapping } : null;
+}
+
+/**
+ * Guess a column mapping for an unknown layout from header keywords
+ * Exact header matches win over partial matches; each column is used at most once.
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} Map of field → array of column indices
+ */
+export function guessMapping(headers) {
+  const normalized = headers.map(h => h.toLowerCase());
+  const used = new Set();
+  const mapping = {};
+
+  Object.entries(GENERIC_HEADER_HINTS).forEach(([field, hints]) => {
+    let index = normalized.findIndex((h, i) => !used.has(i) && hints.includes(h));
+    if (index === -1) {
+      index = normalized.findIndex((h, i) => !used.has(i) && hints.some(hint => h.includes(hint)));
+    }
+    if (index !== -1) {
+      mapping[field] = [index];
+      used.add(index);
+    }
+  });
+
+  return mapping;
+}
+
+/**
+ * Parse a broker number: strips $ and thousands separators, (1.23) means negative
+ * @param {string} value - Raw cell value
+ * @returns {number|null} Parsed number or null
+ */
+export function parseImportNumber(value) {
+  if (value === undefined || value === null) return null;
+  let str = String(value).trim();
+  if (!str) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(str)) {
+    negative = true;
+    str = str.slice(1, -1);
+  }
+
+  str = str.replace(/[$,\s]/g, '');
+  const num = parseFloat(str);
+  if (isNaN(num)) return null;
+  return negative ? -num : num;
+}
+
+/**
+ * Parse a broker date into 'YYYY-MM-DD'
+ * Accepts YYYY-MM-DD, YYYYMMDD and US MM/DD/YYYY (or MM/DD/YY), ignoring any trailing time
+ * @param {string} value - Raw cell value
+ * @returns {string|null} Date string or null if unrecognized
+ */
+export function parseImportDate(value) {
+  if (!value) return null;
+  const str = String(value).trim();
+  const pad = (n) => String(n).padStart(2, '0');
+
+  let match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return `${match[1]}-${pad(match[2])}-${pad(match[3])}`;
+  }
+
+  match = str.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (match) {
+    return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+
+  match = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+  if (match) {
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    return `${year}-${pad(match[1])}-${pad(match[2])}`;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a side cell into 'buy' or 'sell'
+ * @param {string} value - Raw cell value (e.g. "Buy", "YOU SOLD", "Sell Short", "BOT")
+ * @returns {string|null} 'buy', 'sell' or null if not a trade action
+ */
+export function parseImportSide(value) {
+  if (!value) return null;
+  const str = String(value).trim().toLowerCase();
+
+  if (str === 'b') return 'buy';
+  if (str === 's') return 'sell';
+  if (BUY_PATTERN.test(str)) return 'buy';
+  if (SELL_PATTERN.test(str)) return 'sell';
+  return null;
+}
+
+/**
+ * Convert data rows into normalized executions using a column mapping
+ * @param {Array<Array<string>>} rows - Data rows (header excluded)
+ * @param {Object} mapping - Map of field → array of column indices
+ * @param {Object} options
+ * @param {Object} [options.layout] - Broker layout (for status filtering)
+ * @param {Array<string>} [options.headers] - Header row (for status filtering)
+ * @param {number} [options.firstLine] - 1-based file line of the first data row
+ * @returns {Object} { executions, skipped } where skipped is [{ line, reason }]
+ */
+export function normalizeExecutions(rows, mapping, { layout = null, headers = [], firstLine = 2 } = {}) {
+  const executions = [];
+  const skipped = [];
+
+  const cell = (row, field) => {
+    const index = mapping[field]?.[0];
+    return index !== undefined ? row[index] : undefined;
+  };
+
+  const statusIndex = layout?.statusColumn
+    ? headers.findIndex(h => h.toLowerCase() === layout.statusColumn.toLowerCase())
+    : -1;
+
+  rows.forEach((row, i) => {
+    const line = firstLine + i;
+
+    if (statusIndex !== -1 && (row[statusIndex] || '').toLowerCase() !== layout.statusValue) {
+      skipped.push({ line, reason: 'Order not filled' });
+      return;
+    }
+
+    const ticker = (cell(row, 'ticker') || '').trim().toUpperCase();
+    if (!ticker) {
+      skipped.push({ line, reason: 'Missing ticker' });
+      return;
+    }
+    if (OPTION_SYMBOL_PATTERN.test(ticker)) {
+      skipped.push({ line, reason: `Options fills are not supported (${ticker})` });
+      return;
+    }
+    if (!TICKER_PATTERN.test(ticker)) {
+      skipped.push({ line, reason: `Unrecognized ticker (${ticker})` });
+      return;
+    }
+
+    const rawQuantity = parseImportNumber(cell(row, 'quantity'));
+    const price = parseImportNumber(cell(row, 'price'));
+    const date = parseImportDate(cell(row, 'date'));
+
+    if (!rawQuantity || !price || price <= 0) {
+      skipped.push({ line, reason: 'Missing quantity or price' });
+      return;
+    }
+    if (!date) {
+      skipped.push({ line, reason: 'Unrecognized date' });
+      return;
+    }
+
+    // Side column wins; otherwise fall back to signed quantity (IBKR-style)
+    let side = null;
+    if (mapping.side) {
+      const rawSide = cell(row, 'side');
+      side = parseImportSide(rawSide);
+      if (!side && rawSide) {
+        skipped.push({ line, reason: `Not a trade (${rawSide})` });
+        return;
+      }
+    }
+    if (!side) {
+      side = rawQuantity < 0 ? 'sell' : 'buy';
+    }
+
+    // Fees may span several columns (e.g. commission + regulatory fees); brokers sign them either way
+    const fees = (mapping.fees || []).reduce((sum, index) => {
+      return sum + Math.abs(parseImportNumber(row[index]) || 0);
+    }, 0);
+
+    const stop = parseImportNumber(cell(row, 'stop'));
+
+    executions.push({
+      line,
+      ticker,
+      side,
+      quantity: Math.abs(rawQuantity),
+      price,
+      date,
+      fees,
+      stop: stop && stop > 0 ? stop : null
+    });
+  });
+
+  return { executions, skipped };
+}
+
+/**
+ * Put executions in chronological order
+ * Many brokers export newest first; within a day the file order is the only ordering we have,
+ * so a descending file is reversed before a stable sort by date.
+ * @param {Array} executions - Normalized executions
+ * @returns {Array} Executions oldest first
+ */
+function orderChronologically(executions) {
+  if (executions.length < 2) return [...executions];
+
+  const isDescending = executions[0].date > executions[executions.length - 1].date;
+  const ordered = isDescending ? [...executions].reverse() : [...executions];
+  return ordered
+    .map((execution, index) => ({ execution, index }))
+    .sort((a, b) => a.execution.date.localeCompare(b.execution.date) || a.index - b.index)
+    .map(({ execution }) => execution);
+}
+
+/**
+ * Group fills into journal entries
+ * A fill from flat opens a trade (buy = long, sell = short); same-side fills are recorded in
+ * addHistory and blended into a weighted average entry; opposite-side fills become trims. A fill that flips the position
+ * closes the trade and opens a new one with the leftover quantity.
+ *
+ * @param {Array} executions - Normalized executions
+ * @param {Object} options
+ * @param {string} [options.source] - Layout name recorded on each entry
+ * @returns {Array} Journal entry objects (without ids), oldest first
+ */
+export function groupExecutionsIntoTrades(executions, { source = 'CSV' } = {}) {
+  const trades = [];
+  const openByTicker = new Map();
+  let fillId = Date.now();
+
+  const openTrade = (execution, quantity, fees) => {
+    const direction = execution.side === 'buy' ? TRADE_DIRECTIONS.LONG : TRADE_DIRECTIONS.SHORT;
+    // Without a stop column the stop stays unset - no made-up 1R, so R stats skip the trade
+    const stop = execution.stop ?? null;
+    const trade = {
+      timestamp: createTimestampFromDateInput(execution.date),
+      ticker: execution.ticker,
+      direction,
+      entry: execution.price,
+      stop,
+      originalStop: stop,
+      currentStop: stop,
+      target: null,
+      shares: quantity,
+      originalShares: quantity,
+      remainingShares: quantity,
+      entryFees: fees,
+      notes: '',
+      status: TRADE_STATUS.OPEN,
+      assetType: ASSET_TYPES.STOCK,
+      strike: null,
+      expirationDate: null,
+      optionType: null,
+      premium: null,
+      thesis: null,
+      wizardComplete: false,
+      wizardSkipped: [],
+      trimHistory: [],
+      totalRealizedPnL: 0,
+      importSource: source,
+      importLines: [execution.line]
+    };
+    trades.push(trade);
+    openByTicker.set(execution.ticker, trade);
+    return trade;
+  };
+
+  const addToTrade = (trade, execution, quantity, fees) => {
+    if (!trade.addHistory) {
+      const initial = getInitialFill(trade);
+      trade.initialEntry = initial.price;
+      trade.initialShares = initial.shares;
+      trade.addHistory = [];
+    }
+    trade.addHistory.push({
+      id: fillId++,
+      date: createTimestampFromDateInput(execution.date),
+      shares: quantity,
+      price: execution.price,
+      fees
+    });
+
+    // Blend into the cost of the shares still held - earlier trims keep the cost they were sold at
+    const heldShares = trade.remainingShares + quantity;
+    trade.entry = (trade.entry * trade.remainingShares + execution.price * quantity) / heldShares;
+    trade.shares += quantity;
+    trade.originalShares = trade.shares;
+    trade.remainingShares = heldShares;
+    trade.importLines.push(execution.line);
+  };
+
+  const trimTrade = (trade, execution, quantity, fees) => {
+    const originalStop = trade.originalStop;
+    const pnl = getProfitPerShare(trade.entry, execution.price, trade.direction) * quantity;
+    const percentTrimmed = (quantity / trade.remainingShares) * 100;
+
+    trade.trimHistory.push({
+      id: fillId++,
+      date: createTimestampFromDateInput(execution.date),
+      shares: quantity,
+      exitPrice: execution.price,
+      rMultiple: getRMultiple(trade.entry, originalStop, execution.price, trade.direction),
+      pnl,
+      fees,
+      percentTrimmed: Math.round(percentTrimmed)
+    });
+    trade.remainingShares -= quantity;
+    trade.totalRealizedPnL += pnl;
+    if (!trade.importLines.includes(execution.line)) {
+      trade.importLines.push(execution.line);
+    }
+
+    if (trade.remainingShares === 0) {
+      trade.status = TRADE_STATUS.CLOSED;
+      trade.exitPrice = execution.price;
+      trade.exitDate = createTimestampFromDateInput(execution.date);
+      trade.pnl = trade.totalRealizedPnL;
+      openByTicker.delete(trade.ticker);
+    } else {
+      trade.status = TRADE_STATUS.TRIMMED;
+    }
+  };
+
+  orderChronologically(executions).forEach(execution => {
+    let quantity = execution.quantity;
+    let fees = execution.fees;
+    const trade = openByTicker.get(execution.ticker);
+
+    if (trade) {
+      const isClosingSide = (trade.direction === TRADE_DIRECTIONS.LONG) === (execution.side === 'sell');
+
+      if (!isClosingSide) {
+        addToTrade(trade, execution, quantity, fees);
+        return;
+      }
+
+      const closeQuantity = Math.min(quantity, trade.remainingShares);
+      const closeFees = fees * (closeQuantity / quantity);
+      trimTrade(trade, execution, closeQuantity, closeFees);
+      quantity -= closeQuantity;
+      fees -= closeFees;
+    }
+
+    if (quantity > 0) {
+      openTrade(execution, quantity, fees);
+    }
+  });
+
+  // Derived sizing fields the wizard normally fills in
+  // (risk is sized on the full position against the original stop, as the wizard does at entry)
+  trades.forEach(trade => {
+    Object.assign(trade, recalculatePosition(trade));
+  });
+
+  return trades;
+}
+
+/**
+ * Build a key identifying a trade for duplicate detection
+ * Same ticker, direction, entry day, share count and entry price (to the cent)
+ * @param {Object} trade - Trade object
+ * @returns {string}
+ */
+function getDuplicateKey(trade) {
+  const date = (trade.timestamp || '').split('T')[0];
+  const shares = trade.originalShares ?? trade.shares;
+  const direction = trade.direction || TRADE_DIRECTIONS.LONG;
+  return `${(trade.ticker || '').toUpperCase()}|${direction}|${date}|${shares}|${Number(trade.entry).toFixed(2)}`;
+}
+
+/**
+ * Flag imported trades that already exist in the journal
+ * @param {Array} trades - Imported trades
+ * @param {Array} existingEntries - Current journal entries
+ * @returns {Array} Same trades with isDuplicate set
+ */
+export function markDuplicates(trades, existingEntries) {
+  const existingKeys = new Set(existingEntries.map(getDuplicateKey));
+  trades.forEach(trade => {
+    trade.isDuplicate = existingKeys.has(getDuplicateKey(trade));
+  });
+  return trades;
+}
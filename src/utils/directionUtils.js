@@ -0,0 +1,125 @@
+/**
+ * Direction Utilities - Centralized logic for long/short trade handling
+ *
+ * All price math is expressed relative to the trade direction so callers never
+ * need to branch: a positive result always means "in the trader's favor".
+ */
+
+import { TRADE_DIRECTIONS } from '../constants/index.js';
+
+/**
+ * Get the P&L sign for a direction
+ * @param {string} direction - 'long' or 'short' (missing = long)
+ * @returns {number} 1 for long, -1 for short
+ */
+export function getDirectionMultiplier(direction) {
+  return direction === TRADE_DIRECTIONS.SHORT ? -1 : 1;
+}
+
+/**
+ * Get the direction of a trade, defaulting legacy trades to long
+ * @param {Object} trade - Trade object
+ * @returns {string} 'long' or 'short'
+ */
+export function getTradeDirection(trade) {
+  return trade?.direction === TRADE_DIRECTIONS.SHORT ? TRADE_DIRECTIONS.SHORT : TRADE_DIRECTIONS.LONG;
+}
+
+/**
+ * Check if a trade is a short position
+ * @param {Object} trade - Trade object
+ * @returns {boolean} True if short, false otherwise
+ */
+export function isShortTrade(trade) {
+  return getTradeDirection(trade) === TRADE_DIRECTIONS.SHORT;
+}
+
+/**
+ * Profit per share when moving from entry to exit
+ * @param {number} entry - Entry price
+ * @param {number} exit - Exit (or current) price
+ * @param {string} direction - 'long' or 'short'
+ * @returns {number} Positive when the move favors the position
+ */
+export function getProfitPerShare(entry, exit, direction) {
+  return (exit - entry) * getDirectionMultiplier(direction);
+}
+
+/**
+ * Risk per share between entry and stop
+ * @param {number} entry - Entry price
+ * @param {number|null} stop - Stop price (null when the trade was logged without one)
+ * @param {string} direction - 'long' or 'short'
+ * @returns {number} Positive when the stop is on the losing side of entry, 0 without a stop
+ */
+export function getRiskPerShare(entry, stop, direction) {
+  if (stop === null || stop === undefined) return 0;
+  return (entry - stop) * getDirectionMultiplier(direction);
+}
+
+/**
+ * R-multiple of an exit relative to the initial risk
+ * @param {number} entry - Entry price
+ * @param {number} stop - Stop used to define 1R (normally originalStop)
+ * @param {number} exit - Exit (or current) price
+ * @param {string} direction - 'long' or 'short'
+ * @returns {number} R-multiple (0 if risk is zero)
+ */
+export function getRMultiple(entry, stop, exit, direction) {
+  const riskPerShare = getRiskPerShare(entry, stop, direction);
+  return riskPerShare !== 0 ? getProfitPerShare(entry, exit, direction) / riskPerShare : 0;
+}
+
+/**
+ * Price at which the position is up the given number of R
+ * @param {number} entry - Entry price
+ * @param {number} stop - Stop used to define 1R
+ * @param {number} rMultiple - Number of R
+ * @param {string} direction - 'long' or 'short'
+ * @returns {number} Price level
+ */
+export function getPriceAtR(entry, stop, rMultiple, direction) {
+  return entry + rMultiple * getRiskPerShare(entry, stop, direction) * getDirectionMultiplier(direction);
+}
+
+/**
+ * Check that a stop sits on the losing side of entry
+ * (below entry for longs, above entry for shorts)
+ * @param {number} entry - Entry price
+ * @param {number} stop - Stop price
+ * @param {string} direction - 'long' or 'short'
+ * @returns {boolean}
+ */
+export function isStopOnRiskSide(entry, stop, direction) {
+  return getRiskPerShare(entry, stop, direction) > 0;
+}
+
+/**
+ * Check that a target sits on the winning side of entry
+ * (above entry for longs, below entry for shorts)
+ * @param {number} entry - Entry price
+ * @param {number} target - Target price
+ * @param {string} direction - 'long' or 'short'
+ * @returns {boolean}
+ */
+export function isTargetOnProfitSide(entry, target, direction) {
+  return getProfitPerShare(entry, target, direction) > 0;
+}
+
+/**
+ * Human-readable side of entry a stop must be on, for validation messages
+ * @param {string} direction - 'long' or 'short'
+ * @returns {string} 'below' or 'above'
+ */
+export function getStopSideLabel(direction) {
+  return direction === TRADE_DIRECTIONS.SHORT ? 'above' : 'below';
+}
+
+/**
+ * Human-readable side of entry a target must be on, for validation messages
+ * @param {string} direction - 'long' or 'short'
+ * @returns {string} 'above' or 'below'
+ */
+export function getTargetSideLabel(direction) {
+  return direction === TRADE_DIRECTIONS.SHORT ? 'below' : 'above';
+}
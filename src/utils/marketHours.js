@@ -7,7 +7,176 @@
  * - Friday 4:01pm EST is still Friday's trading day (market closed but before next open)
  * - Saturday 10am EST is still Friday's trading day (weekend, market closed)
  * - Monday 8am EST is still Friday's trading day (before Monday's 9:30am open)
+ *
+ * NYSE holidays are closed all day and treated like weekends. Early-close sessions
+ * (day before Independence Day, day after Thanksgiving, Christmas Eve) end at 1:00pm EST.
+ * Both calendars are computed from the exchange's rules, so they work for any year.
+ */
+
+const MARKET_OPEN_MINUTES = 9 * 60 + 30;  // 9:30am
+const MARKET_CLOSE_MINUTES = 16 * 60;     // 4:00pm
+const EARLY_CLOSE_MINUTES = 13 * 60;      // 1:00pm
+
+// Holiday lists are rule-based but used on hot paths (calendar, flatpickr) - compute once per year
+const holidayCache = new Map();
+
+/**
+ * Build a 'YYYY-MM-DD' key from year/month/day numbers
+ * @param {number} year
+ * @param {number} month - 0-indexed month
+ * @param {number} day
+ * @returns {string}
+ */
+function toDateKey(year, month, day) {
+  return formatDate(new Date(year, month, day, 12));
+}
+
+/**
+ * Get the nth occurrence of a weekday in a month (n = -1 for the last one)
+ * @param {number} year
+ * @param {number} month - 0-indexed month
+ * @param {number} weekday - 0 = Sunday ... 6 = Saturday
+ * @param {number} n - 1-based occurrence, or -1 for last
+ * @returns {string} Date in 'YYYY-MM-DD' format
+ */
+function getNthWeekday(year, month, weekday, n) {
+  if (n === -1) {
+    const last = new Date(year, month + 1, 0, 12);
+    last.setDate(last.getDate() - ((last.getDay() - weekday + 7) % 7));
+    return formatDate(last);
+  }
+
+  const first = new Date(year, month, 1, 12);
+  const offset = (weekday - first.getDay() + 7) % 7;
+  return toDateKey(year, month, 1 + offset + (n - 1) * 7);
+}
+
+/**
+ * Get Easter Sunday for a year (anonymous Gregorian algorithm)
+ * @param {number} year
+ * @returns {Date} Easter Sunday at noon
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31) - 1;
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month, day, 12);
+}
+
+/**
+ * Get the observed date of a fixed-date holiday
+ * Saturday holidays are observed Friday and Sunday holidays Monday.
+ * @param {number} year
+ * @param {number} month - 0-indexed month
+ * @param {number} day
+ * @returns {string} Observed date in 'YYYY-MM-DD' format
+ */
+function getObservedDate(year, month, day) {
+  const date = new Date(year, month, day, 12);
+  if (date.getDay() === 6) date.setDate(date.getDate() - 1);
+  else if (date.getDay() === 0) date.setDate(date.getDate() + 1);
+  return formatDate(date);
+}
+
+/**
+ * Get all NYSE full-day holidays for a year
+ * @param {number} year - Four-digit year
+ * @returns {Map<string, string>} Map of 'YYYY-MM-DD' -> holiday name
+ */
+export function getMarketHolidays(year) {
+  if (holidayCache.has(year)) {
+    return holidayCache.get(year);
+  }
+
+  const holidays = new Map();
+
+  // New Year's Day: a Saturday holiday is NOT moved back into the prior year
+  const newYears = new Date(year, 0, 1, 12);
+  if (newYears.getDay() !== 6) {
+    holidays.set(getObservedDate(year, 0, 1), "New Year's Day");
+  }
+
+  holidays.set(getNthWeekday(year, 0, 1, 3), 'Martin Luther King Jr. Day');
+  holidays.set(getNthWeekday(year, 1, 1, 3), "Washington's Birthday");
+
+  const goodFriday = getEasterSunday(year);
+  goodFriday.setDate(goodFriday.getDate() - 2);
+  holidays.set(formatDate(goodFriday), 'Good Friday');
+
+  holidays.set(getNthWeekday(year, 4, 1, -1), 'Memorial Day');
+
+  // Juneteenth became an NYSE holiday in 2022
+  if (year >= 2022) {
+    holidays.set(getObservedDate(year, 5, 19), 'Juneteenth');
+  }
+
+  holidays.set(getObservedDate(year, 6, 4), 'Independence Day');
+  holidays.set(getNthWeekday(year, 8, 1, 1), 'Labor Day');
+  holidays.set(getNthWeekday(year, 10, 4, 4), 'Thanksgiving Day');
+  holidays.set(getObservedDate(year, 11, 25), 'Christmas Day');
+
+  holidayCache.set(year, holidays);
+  return holidays;
+}
+
+/**
+ * Get the NYSE holiday name for a date
+ * @param {string} dateStr - Date string in 'YYYY-MM-DD' format
+ * @returns {string|null} Holiday name, or null if the market isn't closed for a holiday
+ */
+export function getMarketHoliday(dateStr) {
+  const year = parseInt(dateStr.slice(0, 4));
+  return getMarketHolidays(year).get(dateStr) ?? null;
+}
+
+/**
+ * Check if a date is an NYSE full-day holiday
+ * @param {string} dateStr - Date string in 'YYYY-MM-DD' format
+ * @returns {boolean} True if the market is closed for a holiday
  */
+export function isMarketHoliday(dateStr) {
+  return getMarketHoliday(dateStr) !== null;
+}
+
+/**
+ * Check if a date is an NYSE early-close (1:00pm EST) session
+ * Day before Independence Day, day after Thanksgiving and Christmas Eve - when they're trading days.
+ * @param {string} dateStr - Date string in 'YYYY-MM-DD' format
+ * @returns {boolean} True if the market closes early
+ */
+export function isEarlyClose(dateStr) {
+  const year = parseInt(dateStr.slice(0, 4));
+  const thanksgiving = parseDate(getNthWeekday(year, 10, 4, 4));
+  thanksgiving.setDate(thanksgiving.getDate() + 1);
+
+  const earlyCloses = [
+    toDateKey(year, 6, 3),
+    formatDate(thanksgiving),
+    toDateKey(year, 11, 24)
+  ];
+
+  return earlyCloses.includes(dateStr) && isBusinessDay(dateStr);
+}
+
+/**
+ * Get market close time for a date, in minutes since midnight EST
+ * @param {string} dateStr - Date string in 'YYYY-MM-DD' format
+ * @returns {number} 960 (4:00pm) normally, 780 (1:00pm) on early-close days
+ */
+export function getMarketCloseMinutes(dateStr) {
+  return isEarlyClose(dateStr) ? EARLY_CLOSE_MINUTES : MARKET_CLOSE_MINUTES;
+}
 
 /**
  * Get current time in EST timezone
@@ -51,17 +220,16 @@ export function getCurrentEST(date = new Date()) {
 
 /**
  * Check if market is currently open
- * Market hours: Monday-Friday, 9:30am - 4:00pm EST
+ * Market hours: Monday-Friday, 9:30am - 4:00pm EST (1:00pm on early-close days), excluding holidays
  * @param {Date} date - Optional date object (defaults to now in EST)
  * @returns {boolean} True if market is open
  */
 export function isMarketOpen(date = null) {
   const estDate = date ? getCurrentEST(date) : getCurrentEST();
+  const dateStr = formatDate(estDate);
 
-  const dayOfWeek = estDate.getDay();
-
-  // Weekend check (Saturday = 6, Sunday = 0)
-  if (dayOfWeek === 0 || dayOfWeek === 6) {
+  // Weekends and holidays
+  if (!isBusinessDay(dateStr)) {
     return false;
   }
 
@@ -70,12 +238,7 @@ export function isMarketOpen(date = null) {
   const minutes = estDate.getMinutes();
   const totalMinutes = hours * 60 + minutes;
 
-  // Market open: 9:30am = 570 minutes
-  // Market close: 4:00pm = 960 minutes
-  const marketOpenMinutes = 9 * 60 + 30; // 9:30am = 570
-  const marketCloseMinutes = 16 * 60;    // 4:00pm = 960
-
-  return totalMinutes >= marketOpenMinutes && totalMinutes < marketCloseMinutes;
+  return totalMinutes >= MARKET_OPEN_MINUTES && totalMinutes < getMarketCloseMinutes(dateStr);
 }
 
 /**
@@ -86,32 +249,19 @@ export function isMarketOpen(date = null) {
  */
 export function isAfterMarketClose(date = null) {
   const estDate = date ? getCurrentEST(date) : getCurrentEST();
+  const dateStr = formatDate(estDate);
+
+  // Weekends and holidays (all day is "after close")
+  if (!isBusinessDay(dateStr)) {
+    return true;
+  }
 
-  const dayOfWeek = estDate.getDay();
   const hours = estDate.getHours();
   const minutes = estDate.getMinutes();
   const totalMinutes = hours * 60 + minutes;
 
-  const marketCloseMinutes = 16 * 60; // 4:00pm = 960
-  const marketOpenMinutes = 9 * 60 + 30; // 9:30am = 570
-
-  // Weekday after 4pm but before midnight
-  if (dayOfWeek >= 1 && dayOfWeek <= 5) {
-    if (totalMinutes >= marketCloseMinutes) {
-      return true;
-    }
-    // Also check if before market open (early morning)
-    if (totalMinutes < marketOpenMinutes) {
-      return true;
-    }
-  }
-
-  // Weekend (all day is "after close")
-  if (dayOfWeek === 0 || dayOfWeek === 6) {
-    return true;
-  }
-
-  return false;
+  // Trading day after the close (4pm, or 1pm on early-close days) or before the open
+  return totalMinutes >= getMarketCloseMinutes(dateStr) || totalMinutes < MARKET_OPEN_MINUTES;
 }
 
 /**
@@ -122,125 +272,86 @@ export function isAfterMarketClose(date = null) {
  */
 export function getTradingDay(date = new Date()) {
   const estDate = getCurrentEST(date);
+  const dateStr = formatDate(estDate);
 
-  const dayOfWeek = estDate.getDay();
   const hours = estDate.getHours();
   const minutes = estDate.getMinutes();
   const totalMinutes = hours * 60 + minutes;
 
-  const marketOpenMinutes = 9 * 60 + 30; // 9:30am = 570
-
-  // If it's before 9:30am on a weekday, trading day is the previous business day
-  if (dayOfWeek >= 1 && dayOfWeek <= 5 && totalMinutes < marketOpenMinutes) {
-    const previousDay = new Date(estDate);
-    previousDay.setDate(previousDay.getDate() - 1);
-    return getPreviousTradingDay(formatDate(previousDay));
-  }
-
-  // If it's Saturday, trading day is Friday
-  if (dayOfWeek === 6) {
-    const friday = new Date(estDate);
-    friday.setDate(friday.getDate() - 1);
-    return formatDate(friday);
+  // Weekends and holidays belong to the last trading day
+  if (!isBusinessDay(dateStr)) {
+    return getPreviousTradingDay(dateStr);
   }
 
-  // If it's Sunday, trading day is Friday
-  if (dayOfWeek === 0) {
-    const friday = new Date(estDate);
-    friday.setDate(friday.getDate() - 2);
-    return formatDate(friday);
+  // Before 9:30am on a trading day, it's still the previous trading day
+  if (totalMinutes < MARKET_OPEN_MINUTES) {
+    return getPreviousTradingDay(dateStr);
   }
 
   // Otherwise, trading day is today
-  return formatDate(estDate);
+  return dateStr;
 }
 
 /**
- * Get the previous trading day (skips weekends)
+ * Get the previous trading day (skips weekends and market holidays)
  * @param {string} dateStr - Date string in 'YYYY-MM-DD' format
  * @returns {string} Previous trading day in 'YYYY-MM-DD' format
  */
 export function getPreviousTradingDay(dateStr) {
-  const date = new Date(dateStr + 'T12:00:00'); // Use noon to avoid timezone issues
-  let previous = new Date(date);
-  previous.setDate(previous.getDate() - 1);
-
-  // If it's Sunday (0), go back to Friday
-  if (previous.getDay() === 0) {
-    previous.setDate(previous.getDate() - 2);
-  }
-  // If it's Saturday (6), go back to Friday
-  else if (previous.getDay() === 6) {
+  const previous = new Date(dateStr + 'T12:00:00'); // Use noon to avoid timezone issues
+  do {
     previous.setDate(previous.getDate() - 1);
-  }
+  } while (!isBusinessDay(formatDate(previous)));
 
   return formatDate(previous);
 }
 
 /**
- * Get the next trading day (skips weekends)
+ * Get the next trading day (skips weekends and market holidays)
  * @param {string} dateStr - Date string in 'YYYY-MM-DD' format
  * @returns {string} Next trading day in 'YYYY-MM-DD' format
  */
 export function getNextTradingDay(dateStr) {
-  const date = new Date(dateStr + 'T12:00:00'); // Use noon to avoid timezone issues
-  let next = new Date(date);
-  next.setDate(next.getDate() + 1);
-
-  // If it's Saturday (6), go forward to Monday
-  if (next.getDay() === 6) {
-    next.setDate(next.getDate() + 2);
-  }
-  // If it's Sunday (0), go forward to Monday
-  else if (next.getDay() === 0) {
+  const next = new Date(dateStr + 'T12:00:00'); // Use noon to avoid timezone issues
+  do {
     next.setDate(next.getDate() + 1);
-  }
+  } while (!isBusinessDay(formatDate(next)));
 
   return formatDate(next);
 }
 
 /**
- * Check if a date string is a business day (Monday-Friday)
+ * Check if a date string is a business day (Monday-Friday, excluding NYSE holidays)
  * @param {string} dateStr - Date string in 'YYYY-MM-DD' format
- * @returns {boolean} True if it's a weekday
+ * @returns {boolean} True if the market trades that day
  */
 export function isBusinessDay(dateStr) {
   const date = new Date(dateStr + 'T12:00:00'); // Use noon to avoid timezone issues
   const dayOfWeek = date.getDay();
-  return dayOfWeek >= 1 && dayOfWeek <= 5;
+  return dayOfWeek >= 1 && dayOfWeek <= 5 && !isMarketHoliday(dateStr);
 }
 
 /**
- * Adjust a Date object to the previous weekday if it falls on a weekend
+ * Adjust a Date object to the previous trading day if it falls on a weekend or holiday
  * Modifies the date in-place
  * @param {Date} date - Date object to adjust
  * @returns {Date} The adjusted date (same object)
  */
 export function adjustToPreviousWeekday(date) {
-  const dayOfWeek = date.getDay();
-  if (dayOfWeek === 0) {
-    // Sunday: go back to Friday
-    date.setDate(date.getDate() - 2);
-  } else if (dayOfWeek === 6) {
-    // Saturday: go back to Friday
+  while (!isBusinessDay(formatDate(date))) {
     date.setDate(date.getDate() - 1);
   }
   return date;
 }
 
 /**
- * Adjust a Date object to the next weekday if it falls on a weekend
+ * Adjust a Date object to the next trading day if it falls on a weekend or holiday
  * Modifies the date in-place
  * @param {Date} date - Date object to adjust
  * @returns {Date} The adjusted date (same object)
  */
 export function adjustToNextWeekday(date) {
-  const dayOfWeek = date.getDay();
-  if (dayOfWeek === 6) {
-    // Saturday: go forward to Monday
-    date.setDate(date.getDate() + 2);
-  } else if (dayOfWeek === 0) {
-    // Sunday: go forward to Monday
+  while (!isBusinessDay(formatDate(date))) {
     date.setDate(date.getDate() + 1);
   }
   return date;
@@ -301,12 +412,13 @@ export function getTradingDayStart(dateStr) {
 }
 
 /**
- * Get the end time of a trading day (4:00pm EST)
+ * Get the end time of a trading day (4:00pm EST, or 1:00pm on early-close days)
  * @param {string} dateStr - Date string in 'YYYY-MM-DD' format
- * @returns {Date} Date object representing 4:00pm EST on that day
+ * @returns {Date} Date object representing the close in EST on that day
  */
 export function getTradingDayEnd(dateStr) {
   const date = parseDate(dateStr);
-  date.setHours(16, 0, 0, 0);
+  const closeMinutes = getMarketCloseMinutes(dateStr);
+  date.setHours(Math.floor(closeMinutes / 60), closeMinutes % 60, 0, 0);
   return date;
 }
@@ -0,0 +1,158 @@
+/**
+ * Position Utilities - Scaling in (add fills) and blended cost basis
+ *
+ * A position is the initial wizard fill plus any fills in `addHistory`. `entry` holds the blended
+ * (weighted average) cost of the shares still held. Each trim in `trimHistory` is valued against
+ * the cost of the shares held on its date, so later adds never re-price a trim that was already
+ * realized, and realized + unrealized P&L add up to proceeds minus cost.
+ */
+
+import { getProfitPerShare, getRiskPerShare, getRMultiple } from './directionUtils.js';
+import { getAssetMultiplier } from './assetTypeUtils.js';
+
+/**
+ * Get the initial fill that opened the position
+ * Before the first add, the trade's own entry/shares are the initial fill.
+ * @param {Object} trade - Trade object
+ * @returns {{shares: number, price: number}}
+ */
+export function getInitialFill(trade) {
+  return {
+    shares: trade.initialShares ?? trade.originalShares ?? trade.shares,
+    price: trade.initialEntry ?? trade.entry
+  };
+}
+
+/**
+ * Calculate the weighted average entry across the initial fill and all adds
+ * @param {Object} trade - Trade object
+ * @returns {number} Blended entry price
+ */
+export function getBlendedEntry(trade) {
+  const initial = getInitialFill(trade);
+  let totalShares = initial.shares;
+  let totalCost = initial.price * initial.shares;
+
+  for (const add of trade.addHistory || []) {
+    totalShares += add.shares;
+    totalCost += add.price * add.shares;
+  }
+
+  return totalShares > 0 ? totalCost / totalShares : initial.price;
+}
+
+/**
+ * Get shares bought (initial fill plus adds) on or before a date
+ * @param {Object} trade - Trade object
+ * @param {string} dateStr - Date in 'YYYY-MM-DD' format
+ * @returns {number} Shares bought by that date
+ */
+export function getSharesBoughtByDate(trade, dateStr) {
+  if (!trade.addHistory || trade.addHistory.length === 0) {
+    return trade.shares;
+  }
+
+  return trade.addHistory.reduce((sum, add) => {
+    return add.date.split('T')[0] <= dateStr ? sum + add.shares : sum;
+  }, getInitialFill(trade).shares);
+}
+
+/**
+ * Get the date part of a fill or trim date (handles both 'YYYY-MM-DD' and ISO timestamps)
+ * @param {string} date
+ * @returns {string}
+ */
+function toDatePart(date) {
+  return (date || '').split('T')[0];
+}
+
+/**
+ * Get the open risk on the shares still held, measured against the current stop
+ * @param {Object} trade - Trade object (entry and remainingShares already up to date)
+ * @returns {number} Open risk in dollars (0 once the stop is at or past breakeven)
+ */
+export function getOpenRisk(trade) {
+  const currentStop = trade.currentStop ?? trade.stop;
+  const remainingShares = trade.remainingShares ?? trade.shares;
+  return Math.max(0, getRiskPerShare(trade.entry, currentStop, trade.direction)) * remainingShares;
+}
+
+/**
+ * Recalculate every derived position field from the trade's fills
+ * Adds and trims are replayed in date order (adds first on the same day). Each trim is valued
+ * against the average cost of the shares held at that point; selling doesn't change that average,
+ * only later adds do. Returns an updates object for state.updateJournalEntry; riskPercent is left
+ * to the caller since it depends on the current account size.
+ *
+ * @param {Object} trade - Trade object (with any edits already applied)
+ * @returns {Object} Updated entry, share counts, sizing, initial risk and re-valued trim history
+ */
+export function recalculatePosition(trade) {
+  const initial = getInitialFill(trade);
+  const direction = trade.direction;
+  const multiplier = getAssetMultiplier(trade.assetType);
+  const originalStop = trade.originalStop ?? trade.stop;
+
+  const events = [
+    ...(trade.addHistory || []).map(add => ({ type: 'add', date: toDatePart(add.date), fill: add })),
+    ...(trade.trimHistory || []).map((trim, index) => ({ type: 'trim', date: toDatePart(trim.date), index }))
+  ].sort((a, b) => {
+    if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+    return a.type === b.type ? 0 : (a.type === 'add' ? -1 : 1);
+  });
+
+  let heldShares = initial.shares;
+  let heldCost = initial.price * initial.shares;
+  let totalShares = initial.shares;
+  let totalCost = heldCost;
+  let entry = initial.price;
+  const trimHistory = [...(trade.trimHistory || [])];
+
+  for (const event of events) {
+    if (event.type === 'add') {
+      heldShares += event.fill.shares;
+      heldCost += event.fill.price * event.fill.shares;
+      totalShares += event.fill.shares;
+      totalCost += event.fill.price * event.fill.shares;
+      entry = heldShares > 0 ? heldCost / heldShares : event.fill.price;
+      continue;
+    }
+
+    const trim = trimHistory[event.index];
+    trimHistory[event.index] = {
+      ...trim,
+      pnl: getProfitPerShare(entry, trim.exitPrice, direction) * trim.shares * multiplier,
+      rMultiple: getRMultiple(entry, originalStop, trim.exitPrice, direction)
+    };
+    heldShares -= trim.shares;
+    heldCost = entry * heldShares;
+  }
+
+  const sharesClosed = trimHistory.reduce((sum, trim) => sum + trim.shares, 0);
+  const remainingShares = totalShares - sharesClosed;
+  const totalRealizedPnL = trimHistory.reduce((sum, trim) => sum + trim.pnl, 0);
+
+  // Initial risk covers every share bought at the blended cost, against the original stop
+  const blendedEntry = totalShares > 0 ? totalCost / totalShares : initial.price;
+  const stopDistance = getRiskPerShare(blendedEntry, originalStop, direction);
+
+  const updates = {
+    initialEntry: initial.price,
+    initialShares: initial.shares,
+    entry,
+    shares: totalShares,
+    originalShares: totalShares,
+    remainingShares,
+    positionSize: totalCost,
+    stopDistance,
+    riskDollars: Math.max(0, stopDistance) * totalShares,
+    trimHistory,
+    totalRealizedPnL
+  };
+
+  if (trade.status === 'closed') {
+    updates.pnl = totalRealizedPnL;
+  }
+
+  return updates;
+}
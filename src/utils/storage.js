@@ -20,6 +20,24 @@ localforage.config({
   description: 'Trading journal and settings storage'
 });
 
+/**
+ * Approximate stored size of a value in bytes
+ * Blobs (attachment images) serialize to "{}", so their byte size is added separately.
+ * @param {any} value
+ * @returns {number}
+ */
+function getValueSize(value) {
+  let blobBytes = 0;
+  const json = JSON.stringify(value, (key, item) => {
+    if (item instanceof Blob) {
+      blobBytes += item.size;
+      return undefined;
+    }
+    return item;
+  });
+  return new Blob([json]).size + blobBytes;
+}
+
 /**
  * Storage adapter that wraps localForage
  * Provides async get/set/remove methods
@@ -196,7 +214,7 @@ class StorageAdapter {
 
       for (const key of keys) {
         const value = await localforage.getItem(key);
-        const size = new Blob([JSON.stringify(value)]).size;
+        const size = getValueSize(value);
         breakdown[key] = size;
         totalSize += size;
       }
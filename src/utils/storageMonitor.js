@@ -3,6 +3,7 @@
  */
 
 import { storage } from './storage.js';
+import { ATTACHMENTS } from '../constants/index.js';
 
 import { createLogger } from './logger.js';
 
@@ -40,6 +41,7 @@ export async function getStorageUsage() {
       companyData: 0,
       chartData: 0,
       priceCache: 0,
+      attachments: 0,
       other: 0
     };
 
@@ -50,6 +52,10 @@ export async function getStorageUsage() {
       if (friendlyName) {
         breakdown[friendlyName] = size;
         totalTracked += size;
+      } else if (key.startsWith(ATTACHMENTS.KEY_PREFIX)) {
+        // One key per image - summed into a single entry
+        breakdown.attachments += size;
+        totalTracked += size;
       }
     }
 
@@ -84,6 +90,7 @@ export async function getStorageUsage() {
         companyData: 0,
         chartData: 0,
         priceCache: 0,
+        attachments: 0,
         other: 0
       },
       totalUsed: 0,